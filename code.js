@@ -26,7 +26,7 @@
  * This generates a NEW URL — update config.json accordingly.
  *
  * API ENDPOINTS:
- * - askInventory(query)          - Search inventory
+ * - askInventory(query, options) - Search inventory ({ structured: true } adds item records)
  * - getInventoryReport()          - Get full inventory report
  * - getFleetReport()              - Get fleet status
  * - updateInventory(data)         - Update inventory items
@@ -37,6 +37,70 @@
  * - archiveProject(id)            - Archive completed project
  * - getActiveProjects()           - Get all active projects
  * - getArchivedProjects()         - Get all archived projects
+ * - getTVDashboardData()          - Fleet, equipment and work orders for the shop TV
+ * - assignEquipment(data)         - Assign/unassign a vehicle or attachment to a WO
+ * - getAssignments(itemId)        - Current equipment assignments (+ history)
+ * - getSchedule(date)             - Crew schedule for a day (yyyy-MM-dd)
+ * - saveSchedule(date, crews, rev) - Save a day's crews (optimistic concurrency)
+ * - getScheduleRange(start, end)  - Crew schedules for a run of days (week view)
+ * - getTools()                    - Hand tool list with current holder
+ * - addTools(tools)               - Register new tagged hand tools
+ * - checkoutTool(data)            - Check a tagged tool out to a crew
+ * - returnTool(data)              - Return a tagged tool
+ * - getToolHistory(tag, date)     - Checkout history for a tag (+ who had it on a date)
+ * - getUnreturnedTools(days)      - Tools still out after N days
+ * - getToolReconciliation()       - End-of-day list of tools still with crews
+ * - reconcileTools(data)          - Mark tools returned/missing/damaged at end of day
+ * - getToolExceptionReport(date)  - Missing/damaged/out-of-service exceptions for a day
+ * - getScheduleConflictContext(date, days) - Fleet maintenance, time off and nearby days for conflict checks
+ * - addCrewTimeOff(entry)         - Mark a crew member off for a date range
+ * - removeCrewTimeOff(id)         - Remove a time-off entry
+ * - getScheduleTemplates()        - Named crew templates and their recurrence rules
+ * - saveScheduleTemplate(tpl)     - Create or update a template
+ * - deleteScheduleTemplate(id)    - Delete a template (ends its series)
+ * - getReservations(woNumber)     - Stock reserved against work order line items
+ * - completeLineItem(data)        - Complete/reopen a line item (consumes or restores its reservation)
+ * - reserveStock(data)            - Reserve stock against a WO by hand
+ * - releaseReservation(id)        - Release an outstanding reservation
+ * - getVendors()                  - Vendor list with default lead times
+ * - saveVendor(vendor)            - Create or update a vendor
+ * - setItemVendor(data)           - Preferred vendor and lead time for an item
+ * - getReorderSuggestions()       - Low stock with suggested order quantities, by vendor
+ * - createPurchaseOrder(data)     - Draft a purchase order
+ * - getPurchaseOrders(status)     - List purchase orders
+ * - updatePurchaseOrderStatus(po, status) - Mark a PO ordered or cancelled
+ * - receivePurchaseOrder(po, received) - Receive a PO (or what is still outstanding) into inventory
+ * - getInventoryAnalytics(item, range) - Weekly usage, seasonality, shrinkage and days of cover
+ * - transferInventory(item, from, to, qty) - Move stock between yards, sheds and trucks
+ * - getUnitCatalogue()            - Shared units of measure (work order units first)
+ * - assignItemIds()               - Give every inventory row a stable Item ID
+ * - getLabels(data)               - Tool and inventory bin data for the QR label sheet
+ * - lookupCode(code)              - Resolve a scanned tag or Item ID to its record
+ * - startCountSession(data)       - Snapshot a location into a new cycle count
+ * - getCountSessions()            - Count sessions and countable locations
+ * - getCountSession(id)           - One count session with its variances
+ * - recordCounts(id, counts, counter) - Enter counted quantities
+ * - approveCountAdjustments(id, options) - Approve/dismiss variances (logged as COUNT)
+ * - undoTransaction(id, options)  - Reverse a logged inventory change (conflict-checked)
+ * - getTransactionHistory(item, limit) - Audit trail with user and changed fields
+ * - scanDuplicates(options) - Resumable blocked duplicate scan into the review queue
+ * - getDuplicateQueue(status) - Duplicate pairs awaiting review (or DISMISSED/MERGED/ALL)
+ * - dismissDuplicatePair(pairKey) - Mark a pair as not a duplicate so it stops being flagged
+ * - importInventory(text, options) - CSV import with header mapping, dry-run diff and one-pass commit
+ * - recordMeterReading(reading) - Log a truck's odometer / engine hours
+ * - logService(service) - Record service work and roll the next due point forward
+ * - getMaintenanceSchedule(truck) - Next due per service by miles, hours or date, whichever comes first
+ * - getFleet(options)             - Typed vehicle/machinery records (status, maintenance, assignment, crew)
+ * - submitInspection(inspection)  - Pre-trip DVIR; a safety-critical defect puts the truck in maintenance
+ * - getInspections(options)       - Recent inspections and open defects
+ * - resolveInspectionDefect(fix)  - Close a defect; the truck goes back in service when none critical remain
+ * - logFuel(fill)                 - Record a fill-up (gallons, cost, odometer)
+ * - getFuelLog(options)           - Recent fill-ups with MPG
+ * - getFleetCosts(options)        - Monthly fuel, service and repair cost per truck
+ * - exportFleetCostsCSV(options)  - Fleet cost report as CSV for the accountant
+ * - getAssets(options)            - Asset-management assets with repair status and linked fleet record
+ * - getDashboardStats()           - Asset-management dashboard counts (GOOD/MONITOR/WARNING/REPLACE NOW)
+ * - linkFleetAssets(options)      - Match fleet rows to assets by name and write the shared Asset ID
  *
  * ═══════════════════════════════════════════════════════════════════════
  */
@@ -53,10 +117,51 @@ const CONFIG = {
   KNOWLEDGE_SHEET_NAME: "Sheet1",
   TRUCK_SHEET_NAME: "Master",
   CREW_SCHEDULE_SHEET_NAME: "Sheet1",
+  DAILY_SCHEDULE_SHEET_NAME: "Daily Schedule", // Created on first use in the crew schedule spreadsheet
+  CREW_TIME_OFF_SHEET_NAME: "Crew Time Off",   // Created on first use in the crew schedule spreadsheet
+  SCHEDULE_TEMPLATES_SHEET_NAME: "Schedule Templates", // Created on first use in the crew schedule spreadsheet
+  TOOLS_SHEET_NAME: "Hand Tools",              // Created on first use in the inventory spreadsheet
+  TOOL_LOG_SHEET_NAME: "Tool Checkout Log",    // Created on first use in the inventory spreadsheet
+  TOOL_MISSING_DAYS_LIMIT: 3,                  // Days flagged missing before a tool is taken out of service
+  RESERVATIONS_SHEET_NAME: "Stock Reservations", // Created on first use in the inventory spreadsheet
+  VENDORS_SHEET_NAME: "Vendors",               // Created on first use in the inventory spreadsheet
+  PURCHASE_ORDERS_SHEET_NAME: "Purchase Orders", // Created on first use in the inventory spreadsheet
+  DEFAULT_LEAD_TIME_DAYS: 7,                   // Used when neither the item nor its vendor has a lead time
+  REORDER_LOOKBACK_DAYS: 90,                   // Transaction Log window for consumption rates
+  REORDER_COVER_DAYS: 14,                      // Days of use a reorder should cover beyond the lead time
+  UNIT_CONVERSIONS_SHEET_NAME: "Unit Conversions", // Optional tab in the inventory spreadsheet (Item, Unit, Equals, Of Unit)
+  STOCK_LOCATIONS_SHEET_NAME: "Stock Locations", // Created on first use in the inventory spreadsheet
+  ITEM_ID_PREFIX: "INV-",                      // Stable inventory IDs printed on bin labels (INV-0001)
+  TOOL_HOME_LOCATION: "Tool Crib",             // Location printed on hand tool labels
+  COUNTS_SHEET_NAME: "Inventory Counts",       // Created on first use in the inventory spreadsheet
+  DUPLICATE_REVIEW_SHEET_NAME: "Duplicate Review", // Created on first use in the inventory spreadsheet
+  DUPLICATE_SCAN_BUDGET_MS: 240000,            // Per-call time budget before the scan saves its place
+  DUPLICATE_MAX_BLOCK_SIZE: 200,               // Skip comparison blocks bigger than this (e.g. a genus everyone shares)
+  IMPORT_MAX_ROWS: 2000,                       // Largest CSV importInventory accepts in one call
   ACTIVE_JOBS_SHEET_ID: "13bnntgZiXdCA2KQvJXpIBA1rCBzx3ZmeKakzYFFg7QA",
   ACTIVE_JOBS_SHEET_NAME: "Active Work Orders",
   WORK_ORDERS_SHEET_NAME: "Work Orders",
   LINE_ITEMS_SHEET_NAME: "Line Items",
+  MACHINERY_SHEET_NAME: "Machinery",     // Optional tab in the truck spreadsheet
+  ATTACHMENTS_SHEET_NAME: "Attachments", // Optional tab in the truck spreadsheet
+  ASSIGNMENTS_SHEET_NAME: "Equipment Assignments", // Created on first use in the truck spreadsheet
+  SERVICE_INTERVALS_SHEET_NAME: "Service Intervals", // Created with defaults in the truck spreadsheet (Model, Service, Every Miles/Hours/Days)
+  METER_READINGS_SHEET_NAME: "Meter Readings", // Created on first use in the truck spreadsheet
+  SERVICE_LOG_SHEET_NAME: "Service Log",       // Created on first use in the truck spreadsheet
+  MAINTENANCE_DUE_SOON_DAYS: 30,               // Flag services projected due within this many days...
+  MAINTENANCE_DUE_SOON_MILES: 500,             // ...or this many miles...
+  MAINTENANCE_DUE_SOON_HOURS: 25,              // ...or this many engine hours
+  MAINTENANCE_USAGE_DAYS: 90,                  // Meter-reading window for projecting miles/hours to a date
+  INSPECTIONS_SHEET_NAME: "Inspections",       // Created on first use in the truck spreadsheet (one row per DVIR)
+  INSPECTION_DEFECTS_SHEET_NAME: "Inspection Defects", // Created on first use in the truck spreadsheet
+  INSPECTION_PHOTO_FOLDER_NAME: "DVIR Photos", // Drive folder for defect photos, created on first use
+  INSPECTION_MAX_PHOTO_BYTES: 5000000,         // Largest defect photo accepted (the page shrinks them first)
+  INSPECTION_DOWN_STATUS: "Maintenance",       // Master Status set when a safety-critical defect is reported
+  FUEL_LOG_SHEET_NAME: "Fuel Log",             // Created on first use in the truck spreadsheet
+  FLEET_COST_MONTHS: 12,                       // Default range for the fleet cost report
+  ASSET_SHEET_ID: "1aF_6nHHp8NA-eETkwZMUuTlPRPOiiKEvou-F9QuVTD8", // asset-management spreadsheet (Assets, Repairs)
+  ASSET_REPAIRS_SHEET_NAME: "Repairs",
+  ASSETS_SHEET_NAME: "Assets",                 // Its Asset ID is the shared ID in the fleet tabs' Asset ID column
   CLAUDE_API_KEY: PropertiesService.getScriptProperties().getProperty('CLAUDE_API_KEY') || "",
   CLAUDE_MODEL: "claude-sonnet-4-20250514",
   OPENAI_API_KEY: "", // Replace with your actual API key
@@ -327,7 +432,7 @@ function setupTruckSheet() {
     const sheet = ss.getActiveSheet();
     
     // Set up headers for truck information
-    sheet.getRange(1, 1, 1, 8).setValues([[
+    sheet.getRange(1, 1, 1, 9).setValues([[
       "Truck Name/ID", 
       "Model", 
       "Year", 
@@ -335,17 +440,18 @@ function setupTruckSheet() {
       "Status", 
       "Last Maintenance", 
       "Next Maintenance Due",
-      "Notes"
+      "Notes",
+      "Asset ID" // Same ID as the asset-management Assets sheet
     ]]);
     
     // Add sample data
-    sheet.getRange(2, 1, 2, 8).setValues([
-      ["Truck 1", "Ford F-150", "2020", "ABC-1234", "Active", "10/15/2024", "01/15/2025", "Oil change due soon"],
-      ["Truck 2", "Chevy Silverado", "2019", "XYZ-5678", "In Maintenance", "11/01/2024", "02/01/2025", "Brake inspection needed"]
+    sheet.getRange(2, 1, 2, 9).setValues([
+      ["Truck 1", "Ford F-150", "2020", "ABC-1234", "Active", "10/15/2024", "01/15/2025", "Oil change due soon", ""],
+      ["Truck 2", "Chevy Silverado", "2019", "XYZ-5678", "In Maintenance", "11/01/2024", "02/01/2025", "Brake inspection needed", ""]
     ]);
     
     // Format headers
-    sheet.getRange(1, 1, 1, 8).setFontWeight("bold").setBackground("#1E88E5").setFontColor("white");
+    sheet.getRange(1, 1, 1, 9).setFontWeight("bold").setBackground("#1E88E5").setFontColor("white");
     
     const sheetId = ss.getId();
     const sheetUrl = ss.getUrl();
@@ -482,7 +588,7 @@ function doPost(e) {
     let result;
     switch(functionName) {
       case 'askInventory':
-        result = askInventory(params[0]);
+        result = askInventory(params[0], params[1]);
         break;
 
       case 'updateInventory':
@@ -562,6 +668,267 @@ function doPost(e) {
         result = getActiveJobs();
         break;
 
+      case 'getTVDashboardData':
+        result = getTVDashboardData();
+        break;
+
+      case 'assignEquipment':
+        result = assignEquipment(params[0]);
+        break;
+
+      case 'getAssignments':
+        result = getAssignments(params[0]);
+        break;
+
+      case 'getSchedule':
+        result = getSchedule(params[0]);
+        break;
+
+      case 'saveSchedule':
+        result = saveSchedule(params[0], params[1], params[2]);
+        break;
+
+      case 'getScheduleRange':
+        result = getScheduleRange(params[0], params[1]);
+        break;
+
+      case 'updateSchedule':
+        // Object form used by js/api.js: { date, crews, revision }
+        result = saveSchedule(params[0] && params[0].date, params[0] && params[0].crews, params[0] && params[0].revision);
+        break;
+
+      case 'getTools':
+        result = getTools();
+        break;
+
+      case 'addTools':
+        result = addTools(params[0]);
+        break;
+
+      case 'checkoutTool':
+        result = checkoutTool(params[0]);
+        break;
+
+      case 'returnTool':
+        result = returnTool(params[0]);
+        break;
+
+      case 'getToolHistory':
+        result = getToolHistory(params[0], params[1]);
+        break;
+
+      case 'getUnreturnedTools':
+        result = getUnreturnedTools(params[0]);
+        break;
+
+      case 'getToolReconciliation':
+        result = getToolReconciliation();
+        break;
+
+      case 'reconcileTools':
+        result = reconcileTools(params[0]);
+        break;
+
+      case 'getToolExceptionReport':
+        result = getToolExceptionReport(params[0]);
+        break;
+
+      case 'getScheduleConflictContext':
+        result = getScheduleConflictContext(params[0], params[1]);
+        break;
+
+      case 'addCrewTimeOff':
+        result = addCrewTimeOff(params[0]);
+        break;
+
+      case 'removeCrewTimeOff':
+        result = removeCrewTimeOff(params[0]);
+        break;
+
+      case 'getScheduleTemplates':
+        result = getScheduleTemplates();
+        break;
+
+      case 'saveScheduleTemplate':
+        result = saveScheduleTemplate(params[0]);
+        break;
+
+      case 'deleteScheduleTemplate':
+        result = deleteScheduleTemplate(params[0]);
+        break;
+
+      case 'getReservations':
+        result = getReservations(params[0]);
+        break;
+
+      case 'completeLineItem':
+        result = completeLineItem(params[0]);
+        break;
+
+      case 'getVendors':
+        result = getVendors();
+        break;
+
+      case 'saveVendor':
+        result = saveVendor(params[0]);
+        break;
+
+      case 'setItemVendor':
+        result = setItemVendor(params[0]);
+        break;
+
+      case 'getReorderSuggestions':
+        result = getReorderSuggestions();
+        break;
+
+      case 'createPurchaseOrder':
+        result = createPurchaseOrder(params[0]);
+        break;
+
+      case 'getPurchaseOrders':
+        result = getPurchaseOrders(params[0]);
+        break;
+
+      case 'updatePurchaseOrderStatus':
+        result = updatePurchaseOrderStatus(params[0], params[1]);
+        break;
+
+      case 'receivePurchaseOrder':
+        result = receivePurchaseOrder(params[0], params[1]);
+        break;
+
+      case 'getInventoryAnalytics':
+        result = getInventoryAnalytics(params[0], params[1]);
+        break;
+
+      case 'transferInventory':
+        result = transferInventory(params[0], params[1], params[2], params[3]);
+        break;
+
+      case 'getUnitCatalogue':
+        result = getUnitCatalogue();
+        break;
+
+      case 'reserveStock':
+        result = reserveStock(params[0]);
+        break;
+
+      case 'releaseReservation':
+        result = releaseReservation(params[0]);
+        break;
+
+      case 'assignItemIds':
+        result = assignItemIds();
+        break;
+
+      case 'getLabels':
+        result = getLabels(params[0]);
+        break;
+
+      case 'lookupCode':
+        result = lookupCode(params[0]);
+        break;
+
+      case 'startCountSession':
+        result = startCountSession(params[0]);
+        break;
+
+      case 'getCountSessions':
+        result = getCountSessions();
+        break;
+
+      case 'getCountSession':
+        result = getCountSession(params[0]);
+        break;
+
+      case 'recordCounts':
+        result = recordCounts(params[0], params[1], params[2]);
+        break;
+
+      case 'approveCountAdjustments':
+        result = approveCountAdjustments(params[0], params[1]);
+        break;
+
+      case 'undoTransaction':
+        result = undoTransaction(params[0], params[1]);
+        break;
+
+      case 'getTransactionHistory':
+        result = getTransactionHistory(params[0], params[1]);
+        break;
+
+      case 'scanDuplicates':
+        result = scanDuplicates(params[0]);
+        break;
+
+      case 'getDuplicateQueue':
+        result = getDuplicateQueue(params[0]);
+        break;
+
+      case 'dismissDuplicatePair':
+        result = dismissDuplicatePair(params[0]);
+        break;
+
+      case 'importInventory':
+        result = importInventory(params[0], params[1]);
+        break;
+
+      case 'recordMeterReading':
+        result = recordMeterReading(params[0]);
+        break;
+
+      case 'logService':
+        result = logService(params[0]);
+        break;
+
+      case 'getMaintenanceSchedule':
+        result = getMaintenanceSchedule(params[0]);
+        break;
+
+      case 'getFleet':
+        result = getFleet(params[0]);
+        break;
+
+      case 'submitInspection':
+        result = submitInspection(params[0]);
+        break;
+
+      case 'getInspections':
+        result = getInspections(params[0]);
+        break;
+
+      case 'resolveInspectionDefect':
+        result = resolveInspectionDefect(params[0]);
+        break;
+
+      case 'logFuel':
+        result = logFuel(params[0]);
+        break;
+
+      case 'getFuelLog':
+        result = getFuelLog(params[0]);
+        break;
+
+      case 'getFleetCosts':
+        result = getFleetCosts(params[0]);
+        break;
+
+      case 'exportFleetCostsCSV':
+        result = exportFleetCostsCSV(params[0]);
+        break;
+
+      case 'getAssets':
+        result = getAssets(params[0]);
+        break;
+
+      case 'getDashboardStats':
+        result = getDashboardStats();
+        break;
+
+      case 'linkFleetAssets':
+        result = linkFleetAssets(params[0]);
+        break;
+
       case 'routeQuery':
         result = routeQuery(params[0]);
         break;
@@ -599,7 +966,10 @@ function doPost(e) {
 // =============================
 // 🔍 Master Function - Multi-tier search
 // =============================
-function askInventory(query) {
+// Pass { structured: true } to get matching inventory items back alongside the
+// text answer (answer, source, items) so the chat can render actionable cards.
+function askInventory(query, options) {
+  const structured = !!(options && options.structured);
   if (!query || query.trim() === "") {
     return { answer: "Please provide a search query.", source: "error" };
   }
@@ -618,13 +988,24 @@ function askInventory(query) {
       }
     }
     
-    // 2. Check inventory with fuzzy matching
-    const inventoryAnswer = searchInventory(query);
+    // 2. Material quantities when the query gives an area ("mulch for 20x30 at 3 inches")
+    const calculation = MaterialCalculator.calculate(query);
+    if (calculation) {
+      const calculatorAnswer = { answer: answerMaterialQuery(calculation), source: "calculator" };
+      if (structured) calculatorAnswer.calculation = calculation;
+      return calculatorAnswer;
+    }
+    
+    // 3. Check inventory with fuzzy matching
+    const inventoryAnswer = searchInventory(query, options);
+    if (inventoryAnswer && structured) {
+      return { answer: inventoryAnswer.text, source: "inventory", items: inventoryAnswer.items, quantityRequest: inventoryAnswer.quantityRequest };
+    }
     if (inventoryAnswer) {
       return { answer: inventoryAnswer, source: "inventory" };
     }
     
-    // 3. If not truck-specific, also try truck database
+    // 4. If not truck-specific, also try truck database
     if (!isTruckQuery && CONFIG.TRUCK_SHEET_ID !== "YOUR_TRUCK_SHEET_ID_HERE") {
       const truckAnswer = searchTruckInfo(query);
       if (truckAnswer) {
@@ -632,13 +1013,13 @@ function askInventory(query) {
       }
     }
     
-    // 4. Check knowledge base
+    // 5. Check knowledge base
     const knowledgeAnswer = searchKnowledgeBase(query);
     if (knowledgeAnswer) {
       return { answer: knowledgeAnswer, source: "knowledge" };
     }
     
-    // 5. Fallback to OpenAI (only if API key is configured)
+    // 6. Fallback to OpenAI (only if API key is configured)
     if (CONFIG.OPENAI_API_KEY && CONFIG.OPENAI_API_KEY !== "YOUR_OPENAI_API_KEY_HERE") {
       const aiAnswer = askOpenAI(query);
       return { answer: aiAnswer, source: "ai" };
@@ -661,14 +1042,17 @@ function askInventory(query) {
 // =============================
 // 📦 Enhanced Inventory Search with Fuzzy Matching and Quantity Detection
 // =============================
-function searchInventory(query) {
+// Returns the formatted text answer, or with { structured: true } an object
+// { text, items, quantityRequest } so callers can act on each matching item.
+function searchInventory(query, options) {
   try {
+    const structured = !!(options && options.structured);
     const cache = CacheService.getScriptCache();
-    const cacheKey = "inventory_" + query.toLowerCase();
+    const cacheKey = (structured ? "inventory_json_" : "inventory_") + query.toLowerCase();
     const cached = cache.get(cacheKey);
     
     if (cached) {
-      return cached;
+      return structured ? JSON.parse(cached) : cached;
     }
     
     const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
@@ -680,11 +1064,37 @@ function searchInventory(query) {
     // Locate price columns by header name so the indices are safe regardless of sheet layout
     const hdrs = data[0].map(h => String(h).toLowerCase().trim());
     const costCol    = hdrs.indexOf('wholesale cost');   // -1 when column absent
+    const idCol      = hdrs.indexOf('item id');
     const retailCol  = hdrs.indexOf('retail price');
     const updatedCol = hdrs.indexOf('price updated');
+    const sheetUrl   = ss.getUrl() + '#gid=' + sheet.getSheetId();
+
+    // Stock held away from each item's home location
+    let awayStock = {};
+    try {
+      awayStock = readAwayStock();
+    } catch (locationError) {
+      Logger.log("Could not read stock locations: " + locationError.toString());
+    }
+
+    // Stock already promised to work orders
+    let reservedTotals = {};
+    try {
+      reservedTotals = getReservedTotals();
+    } catch (reserveError) {
+      Logger.log("Could not read reservations: " + reserveError.toString());
+    }
 
     // Parse quantity request from query
     const quantityRequest = parseQuantityFromQuery(query);
+    let unitConversions = [];
+    if (quantityRequest && quantityRequest.unit) {
+      try {
+        unitConversions = readUnitConversions();
+      } catch (conversionError) {
+        Logger.log("Could not read unit conversions: " + conversionError.toString());
+      }
+    }
     
     const queryLower = query.toLowerCase().trim();
     const queryWords = queryLower.split(/\s+/);
@@ -738,30 +1148,45 @@ function searchInventory(query) {
       if (matchScore > 30) { // Threshold for relevance
         const quantity = parseInt(data[i][1]) || 0;
         const unit = data[i][2] || "";
-        const location = data[i][3] || "Unspecified";
+        const breakdown = getLocationBreakdown(itemRaw, quantity, data[i][3] || "Unspecified", awayStock);
+        const location = breakdown.length > 1
+          ? breakdown.filter(b => b.quantity !== 0).map(b => `${b.location} (${b.quantity})`).join(', ')
+          : breakdown[0].location;
         const notes = data[i][4] || "";
         const minStock = parseInt(data[i][5]) || 10;
+        const reserved = reservedTotals[itemLower] || 0;
+        const available = quantity - reserved;
         
         // Check if item is low on stock
-        const isLowStock = quantity < minStock;
+        const isLowStock = available < minStock;
         
         // Check if requested quantity exceeds available
+        // (converting the request into the item's stocking unit, e.g. yards → bags)
         let availabilityStatus = null;
-        if (quantityRequest && quantityRequest.unit && 
-            (unit.toLowerCase() === quantityRequest.unit.toLowerCase() || 
-             normalizePlural(unit.toLowerCase()) === normalizePlural(quantityRequest.unit.toLowerCase()))) {
-          if (quantity >= quantityRequest.quantity) {
-            availabilityStatus = `✓ Have ${quantity} ${unit} in stock (requested ${quantityRequest.quantity})`;
+        const needed = quantityRequest && quantityRequest.unit
+          ? convertQuantity(quantityRequest.quantity, quantityRequest.unit, unit, itemRaw, unitConversions)
+          : null;
+        if (needed !== null) {
+          const neededInStock = roundQuantityForUnit(needed, unit);
+          const requested = resolveUnit(quantityRequest.unit) === resolveUnit(unit)
+            ? `requested ${quantityRequest.quantity}`
+            : `requested ${quantityRequest.quantity} ${UNIT_CATALOGUE[quantityRequest.unit].label} ≈ ${neededInStock} ${unit}`;
+          if (available >= neededInStock) {
+            availabilityStatus = `✓ Have ${available} ${unit} available (${requested})`;
           } else {
-            availabilityStatus = `✗ Only ${quantity} ${unit} available (requested ${quantityRequest.quantity})`;
+            availabilityStatus = `✗ Only ${available} ${unit} available (${requested})`;
           }
         }
         
         results.push({
           item: itemRaw,
+          itemId: idCol >= 0 ? String(data[i][idCol] || '') : '',
           quantity: quantity,
+          reserved: reserved,
+          available: available,
           unit: unit,
           location: location,
+          locations: breakdown.map(b => ({ location: b.location, quantity: b.quantity })),
           notes: notes,
           minStock: minStock,
           isLowStock: isLowStock,
@@ -769,7 +1194,9 @@ function searchInventory(query) {
           wholesaleCost: costCol >= 0    ? (data[i][costCol]    || null) : null,
           retailPrice:   retailCol >= 0  ? (data[i][retailCol]  || null) : null,
           priceUpdated:  updatedCol >= 0 ? (data[i][updatedCol] || null) : null,
-          score: matchScore
+          score: matchScore,
+          row: i + 1,
+          sheetUrl: sheetUrl + '&range=A' + (i + 1)
         });
       }
     }
@@ -792,6 +1219,9 @@ function searchInventory(query) {
     // Include ALL results
     response += results.map(r => {
       let entry = `• ${r.item}: Quantity: ${r.quantity} ${r.unit}`;
+      if (r.reserved > 0) {
+        entry = `• ${r.item}: On hand: ${r.quantity} ${r.unit} • Reserved: ${r.reserved} • Available: ${r.available} ${r.unit}`;
+      }
       
       // Add availability status if showing
       if (r.availabilityStatus) {
@@ -818,6 +1248,12 @@ function searchInventory(query) {
       return entry;
     }).join("\n");
 
+    if (structured) {
+      const payload = { text: response, items: results, quantityRequest: quantityRequest };
+      cache.put(cacheKey, JSON.stringify(payload), CONFIG.CACHE_DURATION);
+      return payload;
+    }
+
     // Cache the result
     cache.put(cacheKey, response, CONFIG.CACHE_DURATION);
     
@@ -829,58 +1265,231 @@ function searchInventory(query) {
   }
 }
 
+// =============================
+// 📏 Units of Measure
+// =============================
+
+// Shared unit catalogue. Each unit belongs to a dimension and converts to that
+// dimension's base unit (cubic yards, pounds, each, sq ft, linear feet, hours,
+// days). toBase is null where no sensible default exists (a pallet of pavers vs.
+// a pallet of sod) - those need a row on the Unit Conversions sheet. The first
+// block is the work order unit list, in the order the dashboard offers it.
+const UNIT_CATALOGUE = {
+  man_hours:  { label: 'Man Hours', dimension: 'labor',    toBase: 1,      workOrder: true,  aliases: ['man hours', 'man hour', 'man-hours', 'manhours', 'hours', 'hour', 'hrs', 'hr'] },
+  each:       { label: 'Ea.',       dimension: 'count',    toBase: 1,      workOrder: true,  discrete: true, aliases: ['each', 'ea', 'ea.', 'pc', 'pcs', 'piece', 'pieces', 'plant', 'plants', 'unit', 'units'] },
+  yards:      { label: 'Yards',     dimension: 'volume',   toBase: 1,      workOrder: true,  aliases: ['yards', 'yard', 'yds', 'yd', 'cu yd', 'cu yds', 'cubic yard', 'cubic yards', 'cy'] },
+  pallets:    { label: 'Pallet',    dimension: 'count',    toBase: null,   workOrder: true,  discrete: true, aliases: ['pallet', 'pallets', 'plt'] },
+  tons:       { label: 'Tons',      dimension: 'weight',   toBase: 2000,   workOrder: true,  aliases: ['tons', 'ton', 'tn'] },
+  lf:         { label: 'LF',        dimension: 'length',   toBase: 1,      workOrder: true,  aliases: ['lf', 'linear foot', 'linear feet', 'lin ft', 'feet', 'foot', 'ft'] },
+  sq_ft:      { label: 'Sq. Ft.',   dimension: 'area',     toBase: 1,      workOrder: true,  aliases: ['sq. ft.', 'sq ft', 'sq. ft', 'sqft', 'square foot', 'square feet', 'sf'] },
+  bags:       { label: 'Bags',      dimension: 'volume',   toBase: 2 / 27, workOrder: true,  discrete: true, aliases: ['bags', 'bag'] }, // 2 cu ft bagged mulch/soil
+  flats:      { label: 'Flat',      dimension: 'count',    toBase: 18,     workOrder: true,  discrete: true, aliases: ['flats', 'flat'] }, // 18-cell flat
+  weeks:      { label: 'Weeks',     dimension: 'duration', toBase: 7,      workOrder: true,  aliases: ['weeks', 'week', 'wks', 'wk'] },
+  days:       { label: 'Days',      dimension: 'duration', toBase: 1,      workOrder: true,  aliases: ['days', 'day'] },
+  zones:      { label: 'Zones',     dimension: 'zones',    toBase: 1,      workOrder: true,  discrete: true, aliases: ['zones', 'zone'] },
+  pounds:     { label: 'Lbs',       dimension: 'weight',   toBase: 1,      workOrder: true,  aliases: ['lbs', 'lb', 'pounds', 'pound'] },
+  bales:      { label: 'Bales',     dimension: 'count',    toBase: null,   workOrder: true,  discrete: true, aliases: ['bales', 'bale'] },
+  cubic_feet: { label: 'Cu. Ft.',   dimension: 'volume',   toBase: 1 / 27, workOrder: false, aliases: ['cu. ft.', 'cu ft', 'cubic foot', 'cubic feet', 'cuft', 'cf'] },
+  sq_yards:   { label: 'Sq. Yd.',   dimension: 'area',     toBase: 9,      workOrder: false, aliases: ['sq. yd.', 'sq yd', 'sq yds', 'square yard', 'square yards'] },
+  gallons:    { label: 'Gallons',   dimension: 'volume',   toBase: 231 / 46656, workOrder: false, aliases: ['gallons', 'gallon', 'gal'] }
+};
+
+/**
+ * Get the unit catalogue (work order units first) for front-end pickers and prompts.
+ * @returns {Object} { success, units: [{ key, label, dimension, workOrder, aliases }] }
+ */
+function getUnitCatalogue() {
+  return {
+    success: true,
+    units: Object.keys(UNIT_CATALOGUE).map(key => ({
+      key: key,
+      label: UNIT_CATALOGUE[key].label,
+      dimension: UNIT_CATALOGUE[key].dimension,
+      workOrder: UNIT_CATALOGUE[key].workOrder,
+      aliases: UNIT_CATALOGUE[key].aliases
+    }))
+  };
+}
+
+// Units that also spell container and plant sizes ("5 gal", "6 ft", "1 plant")
+const SIZE_UNITS = ['gallons', 'lf', 'each'];
+
 // Parse quantity from search query
 function parseQuantityFromQuery(query) {
-  // Match patterns like "5 yards", "10 plants", "need 5 yards"
-  const patterns = [
-    /(\d+)\s*(?:yards?|yds?)/i,
-    /(\d+)\s*(?:plants?|flats?|bags?|gallons?|pounds?|lbs?|each)/i,
-    /need\s+(\d+)\s*(?:yards?|yds?|plants?|flats?|bags?|gallons?|pounds?|lbs?|each)?/i
-  ];
-  
-  for (const pattern of patterns) {
-    const match = query.match(pattern);
-    if (match) {
-      const quantity = parseInt(match[1]);
-      // Extract unit from the match
-      const unitMatch = match[0].match(/(?:yards?|yds?|plants?|flats?|bags?|gallons?|pounds?|lbs?|each)/i);
-      const unit = unitMatch ? unitMatch[0].toLowerCase() : null;
-      
-      return {
-        quantity: quantity,
-        unit: normalizeUnit(unit)
-      };
-    }
+  // Match patterns like "5 yards", "2.5 tons", "6 Yards mulch", "need 5 bags"
+  const aliases = [];
+  Object.keys(UNIT_CATALOGUE).forEach(key => {
+    UNIT_CATALOGUE[key].aliases.forEach(alias => aliases.push(alias));
+  });
+  const unitPattern = aliases
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+  // "10 boxwood 5 gal": a count in front of the item name, with no unit of its own
+  const leading = query.match(new RegExp('^\\s*(?:(?:need|want|get|order|reserve)\\s+)?(\\d+)\\s+(?!(?:' + unitPattern + ')(?![a-z]))[a-z]', 'i'));
+
+  // A size sits on an item name: after that count, right after the name ("boxwood 5 gal")
+  // or right before it ("3 gal hollies"). "need 20 ft of edging" is still a quantity.
+  const withUnit = new RegExp('(^|[^\\d.,])(\\d[\\d,]*(?:\\.\\d+)?)\\s*(' + unitPattern + ')(?![a-z])', 'gi');
+  let match;
+  while ((match = withUnit.exec(query)) !== null) {
+    const unit = normalizeUnit(match[3]);
+    const before = query.slice(0, match.index + match[1].length);
+    const after = query.slice(match.index + match[0].length);
+    const isSize = SIZE_UNITS.indexOf(unit) >= 0 && (
+      leading ||
+      /^\s+(?!of\b)[a-z]/i.test(after) ||
+      (/[a-z]\s*$/i.test(before) && !/\b(?:need|want|get|order|reserve|have|about|of|for)\s*$/i.test(before))
+    );
+    if (isSize) continue;
+
+    return {
+      quantity: parseFloat(match[2].replace(/,/g, '')),
+      unit: unit
+    };
   }
-  
+
+  if (leading) {
+    return { quantity: parseFloat(leading[1]), unit: 'each' };
+  }
+
+  const bare = query.match(/need\s+(\d+(?:\.\d+)?)/i);
+  if (bare) {
+    return { quantity: parseFloat(bare[1]), unit: null };
+  }
+
   return null;
 }
 
-// Normalize units to standard forms
+// Normalize units to their catalogue key ("yds" → "yards", "Sq. Ft." → "sq_ft")
 function normalizeUnit(unit) {
   if (!unit) return null;
-  
-  const unitMap = {
-    'yard': 'yards',
-    'yards': 'yards',
-    'yd': 'yards',
-    'yds': 'yards',
-    'plant': 'plants',
-    'plants': 'plants',
-    'flat': 'flats',
-    'flats': 'flats',
-    'bag': 'bags',
-    'bags': 'bags',
-    'gallon': 'gallons',
-    'gallons': 'gallons',
-    'pound': 'pounds',
-    'pounds': 'pounds',
-    'lb': 'pounds',
-    'lbs': 'pounds',
-    'each': 'each'
-  };
-  
-  return unitMap[unit.toLowerCase()] || unit;
+  return resolveUnit(unit) || unit;
+}
+
+/**
+ * Helper: catalogue key for a unit spelling, or null if it is not recognised.
+ */
+function resolveUnit(unit) {
+  const text = String(unit || '').toLowerCase().trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  if (UNIT_CATALOGUE[text]) return text;
+
+  for (const key of Object.keys(UNIT_CATALOGUE)) {
+    if (UNIT_CATALOGUE[key].label.toLowerCase() === text || UNIT_CATALOGUE[key].aliases.indexOf(text) >= 0) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a quantity between units, using item-specific factors from the
+ * Unit Conversions sheet where they exist (e.g. "Pavers: 1 Pallet = 120 Ea.",
+ * "Gravel: 1 Tons = 0.7 Yards").
+ * @param {number} quantity - Amount in fromUnit
+ * @param {string} fromUnit - Any recognised spelling
+ * @param {string} toUnit - Any recognised spelling
+ * @param {string} item - Inventory item the quantity is of (for item-specific factors)
+ * @param {Array} conversions - Optional result of readUnitConversions()
+ * @returns {number|null} Converted amount, or null if the units cannot be converted
+ */
+function convertQuantity(quantity, fromUnit, toUnit, item, conversions) {
+  const from = resolveUnit(fromUnit);
+  const to = resolveUnit(toUnit);
+  if (!from || !to) {
+    return String(fromUnit || '').toLowerCase().trim() === String(toUnit || '').toLowerCase().trim() ? quantity : null;
+  }
+  if (from === to) return quantity;
+
+  const table = buildUnitTable(item, conversions || readUnitConversions());
+  const a = table.units[from];
+  const b = table.units[to];
+  if (a.toBase === null || b.toBase === null) return null;
+
+  if (a.dimension === b.dimension) {
+    return quantity * a.toBase / b.toBase;
+  }
+
+  const bridge = table.bridges[a.dimension + '>' + b.dimension];
+  return bridge ? quantity * a.toBase * bridge / b.toBase : null;
+}
+
+/**
+ * Helper: round a converted amount up to what can actually be pulled from
+ * stock - whole bags, flats, pallets; hundredths for bulk units.
+ */
+function roundQuantityForUnit(quantity, unit) {
+  const key = resolveUnit(unit);
+  if (!key || UNIT_CATALOGUE[key].discrete) return Math.ceil(quantity - 1e-9);
+  return Math.ceil(quantity * 100 - 1e-9) / 100;
+}
+
+/**
+ * Helper: per-item unit table. Starts from the catalogue, then applies the
+ * Unit Conversions rows that apply to every item (blank Item) followed by
+ * the item's own rows. A row within one dimension overrides the factor
+ * (bigger bags); a row across dimensions adds a bridge (tons ↔ yards); a
+ * unit with no default factor adopts the other unit's dimension (pallet of
+ * sod → sq ft).
+ * @returns {Object} { units: { key: { dimension, toBase } }, bridges: { 'dimA>dimB': factor } }
+ */
+function buildUnitTable(item, conversions) {
+  const units = {};
+  Object.keys(UNIT_CATALOGUE).forEach(key => {
+    units[key] = { dimension: UNIT_CATALOGUE[key].dimension, toBase: UNIT_CATALOGUE[key].toBase };
+  });
+  const bridges = {};
+
+  const itemKey = normalizePlural(String(item || '').toLowerCase().trim());
+  const rules = conversions.filter(c => !c.item)
+    .concat(conversions.filter(c => c.item && normalizePlural(c.item.toLowerCase()) === itemKey));
+
+  rules.forEach(rule => {
+    const u = units[rule.unit];
+    const v = units[rule.ofUnit];
+    if (!u || !v || v.toBase === null || !(rule.equals > 0)) return;
+
+    if (u.toBase === null || u.dimension === v.dimension) {
+      u.dimension = v.dimension;
+      u.toBase = rule.equals * v.toBase;
+    } else {
+      const factor = rule.equals * v.toBase / u.toBase;
+      bridges[u.dimension + '>' + v.dimension] = factor;
+      bridges[v.dimension + '>' + u.dimension] = 1 / factor;
+    }
+  });
+
+  return { units: units, bridges: bridges };
+}
+
+/**
+ * Helper: read the Unit Conversions sheet (Item, Unit, Equals, Of Unit).
+ * A blank Item applies to everything. The sheet is optional.
+ * @returns {Array} [{ item, unit, equals, ofUnit }] with units as catalogue keys
+ */
+function readUnitConversions() {
+  const sheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.UNIT_CONVERSIONS_SHEET_NAME);
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const conversions = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const unit = resolveUnit(data[i][1]);
+    const ofUnit = resolveUnit(data[i][3]);
+    if (!unit || !ofUnit) continue;
+
+    conversions.push({
+      item: String(data[i][0] || '').trim(),
+      unit: unit,
+      equals: parseFloat(data[i][2]) || 0,
+      ofUnit: ofUnit
+    });
+  }
+
+  return conversions;
 }
 
 // Normalize plural forms for matching
@@ -944,29 +1553,21 @@ function searchTruckInfo(query) {
       return cached;
     }
     
-    const ss = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID);
-    const sheet = ss.getSheetByName(CONFIG.TRUCK_SHEET_NAME);
-    const data = sheet.getDataRange().getValues();
-    
-    if (data.length < 2) return null;
+    const fleet = collectFleet().vehicles.filter(v => v.kind !== 'attachment');
+    if (fleet.length === 0) return null;
     
     const queryLower = query.toLowerCase().trim();
     const queryWords = queryLower.split(/\s+/);
     const results = [];
     
-    // Process each truck row
-    for (let i = 1; i < data.length; i++) {
-      const truckName = String(data[i][0] || "").toLowerCase();
-      const model = String(data[i][1] || "").toLowerCase();
-      const year = String(data[i][2] || "").toLowerCase();
-      const licensePlate = String(data[i][3] || "").toLowerCase();
-      const status = String(data[i][4] || "").toLowerCase();
-      const lastMaintenance = String(data[i][5] || "");
-      const nextMaintenance = String(data[i][6] || "");
-      const notes = String(data[i][7] || "").toLowerCase();
+    // Score each truck / machine record
+    fleet.forEach(v => {
+      const truckName = v.name.toLowerCase();
+      const licensePlate = v.plate.toLowerCase();
       
       // Create searchable text from all fields
-      const searchableText = `${truckName} ${model} ${year} ${licensePlate} ${status} ${notes}`;
+      const searchableText = [truckName, v.assetNumber, v.model, v.year, licensePlate, v.statusText, v.notes, v.crew]
+        .join(' ').toLowerCase();
       
       // Calculate match score
       let matchScore = 0;
@@ -990,18 +1591,21 @@ function searchTruckInfo(query) {
       
       if (matchScore > 30) {
         results.push({
-          truck: data[i][0],
-          model: data[i][1],
-          year: data[i][2],
-          licensePlate: data[i][3],
-          status: data[i][4],
-          lastMaintenance: lastMaintenance,
-          nextMaintenance: nextMaintenance,
-          notes: data[i][7],
+          truck: v.name,
+          model: v.model,
+          year: v.year || '',
+          licensePlate: v.plate,
+          status: v.statusText || v.status,
+          lastMaintenance: v.lastMaintenance || '',
+          nextMaintenance: v.nextMaintenance ? v.nextMaintenance + (v.maintenance.service ? ` (${v.maintenance.service})` : '') : '',
+          assignedJob: v.assignedJob,
+          crew: v.crew,
+          asset: v.asset,
+          notes: v.notes,
           score: matchScore
         });
       }
-    }
+    });
     
     if (results.length === 0) {
       return null;
@@ -1029,6 +1633,15 @@ function searchTruckInfo(query) {
       if (r.nextMaintenance) {
         entry += `\n   Next Maintenance: ${r.nextMaintenance}`;
       }
+      if (r.assignedJob) {
+        entry += `\n   Assigned: WO #${r.assignedJob.woNumber}${r.assignedJob.jobDescription ? ' — ' + r.assignedJob.jobDescription : ''}`;
+      }
+      if (r.crew) {
+        entry += `\n   Crew: ${r.crew}`;
+      }
+      if (r.asset) {
+        entry += `\n   Asset ${r.asset.id}: ${r.asset.status} (repairs ${Math.round(r.asset.percentOfReplacement * 100)}% of replacement)`;
+      }
       if (r.notes) {
         entry += `\n   Notes: ${r.notes}`;
       }
@@ -1174,10 +1787,15 @@ function askOpenAI(query) {
 // 📝 Inventory Update Functions
 // =============================
 function updateInventory(updateData) {
+  // Writes go under the script lock so a new item's Item ID (ensureItemIds)
+  // can't be handed out twice by concurrent adds or assignItemIds
+  const lock = LockService.getScriptLock();
   try {
     const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
     const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
     
+    lock.waitLock(10000);
+    
     // Clear cache since we're updating
     CacheService.getScriptCache().removeAll([]);
     
@@ -1194,10 +1812,13 @@ function updateInventory(updateData) {
   } catch (error) {
     Logger.log("Error in updateInventory: " + error.toString());
     return { success: false, message: "Error updating inventory: " + error.toString() };
+  } finally {
+    lock.releaseLock();
   }
 }
 
-// Add new inventory items or increase existing quantity
+// Add new inventory items or increase existing quantity.
+// Callers hold the script lock (updateInventory, receivePurchaseOrder).
 function addInventory(sheet, data) {
   const allData = sheet.getDataRange().getValues();
   const itemNameLower = data.itemName.toLowerCase();
@@ -1213,32 +1834,42 @@ function addInventory(sheet, data) {
   
   if (itemRow > -1) {
     // Item exists - update quantity
+    const before = snapshotInventoryRow(sheet, itemRow, allData[itemRow]);
     const currentQty = parseInt(allData[itemRow][1]) || 0;
     const newQty = currentQty + data.quantity;
     sheet.getRange(itemRow + 1, 2).setValue(newQty);
     
-    // Update location and notes if provided
-    if (data.location) {
+    // Stock added somewhere other than the item's home is tracked as an away pile;
+    // an item with no home yet simply takes the location given
+    const home = String(allData[itemRow][3] || '').trim();
+    if (data.location && (!home || home === "Unspecified")) {
       sheet.getRange(itemRow + 1, 4).setValue(data.location);
+    } else if (data.location && !sameLocation(data.location, home)) {
+      const deltas = {};
+      deltas[data.location] = data.quantity;
+      applyLocationDeltas(allData[itemRow][0], home, deltas);
     }
     if (data.notes) {
       sheet.getRange(itemRow + 1, 5).setValue(data.notes);
     }
     
     // Log the transaction
-    logTransaction(sheet, {
+    const transactionId = logTransaction(sheet, {
       timestamp: new Date(),
       action: "ADD",
       item: data.itemName,
       quantity: data.quantity,
       unit: data.unit,
       newTotal: newQty,
-      notes: `Added ${data.quantity} ${data.unit}`
+      notes: `Added ${data.quantity} ${data.unit}` + (data.location ? ` at ${data.location}` : ''),
+      before: before,
+      after: snapshotInventoryRow(sheet, itemRow)
     });
     
     return { 
       success: true, 
-      message: `✅ Added ${data.quantity} ${data.unit} of ${data.itemName}. New total: ${newQty} ${data.unit}` 
+      message: `✅ Added ${data.quantity} ${data.unit} of ${data.itemName}. New total: ${newQty} ${data.unit}`,
+      transactionId: transactionId
     };
   } else {
     // New item - add row
@@ -1251,21 +1882,27 @@ function addInventory(sheet, data) {
       data.minStock || "10" // Default minimum stock of 10
     ];
     sheet.appendRow(newRow);
+    const ids = ensureItemIds(sheet);
+    const itemId = String(sheet.getRange(sheet.getLastRow(), ids.idCol + 1).getValue());
     
     // Log the transaction
-    logTransaction(sheet, {
+    const transactionId = logTransaction(sheet, {
       timestamp: new Date(),
       action: "NEW",
       item: data.itemName,
       quantity: data.quantity,
       unit: data.unit,
       newTotal: data.quantity,
-      notes: "New item added"
+      notes: "New item added",
+      before: null,
+      after: snapshotInventoryRow(sheet, sheet.getLastRow() - 1)
     });
     
     return { 
       success: true, 
-      message: `✅ Added new item: ${data.itemName} (${data.quantity} ${data.unit})` 
+      message: `✅ Added new item: ${data.itemName} (${data.quantity} ${data.unit}) — ID ${itemId}`,
+      itemId: itemId,
+      transactionId: transactionId
     };
   }
 }
@@ -1301,23 +1938,52 @@ function subtractInventory(sheet, data) {
     };
   }
   
+  // Stock held for work orders can still go (plants die), but say so. A line item
+  // being completed consumes its own reservation, which doesn't count against it.
+  const reserved = Math.max(0, (getReservedTotals()[String(allData[itemRow][0]).toLowerCase().trim()] || 0) - (data.fromReservation || 0));
+  const warning = reserved > 0 && data.quantity > currentQty - reserved
+    ? `⚠️ ${reserved} ${data.unit} of ${data.itemName} is reserved for work orders; only ${Math.max(0, currentQty - reserved)} was free.`
+    : '';
+  
+  // Work out which locations the stock comes out of before touching anything
+  const home = String(allData[itemRow][3] || 'Unspecified');
+  const breakdown = getLocationBreakdown(allData[itemRow][0], currentQty, home);
+  let removalPlan = null;
+  if (data.location || breakdown.length > 1) {
+    removalPlan = planLocationRemoval(breakdown, data.quantity, data.location);
+    if (removalPlan.error) {
+      return { 
+        success: false, 
+        message: `❌ Cannot remove ${data.quantity} ${data.unit}. ${removalPlan.error}` 
+      };
+    }
+  }
+  
   // Update quantity
+  const before = snapshotInventoryRow(sheet, itemRow, allData[itemRow]);
   sheet.getRange(itemRow + 1, 2).setValue(newQty);
+  if (removalPlan) {
+    applyLocationDeltas(allData[itemRow][0], home, removalPlan.deltas);
+  }
   
   // Log the transaction
-  logTransaction(sheet, {
+  const transactionId = logTransaction(sheet, {
     timestamp: new Date(),
     action: "REMOVE",
     item: data.itemName,
     quantity: data.quantity,
     unit: data.unit,
     newTotal: newQty,
-    notes: `Reason: ${data.reason}`
+    notes: `Reason: ${data.reason}` + (data.location ? ` (from ${data.location})` : ''),
+    before: before,
+    after: snapshotInventoryRow(sheet, itemRow)
   });
   
   return { 
     success: true, 
-    message: `✅ Removed ${data.quantity} ${data.unit} of ${data.itemName}. Remaining: ${newQty} ${data.unit}` 
+    message: `✅ Removed ${data.quantity} ${data.unit} of ${data.itemName}. Remaining: ${newQty} ${data.unit}` + (warning ? ' ' + warning : ''),
+    warning: warning || null,
+    transactionId: transactionId
   };
 }
 
@@ -1343,8 +2009,11 @@ function updateItemInfo(sheet, data) {
   }
   
   // Update location, notes, and min stock
+  const before = snapshotInventoryRow(sheet, itemRow, allData[itemRow]);
   const updates = [];
   if (data.location) {
+    rehomeLocationStock(allData[itemRow][0], parseInt(allData[itemRow][1]) || 0,
+      String(allData[itemRow][3] || 'Unspecified'), data.location);
     sheet.getRange(itemRow + 1, 4).setValue(data.location);
     updates.push(`location to "${data.location}"`);
   }
@@ -1365,24 +2034,36 @@ function updateItemInfo(sheet, data) {
   }
   
   // Log the transaction
-  logTransaction(sheet, {
+  const transactionId = logTransaction(sheet, {
     timestamp: new Date(),
     action: "UPDATE",
     item: data.itemName,
     quantity: allData[itemRow][1],
     unit: allData[itemRow][2],
     newTotal: allData[itemRow][1],
-    notes: `Updated ${updates.join(' and ')}`
+    notes: `Updated ${updates.join(' and ')}`,
+    before: before,
+    after: snapshotInventoryRow(sheet, itemRow)
   });
   
   return { 
     success: true, 
-    message: `✅ Updated ${data.itemName}: ${updates.join(' and ')}` 
+    message: `✅ Updated ${data.itemName}: ${updates.join(' and ')}`,
+    transactionId: transactionId
   };
 }
 
-// Log transactions to a separate sheet for history
+// Log transactions to a separate sheet for history.
+// transaction.before / transaction.after are item snapshots (see snapshotInventoryRow)
+// that undoTransaction uses to reverse the change. Returns the transaction ID.
 function logTransaction(inventorySheet, transaction) {
+  return logTransactions(inventorySheet, [transaction])[0] || '';
+}
+
+// Log several transactions in one write (imports log a row per item).
+// transaction.id is used when given, so entries can reference each other.
+// Returns the transaction IDs in order.
+function logTransactions(inventorySheet, transactions) {
   try {
     const ss = inventorySheet.getParent();
     let logSheet = ss.getSheetByName("Transaction Log");
@@ -1390,27 +2071,42 @@ function logTransaction(inventorySheet, transaction) {
     // Create log sheet if it doesn't exist
     if (!logSheet) {
       logSheet = ss.insertSheet("Transaction Log");
-      // Set headers
-      logSheet.getRange(1, 1, 1, 7).setValues([[
-        "Timestamp", "Action", "Item", "Quantity", "Unit", "New Total", "Notes"
-      ]]);
-      logSheet.getRange(1, 1, 1, 7).setFontWeight("bold").setBackground("#4CAF50").setFontColor("white");
+      logSheet.getRange(1, 1, 1, TRANSACTION_LOG_HEADERS.length).setValues([TRANSACTION_LOG_HEADERS]);
+      logSheet.getRange(1, 1, 1, TRANSACTION_LOG_HEADERS.length).setFontWeight("bold").setBackground("#4CAF50").setFontColor("white");
+    } else if (logSheet.getLastColumn() < TRANSACTION_LOG_HEADERS.length) {
+      // Logs created before audit snapshots only have the first 7 columns
+      logSheet.getRange(1, 1, 1, TRANSACTION_LOG_HEADERS.length).setValues([TRANSACTION_LOG_HEADERS]);
+      logSheet.getRange(1, 1, 1, TRANSACTION_LOG_HEADERS.length).setFontWeight("bold").setBackground("#4CAF50").setFontColor("white");
     }
     
-    // Add transaction
-    logSheet.appendRow([
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const ids = transactions.map(t => t.id || Utilities.getUuid());
+    const rows = transactions.map((transaction, i) => [
       transaction.timestamp,
       transaction.action,
       transaction.item,
       transaction.quantity,
       transaction.unit,
       transaction.newTotal,
-      transaction.notes
+      transaction.notes,
+      ids[i],
+      transaction.user || user,
+      transaction.before === undefined ? '' : JSON.stringify(transaction.before),
+      transaction.after === undefined ? '' : JSON.stringify(transaction.after),
+      ''
     ]);
     
+    // Add transactions
+    if (rows.length > 0) {
+      logSheet.getRange(logSheet.getLastRow() + 1, 1, rows.length, TRANSACTION_LOG_HEADERS.length).setValues(rows);
+    }
+    
+    return ids;
+    
   } catch (error) {
     Logger.log("Error logging transaction: " + error.toString());
     // Don't fail the main operation if logging fails
+    return [];
   }
 }
 
@@ -1430,7 +2126,9 @@ function getInventoryReport() {
     
     // Group by location
     const byLocation = {};
+    const awayStock = readAwayStock();
     let totalItems = 0;
+    let splitItems = 0;
     let lowStockItems = [];
     let criticalStockItems = []; // Items at 0 or negative
     
@@ -1452,16 +2150,27 @@ function getInventoryReport() {
         lowStockItems.push(`${item}: ${quantity} ${unit} (Min: ${minStock})`);
       }
       
-      // Group by location
-      if (!byLocation[location]) {
-        byLocation[location] = [];
-      }
-      byLocation[location].push(`${item}: ${quantity} ${unit}`);
+      // Group by location; split items appear under each place they are kept
+      const breakdown = getLocationBreakdown(item, quantity, location, awayStock);
+      const isSplit = breakdown.length > 1;
+      if (isSplit) splitItems++;
+      
+      breakdown.forEach(entry => {
+        if (isSplit && entry.quantity === 0 && entry.home) return; // Everything has moved away from home
+        if (!byLocation[entry.location]) {
+          byLocation[entry.location] = [];
+        }
+        byLocation[entry.location].push(`${item}: ${entry.quantity} ${unit}` + (isSplit ? ` (of ${quantity} total)` : ''));
+      });
     }
     
     // Summary
     report += `Total Items: ${totalItems}\n`;
-    report += `Locations: ${Object.keys(byLocation).length}\n\n`;
+    report += `Locations: ${Object.keys(byLocation).length}\n`;
+    if (splitItems > 0) {
+      report += `Split Across Locations: ${splitItems}\n`;
+    }
+    report += `\n`;
     
     // Critical stock alert (0 or negative)
     if (criticalStockItems.length > 0) {
@@ -1523,11 +2232,19 @@ function getFleetReport() {
     let upcomingMaintenance = [];
     
     const today = new Date();
-    const thirtyDaysFromNow = new Date(today.getTime() + (30 * 24 * 60 * 60 * 1000));
+    const thirtyDaysFromNow = new Date(today.getTime() + (CONFIG.MAINTENANCE_DUE_SOON_DAYS * 24 * 60 * 60 * 1000));
     
-    for (let i = 1; i < data.length; i++) {
-      const truckName = data[i][0];
-      const model = data[i][1];
+    // Mileage/hour/date schedule for trucks with logged service
+    const schedules = {};
+    try {
+      buildMaintenanceSchedule(readFleetTrucks()).forEach(s => { schedules[s.truck.toLowerCase()] = s; });
+    } catch (e) {
+      Logger.log("Maintenance schedule unavailable: " + e.toString());
+    }
+    
+    for (let i = 1; i < data.length; i++) {
+      const truckName = data[i][0];
+      const model = data[i][1];
       const status = data[i][4];
       const nextMaintenance = data[i][6];
       
@@ -1542,8 +2259,16 @@ function getFleetReport() {
         maintenanceTrucks.push(`${truckName} (${model})`);
       }
       
-      // Check upcoming maintenance
-      if (nextMaintenance) {
+      // Check upcoming maintenance — logged services first, the date cell otherwise
+      const schedule = schedules[String(truckName).toLowerCase().trim()];
+      const loggedServices = schedule ? schedule.services.filter(s => s.status !== MAINTENANCE_STATUS.NO_HISTORY) : [];
+      if (loggedServices.length > 0) {
+        loggedServices
+          .filter(s => s.status === MAINTENANCE_STATUS.OVERDUE || s.status === MAINTENANCE_STATUS.DUE_SOON)
+          .forEach(s => {
+            upcomingMaintenance.push(`${truckName}: ${s.service} ${s.status === MAINTENANCE_STATUS.OVERDUE ? 'OVERDUE' : 'due'} ${formatMaintenanceDue(s)}`);
+          });
+      } else if (nextMaintenance) {
         try {
           const maintenanceDate = new Date(nextMaintenance);
           if (maintenanceDate <= thirtyDaysFromNow) {
@@ -1578,9 +2303,19 @@ function getFleetReport() {
       report += "\n";
     }
     
+    // Open safety-critical defects from pre-trip inspections
+    const criticalDefects = readInspectionDefects().filter(d => d.status === DEFECT_STATUS.OPEN && d.critical);
+    if (criticalDefects.length > 0) {
+      report += "⛔ FAILED INSPECTION (do not drive):\n";
+      criticalDefects.forEach(d => {
+        report += `  - ${d.truck}: ${d.item} — ${d.description}\n`;
+      });
+      report += "\n";
+    }
+    
     // Upcoming maintenance
     if (upcomingMaintenance.length > 0) {
-      report += "📅 MAINTENANCE DUE (Next 30 Days):\n";
+      report += `📅 MAINTENANCE DUE (Next ${CONFIG.MAINTENANCE_DUE_SOON_DAYS} Days):\n`;
       upcomingMaintenance.forEach(item => {
         report += `  - ${item}\n`;
       });
@@ -1973,131 +2708,45 @@ function listAllSheets() {
 // 📋 Batch Import Functions
 // =============================
 function batchImportItems(importData) {
-  try {
-    const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
-    const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
-    
-    // Clear cache since we're adding multiple items
-    CacheService.getScriptCache().removeAll([]);
-    
-    const lines = importData.split('\n').filter(line => line.trim());
-    const results = [];
-    
-    for (const line of lines) {
-      try {
-        // Parse CSV-style input: "Item Name, Quantity, Unit, Location, Notes, Min Stock"
-        const parts = line.split(',').map(p => p.trim());
-        
-        if (parts.length < 3) {
-          results.push({
-            line: line,
-            success: false,
-            message: "Invalid format. Need at least: Item Name, Quantity, Unit"
-          });
-          continue;
-        }
-        
-        const itemData = {
-          itemName: parts[0],
-          quantity: parseInt(parts[1]) || 0,
-          unit: parts[2],
-          location: parts[3] || "Unspecified",
-          notes: parts[4] || "",
-          minStock: parseInt(parts[5]) || 10
-        };
-        
-        // Add using existing function
-        const result = addInventory(sheet, itemData);
-        results.push({
-          line: line,
-          success: result.success,
-          message: result.message
-        });
-        
-      } catch (error) {
-        results.push({
-          line: line,
-          success: false,
-          message: "Error: " + error.toString()
-        });
-      }
-    }
-    
-    return {
-      success: true,
-      results: results,
-      summary: `Processed ${results.length} items: ${results.filter(r => r.success).length} successful, ${results.filter(r => !r.success).length} failed`
-    };
-    
-  } catch (error) {
-    Logger.log("Error in batchImportItems: " + error.toString());
-    return {
-      success: false,
-      message: "Error processing batch import: " + error.toString()
-    };
+  // Older "Item Name, Quantity, Unit, Location, Notes, Min Stock" lines — now
+  // parsed and committed by importInventory, skipping rows that don't validate
+  const result = importInventory(importData, { dryRun: false, skipInvalid: true });
+  if (!result.rows) {
+    return { success: false, message: "Error processing batch import: " + result.error.message };
   }
+
+  const results = result.rows.map(r => ({
+    line: r.item,
+    success: r.status !== 'invalid',
+    message: r.status === 'invalid' ? r.errors.join('; ') : `${r.status === 'new' ? 'Added new item' : 'Updated'} ${r.matchedItem || r.item}`
+  }));
+
+  return {
+    success: true,
+    results: results,
+    summary: `Processed ${results.length} items: ${results.filter(r => r.success).length} successful, ${results.filter(r => !r.success).length} failed`
+  };
 }
 
 // =============================
 // 🔍 Duplicate Detection Functions
 // =============================
 function findDuplicates() {
-  try {
-    const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
-    const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
-    const data = sheet.getDataRange().getValues();
-    
-    if (data.length < 2) return { duplicates: [] };
-    
-    const potentialDuplicates = [];
-    
-    // Compare each item with every other item
-    for (let i = 1; i < data.length; i++) {
-      const item1 = String(data[i][0] || "").trim();
-      if (!item1) continue;
-      
-      for (let j = i + 1; j < data.length; j++) {
-        const item2 = String(data[j][0] || "").trim();
-        if (!item2) continue;
-        
-        // Calculate similarity
-        const similarity = calculateSimilarity(item1, item2);
-        
-        // If similarity is high, flag as potential duplicate
-        if (similarity > 0.8) {
-          potentialDuplicates.push({
-            item1: {
-              name: item1,
-              row: i + 1,
-              quantity: data[i][1],
-              unit: data[i][2],
-              location: data[i][3]
-            },
-            item2: {
-              name: item2,
-              row: j + 1,
-              quantity: data[j][1],
-              unit: data[j][2],
-              location: data[j][3]
-            },
-            similarity: Math.round(similarity * 100)
-          });
-        }
-      }
-    }
-    
-    return {
-      success: true,
-      duplicates: potentialDuplicates
-    };
-    
-  } catch (error) {
-    Logger.log("Error in findDuplicates: " + error.toString());
-    return {
-      success: false,
-      message: "Error finding duplicates: " + error.toString()
-    };
-  }
+  // Runs (or continues) a batch of the blocked scan, then reports the open
+  // review queue in the original item1/item2/similarity shape
+  const scan = scanDuplicates();
+  if (!scan.success) return scan;
+
+  const queue = getDuplicateQueue(DUPLICATE_STATUS.OPEN);
+  if (!queue.success) return queue;
+
+  return {
+    success: true,
+    duplicates: queue.pairs,
+    complete: scan.complete,
+    blocksDone: scan.blocksDone,
+    totalBlocks: scan.totalBlocks
+  };
 }
 
 // Calculate similarity between two strings (Levenshtein distance based)
@@ -2182,7 +2831,11 @@ function areCommonTypos(str1, str2) {
 
 // Merge duplicate items
 function mergeDuplicates(item1Name, item2Name, keepFirst) {
+  // Rows are rewritten and deleted, so this goes under the same lock as updateInventory
+  const lock = LockService.getScriptLock();
   try {
+    lock.waitLock(10000);
+
     const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
     const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
     const data = sheet.getDataRange().getValues();
@@ -2207,12 +2860,20 @@ function mergeDuplicates(item1Name, item2Name, keepFirst) {
     const keepRow = keepFirst ? item1Row : item2Row;
     const deleteRow = keepFirst ? item2Row : item1Row;
 
+    // Snapshot both rows so the merge can be undone (deleted row included)
+    const before = snapshotInventoryRow(sheet, keepRow, data[keepRow]);
+    before.merged = snapshotInventoryRow(sheet, deleteRow, data[deleteRow]);
+
     // Combine quantities
     const totalQuantity = (parseInt(data[item1Row][1]) || 0) + (parseInt(data[item2Row][1]) || 0);
 
     // Update the kept item with combined quantity
     sheet.getRange(keepRow + 1, 2).setValue(totalQuantity);
 
+    // Carry the removed item's per-location stock over to the kept item
+    mergeLocationStock(data[deleteRow][0], parseInt(data[deleteRow][1]) || 0, String(data[deleteRow][3] || 'Unspecified'),
+      data[keepRow][0], String(data[keepRow][3] || 'Unspecified'));
+
     // Delete the other row
     sheet.deleteRow(deleteRow + 1);
 
@@ -2220,19 +2881,25 @@ function mergeDuplicates(item1Name, item2Name, keepFirst) {
     CacheService.getScriptCache().removeAll([]);
 
     // Log the merge
-    logTransaction(sheet, {
+    const transactionId = logTransaction(sheet, {
       timestamp: new Date(),
       action: "MERGE",
       item: keepFirst ? item1Name : item2Name,
       quantity: totalQuantity,
       unit: data[keepRow][2],
       newTotal: totalQuantity,
-      notes: `Merged "${item1Name}" and "${item2Name}"`
+      notes: `Merged "${item1Name}" and "${item2Name}"`,
+      before: before,
+      after: snapshotInventoryRow(sheet, deleteRow < keepRow ? keepRow - 1 : keepRow)
     });
 
+    // Close the pair in the review queue (no-op when it was merged without being flagged)
+    setDuplicatePairStatus(duplicatePairKey(item1Name, item2Name), DUPLICATE_STATUS.MERGED);
+
     return {
       success: true,
-      message: `Merged items successfully. Total quantity: ${totalQuantity}`
+      message: `Merged items successfully. Total quantity: ${totalQuantity}`,
+      transactionId: transactionId
     };
 
   } catch (error) {
@@ -2241,6 +2908,8 @@ function mergeDuplicates(item1Name, item2Name, keepFirst) {
       success: false,
       message: "Error merging items: " + error.toString()
     };
+  } finally {
+    lock.releaseLock();
   }
 }
 
@@ -2639,7 +3308,10 @@ function getActiveJobs() {
       category: findCol(headers, ['category', 'type', 'job type']),
       status: findCol(headers, ['status', 'job status']),
       address: findCol(headers, ['address', 'job address', 'location', 'site address']),
-      salesRep: findCol(headers, ['sales rep', 'salesman', 'sales', 'rep', 'sales person'])
+      salesRep: findCol(headers, ['sales rep', 'salesman', 'sales', 'rep', 'sales person']),
+      crew: findCol(headers, ['crew', 'assigned crew', 'crew name']),
+      notes: findCol(headers, ['notes', 'job notes', 'comments']),
+      priority: findCol(headers, ['priority', 'urgency'])
     };
 
     // Identify checkbox columns (columns with TRUE/FALSE boolean values)
@@ -2684,6 +3356,9 @@ function getActiveJobs() {
         status: colMap.status >= 0 ? String(row[colMap.status] || 'Active') : 'Active',
         address: colMap.address >= 0 ? String(row[colMap.address] || '') : '',
         salesRep: colMap.salesRep >= 0 ? String(row[colMap.salesRep] || '') : '',
+        crew: colMap.crew >= 0 ? String(row[colMap.crew] || '') : '',
+        notes: colMap.notes >= 0 ? String(row[colMap.notes] || '') : '',
+        priority: colMap.priority >= 0 ? String(row[colMap.priority] || '').toLowerCase() : '',
         progress: percent,
         tasksComplete: checked,
         tasksTotal: total,
@@ -3010,11 +3685,24 @@ function writeLineItems(data) {
       sheet.getRange(startRow, 1, rows.length, 8).setValues(rows);
     }
 
+    // Reserve matching inventory; a reservation failure should not lose the line items
+    var reservations = { reserved: [], unmatched: [], short: [] };
+    try {
+      reservations = reserveLineItemStock(woNumber, rows);
+    } catch (reserveError) {
+      Logger.log('Error reserving stock for WO ' + woNumber + ': ' + reserveError.toString());
+    }
+
     return {
       success: true,
       woNumber: woNumber,
       count: rows.length,
-      message: rows.length + ' line items saved successfully'
+      reserved: reservations.reserved,
+      unmatched: reservations.unmatched,
+      short: reservations.short,
+      message: rows.length + ' line items saved successfully' +
+        (reservations.reserved.length ? ' (' + reservations.reserved.length + ' reserved from inventory)' : '') +
+        (reservations.short.length ? ' — not enough stock to reserve ' + reservations.short.map(function(r) { return r.item; }).join(', ') : '')
     };
 
   } catch (error) {
@@ -3093,3 +3781,7535 @@ function pollSingleOpsJobs() {
   Logger.log('pollSingleOpsJobs: logged ' + jobs.length + ' jobs');
 }
 
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📺 SHOP TV DASHBOARD FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Aggregate everything the shop TV board (tv.html) needs in a single call.
+ * Each source is read independently so a broken or missing sheet only
+ * empties its own section; failures are reported in `errors` by source name.
+ *
+ * @returns {Object} { success, data: { vehicles: {active, inactive, machinery}, workOrders, attachments, errors, generatedAt } }
+ */
+function getTVDashboardData() {
+  Performance.start('getTVDashboardData');
+
+  const data = {
+    vehicles: { active: [], inactive: [], machinery: [] },
+    workOrders: [],
+    attachments: [],
+    errors: {},
+    generatedAt: new Date().toISOString()
+  };
+
+  // 1. Active work orders
+  try {
+    const jobsResult = getActiveJobs();
+    if (!jobsResult.success) {
+      throw new Error(jobsResult.error || 'Could not read active work orders');
+    }
+    data.workOrders = jobsResult.jobs.map(function(job) {
+      return {
+        woNumber: job.woNumber,
+        jobDescription: job.jobName,
+        jobAddress: job.address,
+        salesman: job.salesRep,
+        crew: job.crew,
+        notes: job.notes,
+        progress: job.tasksTotal > 0 ? job.progress : null,
+        priority: job.priority,
+        customerName: job.clientName,
+        jobStatus: job.status
+      };
+    });
+  } catch (error) {
+    ErrorHandler.logError(error, 'getTVDashboardData:workOrders');
+    data.errors.workOrders = ErrorHandler.sanitizeErrorMessage(error.toString());
+  }
+
+  // 2. Fleet records (Master, Machinery and Attachments tabs, with assignments
+  //    and maintenance) — the same records getFleet() returns
+  const fleet = collectFleet(data.errors.workOrders ? [] : data.workOrders);
+  fleet.vehicles.forEach(function(v) {
+    if (v.kind === 'attachment') {
+      data.attachments.push(v);
+    } else if (v.kind === 'machinery') {
+      data.vehicles.machinery.push(v);
+    } else if (v.status === FLEET_STATUS.ACTIVE) {
+      data.vehicles.active.push(v);
+    } else {
+      data.vehicles.inactive.push(v);
+    }
+  });
+  Object.keys(fleet.errors).forEach(function(source) { data.errors[source] = fleet.errors[source]; });
+
+  Performance.end('getTVDashboardData');
+
+  return {
+    success: true,
+    partial: Object.keys(data.errors).length > 0,
+    data: data
+  };
+}
+
+/**
+ * Read the truck "Master" sheet into TV vehicle records, split into
+ * active / inactive / machinery. Columns are located by header name and
+ * fall back to the layout created by setupTruckSheet().
+ */
+function readFleetVehicles() {
+  const result = { active: [], inactive: [], machinery: [] };
+
+  if (!CONFIG.TRUCK_SHEET_ID || CONFIG.TRUCK_SHEET_ID === "YOUR_TRUCK_SHEET_ID_HERE") {
+    return result;
+  }
+
+  const ss = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID);
+  const sheet = ss.getSheetByName(CONFIG.TRUCK_SHEET_NAME);
+  if (!sheet) {
+    throw new Error('Sheet "' + CONFIG.TRUCK_SHEET_NAME + '" not found');
+  }
+
+  const data = sheet.getDataRange().getValues();
+  if (data.length < 2) return result;
+
+  const colMap = fleetColumnMap(data[0]);
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const name = String(row[colMap.name] || '').trim();
+    if (!name) continue;
+
+    const status = String(row[colMap.status] || '').trim();
+    const type = colMap.type >= 0 ? String(row[colMap.type] || '').trim() : '';
+    const vehicle = {
+      name: name,
+      assetNumber: colMap.assetNumber >= 0 ? String(row[colMap.assetNumber] || '') : '',
+      assetId: colMap.assetId >= 0 ? String(row[colMap.assetId] || '').trim() : '',
+      model: String(row[colMap.model] || ''),
+      year: String(row[colMap.year] || ''),
+      licensePlate: String(row[colMap.plate] || ''),
+      status: status,
+      type: type || 'Vehicle',
+      lastMaintenance: row[colMap.lastMaintenance] || '',
+      nextMaintenance: row[colMap.nextMaintenance] || '',
+      notes: String(row[colMap.notes] || ''),
+      assignedJob: null
+    };
+
+    if (isMachineryType(type)) {
+      vehicle.active = isActiveFlag(colMap.active >= 0 ? row[colMap.active] : '', status);
+      result.machinery.push(vehicle);
+    } else if (isActiveFlag(colMap.active >= 0 ? row[colMap.active] : '', status)) {
+      result.active.push(vehicle);
+    } else {
+      result.inactive.push(vehicle);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Helper: locate the Master sheet columns by header name, falling back to
+ * the layout created by setupTruckSheet(). Optional columns are -1 when absent.
+ */
+function fleetColumnMap(headerRow) {
+  const headers = headerRow.map(function(h) { return String(h).trim().toLowerCase(); });
+  const col = function(names, fallback) {
+    const idx = findCol(headers, names);
+    return idx >= 0 ? idx : fallback;
+  };
+  return {
+    name: col(['truck name/id', 'truck name', 'vehicle', 'name', 'truck'], 0),
+    model: col(['model', 'make/model'], 1),
+    year: col(['year'], 2),
+    plate: col(['license plate', 'plate', 'license'], 3),
+    status: col(['status'], 4),
+    lastMaintenance: col(['last maintenance'], 5),
+    nextMaintenance: col(['next maintenance due', 'next maintenance'], 6),
+    notes: col(['notes'], 7),
+    assetNumber: col(['asset #', 'asset number', 'asset no', 'unit #', 'unit number'], -1),
+    assetId: col(['asset id'], -1),
+    type: col(['type', 'category', 'vehicle type'], -1),
+    active: col(['active', 'in service'], -1)
+  };
+}
+
+/**
+ * Read an optional equipment tab (Machinery / Attachments) from the truck
+ * spreadsheet. A missing tab is not an error — it just yields no rows.
+ *
+ * @param {string} sheetName - Tab name in the truck spreadsheet
+ * @param {string} itemType - 'machinery' or 'attachment'
+ * @returns {Array} Equipment records
+ */
+function readEquipmentSheet(sheetName, itemType) {
+  if (!sheetName || !CONFIG.TRUCK_SHEET_ID || CONFIG.TRUCK_SHEET_ID === "YOUR_TRUCK_SHEET_ID_HERE") {
+    return [];
+  }
+
+  const ss = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID);
+  const sheet = ss.getSheetByName(sheetName);
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  if (data.length < 2) return [];
+
+  const colMap = equipmentColumnMap(data[0]);
+
+  const items = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const name = String(row[colMap.name] || '').trim();
+    if (!name) continue;
+
+    const status = colMap.status >= 0 ? String(row[colMap.status] || '').trim() : '';
+    items.push({
+      name: name,
+      assetNumber: colMap.assetNumber >= 0 ? String(row[colMap.assetNumber] || '') : '',
+      assetId: colMap.assetId >= 0 ? String(row[colMap.assetId] || '').trim() : '',
+      type: colMap.type >= 0 ? String(row[colMap.type] || '') : (itemType === 'attachment' ? 'Attachment' : 'Heavy Equipment'),
+      status: status,
+      active: isActiveFlag(colMap.active >= 0 ? row[colMap.active] : '', status),
+      notes: colMap.notes >= 0 ? String(row[colMap.notes] || '') : '',
+      assignedWO: '',
+      assignedJob: null
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Helper: locate the Machinery / Attachments tab columns by header name.
+ * Optional columns are -1 when absent; the name falls back to column A.
+ */
+function equipmentColumnMap(headerRow) {
+  const headers = headerRow.map(function(h) { return String(h).trim().toLowerCase(); });
+  const colMap = {
+    name: findCol(headers, ['name', 'equipment', 'attachment', 'description', 'item']),
+    assetNumber: findCol(headers, ['asset #', 'asset number', 'asset no', 'id', 'unit #']),
+    assetId: findCol(headers, ['asset id']),
+    type: findCol(headers, ['type', 'category']),
+    status: findCol(headers, ['status']),
+    active: findCol(headers, ['active', 'in service']),
+    notes: findCol(headers, ['notes'])
+  };
+  if (colMap.name < 0) colMap.name = 0;
+  return colMap;
+}
+
+/**
+ * Helper: does a fleet Type/Category cell describe heavy machinery?
+ */
+function isMachineryType(type) {
+  const t = String(type || '').toLowerCase();
+  return ['machinery', 'heavy equipment', 'excavator', 'skid steer', 'bobcat', 'loader', 'tractor', 'mower']
+    .some(function(keyword) { return t.indexOf(keyword) >= 0; });
+}
+
+/**
+ * Helper: resolve an "Active" flag from an explicit yes/no cell, falling
+ * back to the Status text when the sheet has no Active column.
+ */
+function isActiveFlag(activeCell, status) {
+  if (activeCell === true || activeCell === false) return activeCell;
+  const flag = String(activeCell || '').trim().toLowerCase();
+  if (flag) return ['yes', 'y', 'true', 'active', '1'].indexOf(flag) >= 0;
+
+  const s = String(status || '').toLowerCase();
+  return s.indexOf('active') >= 0 && s.indexOf('inactive') < 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔗 EQUIPMENT ASSIGNMENT FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Assign a vehicle, machine or attachment to a work order (or clear it).
+ * Every change is appended to the assignments sheet, so the sheet doubles
+ * as the assignment history; the latest row per item is the current state.
+ *
+ * @param {Object} data - { itemId, itemType, woNumber, notes }
+ *   An empty woNumber unassigns the item.
+ * @returns {Object} Success/error response with the new assignment
+ */
+function assignEquipment(data) {
+  Performance.start('assignEquipment');
+
+  try {
+    if (!data || !data.itemId) {
+      return ErrorHandler.createErrorResponse(new Error('Item ID is required'), 'assignEquipment');
+    }
+
+    const itemId = Validator.sanitizeString(String(data.itemId));
+    const itemType = Validator.sanitizeString(String(data.itemType || 'equipment'));
+    const woNumber = Validator.sanitizeString(String(data.woNumber || ''));
+    const user = Session.getActiveUser().getEmail() || 'System';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getAssignmentSheet();
+      const previous = readCurrentAssignments(sheet)[itemId];
+
+      if ((previous ? previous.woNumber : '') === woNumber) {
+        Performance.end('assignEquipment');
+        return { success: true, unchanged: true, assignment: previous || null };
+      }
+
+      sheet.appendRow([
+        new Date(),
+        itemId,
+        itemType,
+        woNumber,
+        woNumber ? 'ASSIGN' : 'UNASSIGN',
+        previous ? previous.woNumber : '',
+        user,
+        Validator.sanitizeString(data.notes || '')
+      ]);
+    } finally {
+      lock.releaseLock();
+    }
+
+    logActivity(woNumber ? 'assigned' : 'unassigned', itemId, woNumber ? 'Assigned to WO #' + woNumber : 'Returned to yard');
+
+    Performance.end('assignEquipment');
+
+    return {
+      success: true,
+      message: woNumber ? `${itemId} assigned to WO #${woNumber}` : `${itemId} unassigned`,
+      assignment: woNumber ? { itemId: itemId, itemType: itemType, woNumber: woNumber, assignedBy: user } : null
+    };
+
+  } catch (error) {
+    Performance.end('assignEquipment');
+    return ErrorHandler.createErrorResponse(error, 'assignEquipment');
+  }
+}
+
+/**
+ * Get current equipment assignments.
+ * @param {string} [itemId] - When given, also returns that item's full history
+ * @returns {Object} { success, assignments: { itemId: {...} }, history? }
+ */
+function getAssignments(itemId) {
+  try {
+    const sheet = getAssignmentSheet();
+    const result = {
+      success: true,
+      assignments: readCurrentAssignments(sheet)
+    };
+
+    if (itemId) {
+      const data = sheet.getDataRange().getValues();
+      result.history = [];
+      for (let i = data.length - 1; i >= 1; i--) {
+        if (String(data[i][1]) !== String(itemId)) continue;
+        result.history.push({
+          timestamp: data[i][0],
+          itemId: String(data[i][1]),
+          itemType: String(data[i][2] || ''),
+          woNumber: String(data[i][3] || ''),
+          action: String(data[i][4] || ''),
+          previousWO: String(data[i][5] || ''),
+          user: String(data[i][6] || ''),
+          notes: String(data[i][7] || '')
+        });
+      }
+    }
+
+    return result;
+
+  } catch (error) {
+    return ErrorHandler.createErrorResponse(error, 'getAssignments');
+  }
+}
+
+/**
+ * Helper: open (or create) the assignments sheet in the truck spreadsheet.
+ */
+function getAssignmentSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.ASSIGNMENTS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.ASSIGNMENTS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 8).setValues([[
+      'Timestamp', 'Item ID', 'Item Type', 'WO Number', 'Action', 'Previous WO', 'User', 'Notes'
+    ]]);
+    sheet.getRange(1, 1, 1, 8).setFontWeight('bold').setBackground('#1E88E5').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: collapse the assignment log into the current assignment per item.
+ * Items whose latest entry is an unassign are left out.
+ */
+function readCurrentAssignments(sheet) {
+  const data = (sheet || getAssignmentSheet()).getDataRange().getValues();
+  const latest = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const itemId = String(data[i][1] || '').trim();
+    if (!itemId) continue;
+    latest[itemId] = {
+      itemId: itemId,
+      itemType: String(data[i][2] || ''),
+      woNumber: String(data[i][3] || ''),
+      assignedAt: data[i][0],
+      assignedBy: String(data[i][6] || '')
+    };
+  }
+
+  const current = {};
+  Object.keys(latest).forEach(function(id) {
+    if (latest[id].woNumber) current[id] = latest[id];
+  });
+  return current;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📅 DAILY CREW SCHEDULE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Get the crew schedule for one day, with recurring templates expanded
+ * into it (see expandScheduleRecurrences) whether or not anyone has opened
+ * the day in the scheduler yet.
+ * @param {string} date - Day key in yyyy-MM-dd form
+ * @returns {Object} { success, date, crews, revision, updatedAt, updatedBy }
+ *   revision is 0 for a day that has never been saved.
+ */
+function getSchedule(date) {
+  try {
+    const dateKey = normalizeDateKey(date);
+    if (!dateKey) {
+      return ErrorHandler.createErrorResponse(new Error('Date must be in yyyy-MM-dd format'), 'getSchedule');
+    }
+
+    const sheet = getDailyScheduleSheet();
+    const found = findScheduleRow(sheet, dateKey);
+    const templates = readRecurringTemplates();
+
+    if (!found) {
+      return { success: true, date: dateKey, crews: expandScheduleRecurrences(dateKey, [], templates), revision: 0, updatedAt: null, updatedBy: null };
+    }
+
+    return {
+      success: true,
+      date: dateKey,
+      crews: expandScheduleRecurrences(dateKey, found.crews, templates),
+      revision: found.revision,
+      updatedAt: found.updatedAt,
+      updatedBy: found.updatedBy
+    };
+
+  } catch (error) {
+    return ErrorHandler.createErrorResponse(error, 'getSchedule');
+  }
+}
+
+/**
+ * Save the crews for one day.
+ * Uses optimistic concurrency: the caller passes the revision it last read,
+ * and the save is rejected with conflict: true if someone else saved since.
+ * The conflict response carries the current server copy so the client can
+ * reload it.
+ *
+ * @param {string} date - Day key in yyyy-MM-dd form
+ * @param {Array} crews - Crew objects as built by crew-scheduler.html
+ * @param {number} baseRevision - Revision the client's copy is based on
+ * @returns {Object} { success, date, revision } or { success: false, conflict: true, ... }
+ */
+function saveSchedule(date, crews, baseRevision) {
+  Performance.start('saveSchedule');
+
+  try {
+    const dateKey = normalizeDateKey(date);
+    if (!dateKey) {
+      return ErrorHandler.createErrorResponse(new Error('Date must be in yyyy-MM-dd format'), 'saveSchedule');
+    }
+    if (!Array.isArray(crews)) {
+      return ErrorHandler.createErrorResponse(new Error('Crews must be an array'), 'saveSchedule');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const payload = JSON.stringify(crews);
+    if (payload.length > 45000) {
+      return ErrorHandler.createErrorResponse(new Error('Schedule is too large to save'), 'saveSchedule');
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getDailyScheduleSheet();
+      const found = findScheduleRow(sheet, dateKey);
+      const currentRevision = found ? found.revision : 0;
+
+      if (Validator.sanitizeNumber(baseRevision, 0) !== currentRevision) {
+        Performance.end('saveSchedule');
+        return {
+          success: false,
+          conflict: true,
+          message: 'Schedule was changed by ' + (found && found.updatedBy ? found.updatedBy : 'someone else') + ' — reload before saving',
+          date: dateKey,
+          crews: found ? found.crews : [],
+          revision: currentRevision,
+          updatedAt: found ? found.updatedAt : null,
+          updatedBy: found ? found.updatedBy : null
+        };
+      }
+
+      const newRevision = currentRevision + 1;
+      const now = new Date();
+      const row = [dateKey, payload, newRevision, now, user];
+
+      if (found) {
+        sheet.getRange(found.row, 1, 1, 5).setValues([row]);
+      } else {
+        sheet.appendRow(row);
+      }
+
+      Performance.end('saveSchedule');
+
+      return {
+        success: true,
+        date: dateKey,
+        revision: newRevision,
+        updatedAt: now.toISOString(),
+        updatedBy: user
+      };
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('saveSchedule');
+    return ErrorHandler.createErrorResponse(error, 'saveSchedule');
+  }
+}
+
+/**
+ * Get the crews for a run of days in one call (the scheduler's week view),
+ * with recurring templates expanded. Days with nothing saved and no
+ * recurring crews are left out.
+ *
+ * @param {string} startDate - First day (yyyy-MM-dd)
+ * @param {string} endDate - Last day (yyyy-MM-dd), at most 31 days after the start
+ * @returns {Object} { success, startDate, endDate, days: { 'yyyy-MM-dd': { crews, revision, updatedAt, updatedBy } } }
+ */
+function getScheduleRange(startDate, endDate) {
+  Performance.start('getScheduleRange');
+
+  try {
+    const startKey = normalizeDateKey(startDate);
+    const endKey = normalizeDateKey(endDate);
+    if (!startKey || !endKey || endKey < startKey) {
+      return ErrorHandler.createErrorResponse(new Error('Start and end dates must be yyyy-MM-dd with end on or after start'), 'getScheduleRange');
+    }
+    if (endKey > shiftDateKey(startKey, 31)) {
+      return ErrorHandler.createErrorResponse(new Error('Range cannot be longer than 31 days'), 'getScheduleRange');
+    }
+
+    const days = readSchedulesInRange(startKey, endKey);
+
+    Performance.end('getScheduleRange');
+    return { success: true, startDate: startKey, endDate: endKey, days: days };
+
+  } catch (error) {
+    Performance.end('getScheduleRange');
+    return ErrorHandler.createErrorResponse(error, 'getScheduleRange');
+  }
+}
+
+/**
+ * Helper: open (or create) the daily schedule sheet.
+ * The Date column is plain text so Sheets does not turn the keys into dates.
+ */
+function getDailyScheduleSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.CREW_SCHEDULE_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.DAILY_SCHEDULE_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.DAILY_SCHEDULE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 5).setValues([['Date', 'Crews JSON', 'Revision', 'Updated At', 'Updated By']]);
+    sheet.getRange(1, 1, 1, 5).setFontWeight('bold').setBackground('#673AB7').setFontColor('white');
+    sheet.getRange('A:A').setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: find the stored row for a day key.
+ * @returns {Object|null} { row (1-based), crews, revision, updatedAt, updatedBy }
+ */
+function findScheduleRow(sheet, dateKey) {
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeDateKey(data[i][0]) !== dateKey) continue;
+
+    let crews = [];
+    try {
+      crews = JSON.parse(data[i][1] || '[]');
+    } catch (e) {
+      Logger.log('Unreadable schedule JSON for ' + dateKey + ': ' + e.toString());
+    }
+
+    return {
+      row: i + 1,
+      crews: Array.isArray(crews) ? crews : [],
+      revision: Validator.sanitizeNumber(data[i][2], 0),
+      updatedAt: data[i][3] instanceof Date ? data[i][3].toISOString() : String(data[i][3] || ''),
+      updatedBy: String(data[i][4] || '')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Helper: read every day between two keys (inclusive) with recurring
+ * templates expanded. Days never saved get revision 0 and are only
+ * included when a template lands on them.
+ * @returns {Object} { 'yyyy-MM-dd': { crews, revision, updatedAt, updatedBy } }
+ */
+function readSchedulesInRange(startKey, endKey) {
+  const data = getDailyScheduleSheet().getDataRange().getValues();
+  const days = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const key = normalizeDateKey(data[i][0]);
+    if (!key || key < startKey || key > endKey) continue;
+
+    let crews;
+    try {
+      crews = JSON.parse(data[i][1] || '[]');
+    } catch (e) {
+      Logger.log('Unreadable schedule JSON for ' + key + ': ' + e.toString());
+      continue;
+    }
+
+    days[key] = {
+      crews: Array.isArray(crews) ? crews : [],
+      revision: Validator.sanitizeNumber(data[i][2], 0),
+      updatedAt: data[i][3] instanceof Date ? data[i][3].toISOString() : String(data[i][3] || ''),
+      updatedBy: String(data[i][4] || '')
+    };
+  }
+
+  const templates = readRecurringTemplates();
+  for (let key = startKey; key <= endKey; key = shiftDateKey(key, 1)) {
+    const crews = expandScheduleRecurrences(key, days[key] ? days[key].crews : [], templates);
+    if (days[key]) {
+      days[key].crews = crews;
+    } else if (crews.length > 0) {
+      days[key] = { crews: crews, revision: 0, updatedAt: null, updatedBy: null };
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Helper: coerce a Date or date string into a yyyy-MM-dd key.
+ * @returns {string|null} The key, or null if the input is not a date
+ */
+function normalizeDateKey(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  const str = String(value || '').trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔧 HAND TOOL CHECKOUT FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+const TOOL_STATUS = {
+  AVAILABLE: 'AVAILABLE',
+  CHECKED_OUT: 'CHECKED_OUT',
+  OUT_OF_SERVICE: 'OUT_OF_SERVICE'
+};
+
+const TOOL_HEADERS = ['Tag', 'Name', 'Type', 'Status', 'Crew', 'Checked Out At', 'Last Updated', 'Notes'];
+const TOOL_LOG_HEADERS = ['Timestamp', 'Date', 'Tag', 'Tool Name', 'Action', 'Crew', 'Previous Crew', 'User', 'Notes'];
+
+/**
+ * Get every hand tool with its current status and holder.
+ * @returns {Object} { success, tools: [{ tag, name, type, status, crew, checkedOutAt, lastUpdated, notes }] }
+ */
+function getTools() {
+  Performance.start('getTools');
+
+  try {
+    const tools = readTools(getToolsSheet()).map(t => t.tool);
+    Performance.end('getTools');
+    return { success: true, tools: tools };
+  } catch (error) {
+    Performance.end('getTools');
+    return ErrorHandler.createErrorResponse(error, 'getTools');
+  }
+}
+
+/**
+ * Register tools in the Tools sheet. Tags that already exist are skipped,
+ * so the checkout page can safely seed its default list more than once.
+ *
+ * @param {Array} tools - [{ tag, name, type, status?, notes? }]
+ * @returns {Object} { success, added, skipped }
+ */
+function addTools(tools) {
+  Performance.start('addTools');
+
+  try {
+    if (!Array.isArray(tools) || tools.length === 0) {
+      return ErrorHandler.createErrorResponse(new Error('Tools must be a non-empty array'), 'addTools');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getToolsSheet();
+      const existing = {};
+      readTools(sheet).forEach(t => { existing[t.tool.tag] = true; });
+
+      const now = new Date();
+      const rows = [];
+      const logRows = [];
+      let skipped = 0;
+
+      tools.forEach(t => {
+        const tag = normalizeToolTag(t && t.tag);
+        if (!tag || existing[tag]) {
+          skipped++;
+          return;
+        }
+        existing[tag] = true;
+
+        const name = Validator.sanitizeString(String(t.name || tag));
+        const type = Validator.sanitizeString(String(t.type || 'Other'));
+        const status = t.status === TOOL_STATUS.OUT_OF_SERVICE ? TOOL_STATUS.OUT_OF_SERVICE : TOOL_STATUS.AVAILABLE;
+        const notes = Validator.sanitizeString(String(t.notes || ''));
+
+        rows.push([tag, name, type, status, '', '', now, notes]);
+        logRows.push(buildToolLogRow(now, tag, name, 'ADD', '', '', user, status === TOOL_STATUS.OUT_OF_SERVICE ? 'Added out of service' : ''));
+      });
+
+      if (rows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, TOOL_HEADERS.length).setValues(rows);
+        const logSheet = getToolLogSheet();
+        logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, TOOL_LOG_HEADERS.length).setValues(logRows);
+        logActivity('ADD_TOOLS', rows.length + ' tools', 'Registered in ' + CONFIG.TOOLS_SHEET_NAME);
+      }
+
+      Performance.end('addTools');
+      return { success: true, added: rows.length, skipped: skipped };
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('addTools');
+    return ErrorHandler.createErrorResponse(error, 'addTools');
+  }
+}
+
+/**
+ * Check a tool out to a crew. Moving a tool straight from one crew to
+ * another is allowed and logged as a checkout with the previous crew.
+ *
+ * @param {Object} data - { tag, crew, notes }
+ * @returns {Object} { success, tool }
+ */
+function checkoutTool(data) {
+  Performance.start('checkoutTool');
+
+  try {
+    const tag = normalizeToolTag(data && data.tag);
+    const crew = Validator.sanitizeString(String((data && data.crew) || ''));
+    if (!tag) {
+      return ErrorHandler.createErrorResponse(new Error('Tool tag is required'), 'checkoutTool');
+    }
+    if (!crew) {
+      return ErrorHandler.createErrorResponse(new Error('Crew is required'), 'checkoutTool');
+    }
+
+    const result = updateToolState(tag, function(tool) {
+      if (tool.status === TOOL_STATUS.OUT_OF_SERVICE) {
+        throw new Error(tag + ' is out of service' + (tool.notes ? ': ' + tool.notes : ''));
+      }
+      if (tool.status === TOOL_STATUS.CHECKED_OUT && tool.crew === crew) {
+        return null; // Already with this crew
+      }
+      return {
+        action: 'CHECKOUT',
+        status: TOOL_STATUS.CHECKED_OUT,
+        crew: crew,
+        checkedOutAt: new Date(),
+        notes: Validator.sanitizeString(String((data && data.notes) || ''))
+      };
+    });
+
+    Performance.end('checkoutTool');
+    return result;
+
+  } catch (error) {
+    Performance.end('checkoutTool');
+    return ErrorHandler.createErrorResponse(error, 'checkoutTool');
+  }
+}
+
+/**
+ * Return a tool to the shop.
+ * @param {Object} data - { tag, notes }
+ * @returns {Object} { success, tool }
+ */
+function returnTool(data) {
+  Performance.start('returnTool');
+
+  try {
+    const tag = normalizeToolTag(data && data.tag);
+    if (!tag) {
+      return ErrorHandler.createErrorResponse(new Error('Tool tag is required'), 'returnTool');
+    }
+
+    const result = updateToolState(tag, function(tool) {
+      if (tool.status !== TOOL_STATUS.CHECKED_OUT) {
+        return null; // Nothing to return
+      }
+      return {
+        action: 'RETURN',
+        status: TOOL_STATUS.AVAILABLE,
+        crew: '',
+        checkedOutAt: '',
+        notes: Validator.sanitizeString(String((data && data.notes) || ''))
+      };
+    });
+
+    Performance.end('returnTool');
+    return result;
+
+  } catch (error) {
+    Performance.end('returnTool');
+    return ErrorHandler.createErrorResponse(error, 'returnTool');
+  }
+}
+
+/**
+ * Get the checkout history for one tag.
+ * When a date is given, also works out which crews had the tool at any point
+ * that day ("who had T-047 last Tuesday").
+ *
+ * @param {string} tag - Tool tag, e.g. "T-047"
+ * @param {string} date - Optional yyyy-MM-dd day to answer for
+ * @returns {Object} { success, tag, tool, history, date?, heldBy? }
+ */
+function getToolHistory(tag, date) {
+  Performance.start('getToolHistory');
+
+  try {
+    const toolTag = normalizeToolTag(tag);
+    if (!toolTag) {
+      return ErrorHandler.createErrorResponse(new Error('Tool tag is required'), 'getToolHistory');
+    }
+
+    const found = readTools(getToolsSheet()).filter(t => t.tool.tag === toolTag)[0];
+    const events = readToolLog().filter(e => e.tag === toolTag);
+
+    const response = {
+      success: true,
+      tag: toolTag,
+      tool: found ? found.tool : null,
+      history: events.slice().reverse()
+    };
+
+    if (date) {
+      const dateKey = normalizeDateKey(date);
+      if (!dateKey) {
+        return ErrorHandler.createErrorResponse(new Error('Date must be in yyyy-MM-dd format'), 'getToolHistory');
+      }
+
+      // Holder at the start of the day, plus anyone who checked it out during the day
+      let holderAtStart = '';
+      const heldBy = [];
+      events.forEach(e => {
+        if (e.date < dateKey) {
+          if (e.action === 'CHECKOUT') holderAtStart = e.crew;
+          else if (e.action === 'RETURN' || e.action === 'STATUS' || e.action === 'DAMAGED') holderAtStart = '';
+        } else if (e.date === dateKey && e.action === 'CHECKOUT' && e.crew) {
+          if (heldBy.indexOf(e.crew) === -1) heldBy.push(e.crew);
+        }
+      });
+      if (holderAtStart && heldBy.indexOf(holderAtStart) === -1) {
+        heldBy.unshift(holderAtStart);
+      }
+
+      response.date = dateKey;
+      response.heldBy = heldBy;
+    }
+
+    Performance.end('getToolHistory');
+    return response;
+
+  } catch (error) {
+    Performance.end('getToolHistory');
+    return ErrorHandler.createErrorResponse(error, 'getToolHistory');
+  }
+}
+
+/**
+ * Find tools that are still checked out from an earlier day.
+ * @param {number} days - Only include tools out at least this many days (default 1, i.e. not returned yesterday)
+ * @returns {Object} { success, tools: [{ ...tool, daysOut }] }
+ */
+function getUnreturnedTools(days) {
+  Performance.start('getUnreturnedTools');
+
+  try {
+    const minDays = Math.max(1, Math.floor(Validator.sanitizeNumber(days, 1)));
+    const todayKey = normalizeDateKey(new Date());
+    const today = new Date(todayKey + 'T00:00:00');
+
+    const tools = readTools(getToolsSheet())
+      .map(t => t.tool)
+      .filter(t => t.status === TOOL_STATUS.CHECKED_OUT && t.checkedOutAt)
+      .map(t => {
+        const outKey = normalizeDateKey(new Date(t.checkedOutAt));
+        const outDay = new Date(outKey + 'T00:00:00');
+        t.daysOut = Math.round((today - outDay) / 86400000);
+        return t;
+      })
+      .filter(t => t.daysOut >= minDays)
+      .sort((a, b) => b.daysOut - a.daysOut);
+
+    Performance.end('getUnreturnedTools');
+    return { success: true, tools: tools };
+
+  } catch (error) {
+    Performance.end('getUnreturnedTools');
+    return ErrorHandler.createErrorResponse(error, 'getUnreturnedTools');
+  }
+}
+
+/**
+ * Get the end-of-day reconciliation list: every tool still assigned to a crew,
+ * with how many days it has already been flagged missing.
+ * @returns {Object} { success, date, missingDaysLimit, tools: [{ ...tool, missingDays }] }
+ */
+function getToolReconciliation() {
+  Performance.start('getToolReconciliation');
+
+  try {
+    const eventsByTag = groupToolEventsByTag(readToolLog());
+
+    const tools = readTools(getToolsSheet())
+      .map(t => t.tool)
+      .filter(t => t.status === TOOL_STATUS.CHECKED_OUT)
+      .map(t => {
+        t.missingDays = countMissingDays(eventsByTag[t.tag] || []);
+        return t;
+      })
+      .sort((a, b) => a.crew.localeCompare(b.crew) || a.tag.localeCompare(b.tag));
+
+    Performance.end('getToolReconciliation');
+    return {
+      success: true,
+      date: normalizeDateKey(new Date()),
+      missingDaysLimit: CONFIG.TOOL_MISSING_DAYS_LIMIT,
+      tools: tools
+    };
+
+  } catch (error) {
+    Performance.end('getToolReconciliation');
+    return ErrorHandler.createErrorResponse(error, 'getToolReconciliation');
+  }
+}
+
+/**
+ * Record today's end-of-day reconciliation.
+ * - RETURNED: the tool goes back to the shop
+ * - DAMAGED: the tool goes out of service with the damage as the reason
+ * - MISSING: the tool stays with its crew and the flag is logged; once it has
+ *   been flagged on TOOL_MISSING_DAYS_LIMIT days it goes out of service
+ * Tools that are not in the results are left as they are.
+ *
+ * @param {Object} data - { results: [{ tag, outcome: 'RETURNED'|'MISSING'|'DAMAGED', notes }] }
+ * @returns {Object} { success, date, returned, exceptions, skipped }
+ */
+function reconcileTools(data) {
+  Performance.start('reconcileTools');
+
+  try {
+    const results = data && data.results;
+    if (!Array.isArray(results) || results.length === 0) {
+      return ErrorHandler.createErrorResponse(new Error('Results must be a non-empty array'), 'reconcileTools');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getToolsSheet();
+      const toolsByTag = {};
+      readTools(sheet).forEach(t => { toolsByTag[t.tool.tag] = t; });
+      const eventsByTag = groupToolEventsByTag(readToolLog());
+
+      const now = new Date();
+      const dateKey = normalizeDateKey(now);
+      const logRows = [];
+      const exceptions = [];
+      const skipped = [];
+      let returned = 0;
+
+      results.forEach(r => {
+        const tag = normalizeToolTag(r && r.tag);
+        const outcome = String((r && r.outcome) || '').toUpperCase();
+        const notes = Validator.sanitizeString(String((r && r.notes) || ''));
+        const found = toolsByTag[tag];
+
+        if (!found) {
+          skipped.push({ tag: tag, reason: 'Unknown tool tag' });
+          return;
+        }
+        const tool = found.tool;
+        if (tool.status !== TOOL_STATUS.CHECKED_OUT) {
+          skipped.push({ tag: tag, reason: 'Not checked out' });
+          return;
+        }
+
+        if (outcome === 'RETURNED') {
+          writeToolState(sheet, found.row, TOOL_STATUS.AVAILABLE, '', '', now, tool.notes);
+          logRows.push(buildToolLogRow(now, tag, tool.name, 'RETURN', '', tool.crew, user,
+            'End-of-day reconciliation' + (notes ? ': ' + notes : '')));
+          returned++;
+
+        } else if (outcome === 'DAMAGED') {
+          const reason = 'Damaged' + (notes ? ': ' + notes : '') + ' (' + tool.crew + ', ' + dateKey + ')';
+          writeToolState(sheet, found.row, TOOL_STATUS.OUT_OF_SERVICE, '', '', now, reason);
+          logRows.push(buildToolLogRow(now, tag, tool.name, 'DAMAGED', '', tool.crew, user, reason));
+          exceptions.push({ tag: tag, name: tool.name, crew: tool.crew, outcome: 'DAMAGED', outOfService: true, reason: reason });
+
+        } else if (outcome === 'MISSING') {
+          const missingDays = countMissingDays(eventsByTag[tag] || [], dateKey);
+          logRows.push(buildToolLogRow(now, tag, tool.name, 'MISSING', tool.crew, '', user, notes));
+
+          const exception = { tag: tag, name: tool.name, crew: tool.crew, outcome: 'MISSING', missingDays: missingDays, outOfService: false };
+          if (missingDays >= CONFIG.TOOL_MISSING_DAYS_LIMIT) {
+            const reason = 'Missing ' + missingDays + ' days, last with ' + tool.crew + (notes ? ': ' + notes : '');
+            writeToolState(sheet, found.row, TOOL_STATUS.OUT_OF_SERVICE, '', '', now, reason);
+            logRows.push(buildToolLogRow(now, tag, tool.name, 'STATUS', '', tool.crew, user, 'Auto out of service — ' + reason));
+            exception.outOfService = true;
+            exception.reason = reason;
+          }
+          exceptions.push(exception);
+
+        } else {
+          skipped.push({ tag: tag, reason: 'Unknown outcome: ' + outcome });
+        }
+      });
+
+      if (logRows.length > 0) {
+        const logSheet = getToolLogSheet();
+        logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, TOOL_LOG_HEADERS.length).setValues(logRows);
+      }
+
+      logActivity('TOOL_RECONCILE', dateKey, returned + ' returned, ' + exceptions.length + ' exceptions');
+
+      Performance.end('reconcileTools');
+      return { success: true, date: dateKey, returned: returned, exceptions: exceptions, skipped: skipped };
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('reconcileTools');
+    return ErrorHandler.createErrorResponse(error, 'reconcileTools');
+  }
+}
+
+/**
+ * Daily exception report: tools flagged missing or damaged on a day, tools
+ * taken out of service that day, and tools that are still out.
+ *
+ * @param {string} date - yyyy-MM-dd (defaults to today)
+ * @returns {Object} { success, date, missing, damaged, outOfService, stillOut }
+ */
+function getToolExceptionReport(date) {
+  Performance.start('getToolExceptionReport');
+
+  try {
+    const dateKey = date ? normalizeDateKey(date) : normalizeDateKey(new Date());
+    if (!dateKey) {
+      return ErrorHandler.createErrorResponse(new Error('Date must be in yyyy-MM-dd format'), 'getToolExceptionReport');
+    }
+
+    const dayEvents = readToolLog().filter(e => e.date === dateKey);
+    const stillOut = readTools(getToolsSheet())
+      .map(t => t.tool)
+      .filter(t => t.status === TOOL_STATUS.CHECKED_OUT);
+
+    Performance.end('getToolExceptionReport');
+    return {
+      success: true,
+      date: dateKey,
+      missing: dayEvents.filter(e => e.action === 'MISSING'),
+      damaged: dayEvents.filter(e => e.action === 'DAMAGED'),
+      outOfService: dayEvents.filter(e => e.action === 'STATUS' || e.action === 'DAMAGED'),
+      stillOut: stillOut
+    };
+
+  } catch (error) {
+    Performance.end('getToolExceptionReport');
+    return ErrorHandler.createErrorResponse(error, 'getToolExceptionReport');
+  }
+}
+
+/**
+ * Helper: apply a state change to one tool under the script lock and log it.
+ * The change callback receives the current tool and returns the new
+ * { action, status, crew, checkedOutAt, notes }, or null for no change.
+ */
+function updateToolState(tag, change) {
+  const user = Session.getActiveUser().getEmail() || 'System';
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const sheet = getToolsSheet();
+    const found = readTools(sheet).filter(t => t.tool.tag === tag)[0];
+    if (!found) {
+      throw new Error('Unknown tool tag: ' + tag);
+    }
+
+    const tool = found.tool;
+    const next = change(tool);
+    if (!next) {
+      return { success: true, tool: tool, unchanged: true };
+    }
+
+    const now = new Date();
+    const previousCrew = tool.crew;
+    const notes = next.notes !== undefined && next.notes !== '' ? next.notes : tool.notes;
+
+    writeToolState(sheet, found.row, next.status, next.crew, next.checkedOutAt, now, notes);
+
+    getToolLogSheet().appendRow(buildToolLogRow(now, tag, tool.name, next.action, next.crew, previousCrew, user, next.notes || ''));
+    logActivity('TOOL_' + next.action, tag + ' ' + tool.name, next.crew ? 'Crew: ' + next.crew : (previousCrew ? 'From: ' + previousCrew : ''));
+
+    tool.status = next.status;
+    tool.crew = next.crew;
+    tool.checkedOutAt = next.checkedOutAt instanceof Date ? next.checkedOutAt.toISOString() : '';
+    tool.lastUpdated = now.toISOString();
+    tool.notes = notes;
+
+    return { success: true, tool: tool };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Helper: write the mutable columns (Status through Notes) of one tool row.
+ */
+function writeToolState(sheet, row, status, crew, checkedOutAt, updatedAt, notes) {
+  sheet.getRange(row, 4, 1, 5).setValues([[status, crew, checkedOutAt, updatedAt, notes]]);
+}
+
+/**
+ * Helper: open (or create) the Tools sheet.
+ */
+function getToolsSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.TOOLS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.TOOLS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, TOOL_HEADERS.length).setValues([TOOL_HEADERS]);
+    sheet.getRange(1, 1, 1, TOOL_HEADERS.length).setFontWeight('bold').setBackground('#FF9800').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: open (or create) the Tool Checkout Log sheet.
+ * The Date column is plain text (yyyy-MM-dd) so per-day lookups are string compares.
+ */
+function getToolLogSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.TOOL_LOG_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.TOOL_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, TOOL_LOG_HEADERS.length).setValues([TOOL_LOG_HEADERS]);
+    sheet.getRange(1, 1, 1, TOOL_LOG_HEADERS.length).setFontWeight('bold').setBackground('#795548').setFontColor('white');
+    sheet.getRange('B:B').setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read all tools from the Tools sheet.
+ * @returns {Array} [{ row (1-based), tool }]
+ */
+function readTools(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const tools = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const tag = normalizeToolTag(data[i][0]);
+    if (!tag) continue;
+
+    tools.push({
+      row: i + 1,
+      tool: {
+        tag: tag,
+        name: String(data[i][1] || ''),
+        type: String(data[i][2] || ''),
+        status: String(data[i][3] || TOOL_STATUS.AVAILABLE).toUpperCase(),
+        crew: String(data[i][4] || ''),
+        checkedOutAt: data[i][5] instanceof Date ? data[i][5].toISOString() : String(data[i][5] || ''),
+        lastUpdated: data[i][6] instanceof Date ? data[i][6].toISOString() : String(data[i][6] || ''),
+        notes: String(data[i][7] || '')
+      }
+    });
+  }
+
+  return tools;
+}
+
+/**
+ * Helper: read the checkout log in the order it was written (oldest first).
+ */
+function readToolLog() {
+  const data = getToolLogSheet().getDataRange().getValues();
+  const events = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const tag = normalizeToolTag(data[i][2]);
+    if (!tag) continue;
+
+    events.push({
+      timestamp: data[i][0] instanceof Date ? data[i][0].toISOString() : String(data[i][0] || ''),
+      date: normalizeDateKey(data[i][1]) || normalizeDateKey(data[i][0]) || '',
+      tag: tag,
+      toolName: String(data[i][3] || ''),
+      action: String(data[i][4] || '').toUpperCase(),
+      crew: String(data[i][5] || ''),
+      previousCrew: String(data[i][6] || ''),
+      user: String(data[i][7] || ''),
+      notes: String(data[i][8] || '')
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Helper: build one Tool Checkout Log row.
+ */
+function buildToolLogRow(timestamp, tag, toolName, action, crew, previousCrew, user, notes) {
+  return [timestamp, normalizeDateKey(timestamp), tag, toolName, action, crew || '', previousCrew || '', user, notes || ''];
+}
+
+/**
+ * Helper: tags are compared case-insensitively ("t-047" and "T-047" are the same tool).
+ */
+function normalizeToolTag(tag) {
+  return String(tag || '').trim().toUpperCase();
+}
+
+/**
+ * Helper: group log events by tag, keeping them oldest first.
+ */
+function groupToolEventsByTag(events) {
+  const byTag = {};
+  events.forEach(e => {
+    if (!byTag[e.tag]) byTag[e.tag] = [];
+    byTag[e.tag].push(e);
+  });
+  return byTag;
+}
+
+/**
+ * Helper: count the distinct days a tool has been flagged missing since it
+ * was last checked out, returned or had its status changed.
+ * Pass today's key to include a flag that is about to be logged.
+ */
+function countMissingDays(events, includeDateKey) {
+  const days = {};
+  if (includeDateKey) days[includeDateKey] = true;
+
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (events[i].action === 'MISSING') {
+      days[events[i].date] = true;
+    } else {
+      break;
+    }
+  }
+
+  return Object.keys(days).length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ⚠️ SCHEDULE CONFLICT FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Everything the crew scheduler needs to check a day for conflicts:
+ * fleet maintenance state, crew time off, and the saved schedules for the
+ * surrounding days (so multi-day jobs can be checked for double-booked
+ * equipment). The checks themselves run in the browser so they update as
+ * cards are dragged.
+ *
+ * @param {string} date - Day being scheduled (yyyy-MM-dd)
+ * @param {number} days - Days either side to include (default 7, max 14)
+ * @returns {Object} { success, date, trucks, timeOff, schedules: { 'yyyy-MM-dd': crews } }
+ */
+function getScheduleConflictContext(date, days) {
+  Performance.start('getScheduleConflictContext');
+
+  try {
+    const dateKey = normalizeDateKey(date);
+    if (!dateKey) {
+      return ErrorHandler.createErrorResponse(new Error('Date must be in yyyy-MM-dd format'), 'getScheduleConflictContext');
+    }
+
+    const span = Math.min(14, Math.max(0, Validator.sanitizeNumber(days, 7)));
+    const startKey = shiftDateKey(dateKey, -span);
+    const endKey = shiftDateKey(dateKey, span);
+    const errors = {};
+
+    // 1. Trucks and machines with their maintenance state (getFleet records)
+    const fleet = collectFleet();
+    const trucks = fleet.vehicles.filter(v => v.kind !== 'attachment').map(v => ({
+      name: v.name,
+      kind: v.kind,
+      status: v.statusText,
+      nextMaintenance: v.nextMaintenance || '',
+      inMaintenance: v.status === FLEET_STATUS.MAINTENANCE || v.status === FLEET_STATUS.OUT_OF_SERVICE,
+      defects: v.inspection ? v.inspection.openDefects.filter(d => d.critical).map(d => `${d.item}: ${d.description}`) : []
+    }));
+    if (fleet.errors.vehicles) errors.trucks = fleet.errors.vehicles;
+
+    // 2. Time off overlapping the window
+    let timeOff = [];
+    try {
+      timeOff = readCrewTimeOff().filter(t => t.startDate <= endKey && t.endDate >= startKey);
+    } catch (e) {
+      errors.timeOff = ErrorHandler.sanitizeErrorMessage(e.toString());
+    }
+
+    // 3. Saved schedules for the surrounding days
+    const schedules = {};
+    try {
+      const days = readSchedulesInRange(startKey, endKey);
+      Object.keys(days).forEach(key => { schedules[key] = days[key].crews; });
+    } catch (e) {
+      errors.schedules = ErrorHandler.sanitizeErrorMessage(e.toString());
+    }
+
+    Performance.end('getScheduleConflictContext');
+    return {
+      success: true,
+      date: dateKey,
+      startDate: startKey,
+      endDate: endKey,
+      trucks: trucks,
+      timeOff: timeOff,
+      schedules: schedules,
+      errors: errors
+    };
+
+  } catch (error) {
+    Performance.end('getScheduleConflictContext');
+    return ErrorHandler.createErrorResponse(error, 'getScheduleConflictContext');
+  }
+}
+
+/**
+ * Mark a crew member off for one or more days.
+ * @param {Object} entry - { member, startDate, endDate?, reason? }
+ * @returns {Object} { success, entry }
+ */
+function addCrewTimeOff(entry) {
+  Performance.start('addCrewTimeOff');
+
+  try {
+    const member = Validator.sanitizeString(String((entry && entry.member) || ''));
+    const startKey = normalizeDateKey(entry && entry.startDate);
+    const endKey = entry && entry.endDate ? normalizeDateKey(entry.endDate) : startKey;
+
+    if (!member) {
+      return ErrorHandler.createErrorResponse(new Error('Crew member is required'), 'addCrewTimeOff');
+    }
+    if (!startKey || !endKey || endKey < startKey) {
+      return ErrorHandler.createErrorResponse(new Error('Start and end dates must be yyyy-MM-dd with end on or after start'), 'addCrewTimeOff');
+    }
+
+    const record = {
+      id: Utilities.getUuid(),
+      member: member,
+      startDate: startKey,
+      endDate: endKey,
+      reason: Validator.sanitizeString(String((entry && entry.reason) || ''))
+    };
+    const user = Session.getActiveUser().getEmail() || 'System';
+
+    getCrewTimeOffSheet().appendRow([record.id, record.member, record.startDate, record.endDate, record.reason, user, new Date()]);
+    logActivity('CREW_TIME_OFF', member, startKey + (endKey !== startKey ? ' to ' + endKey : '') + (record.reason ? ' — ' + record.reason : ''));
+
+    Performance.end('addCrewTimeOff');
+    return { success: true, entry: record };
+
+  } catch (error) {
+    Performance.end('addCrewTimeOff');
+    return ErrorHandler.createErrorResponse(error, 'addCrewTimeOff');
+  }
+}
+
+/**
+ * Remove a time-off entry.
+ * @param {string} id - Entry ID returned by addCrewTimeOff
+ * @returns {Object} { success }
+ */
+function removeCrewTimeOff(id) {
+  Performance.start('removeCrewTimeOff');
+
+  try {
+    const entryId = String(id || '').trim();
+    if (!entryId) {
+      return ErrorHandler.createErrorResponse(new Error('Time-off ID is required'), 'removeCrewTimeOff');
+    }
+
+    const sheet = getCrewTimeOffSheet();
+    const data = sheet.getDataRange().getValues();
+    for (let i = data.length - 1; i >= 1; i--) {
+      if (String(data[i][0]) === entryId) {
+        sheet.deleteRow(i + 1);
+        Performance.end('removeCrewTimeOff');
+        return { success: true };
+      }
+    }
+
+    Performance.end('removeCrewTimeOff');
+    return ErrorHandler.createErrorResponse(new Error('Time-off entry not found'), 'removeCrewTimeOff');
+
+  } catch (error) {
+    Performance.end('removeCrewTimeOff');
+    return ErrorHandler.createErrorResponse(error, 'removeCrewTimeOff');
+  }
+}
+
+/**
+ * Helper: open (or create) the crew time-off sheet.
+ */
+function getCrewTimeOffSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.CREW_SCHEDULE_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.CREW_TIME_OFF_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.CREW_TIME_OFF_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 7).setValues([['ID', 'Crew Member', 'Start Date', 'End Date', 'Reason', 'Created By', 'Created At']]);
+    sheet.getRange(1, 1, 1, 7).setFontWeight('bold').setBackground('#673AB7').setFontColor('white');
+    sheet.getRange('C:D').setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read every time-off entry.
+ * @returns {Array} [{ id, member, startDate, endDate, reason }]
+ */
+function readCrewTimeOff() {
+  const data = getCrewTimeOffSheet().getDataRange().getValues();
+  const entries = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const startKey = normalizeDateKey(data[i][2]);
+    if (!data[i][1] || !startKey) continue;
+
+    entries.push({
+      id: String(data[i][0]),
+      member: String(data[i][1]).trim(),
+      startDate: startKey,
+      endDate: normalizeDateKey(data[i][3]) || startKey,
+      reason: String(data[i][4] || '')
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Helper: does a fleet Status cell mean the vehicle is in the shop?
+ */
+function isMaintenanceStatus(status) {
+  const s = String(status || '').toLowerCase();
+  return ['maint', 'repair', 'shop', 'down', 'out of service'].some(keyword => s.indexOf(keyword) >= 0);
+}
+
+/**
+ * Helper: add whole days to a yyyy-MM-dd key.
+ */
+function shiftDateKey(dateKey, days) {
+  const parts = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + days));
+  return Utilities.formatDate(date, 'UTC', 'yyyy-MM-dd');
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔁 SCHEDULE TEMPLATE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Get all named crew templates.
+ * A template is a crew (members, trucks, equipment, jobs, salesmen) with an
+ * optional weekly recurrence. getSchedule and getScheduleRange expand
+ * recurring templates into every day they return; the series itself only
+ * lives here.
+ *
+ * @returns {Object} { success, templates: [{ id, name, crew, recurrence, updatedAt, updatedBy }] }
+ */
+function getScheduleTemplates() {
+  Performance.start('getScheduleTemplates');
+
+  try {
+    const templates = readScheduleTemplates(getScheduleTemplatesSheet()).map(t => t.template);
+    Performance.end('getScheduleTemplates');
+    return { success: true, templates: templates };
+  } catch (error) {
+    Performance.end('getScheduleTemplates');
+    return ErrorHandler.createErrorResponse(error, 'getScheduleTemplates');
+  }
+}
+
+/**
+ * Create or update a template. Templates without an id are created.
+ *
+ * @param {Object} template - { id?, name, crew, recurrence? }
+ *   recurrence: { daysOfWeek: [0-6], intervalWeeks, startDate, endDate?, skipDates: [] }
+ * @returns {Object} { success, template }
+ */
+function saveScheduleTemplate(template) {
+  Performance.start('saveScheduleTemplate');
+
+  try {
+    const name = Validator.sanitizeString(String((template && template.name) || ''));
+    if (!name) {
+      return ErrorHandler.createErrorResponse(new Error('Template name is required'), 'saveScheduleTemplate');
+    }
+    if (!template.crew || typeof template.crew !== 'object') {
+      return ErrorHandler.createErrorResponse(new Error('Template crew is required'), 'saveScheduleTemplate');
+    }
+
+    let recurrence = null;
+    if (template.recurrence) {
+      recurrence = normalizeRecurrence(template.recurrence);
+      if (!recurrence) {
+        return ErrorHandler.createErrorResponse(new Error('Recurrence needs at least one weekday and a yyyy-MM-dd start date'), 'saveScheduleTemplate');
+      }
+    }
+
+    const record = {
+      id: template.id ? String(template.id) : Utilities.getUuid(),
+      name: name,
+      crew: template.crew,
+      recurrence: recurrence
+    };
+    const payload = JSON.stringify({ crew: record.crew, recurrence: record.recurrence });
+    if (payload.length > 45000) {
+      return ErrorHandler.createErrorResponse(new Error('Template is too large to save'), 'saveScheduleTemplate');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const now = new Date();
+    const row = [record.id, record.name, payload, now, user];
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getScheduleTemplatesSheet();
+      const existing = readScheduleTemplates(sheet).filter(t => t.template.id === record.id)[0];
+
+      if (existing) {
+        sheet.getRange(existing.row, 1, 1, 5).setValues([row]);
+      } else {
+        sheet.appendRow(row);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    record.updatedAt = now.toISOString();
+    record.updatedBy = user;
+
+    Performance.end('saveScheduleTemplate');
+    return { success: true, template: record };
+
+  } catch (error) {
+    Performance.end('saveScheduleTemplate');
+    return ErrorHandler.createErrorResponse(error, 'saveScheduleTemplate');
+  }
+}
+
+/**
+ * Delete a template. Occurrences already edited on a day stay on that day;
+ * untouched ones disappear the next time the day is read.
+ *
+ * @param {string} id - Template ID
+ * @returns {Object} { success }
+ */
+function deleteScheduleTemplate(id) {
+  Performance.start('deleteScheduleTemplate');
+
+  try {
+    const templateId = String(id || '').trim();
+    if (!templateId) {
+      return ErrorHandler.createErrorResponse(new Error('Template ID is required'), 'deleteScheduleTemplate');
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getScheduleTemplatesSheet();
+      const existing = readScheduleTemplates(sheet).filter(t => t.template.id === templateId)[0];
+      if (!existing) {
+        Performance.end('deleteScheduleTemplate');
+        return ErrorHandler.createErrorResponse(new Error('Template not found'), 'deleteScheduleTemplate');
+      }
+      sheet.deleteRow(existing.row);
+    } finally {
+      lock.releaseLock();
+    }
+
+    Performance.end('deleteScheduleTemplate');
+    return { success: true };
+
+  } catch (error) {
+    Performance.end('deleteScheduleTemplate');
+    return ErrorHandler.createErrorResponse(error, 'deleteScheduleTemplate');
+  }
+}
+
+/**
+ * Helper: open (or create) the schedule templates sheet.
+ */
+function getScheduleTemplatesSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.CREW_SCHEDULE_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.SCHEDULE_TEMPLATES_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.SCHEDULE_TEMPLATES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 5).setValues([['ID', 'Name', 'Template JSON', 'Updated At', 'Updated By']]);
+    sheet.getRange(1, 1, 1, 5).setFontWeight('bold').setBackground('#673AB7').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read all templates.
+ * @returns {Array} [{ row (1-based), template }]
+ */
+function readScheduleTemplates(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const templates = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][0]) continue;
+
+    let body = {};
+    try {
+      body = JSON.parse(data[i][2] || '{}');
+    } catch (e) {
+      Logger.log('Unreadable template JSON in row ' + (i + 1) + ': ' + e.toString());
+      continue;
+    }
+
+    templates.push({
+      row: i + 1,
+      template: {
+        id: String(data[i][0]),
+        name: String(data[i][1] || ''),
+        crew: body.crew || {},
+        recurrence: body.recurrence || null,
+        updatedAt: data[i][3] instanceof Date ? data[i][3].toISOString() : String(data[i][3] || ''),
+        updatedBy: String(data[i][4] || '')
+      }
+    });
+  }
+
+  return templates;
+}
+
+/**
+ * Helper: templates that have a recurrence. A templates sheet that can't be
+ * read leaves days without their recurring crews rather than failing the read.
+ */
+function readRecurringTemplates() {
+  try {
+    return readScheduleTemplates(getScheduleTemplatesSheet()).map(t => t.template).filter(t => t.recurrence);
+  } catch (e) {
+    Logger.log('Could not read schedule templates: ' + e.toString());
+    return [];
+  }
+}
+
+/**
+ * Helper: does a recurrence rule land on a day? Weeks are counted from the
+ * Sunday of the start week (same rule as crew-scheduler.html occursOn).
+ */
+function scheduleOccursOn(rule, dateKey) {
+  if (!rule || dateKey < rule.startDate || (rule.endDate && dateKey > rule.endDate)) return false;
+  if ((rule.skipDates || []).indexOf(dateKey) !== -1) return false;
+
+  const date = new Date(dateKey + 'T00:00:00Z');
+  if (rule.daysOfWeek.indexOf(date.getUTCDay()) === -1) return false;
+
+  const start = new Date(rule.startDate + 'T00:00:00Z');
+  start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+  const weeks = Math.floor((date - start) / (7 * 86400000));
+  return weeks % (rule.intervalWeeks || 1) === 0;
+}
+
+/**
+ * Helper: bring a day's crews in line with the recurring templates, the
+ * server-side twin of the scheduler's applyRecurrences. Occurrences edited
+ * for the day (overridden) win; untouched ones are refreshed from their
+ * template or dropped when the series no longer lands on the day; missing
+ * ones are added with an ID that stays the same on every read.
+ * @returns {Array} Crews for the day
+ */
+function expandScheduleRecurrences(dateKey, crews, templates) {
+  const fromTemplate = template => {
+    const crew = template.crew || {};
+    return {
+      name: crew.name || template.name,
+      members: (crew.members || []).slice(),
+      trucks: (crew.trucks || []).slice(),
+      equipment: (crew.equipment || []).slice(),
+      jobs: (crew.jobs || []).slice(),
+      salesmen: (crew.salesmen || []).slice()
+    };
+  };
+  const result = [];
+
+  crews.forEach(crew => {
+    if (!crew.templateId || crew.overridden) {
+      result.push(crew);
+      return;
+    }
+    const template = templates.find(t => t.id === crew.templateId);
+    if (!template || !scheduleOccursOn(template.recurrence, dateKey)) return;
+    result.push(Object.assign({}, crew, fromTemplate(template)));
+  });
+
+  templates.forEach(template => {
+    if (!scheduleOccursOn(template.recurrence, dateKey)) return;
+    if (result.some(c => c.templateId === template.id)) return;
+    result.push(Object.assign({ id: occurrenceCrewId(template.id, dateKey) }, fromTemplate(template), {
+      templateId: template.id,
+      overridden: false
+    }));
+  });
+
+  return result;
+}
+
+/**
+ * Helper: numeric crew ID for an occurrence that hasn't been saved yet. The
+ * scheduler's own IDs are Date.now() values, far above this range.
+ */
+function occurrenceCrewId(templateId, dateKey) {
+  const text = templateId + '|' + dateKey;
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) || 1;
+}
+
+/**
+ * Helper: validate a recurrence rule.
+ * @returns {Object|null} Clean rule, or null if it is unusable
+ */
+function normalizeRecurrence(rule) {
+  const daysOfWeek = (Array.isArray(rule.daysOfWeek) ? rule.daysOfWeek : [])
+    .map(Number)
+    .filter(d => d >= 0 && d <= 6);
+  const startDate = normalizeDateKey(rule.startDate);
+  if (daysOfWeek.length === 0 || !startDate) return null;
+
+  const endDate = rule.endDate ? normalizeDateKey(rule.endDate) : null;
+  return {
+    daysOfWeek: daysOfWeek.filter((d, i) => daysOfWeek.indexOf(d) === i).sort(),
+    intervalWeeks: Math.min(8, Math.max(1, Validator.sanitizeNumber(rule.intervalWeeks, 1))),
+    startDate: startDate,
+    endDate: endDate && endDate >= startDate ? endDate : null,
+    skipDates: (Array.isArray(rule.skipDates) ? rule.skipDates : []).map(normalizeDateKey).filter(Boolean)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📦 STOCK RESERVATIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+const RESERVATION_STATUS = {
+  RESERVED: 'RESERVED',
+  CONSUMED: 'CONSUMED',
+  RELEASED: 'RELEASED'
+};
+const RESERVATION_HEADERS = ['Reservation ID', 'WO Number', 'Line #', 'Item', 'Quantity', 'Unit', 'Status', 'Created At', 'Updated At', 'Updated By'];
+
+/**
+ * List stock reservations, optionally for one work order.
+ * @param {string} woNumber - Optional WO number filter
+ * @returns {Object} { success, reservations, count }
+ */
+function getReservations(woNumber) {
+  Performance.start('getReservations');
+
+  try {
+    const filter = String(woNumber || '').trim();
+    const reservations = readReservations(getReservationsSheet())
+      .map(r => r.reservation)
+      .filter(r => !filter || r.woNumber === filter);
+
+    Performance.end('getReservations');
+    return { success: true, reservations: reservations, count: reservations.length };
+
+  } catch (error) {
+    Performance.end('getReservations');
+    return ErrorHandler.createErrorResponse(error, 'getReservations');
+  }
+}
+
+/**
+ * Complete (or reopen) a work order line item. Completing converts its
+ * reservation into a real subtraction; reopening puts consumed stock back and
+ * re-reserves it. A released reservation is re-reserved on reopen without
+ * touching Qty, since nothing was taken out. Stock changes are written to the
+ * Transaction Log.
+ * @param {Object} data - { woNumber, lineNumber, done }
+ * @returns {Object} { success, reservation, message }
+ */
+function completeLineItem(data) {
+  Performance.start('completeLineItem');
+
+  const lock = LockService.getScriptLock();
+  try {
+    const woNumber = String((data && data.woNumber) || '').trim();
+    const lineNumber = String((data && data.lineNumber) || '').trim();
+    const done = !!(data && data.done);
+
+    if (!woNumber || !lineNumber) {
+      return ErrorHandler.createErrorResponse(new Error('WO number and line number are required'), 'completeLineItem');
+    }
+
+    lock.waitLock(10000);
+
+    const sheet = getReservationsSheet();
+    const match = readReservations(sheet).find(r =>
+      r.reservation.woNumber === woNumber && r.reservation.lineNumber === lineNumber);
+
+    // Line items that never matched an inventory item have nothing to convert
+    if (!match) {
+      Performance.end('completeLineItem');
+      return { success: true, reservation: null, message: 'No stock reserved for this line item' };
+    }
+
+    const reservation = match.reservation;
+    const targetStatus = done ? RESERVATION_STATUS.CONSUMED : RESERVATION_STATUS.RESERVED;
+    if (reservation.status === targetStatus) {
+      Performance.end('completeLineItem');
+      return { success: true, reservation: reservation, message: 'Already ' + targetStatus.toLowerCase() };
+    }
+
+    const inventorySheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const label = `WO #${woNumber} line ${lineNumber}`;
+    let result;
+
+    if (done) {
+      result = subtractInventory(inventorySheet, {
+        itemName: reservation.item,
+        quantity: reservation.quantity,
+        unit: reservation.unit,
+        reason: `${label} completed`,
+        fromReservation: reservation.status === RESERVATION_STATUS.RESERVED ? reservation.quantity : 0
+      });
+    } else if (reservation.status === RESERVATION_STATUS.CONSUMED) {
+      result = restockReservation(inventorySheet, reservation, `${label} reopened`);
+    } else {
+      result = rereserveStock(inventorySheet, reservation);
+    }
+
+    if (!result.success) {
+      Performance.end('completeLineItem');
+      return ErrorHandler.createErrorResponse(new Error(result.message), 'completeLineItem');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    sheet.getRange(match.row, 7).setValue(targetStatus);
+    sheet.getRange(match.row, 9, 1, 2).setValues([[new Date(), user]]);
+    reservation.status = targetStatus;
+
+    CacheService.getScriptCache().removeAll([]);
+    logActivity(done ? 'RESERVATION_CONSUMED' : 'RESERVATION_RESTORED', reservation.item,
+      `${label}: ${reservation.quantity} ${reservation.unit}`);
+
+    Performance.end('completeLineItem');
+    return { success: true, reservation: reservation, message: result.message };
+
+  } catch (error) {
+    Performance.end('completeLineItem');
+    return ErrorHandler.createErrorResponse(error, 'completeLineItem');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Reserve stock by hand (e.g. from a chat inventory card) against a work order.
+ * @param {Object} data - { item, quantity, unit?, woNumber }
+ * @returns {Object} { success, reservation, available }
+ */
+function reserveStock(data) {
+  Performance.start('reserveStock');
+
+  const lock = LockService.getScriptLock();
+  try {
+    const itemName = Validator.sanitizeString(String((data && data.item) || ''));
+    const woNumber = Validator.sanitizeString(String((data && data.woNumber) || ''));
+    const requested = parseFloat(data && data.quantity) || 0;
+
+    if (!itemName || !woNumber) {
+      return ErrorHandler.createErrorResponse(new Error('Item and WO number are required'), 'reserveStock');
+    }
+    if (requested <= 0) {
+      return ErrorHandler.createErrorResponse(new Error('Quantity must be greater than zero'), 'reserveStock');
+    }
+
+    lock.waitLock(10000);
+
+    const inventory = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME)
+      .getDataRange().getValues();
+    const itemRow = findInventoryRowByName(inventory, itemName);
+    if (itemRow < 0) {
+      return ErrorHandler.createErrorResponse(new Error(`Item "${itemName}" not found in inventory`), 'reserveStock');
+    }
+
+    const item = String(inventory[itemRow][0]).trim();
+    const unit = String(inventory[itemRow][2] || '');
+    const converted = data.unit ? convertQuantity(requested, data.unit, unit, item) : requested;
+    if (converted === null) {
+      return ErrorHandler.createErrorResponse(new Error(`Can't convert ${data.unit} to ${unit} for ${item}`), 'reserveStock');
+    }
+
+    const quantity = roundQuantityForUnit(converted, unit);
+    const available = (parseInt(inventory[itemRow][1]) || 0) - (getReservedTotals()[item.toLowerCase()] || 0);
+    if (quantity > available) {
+      return ErrorHandler.createErrorResponse(new Error(`Only ${available} ${unit} of ${item} available`), 'reserveStock');
+    }
+
+    const now = new Date();
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const reservation = {
+      id: Utilities.getUuid(),
+      woNumber: woNumber,
+      lineNumber: 'manual',
+      item: item,
+      quantity: quantity,
+      unit: unit,
+      status: RESERVATION_STATUS.RESERVED,
+      updatedAt: now.toISOString()
+    };
+
+    getReservationsSheet().appendRow([reservation.id, woNumber, reservation.lineNumber, item, quantity, unit, reservation.status, now, now, user]);
+    CacheService.getScriptCache().removeAll([]);
+    logActivity('STOCK_RESERVED', 'WO #' + woNumber, `${quantity} ${unit} ${item}`);
+
+    Performance.end('reserveStock');
+    return { success: true, reservation: reservation, available: available - quantity };
+
+  } catch (error) {
+    Performance.end('reserveStock');
+    return ErrorHandler.createErrorResponse(error, 'reserveStock');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Release an outstanding reservation without using the stock.
+ * @param {string} id - Reservation ID
+ * @returns {Object} { success, reservation }
+ */
+function releaseReservation(id) {
+  Performance.start('releaseReservation');
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(10000);
+
+    const sheet = getReservationsSheet();
+    const match = readReservations(sheet).find(r => r.reservation.id === String(id || '').trim());
+    if (!match) {
+      return ErrorHandler.createErrorResponse(new Error('Reservation not found'), 'releaseReservation');
+    }
+    if (match.reservation.status !== RESERVATION_STATUS.RESERVED) {
+      return ErrorHandler.createErrorResponse(new Error('Only outstanding reservations can be released'), 'releaseReservation');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    sheet.getRange(match.row, 7).setValue(RESERVATION_STATUS.RELEASED);
+    sheet.getRange(match.row, 9, 1, 2).setValues([[new Date(), user]]);
+    match.reservation.status = RESERVATION_STATUS.RELEASED;
+
+    CacheService.getScriptCache().removeAll([]);
+    logActivity('RESERVATION_RELEASED', match.reservation.item,
+      `WO #${match.reservation.woNumber}: ${match.reservation.quantity} ${match.reservation.unit}`);
+
+    Performance.end('releaseReservation');
+    return { success: true, reservation: match.reservation };
+
+  } catch (error) {
+    Performance.end('releaseReservation');
+    return ErrorHandler.createErrorResponse(error, 'releaseReservation');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Helper: reserve inventory for freshly written line items. Items are matched
+ * to inventory by name (ignoring case and plurals) and quantities converted to
+ * the item's stocking unit; lines that already hold a reservation are left
+ * alone so re-importing a work order does not double up. Like reserveStock, a
+ * line is only reserved if it fits in the unreserved stock.
+ * @param {string} woNumber - Work order the lines belong to
+ * @param {Array} rows - Line Items rows as written by writeLineItems
+ * @returns {Object} { reserved: [{ lineNumber, item, quantity, unit }], unmatched: [name],
+ *   short: [{ lineNumber, item, quantity, available, unit }] }
+ */
+function reserveLineItemStock(woNumber, rows) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+
+  try {
+    const inventorySheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const inventory = inventorySheet.getDataRange().getValues();
+    const sheet = getReservationsSheet();
+    const existing = readReservations(sheet).map(r => r.reservation.woNumber + '|' + r.reservation.lineNumber);
+    const reservedTotals = getReservedTotals();
+    const conversions = readUnitConversions();
+
+    const now = new Date();
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const reserved = [];
+    const unmatched = [];
+    const short = [];
+    const newRows = [];
+
+    rows.forEach(row => {
+      const lineNumber = String(row[1]);
+      const name = String(row[2] || '').trim();
+      const quantity = parseFloat(row[4]) || 0;
+      if (!name || quantity <= 0 || existing.indexOf(woNumber + '|' + lineNumber) >= 0) return;
+
+      const itemRow = findInventoryRowByName(inventory, name);
+      if (itemRow < 0) {
+        unmatched.push(name);
+        return;
+      }
+
+      // Reserve in the unit the item is stocked in ("6 Yards" of mulch stocked in bags → 81 bags)
+      const item = String(inventory[itemRow][0]).trim();
+      const lineUnit = String(row[5] || '').trim();
+      const unit = String(inventory[itemRow][2] || lineUnit);
+      const converted = lineUnit ? convertQuantity(quantity, lineUnit, unit, item, conversions) : quantity;
+      if (converted === null) {
+        unmatched.push(`${name} (${lineUnit} → ${unit})`);
+        return;
+      }
+
+      const stockQuantity = roundQuantityForUnit(converted, unit);
+      const key = item.toLowerCase();
+      const available = (parseInt(inventory[itemRow][1]) || 0) - (reservedTotals[key] || 0);
+      if (stockQuantity > available) {
+        short.push({ lineNumber: lineNumber, item: item, quantity: stockQuantity, available: Math.max(0, available), unit: unit });
+        return;
+      }
+
+      reservedTotals[key] = (reservedTotals[key] || 0) + stockQuantity;
+      newRows.push([Utilities.getUuid(), woNumber, lineNumber, item, stockQuantity, unit, RESERVATION_STATUS.RESERVED, now, now, user]);
+      reserved.push({ lineNumber: lineNumber, item: item, quantity: stockQuantity, unit: unit });
+    });
+
+    if (newRows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, RESERVATION_HEADERS.length).setValues(newRows);
+      CacheService.getScriptCache().removeAll([]);
+      logActivity('STOCK_RESERVED', 'WO #' + woNumber, reserved.map(r => `${r.quantity} ${r.unit} ${r.item}`).join(', '));
+    }
+
+    return { reserved: reserved, unmatched: unmatched, short: short };
+
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Helper: total outstanding (not yet consumed) reservations per item.
+ * @returns {Object} Map of lower-cased item name → reserved quantity
+ */
+function getReservedTotals() {
+  const totals = {};
+  readReservations(getReservationsSheet()).forEach(r => {
+    if (r.reservation.status !== RESERVATION_STATUS.RESERVED) return;
+    const key = r.reservation.item.toLowerCase();
+    totals[key] = (totals[key] || 0) + r.reservation.quantity;
+  });
+  return totals;
+}
+
+/**
+ * Helper: hold a released reservation again when its line item is reopened.
+ * Qty is left alone; the reservation just has to fit in what's still free.
+ */
+function rereserveStock(inventorySheet, reservation) {
+  const allData = inventorySheet.getDataRange().getValues();
+  const itemRow = findInventoryRowByName(allData, reservation.item);
+  if (itemRow < 0) {
+    return { success: false, message: `❌ Item "${reservation.item}" not found in inventory.` };
+  }
+
+  const available = (parseInt(allData[itemRow][1]) || 0) - (getReservedTotals()[reservation.item.toLowerCase()] || 0);
+  if (reservation.quantity > available) {
+    return {
+      success: false,
+      message: `❌ Cannot re-reserve ${reservation.quantity} ${reservation.unit} of ${reservation.item}. Only ${Math.max(0, available)} ${reservation.unit} available.`
+    };
+  }
+
+  return { success: true, message: `✅ Reserved ${reservation.quantity} ${reservation.unit} of ${reservation.item} again.` };
+}
+
+/**
+ * Helper: put consumed stock back when a completed line item is reopened.
+ */
+function restockReservation(inventorySheet, reservation, reason) {
+  const allData = inventorySheet.getDataRange().getValues();
+  const itemRow = findInventoryRowByName(allData, reservation.item);
+  if (itemRow < 0) {
+    return { success: false, message: `❌ Item "${reservation.item}" not found in inventory.` };
+  }
+
+  const before = snapshotInventoryRow(inventorySheet, itemRow, allData[itemRow]);
+  const newQty = (parseInt(allData[itemRow][1]) || 0) + reservation.quantity;
+  inventorySheet.getRange(itemRow + 1, 2).setValue(newQty);
+
+  logTransaction(inventorySheet, {
+    timestamp: new Date(),
+    action: "RESTOCK",
+    item: reservation.item,
+    quantity: reservation.quantity,
+    unit: reservation.unit,
+    newTotal: newQty,
+    notes: `Reason: ${reason}`,
+    before: before,
+    after: snapshotInventoryRow(inventorySheet, itemRow)
+  });
+
+  return {
+    success: true,
+    message: `✅ Returned ${reservation.quantity} ${reservation.unit} of ${reservation.item} to stock. New total: ${newQty} ${reservation.unit}`
+  };
+}
+
+/**
+ * Helper: find an inventory row by item name, ignoring case and plurals.
+ * @param {Array} data - Inventory sheet values (header in row 0)
+ * @returns {number} 0-based row index, or -1
+ */
+function findInventoryRowByName(data, name) {
+  const nameLower = String(name || '').toLowerCase().trim();
+  const normalized = normalizePlural(nameLower);
+  let pluralMatch = -1;
+
+  for (let i = 1; i < data.length; i++) {
+    const itemLower = String(data[i][0] || '').toLowerCase().trim();
+    if (!itemLower) continue;
+    if (itemLower === nameLower) return i;
+    if (pluralMatch < 0 && normalizePlural(itemLower) === normalized) pluralMatch = i;
+  }
+
+  return pluralMatch;
+}
+
+/**
+ * Helper: open (or create) the stock reservations sheet.
+ */
+function getReservationsSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.RESERVATIONS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.RESERVATIONS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RESERVATION_HEADERS.length).setValues([RESERVATION_HEADERS]);
+    sheet.getRange(1, 1, 1, RESERVATION_HEADERS.length).setFontWeight('bold').setBackground('#4CAF50').setFontColor('white');
+    sheet.getRange('B:C').setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read all reservations.
+ * @returns {Array} [{ row (1-based), reservation }]
+ */
+function readReservations(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const reservations = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][0] || !data[i][3]) continue;
+
+    reservations.push({
+      row: i + 1,
+      reservation: {
+        id: String(data[i][0]),
+        woNumber: String(data[i][1]).trim(),
+        lineNumber: String(data[i][2]).trim(),
+        item: String(data[i][3]).trim(),
+        quantity: parseFloat(data[i][4]) || 0,
+        unit: String(data[i][5] || ''),
+        status: String(data[i][6] || RESERVATION_STATUS.RESERVED),
+        updatedAt: data[i][8] instanceof Date ? data[i][8].toISOString() : String(data[i][8] || '')
+      }
+    });
+  }
+
+  return reservations;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🧾 PURCHASING: VENDORS, REORDER SUGGESTIONS & PURCHASE ORDERS
+// ═══════════════════════════════════════════════════════════════════════
+
+const PO_STATUS = {
+  DRAFT: 'DRAFT',
+  ORDERED: 'ORDERED',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED',
+  CANCELLED: 'CANCELLED'
+};
+const VENDOR_HEADERS = ['Vendor', 'Contact', 'Email', 'Phone', 'Lead Time (days)', 'Notes', 'Updated At'];
+const PO_HEADERS = ['PO Number', 'Vendor', 'Status', 'Items JSON', 'Total', 'Expected Date', 'Notes', 'Created At', 'Created By', 'Received At', 'Received By'];
+
+/**
+ * Get all vendors.
+ * @returns {Object} { success, vendors }
+ */
+function getVendors() {
+  Performance.start('getVendors');
+
+  try {
+    const vendors = readVendors(getVendorsSheet()).map(v => v.vendor);
+
+    Performance.end('getVendors');
+    return { success: true, vendors: vendors };
+
+  } catch (error) {
+    Performance.end('getVendors');
+    return ErrorHandler.createErrorResponse(error, 'getVendors');
+  }
+}
+
+/**
+ * Create or update a vendor (matched by name).
+ * @param {Object} vendor - { name, contact?, email?, phone?, leadTimeDays?, notes? }
+ * @returns {Object} { success, vendor }
+ */
+function saveVendor(vendor) {
+  Performance.start('saveVendor');
+
+  try {
+    const name = Validator.sanitizeString(String((vendor && vendor.name) || ''));
+    if (!name) {
+      return ErrorHandler.createErrorResponse(new Error('Vendor name is required'), 'saveVendor');
+    }
+
+    const record = {
+      name: name,
+      contact: Validator.sanitizeString(String(vendor.contact || '')),
+      email: Validator.sanitizeString(String(vendor.email || '')),
+      phone: Validator.sanitizeString(String(vendor.phone || '')),
+      leadTimeDays: Math.max(0, Validator.sanitizeNumber(vendor.leadTimeDays, CONFIG.DEFAULT_LEAD_TIME_DAYS)),
+      notes: Validator.sanitizeString(String(vendor.notes || ''))
+    };
+    const row = [record.name, record.contact, record.email, record.phone, record.leadTimeDays, record.notes, new Date()];
+
+    const sheet = getVendorsSheet();
+    const existing = readVendors(sheet).find(v => v.vendor.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      sheet.getRange(existing.row, 1, 1, VENDOR_HEADERS.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+    }
+
+    logActivity(existing ? 'VENDOR_UPDATED' : 'VENDOR_ADDED', name, record.leadTimeDays + ' day lead time');
+
+    Performance.end('saveVendor');
+    return { success: true, vendor: record };
+
+  } catch (error) {
+    Performance.end('saveVendor');
+    return ErrorHandler.createErrorResponse(error, 'saveVendor');
+  }
+}
+
+/**
+ * Set the preferred vendor and lead time for an inventory item. The values
+ * live in optional "Preferred Vendor" / "Lead Time (days)" columns on the
+ * inventory sheet, which are added the first time they are needed.
+ * @param {Object} data - { item, vendor, leadTimeDays? }
+ * @returns {Object} { success, item, vendor, leadTimeDays }
+ */
+function setItemVendor(data) {
+  Performance.start('setItemVendor');
+
+  try {
+    const itemName = Validator.sanitizeString(String((data && data.item) || ''));
+    const vendorName = Validator.sanitizeString(String((data && data.vendor) || ''));
+    if (!itemName) {
+      return ErrorHandler.createErrorResponse(new Error('Item is required'), 'setItemVendor');
+    }
+
+    const sheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const allData = sheet.getDataRange().getValues();
+    const itemRow = findInventoryRowByName(allData, itemName);
+    if (itemRow < 0) {
+      return ErrorHandler.createErrorResponse(new Error(`Item "${itemName}" not found in inventory`), 'setItemVendor');
+    }
+
+    const cols = ensurePurchasingColumns(sheet);
+    const leadTime = data.leadTimeDays === undefined || data.leadTimeDays === null || data.leadTimeDays === ''
+      ? ''
+      : Math.max(0, Validator.sanitizeNumber(data.leadTimeDays, CONFIG.DEFAULT_LEAD_TIME_DAYS));
+
+    const before = snapshotInventoryRow(sheet, itemRow);
+    sheet.getRange(itemRow + 1, cols.vendorCol + 1).setValue(vendorName);
+    sheet.getRange(itemRow + 1, cols.leadTimeCol + 1).setValue(leadTime);
+
+    const item = String(allData[itemRow][0]).trim();
+    logTransaction(sheet, {
+      timestamp: new Date(),
+      action: "UPDATE",
+      item: item,
+      quantity: allData[itemRow][1],
+      unit: allData[itemRow][2],
+      newTotal: allData[itemRow][1],
+      notes: `Preferred vendor set to "${vendorName || 'none'}"` + (leadTime !== '' ? `, ${leadTime} day lead time` : ''),
+      before: before,
+      after: snapshotInventoryRow(sheet, itemRow)
+    });
+    logActivity('ITEM_VENDOR', item, (vendorName || 'No vendor') + (leadTime !== '' ? ', ' + leadTime + ' day lead time' : ''));
+
+    Performance.end('setItemVendor');
+    return { success: true, item: item, vendor: vendorName, leadTimeDays: leadTime === '' ? null : leadTime };
+
+  } catch (error) {
+    Performance.end('setItemVendor');
+    return ErrorHandler.createErrorResponse(error, 'setItemVendor');
+  }
+}
+
+/**
+ * Suggest what to reorder. Every item at or below its Min Stock (after
+ * reservations) gets a suggested quantity that covers its lead time plus
+ * CONFIG.REORDER_COVER_DAYS at the consumption rate seen in the Transaction Log,
+ * topped back up to Min Stock. Suggestions are grouped by preferred vendor.
+ * @returns {Object} { success, suggestions, byVendor, lookbackDays }
+ */
+function getReorderSuggestions() {
+  Performance.start('getReorderSuggestions');
+
+  try {
+    const sheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const data = sheet.getDataRange().getValues();
+    const hdrs = data[0].map(h => String(h).toLowerCase().trim());
+    const vendorCol = hdrs.indexOf('preferred vendor');
+    const leadTimeCol = hdrs.indexOf('lead time (days)');
+    const costCol = hdrs.indexOf('wholesale cost');
+
+    const vendorLeadTimes = {};
+    readVendors(getVendorsSheet()).forEach(v => { vendorLeadTimes[v.vendor.name.toLowerCase()] = v.vendor.leadTimeDays; });
+
+    let reservedTotals = {};
+    try {
+      reservedTotals = getReservedTotals();
+    } catch (reserveError) {
+      Logger.log('Could not read reservations: ' + reserveError.toString());
+    }
+
+    const lookbackDays = CONFIG.REORDER_LOOKBACK_DAYS;
+    const usage = getConsumptionByItem(lookbackDays);
+    const suggestions = [];
+
+    for (let i = 1; i < data.length; i++) {
+      const item = String(data[i][0] || '').trim();
+      if (!item) continue;
+
+      const quantity = parseInt(data[i][1]) || 0;
+      const minStock = parseInt(data[i][5]) || 10;
+      const reserved = reservedTotals[item.toLowerCase()] || 0;
+      const available = quantity - reserved;
+      if (available > minStock) continue;
+
+      const vendor = vendorCol >= 0 ? String(data[i][vendorCol] || '').trim() : '';
+      const itemLeadTime = leadTimeCol >= 0 && data[i][leadTimeCol] !== '' ? parseInt(data[i][leadTimeCol]) : NaN;
+      const leadTimeDays = !isNaN(itemLeadTime)
+        ? itemLeadTime
+        : (vendorLeadTimes[vendor.toLowerCase()] !== undefined ? vendorLeadTimes[vendor.toLowerCase()] : CONFIG.DEFAULT_LEAD_TIME_DAYS);
+
+      const dailyUsage = (usage[item.toLowerCase()] || 0) / lookbackDays;
+      const target = minStock + dailyUsage * (leadTimeDays + CONFIG.REORDER_COVER_DAYS);
+      const suggestedQuantity = Math.max(0, Math.ceil(target - available));
+      if (suggestedQuantity === 0) continue;
+
+      suggestions.push({
+        item: item,
+        unit: String(data[i][2] || ''),
+        quantity: quantity,
+        reserved: reserved,
+        available: available,
+        minStock: minStock,
+        vendor: vendor,
+        leadTimeDays: leadTimeDays,
+        dailyUsage: Math.round(dailyUsage * 100) / 100,
+        suggestedQuantity: suggestedQuantity,
+        unitCost: costCol >= 0 ? (parseFloat(data[i][costCol]) || null) : null,
+        needsOrdering: available < minStock * 0.5
+      });
+    }
+
+    suggestions.sort((a, b) => (a.available / a.minStock) - (b.available / b.minStock));
+
+    const byVendor = {};
+    suggestions.forEach(s => {
+      const key = s.vendor || 'Unassigned';
+      (byVendor[key] = byVendor[key] || []).push(s);
+    });
+
+    Performance.end('getReorderSuggestions');
+    return { success: true, suggestions: suggestions, byVendor: byVendor, lookbackDays: lookbackDays };
+
+  } catch (error) {
+    Performance.end('getReorderSuggestions');
+    return ErrorHandler.createErrorResponse(error, 'getReorderSuggestions');
+  }
+}
+
+/**
+ * Draft a purchase order as a single row on the Purchase Orders sheet.
+ * @param {Object} data - { vendor, items: [{ item, quantity, unit?, unitCost? }], notes?, expectedDate? }
+ * @returns {Object} { success, purchaseOrder }
+ */
+function createPurchaseOrder(data) {
+  Performance.start('createPurchaseOrder');
+
+  const lock = LockService.getScriptLock();
+  try {
+    const vendor = Validator.sanitizeString(String((data && data.vendor) || ''));
+    const items = (Array.isArray(data && data.items) ? data.items : [])
+      .map(i => ({
+        item: Validator.sanitizeString(String(i.item || '')),
+        quantity: parseFloat(i.quantity) || 0,
+        unit: Validator.sanitizeString(String(i.unit || '')),
+        unitCost: parseFloat(i.unitCost) || 0
+      }))
+      .filter(i => i.item && i.quantity > 0);
+
+    if (!vendor) {
+      return ErrorHandler.createErrorResponse(new Error('Vendor is required'), 'createPurchaseOrder');
+    }
+    if (items.length === 0) {
+      return ErrorHandler.createErrorResponse(new Error('At least one item with a quantity is required'), 'createPurchaseOrder');
+    }
+
+    let expectedDate = data.expectedDate ? normalizeDateKey(data.expectedDate) : null;
+    if (!expectedDate) {
+      const vendorRecord = readVendors(getVendorsSheet()).find(v => v.vendor.name.toLowerCase() === vendor.toLowerCase());
+      const leadTime = vendorRecord ? vendorRecord.vendor.leadTimeDays : CONFIG.DEFAULT_LEAD_TIME_DAYS;
+      expectedDate = shiftDateKey(normalizeDateKey(new Date()), leadTime);
+    }
+
+    lock.waitLock(10000);
+
+    const sheet = getPurchaseOrdersSheet();
+    const now = new Date();
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const total = Math.round(items.reduce((sum, i) => sum + i.quantity * i.unitCost, 0) * 100) / 100;
+    const purchaseOrder = {
+      poNumber: nextPurchaseOrderNumber(sheet, now),
+      vendor: vendor,
+      status: PO_STATUS.DRAFT,
+      items: items,
+      total: total,
+      expectedDate: expectedDate,
+      notes: Validator.sanitizeString(String(data.notes || '')),
+      createdAt: now.toISOString(),
+      createdBy: user
+    };
+
+    sheet.appendRow([
+      purchaseOrder.poNumber, vendor, purchaseOrder.status, JSON.stringify(items), total,
+      expectedDate, purchaseOrder.notes, now, user, '', ''
+    ]);
+    logActivity('PO_DRAFTED', purchaseOrder.poNumber, vendor + ' — ' + items.length + ' item(s), $' + total);
+
+    Performance.end('createPurchaseOrder');
+    return { success: true, purchaseOrder: purchaseOrder };
+
+  } catch (error) {
+    Performance.end('createPurchaseOrder');
+    return ErrorHandler.createErrorResponse(error, 'createPurchaseOrder');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * List purchase orders, newest first.
+ * @param {string} status - Optional status filter (DRAFT, ORDERED, PARTIALLY_RECEIVED, RECEIVED, CANCELLED)
+ * @returns {Object} { success, purchaseOrders }
+ */
+function getPurchaseOrders(status) {
+  Performance.start('getPurchaseOrders');
+
+  try {
+    const filter = String(status || '').trim().toUpperCase();
+    const purchaseOrders = readPurchaseOrders(getPurchaseOrdersSheet())
+      .map(p => p.purchaseOrder)
+      .filter(p => !filter || p.status === filter)
+      .reverse();
+
+    Performance.end('getPurchaseOrders');
+    return { success: true, purchaseOrders: purchaseOrders };
+
+  } catch (error) {
+    Performance.end('getPurchaseOrders');
+    return ErrorHandler.createErrorResponse(error, 'getPurchaseOrders');
+  }
+}
+
+/**
+ * Move a purchase order to ORDERED or CANCELLED.
+ * @param {string} poNumber - PO number from createPurchaseOrder
+ * @param {string} status - ORDERED or CANCELLED
+ * @returns {Object} { success, purchaseOrder }
+ */
+function updatePurchaseOrderStatus(poNumber, status) {
+  Performance.start('updatePurchaseOrderStatus');
+
+  const lock = LockService.getScriptLock();
+  try {
+    const newStatus = String(status || '').trim().toUpperCase();
+    if (newStatus !== PO_STATUS.ORDERED && newStatus !== PO_STATUS.CANCELLED) {
+      return ErrorHandler.createErrorResponse(new Error('Status must be ORDERED or CANCELLED'), 'updatePurchaseOrderStatus');
+    }
+
+    lock.waitLock(10000);
+
+    const sheet = getPurchaseOrdersSheet();
+    const match = readPurchaseOrders(sheet).find(p => p.purchaseOrder.poNumber === String(poNumber || '').trim());
+    if (!match) {
+      return ErrorHandler.createErrorResponse(new Error('Purchase order not found'), 'updatePurchaseOrderStatus');
+    }
+    if (match.purchaseOrder.status === PO_STATUS.RECEIVED || match.purchaseOrder.status === PO_STATUS.CANCELLED) {
+      return ErrorHandler.createErrorResponse(new Error('Purchase order is already ' + match.purchaseOrder.status.toLowerCase()), 'updatePurchaseOrderStatus');
+    }
+    if (match.purchaseOrder.status === PO_STATUS.PARTIALLY_RECEIVED && newStatus === PO_STATUS.ORDERED) {
+      return ErrorHandler.createErrorResponse(new Error('Purchase order is already partially received'), 'updatePurchaseOrderStatus');
+    }
+
+    sheet.getRange(match.row, 3).setValue(newStatus);
+    match.purchaseOrder.status = newStatus;
+    logActivity('PO_' + newStatus, match.purchaseOrder.poNumber, match.purchaseOrder.vendor);
+
+    Performance.end('updatePurchaseOrderStatus');
+    return { success: true, purchaseOrder: match.purchaseOrder };
+
+  } catch (error) {
+    Performance.end('updatePurchaseOrderStatus');
+    return ErrorHandler.createErrorResponse(error, 'updatePurchaseOrderStatus');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Receive a purchase order into inventory. Each line goes through
+ * addInventory, so it is logged in the Transaction Log like any other ADD.
+ * Every line is checked before any stock is written. Each line's running
+ * received quantity is saved on the PO as soon as its stock is added, so a
+ * retry after a failure never adds the same stock twice. The PO is only
+ * stamped RECEIVED once every line is fully in; otherwise it stays
+ * PARTIALLY_RECEIVED and can be received again for the rest. Drafts that
+ * were never ordered can't be received.
+ * @param {string} poNumber - PO number from createPurchaseOrder
+ * @param {Array} received - Optional [{ item, quantity }] when the delivery differs from what is outstanding
+ * @returns {Object} { success, purchaseOrder, results }
+ */
+function receivePurchaseOrder(poNumber, received) {
+  Performance.start('receivePurchaseOrder');
+
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(10000);
+
+    const sheet = getPurchaseOrdersSheet();
+    const match = readPurchaseOrders(sheet).find(p => p.purchaseOrder.poNumber === String(poNumber || '').trim());
+    if (!match) {
+      return ErrorHandler.createErrorResponse(new Error('Purchase order not found'), 'receivePurchaseOrder');
+    }
+
+    const purchaseOrder = match.purchaseOrder;
+    if (purchaseOrder.status === PO_STATUS.RECEIVED || purchaseOrder.status === PO_STATUS.CANCELLED) {
+      return ErrorHandler.createErrorResponse(new Error('Purchase order is already ' + purchaseOrder.status.toLowerCase()), 'receivePurchaseOrder');
+    }
+    if (purchaseOrder.status === PO_STATUS.DRAFT) {
+      return ErrorHandler.createErrorResponse(new Error('Purchase order is still a draft; mark it ordered first'), 'receivePurchaseOrder');
+    }
+
+    const overrides = {};
+    (Array.isArray(received) ? received : []).forEach(r => {
+      overrides[String(r.item || '').toLowerCase()] = parseFloat(r.quantity);
+    });
+
+    // Check every line before writing anything
+    const plan = purchaseOrder.items.map(line => {
+      const alreadyReceived = parseFloat(line.received) || 0;
+      const outstanding = Math.max(0, line.quantity - alreadyReceived);
+      const key = line.item.toLowerCase();
+      const quantity = overrides[key] !== undefined ? overrides[key] : outstanding;
+      return { line: line, quantity: quantity };
+    });
+    const invalid = plan.find(p => !p.line.item || isNaN(p.quantity) || p.quantity < 0);
+    if (invalid) {
+      return ErrorHandler.createErrorResponse(new Error(`Invalid received quantity for "${invalid.line.item || 'unnamed line'}"`), 'receivePurchaseOrder');
+    }
+
+    const inventorySheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    CacheService.getScriptCache().removeAll([]);
+
+    const results = plan.map(p => {
+      const line = p.line;
+      if (p.quantity <= 0) {
+        return { item: line.item, quantity: 0, success: true, message: 'Nothing received', received: parseFloat(line.received) || 0, ordered: line.quantity };
+      }
+
+      const result = addInventory(inventorySheet, { itemName: line.item, quantity: p.quantity, unit: line.unit });
+      if (result.success) {
+        line.received = (parseFloat(line.received) || 0) + p.quantity;
+        sheet.getRange(match.row, 4).setValue(JSON.stringify(purchaseOrder.items));
+      }
+      return { item: line.item, quantity: p.quantity, success: result.success, message: result.message, received: parseFloat(line.received) || 0, ordered: line.quantity };
+    });
+
+    const complete = purchaseOrder.items.every(line => (parseFloat(line.received) || 0) >= line.quantity);
+    const anyReceived = purchaseOrder.items.some(line => (parseFloat(line.received) || 0) > 0);
+    const user = Session.getActiveUser().getEmail() || 'System';
+    const now = new Date();
+
+    if (complete) {
+      sheet.getRange(match.row, 3).setValue(PO_STATUS.RECEIVED);
+      sheet.getRange(match.row, 10, 1, 2).setValues([[now, user]]);
+      purchaseOrder.status = PO_STATUS.RECEIVED;
+      purchaseOrder.receivedAt = now.toISOString();
+      purchaseOrder.receivedBy = user;
+    } else if (anyReceived) {
+      sheet.getRange(match.row, 3).setValue(PO_STATUS.PARTIALLY_RECEIVED);
+      purchaseOrder.status = PO_STATUS.PARTIALLY_RECEIVED;
+    }
+
+    const added = results.filter(r => r.success && r.quantity > 0).length;
+    const failed = results.filter(r => !r.success);
+    logActivity(complete ? 'PO_RECEIVED' : 'PO_PARTIALLY_RECEIVED', purchaseOrder.poNumber,
+      purchaseOrder.vendor + ' — ' + added + ' item(s) received' + (failed.length ? ', ' + failed.length + ' failed' : ''));
+
+    Performance.end('receivePurchaseOrder');
+    return { success: failed.length === 0, purchaseOrder: purchaseOrder, results: results };
+
+  } catch (error) {
+    Performance.end('receivePurchaseOrder');
+    return ErrorHandler.createErrorResponse(error, 'receivePurchaseOrder');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Helper: read the Transaction Log, oldest first.
+ * @param {Date} since - Optional cut-off; earlier rows are skipped
+ * @returns {Array} [{ timestamp (Date), action, item, quantity, unit, newTotal, notes }]
+ */
+function readTransactionLog(since) {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  const logSheet = ss.getSheetByName("Transaction Log");
+  if (!logSheet) return [];
+
+  const data = logSheet.getDataRange().getValues();
+  const transactions = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const timestamp = data[i][0] instanceof Date ? data[i][0] : new Date(data[i][0]);
+    if (isNaN(timestamp.getTime()) || !data[i][2]) continue;
+    if (since && timestamp < since) continue;
+
+    transactions.push({
+      timestamp: timestamp,
+      action: String(data[i][1] || '').toUpperCase(),
+      item: String(data[i][2]).trim(),
+      quantity: parseFloat(data[i][3]) || 0,
+      unit: String(data[i][4] || ''),
+      newTotal: parseFloat(data[i][5]) || 0,
+      notes: String(data[i][6] || '')
+    });
+  }
+
+  return transactions;
+}
+
+/**
+ * Helper: quantity removed per item over the last N days.
+ * @returns {Object} Map of lower-cased item name → total removed
+ */
+function getConsumptionByItem(days) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const usage = {};
+
+  readTransactionLog(since).forEach(t => {
+    if (t.action !== 'REMOVE') return;
+    const key = t.item.toLowerCase();
+    usage[key] = (usage[key] || 0) + t.quantity;
+  });
+
+  return usage;
+}
+
+/**
+ * Helper: make sure the inventory sheet has the purchasing columns.
+ * @returns {Object} { vendorCol, leadTimeCol } (0-based)
+ */
+function ensurePurchasingColumns(sheet) {
+  const lastCol = sheet.getLastColumn();
+  const hdrs = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).toLowerCase().trim());
+  let vendorCol = hdrs.indexOf('preferred vendor');
+  let leadTimeCol = hdrs.indexOf('lead time (days)');
+  let nextCol = lastCol;
+
+  if (vendorCol < 0) {
+    vendorCol = nextCol++;
+    sheet.getRange(1, vendorCol + 1).setValue('Preferred Vendor').setFontWeight('bold');
+  }
+  if (leadTimeCol < 0) {
+    leadTimeCol = nextCol++;
+    sheet.getRange(1, leadTimeCol + 1).setValue('Lead Time (days)').setFontWeight('bold');
+  }
+
+  return { vendorCol: vendorCol, leadTimeCol: leadTimeCol };
+}
+
+/**
+ * Helper: next PO number for the day, e.g. PO-20250314-02.
+ */
+function nextPurchaseOrderNumber(sheet, now) {
+  const prefix = 'PO-' + Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyyMMdd') + '-';
+  const todays = readPurchaseOrders(sheet).filter(p => p.purchaseOrder.poNumber.indexOf(prefix) === 0).length;
+  return prefix + ('0' + (todays + 1)).slice(-2);
+}
+
+/**
+ * Helper: open (or create) the vendors sheet.
+ */
+function getVendorsSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.VENDORS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.VENDORS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, VENDOR_HEADERS.length).setValues([VENDOR_HEADERS]);
+    sheet.getRange(1, 1, 1, VENDOR_HEADERS.length).setFontWeight('bold').setBackground('#4CAF50').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read all vendors.
+ * @returns {Array} [{ row (1-based), vendor }]
+ */
+function readVendors(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const vendors = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const name = String(data[i][0] || '').trim();
+    if (!name) continue;
+
+    const leadTime = parseInt(data[i][4]);
+    vendors.push({
+      row: i + 1,
+      vendor: {
+        name: name,
+        contact: String(data[i][1] || ''),
+        email: String(data[i][2] || ''),
+        phone: String(data[i][3] || ''),
+        leadTimeDays: isNaN(leadTime) ? CONFIG.DEFAULT_LEAD_TIME_DAYS : leadTime,
+        notes: String(data[i][5] || '')
+      }
+    });
+  }
+
+  return vendors;
+}
+
+/**
+ * Helper: open (or create) the purchase orders sheet.
+ */
+function getPurchaseOrdersSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.PURCHASE_ORDERS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.PURCHASE_ORDERS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, PO_HEADERS.length).setValues([PO_HEADERS]);
+    sheet.getRange(1, 1, 1, PO_HEADERS.length).setFontWeight('bold').setBackground('#4CAF50').setFontColor('white');
+    sheet.getRange('F:F').setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read all purchase orders, oldest first.
+ * @returns {Array} [{ row (1-based), purchaseOrder }]
+ */
+function readPurchaseOrders(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const purchaseOrders = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][0]) continue;
+
+    let items = [];
+    try {
+      items = JSON.parse(data[i][3] || '[]');
+    } catch (e) {
+      Logger.log('Unreadable PO items JSON in row ' + (i + 1) + ': ' + e.toString());
+    }
+
+    purchaseOrders.push({
+      row: i + 1,
+      purchaseOrder: {
+        poNumber: String(data[i][0]),
+        vendor: String(data[i][1] || ''),
+        status: String(data[i][2] || PO_STATUS.DRAFT),
+        items: items,
+        total: parseFloat(data[i][4]) || 0,
+        expectedDate: normalizeDateKey(data[i][5]),
+        notes: String(data[i][6] || ''),
+        createdAt: data[i][7] instanceof Date ? data[i][7].toISOString() : String(data[i][7] || ''),
+        createdBy: String(data[i][8] || ''),
+        receivedAt: data[i][9] instanceof Date ? data[i][9].toISOString() : String(data[i][9] || ''),
+        receivedBy: String(data[i][10] || '')
+      }
+    });
+  }
+
+  return purchaseOrders;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📈 INVENTORY ANALYTICS
+// ═══════════════════════════════════════════════════════════════════════
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const SEASON_BY_MONTH = ['Winter', 'Winter', 'Spring', 'Spring', 'Spring', 'Summer', 'Summer', 'Summer', 'Fall', 'Fall', 'Fall', 'Winter'];
+
+/**
+ * Consumption analytics from the Transaction Log.
+ * Usage is stock removed (REMOVE), less stock put back by reopened work
+ * order lines (RESTOCK). Removals whose reason mentions "died", and stock
+ * found missing by a cycle count (negative COUNT), are reported separately
+ * as shrinkage. Days of cover compares stock available now with
+ * the average daily burn (usage + shrinkage) over the range.
+ * @param {string} item - Inventory item name; blank for all items combined
+ * @param {number} range - Days to look back (default 90, max 730)
+ * @returns {Object} { success, item, unit, rangeDays, weekly, seasonal, shrinkage, stock, burnRatePerDay, daysOfCover, topItems }
+ */
+function getInventoryAnalytics(item, range) {
+  Performance.start('getInventoryAnalytics');
+
+  try {
+    const rangeDays = Math.min(730, Math.max(7, Validator.sanitizeNumber(range, 90)));
+    const inventorySheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const inventory = inventorySheet.getDataRange().getValues();
+
+    // Resolve the item to its inventory spelling so log rows match
+    let itemName = Validator.sanitizeString(String(item || ''));
+    let unit = '';
+    let stock = null;
+    if (itemName) {
+      const itemRow = findInventoryRowByName(inventory, itemName);
+      if (itemRow < 0) {
+        return ErrorHandler.createErrorResponse(new Error(`Item "${itemName}" not found in inventory`), 'getInventoryAnalytics');
+      }
+      itemName = String(inventory[itemRow][0]).trim();
+      unit = String(inventory[itemRow][2] || '');
+
+      let reserved = 0;
+      try {
+        reserved = getReservedTotals()[itemName.toLowerCase()] || 0;
+      } catch (reserveError) {
+        Logger.log('Could not read reservations: ' + reserveError.toString());
+      }
+      const quantity = parseInt(inventory[itemRow][1]) || 0;
+      stock = { quantity: quantity, reserved: reserved, available: quantity - reserved };
+    }
+
+    const todayKey = normalizeDateKey(new Date());
+    const startKey = shiftDateKey(todayKey, -(rangeDays - 1));
+    const itemLower = itemName.toLowerCase();
+    const transactions = readTransactionLog(null)
+      .filter(t => !itemLower || t.item.toLowerCase() === itemLower);
+
+    // Weekly buckets (Monday start) covering the whole range
+    const weekly = [];
+    const weekIndex = {};
+    for (let key = startOfWeekKey(startKey); key <= todayKey; key = shiftDateKey(key, 7)) {
+      weekIndex[key] = weekly.length;
+      weekly.push({ weekStart: key, used: 0, added: 0, shrinkage: 0 });
+    }
+
+    const monthly = MONTH_NAMES.map(() => ({ used: 0, years: {} }));
+    const shrinkage = { quantity: 0, events: 0 };
+    const usageByItem = {};
+    let removedInRange = 0;
+
+    transactions.forEach(t => {
+      const dateKey = normalizeDateKey(t.timestamp);
+      const month = t.timestamp.getMonth();
+      const countLoss = t.action === 'COUNT' && t.quantity < 0 ? -t.quantity : 0;
+      const isShrinkage = (t.action === 'REMOVE' && /\bdied\b/i.test(t.notes)) || countLoss > 0;
+      const usedDelta = t.action === 'REMOVE' && !isShrinkage ? t.quantity : (t.action === 'RESTOCK' ? -t.quantity : 0);
+
+      // Seasonal trends use the whole log so each month has every year behind it
+      monthly[month].years[t.timestamp.getFullYear()] = true;
+      monthly[month].used += usedDelta;
+
+      if (dateKey < startKey || dateKey > todayKey) return;
+
+      const bucket = weekly[weekIndex[startOfWeekKey(dateKey)]];
+      if (t.action === 'ADD' || t.action === 'NEW') bucket.added += t.quantity;
+      bucket.used += usedDelta;
+
+      if (isShrinkage) {
+        const lost = countLoss || t.quantity;
+        bucket.shrinkage += lost;
+        shrinkage.quantity += lost;
+        shrinkage.events++;
+      }
+      if (t.action === 'REMOVE') removedInRange += t.quantity;
+      removedInRange += countLoss;
+
+      if (!itemLower && usedDelta) {
+        usageByItem[t.item] = (usageByItem[t.item] || 0) + usedDelta;
+      }
+    });
+
+    const seasons = {};
+    const seasonal = monthly.map((m, i) => {
+      const years = Object.keys(m.years).length || 1;
+      const averagePerYear = Math.round((m.used / years) * 100) / 100;
+      seasons[SEASON_BY_MONTH[i]] = (seasons[SEASON_BY_MONTH[i]] || 0) + averagePerYear;
+      return { month: MONTH_NAMES[i], used: m.used, averagePerYear: averagePerYear };
+    });
+
+    const totalUsed = weekly.reduce((sum, w) => sum + w.used, 0);
+    const burnRatePerDay = Math.round(((totalUsed + shrinkage.quantity) / rangeDays) * 100) / 100;
+    const daysOfCover = stock && burnRatePerDay > 0
+      ? Math.max(0, Math.floor(stock.available / burnRatePerDay))
+      : null;
+
+    shrinkage.percentOfRemoved = removedInRange > 0
+      ? Math.round((shrinkage.quantity / removedInRange) * 1000) / 10
+      : 0;
+
+    const topItems = Object.keys(usageByItem)
+      .map(name => ({ item: name, used: usageByItem[name] }))
+      .sort((a, b) => b.used - a.used)
+      .slice(0, 10);
+
+    Performance.end('getInventoryAnalytics');
+    return {
+      success: true,
+      item: itemName || null,
+      unit: unit,
+      rangeDays: rangeDays,
+      weekly: weekly,
+      seasonal: seasonal,
+      seasons: seasons,
+      peakSeason: Object.keys(seasons).sort((a, b) => seasons[b] - seasons[a])[0] || null,
+      shrinkage: shrinkage,
+      stock: stock,
+      totalUsed: totalUsed,
+      burnRatePerDay: burnRatePerDay,
+      daysOfCover: daysOfCover,
+      topItems: topItems
+    };
+
+  } catch (error) {
+    Performance.end('getInventoryAnalytics');
+    return ErrorHandler.createErrorResponse(error, 'getInventoryAnalytics');
+  }
+}
+
+/**
+ * Helper: the Monday on or before a yyyy-MM-dd key.
+ */
+function startOfWeekKey(dateKey) {
+  const parts = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2])).getUTCDay();
+  return shiftDateKey(dateKey, -((weekday + 6) % 7));
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📍 MULTI-LOCATION STOCK
+// ═══════════════════════════════════════════════════════════════════════
+//
+// The inventory sheet's Qty column stays the item's total and its Location
+// column is the item's home. Stock held anywhere else (another shed, the back
+// row, a truck) is recorded on the "Stock Locations" sheet; whatever is left
+// over is at home. Rows that are edited by hand therefore always balance.
+
+const STOCK_LOCATION_HEADERS = ['Item', 'Location', 'Quantity', 'Updated At'];
+
+/**
+ * Move stock of one item between locations. Both legs are written to the
+ * Transaction Log (TRANSFER OUT / TRANSFER IN); the item total is unchanged.
+ * @param {string} item - Inventory item name
+ * @param {string} from - Location the stock leaves
+ * @param {string} to - Location the stock arrives at
+ * @param {number} qty - Quantity to move
+ * @returns {Object} { success, item, locations, message }
+ */
+function transferInventory(item, from, to, qty) {
+  Performance.start('transferInventory');
+
+  const lock = LockService.getScriptLock();
+  try {
+    const itemName = Validator.sanitizeString(String(item || ''));
+    const fromLocation = Validator.sanitizeString(String(from || ''));
+    const toLocation = Validator.sanitizeString(String(to || ''));
+    const quantity = parseFloat(qty) || 0;
+
+    if (!itemName || !fromLocation || !toLocation) {
+      return ErrorHandler.createErrorResponse(new Error('Item, from and to locations are required'), 'transferInventory');
+    }
+    if (sameLocation(fromLocation, toLocation)) {
+      return ErrorHandler.createErrorResponse(new Error('From and to locations must be different'), 'transferInventory');
+    }
+    if (quantity <= 0) {
+      return ErrorHandler.createErrorResponse(new Error('Quantity must be greater than zero'), 'transferInventory');
+    }
+
+    lock.waitLock(10000);
+
+    const sheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const allData = sheet.getDataRange().getValues();
+    const itemRow = findInventoryRowByName(allData, itemName);
+    if (itemRow < 0) {
+      return ErrorHandler.createErrorResponse(new Error(`Item "${itemName}" not found in inventory`), 'transferInventory');
+    }
+
+    const name = String(allData[itemRow][0]).trim();
+    const unit = String(allData[itemRow][2] || '');
+    const total = parseInt(allData[itemRow][1]) || 0;
+    const home = String(allData[itemRow][3] || 'Unspecified');
+
+    const breakdown = getLocationBreakdown(name, total, home);
+    const source = breakdown.find(b => sameLocation(b.location, fromLocation));
+    const available = source ? source.quantity : 0;
+    if (available < quantity) {
+      return ErrorHandler.createErrorResponse(new Error(`Only ${available} ${unit} of ${name} at ${fromLocation}`), 'transferInventory');
+    }
+
+    const before = snapshotInventoryRow(sheet, itemRow, allData[itemRow]);
+    const deltas = {};
+    deltas[fromLocation] = -quantity;
+    deltas[toLocation] = quantity;
+    applyLocationDeltas(name, home, deltas);
+
+    const locations = getLocationBreakdown(name, total, home);
+    const balance = loc => {
+      const entry = locations.find(b => sameLocation(b.location, loc));
+      return entry ? entry.quantity : 0;
+    };
+    const timestamp = new Date();
+
+    // The snapshots ride on the OUT leg; the IN leg points back to it for undo
+    const transactionId = logTransaction(sheet, {
+      timestamp: timestamp,
+      action: "TRANSFER OUT",
+      item: name,
+      quantity: quantity,
+      unit: unit,
+      newTotal: total,
+      notes: `${fromLocation} → ${toLocation} (${fromLocation}: ${balance(fromLocation)} left)`,
+      before: before,
+      after: snapshotInventoryRow(sheet, itemRow)
+    });
+    logTransaction(sheet, {
+      timestamp: timestamp,
+      action: "TRANSFER IN",
+      item: name,
+      quantity: quantity,
+      unit: unit,
+      newTotal: total,
+      notes: `${fromLocation} → ${toLocation} (${toLocation}: ${balance(toLocation)} now)`,
+      before: { linkedTo: transactionId }
+    });
+
+    CacheService.getScriptCache().removeAll([]);
+
+    Performance.end('transferInventory');
+    return {
+      success: true,
+      item: name,
+      locations: locations,
+      message: `✅ Moved ${quantity} ${unit} of ${name} from ${fromLocation} to ${toLocation}`,
+      transactionId: transactionId
+    };
+
+  } catch (error) {
+    Performance.end('transferInventory');
+    return ErrorHandler.createErrorResponse(error, 'transferInventory');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Helper: quantity of an item at each location, home first.
+ * @param {string} item - Inventory item name
+ * @param {number} total - Item total from the inventory sheet
+ * @param {string} home - Item's Location column
+ * @param {Object} awayByItem - Optional result of readAwayStock() to avoid re-reading the sheet
+ * @returns {Array} [{ location, quantity, home }]
+ */
+function getLocationBreakdown(item, total, home, awayByItem) {
+  const away = (awayByItem || readAwayStock())[String(item).toLowerCase().trim()] || [];
+  const awayTotal = away.reduce((sum, a) => sum + a.quantity, 0);
+
+  return [{ location: home || 'Unspecified', quantity: total - awayTotal, home: true }]
+    .concat(away.map(a => ({ location: a.location, quantity: a.quantity, home: false })));
+}
+
+/**
+ * Helper: stock held away from home, grouped by lower-cased item name.
+ * @returns {Object} { item: [{ row (1-based), location, quantity }] }
+ */
+function readAwayStock() {
+  const data = getStockLocationsSheet().getDataRange().getValues();
+  const byItem = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const item = String(data[i][0] || '').toLowerCase().trim();
+    const location = String(data[i][1] || '').trim();
+    if (!item || !location) continue;
+
+    (byItem[item] = byItem[item] || []).push({ row: i + 1, location: location, quantity: parseFloat(data[i][2]) || 0 });
+  }
+
+  return byItem;
+}
+
+/**
+ * Helper: apply quantity changes at away locations. Changes at the home
+ * location need no row — home absorbs the difference automatically.
+ * Rows that reach zero are removed.
+ * @param {Object} deltas - { location: change }
+ */
+function applyLocationDeltas(item, home, deltas) {
+  const sheet = getStockLocationsSheet();
+  const away = readAwayStock()[String(item).toLowerCase().trim()] || [];
+  const now = new Date();
+  const emptyRows = [];
+
+  Object.keys(deltas).forEach(location => {
+    if (!deltas[location] || sameLocation(location, home)) return;
+
+    const existing = away.find(a => sameLocation(a.location, location));
+    if (existing) {
+      existing.quantity += deltas[location];
+      if (existing.quantity <= 0) {
+        emptyRows.push(existing.row);
+      } else {
+        sheet.getRange(existing.row, 3, 1, 2).setValues([[existing.quantity, now]]);
+      }
+    } else if (deltas[location] > 0) {
+      sheet.appendRow([item, location, deltas[location], now]);
+    }
+  });
+
+  // Delete bottom-up so earlier row numbers stay valid
+  emptyRows.sort((a, b) => b - a).forEach(row => sheet.deleteRow(row));
+}
+
+/**
+ * Helper: plan which locations a removal comes out of — the named location
+ * only, or home first and then the largest away piles.
+ * @returns {Object} { deltas } or { error }
+ */
+function planLocationRemoval(breakdown, quantity, location) {
+  const deltas = {};
+
+  if (location) {
+    const entry = breakdown.find(b => sameLocation(b.location, location));
+    const available = entry ? entry.quantity : 0;
+    if (available < quantity) {
+      return { error: `Only ${available} at ${location}.` };
+    }
+    deltas[entry.location] = -quantity;
+    return { deltas: deltas };
+  }
+
+  let remaining = quantity;
+  const ordered = breakdown.slice(0, 1).concat(breakdown.slice(1).sort((a, b) => b.quantity - a.quantity));
+  ordered.forEach(b => {
+    if (remaining <= 0 || b.quantity <= 0) return;
+    const take = Math.min(b.quantity, remaining);
+    deltas[b.location] = -take;
+    remaining -= take;
+  });
+
+  return { deltas: deltas };
+}
+
+/**
+ * Helper: keep per-location stock intact when an item's home moves. The old
+ * home's stock becomes an away pile and any pile at the new home folds in.
+ */
+function rehomeLocationStock(item, total, oldHome, newHome) {
+  if (sameLocation(oldHome, newHome)) return;
+
+  const breakdown = getLocationBreakdown(item, total, oldHome);
+  const deltas = {};
+  deltas[oldHome] = breakdown[0].quantity;
+  const atNewHome = breakdown.find(b => !b.home && sameLocation(b.location, newHome));
+  if (atNewHome) deltas[atNewHome.location] = -atNewHome.quantity;
+
+  // Apply against the new home so the old home gets a row and the new one loses its row
+  applyLocationDeltas(item, newHome, deltas);
+}
+
+/**
+ * Helper: move one item's away piles onto another (used when merging duplicates).
+ */
+function mergeLocationStock(fromItem, fromTotal, fromHome, toItem, toHome) {
+  const breakdown = getLocationBreakdown(fromItem, fromTotal, fromHome);
+  const deltas = {};
+  breakdown.forEach(b => {
+    if (b.quantity > 0) deltas[b.location] = (deltas[b.location] || 0) + b.quantity;
+  });
+
+  // Clear the old item's rows, then add its stock to the kept item
+  const removals = {};
+  breakdown.forEach(b => { if (!b.home) removals[b.location] = -b.quantity; });
+  applyLocationDeltas(fromItem, fromHome, removals);
+  applyLocationDeltas(toItem, toHome, deltas);
+}
+
+/**
+ * Helper: case/whitespace-insensitive location comparison.
+ */
+function sameLocation(a, b) {
+  return String(a || '').toLowerCase().trim() === String(b || '').toLowerCase().trim();
+}
+
+/**
+ * Helper: open (or create) the stock locations sheet.
+ */
+function getStockLocationsSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.STOCK_LOCATIONS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.STOCK_LOCATIONS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, STOCK_LOCATION_HEADERS.length).setValues([STOCK_LOCATION_HEADERS]);
+    sheet.getRange(1, 1, 1, STOCK_LOCATION_HEADERS.length).setFontWeight('bold').setBackground('#4CAF50').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🧮 MATERIAL CALCULATOR
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Deterministic coverage math for the questions crews actually ask:
+ * mulch/soil/gravel/sand by area and depth, sod by area, plants by spacing
+ * and bed size, pavers with a waste factor. askInventory runs it whenever a
+ * query names a material and gives an area (2,000 sq ft, 20x30, 20' by 30').
+ * A bare size like "4x8 pavers" or "2x4 lumber" is a product, not an area, so
+ * it only counts with an area unit, a depth, a spacing or a word such as
+ * "cover", "for" or "need" alongside it.
+ */
+const MaterialCalculator = {
+  MATERIALS: {
+    mulch:  { kind: 'volume',  label: 'mulch',  defaultDepth: 3, keywords: ['pine straw mulch', 'pine bark', 'mulch', 'bark'] },
+    soil:   { kind: 'volume',  label: 'soil',   defaultDepth: 4, keywords: ['garden mix', 'top soil', 'topsoil', 'compost', 'soil'] },
+    gravel: { kind: 'volume',  label: 'gravel', defaultDepth: 3, keywords: ['crusher run', 'river rock', 'gravel', 'stone', 'rock'] },
+    sand:   { kind: 'volume',  label: 'sand',   defaultDepth: 1, keywords: ['sand'] },
+    sod:    { kind: 'area',    label: 'sod',    wasteFactor: 0.05, keywords: ['sod'] },
+    pavers: { kind: 'pavers',  label: 'pavers', wasteFactor: 0.10, perSqFt: 4.5, keywords: ['pavers', 'paver'] }, // 4"x8" holland
+    plants: { kind: 'spacing', label: 'plants', defaultSpacing: 18, keywords: ['groundcover', 'perennials', 'perennial', 'annuals', 'annual', 'shrubs', 'shrub', 'plants', 'plant'] }
+  },
+
+  // Words that turn a bare NxM size into an area to calculate for
+  CALCULATION_WORDS: /\b(?:cover(?:s|ed|ing|age)?|for|need(?:s|ed)?|fill)\b/,
+
+  // Words that name a kind of plant rather than a stocked item
+  GENERIC_PLANT_WORDS: ['groundcover', 'perennials', 'perennial', 'annuals', 'annual', 'shrubs', 'shrub', 'plants', 'plant'],
+
+  /**
+   * Work out material needed for a query, or null when the query has no
+   * material or no area to calculate from.
+   * @returns {Object|null} { material, kind, keyword, query, areaSqFt, depthInches, spacingInches,
+   *   quantity, unit, alternates: [{ quantity, unit }], assumptions: [string], summary }
+   */
+  calculate(query) {
+    const text = String(query || '').toLowerCase();
+    const spacing = this.parseSpacing(text);
+
+    // A spacing on its own means plants, even when the plant isn't a keyword ("liriope 18\" apart")
+    const found = this.findMaterial(text) || (spacing ? { material: 'plants', keyword: null } : null);
+    if (!found) return null;
+
+    const withoutSpacing = spacing ? text.replace(spacing.match, ' ') : text;
+    const areaSqFt = this.parseArea(withoutSpacing);
+    if (!areaSqFt) return null;
+    if (!spacing && !this.hasAreaUnit(withoutSpacing) && !this.parseDepth(withoutSpacing) && !this.CALCULATION_WORDS.test(text)) {
+      return null;
+    }
+
+    const material = this.MATERIALS[found.material];
+    const assumptions = [];
+    const result = {
+      material: found.material,
+      kind: material.kind,
+      keyword: found.keyword,
+      query: text,
+      areaSqFt: areaSqFt,
+      depthInches: null,
+      spacingInches: null,
+      quantity: 0,
+      unit: null,
+      alternates: [],
+      assumptions: assumptions
+    };
+    const area = this.formatNumber(areaSqFt);
+
+    if (material.kind === 'volume') {
+      let depth = this.parseDepth(withoutSpacing);
+      if (!depth) {
+        depth = material.defaultDepth;
+        assumptions.push(`assuming ${depth}" depth`);
+      }
+      const cubicFeet = areaSqFt * depth / 12;
+      result.depthInches = depth;
+      result.quantity = this.round(cubicFeet / 27);
+      result.unit = 'yards';
+      result.alternates.push({ quantity: Math.ceil(cubicFeet / 2), unit: 'bags' }); // 2 cu ft bags
+      result.summary = `For that ${area} sq ft area at ${depth}" depth you'll need about ${result.quantity} yards of ${material.label}`;
+
+    } else if (material.kind === 'area') {
+      result.quantity = Math.ceil(areaSqFt * (1 + material.wasteFactor));
+      result.unit = 'sq_ft';
+      assumptions.push(`includes ${material.wasteFactor * 100}% for cuts and waste`);
+      result.summary = `For ${area} sq ft you'll need about ${this.formatNumber(result.quantity)} sq ft of ${material.label}`;
+
+    } else if (material.kind === 'pavers') {
+      const sqFt = Math.ceil(areaSqFt * (1 + material.wasteFactor));
+      result.quantity = sqFt;
+      result.unit = 'sq_ft';
+      result.alternates.push({ quantity: Math.ceil(sqFt * material.perSqFt), unit: 'each' });
+      assumptions.push(`includes ${material.wasteFactor * 100}% for cuts and waste`, `4"x8" pavers at ${material.perSqFt} per sq ft`);
+      result.summary = `For ${area} sq ft of pavers plan on ${this.formatNumber(sqFt)} sq ft (about ${this.formatNumber(result.alternates[0].quantity)} pavers)`;
+
+    } else {
+      let spacingInches = spacing ? spacing.inches : null;
+      if (!spacingInches) {
+        spacingInches = material.defaultSpacing;
+        assumptions.push(`assuming ${spacingInches}" on center`);
+      }
+      const perPlantSqFt = Math.pow(spacingInches / 12, 2);
+      result.spacingInches = spacingInches;
+      result.quantity = Math.ceil(areaSqFt / perPlantSqFt);
+      result.unit = 'each';
+      const plural = !found.keyword || found.keyword === 'plant' ? 'plants' : found.keyword;
+      result.summary = `For a ${area} sq ft bed at ${spacingInches}" spacing you'll need about ${this.formatNumber(result.quantity)} ${plural}`;
+    }
+
+    return result;
+  },
+
+  /**
+   * Find the first material keyword in the query (longest keywords first).
+   */
+  findMaterial(text) {
+    let best = null;
+    Object.keys(this.MATERIALS).forEach(material => {
+      this.MATERIALS[material].keywords.forEach(keyword => {
+        const pattern = new RegExp('\\b' + keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b');
+        const match = text.match(pattern);
+        if (match && (!best || match.index < best.index || (match.index === best.index && keyword.length > best.keyword.length))) {
+          best = { material: material, keyword: keyword, index: match.index };
+        }
+      });
+    });
+    return best;
+  },
+
+  /**
+   * Area in square feet from "2,000 sq ft", "50 sq yd" or "20x30" / "20' by 30 ft".
+   */
+  parseArea(text) {
+    const sqFt = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:sq\.?\s*f(?:ee)?t\.?|square\s*f(?:oo|ee)t|sqft|sf)\b/);
+    if (sqFt) return parseFloat(sqFt[1].replace(/,/g, ''));
+
+    const sqYd = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:sq\.?\s*y(?:ar)?ds?\.?|square\s*yards?)\b/);
+    if (sqYd) return parseFloat(sqYd[1].replace(/,/g, '')) * 9;
+
+    // Length x width in feet - skip inch sizes such as 4"x8" pavers
+    const dims = text.match(/(\d+(?:\.\d+)?)\s*(?:'|ft\.?|feet|foot)?\s*(?:x|by|×)\s*(\d+(?:\.\d+)?)(?!\s*(?:"|in\b|inch))/);
+    if (dims && !/^\s*(?:"|in\b|inch)/.test(text.slice(dims.index + dims[1].length))) {
+      return parseFloat(dims[1]) * parseFloat(dims[2]);
+    }
+
+    return null;
+  },
+
+  /**
+   * Does the area come with a unit — sq ft / sq yd, or feet on a length x width?
+   */
+  hasAreaUnit(text) {
+    return /\d\s*(?:sq\.?\s*(?:f(?:ee)?t|y(?:ar)?ds?)|square\s*(?:f(?:oo|ee)t|yards?)|sqft|sf\b)/.test(text) ||
+      /\d\s*(?:'|ft\b\.?|feet|foot)\s*(?:x|by|×)|(?:x|by|×)\s*\d+(?:\.\d+)?\s*(?:'|ft\b|feet|foot)/.test(text);
+  },
+
+  /**
+   * Depth in inches from '3"', "3 inches deep", "4 in of", "at 2 in".
+   */
+  parseDepth(text) {
+    const deep = text.match(/(\d+(?:\.\d+)?)\s*(?:"|in\b\.?|inch(?:es)?)\s*(?:deep|depth|thick)/);
+    if (deep) return parseFloat(deep[1]);
+
+    const any = text.match(/(\d+(?:\.\d+)?)\s*(?:"|in\b\.?|inch(?:es)?)(?!\s*(?:x|by|×))/);
+    if (any) return parseFloat(any[1]);
+
+    const feet = text.match(/(\d+(?:\.\d+)?)\s*(?:'|ft|feet|foot)\s*(?:deep|depth|thick)/);
+    return feet ? parseFloat(feet[1]) * 12 : null;
+  },
+
+  /**
+   * Plant spacing in inches from '18" apart', "3 ft on center", "spaced 24 inches", "12 in o.c.".
+   * @returns {Object|null} { inches, match }
+   */
+  parseSpacing(text) {
+    const after = text.match(/(\d+(?:\.\d+)?)\s*("|in\b\.?|inch(?:es)?|'|ft\.?|feet|foot)\s*(?:apart|spacing|on\s*cent(?:er|re)s?|o\.?\s?c\.?)/);
+    const before = text.match(/(?:spaced?|spacing(?:\s*of)?)\s*(?:at\s*)?(\d+(?:\.\d+)?)\s*("|in\b\.?|inch(?:es)?|'|ft\.?|feet|foot)?/);
+    const match = after || before;
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const isFeet = match[2] && /^('|ft|feet|foot)/.test(match[2]);
+    return { inches: isFeet ? value * 12 : value, match: match[0] };
+  },
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  },
+
+  formatNumber(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+};
+
+/**
+ * Answer a material-calculator query and check the result against stock.
+ * Every inventory item whose name contains the material word (or, for plants
+ * named outside the keyword list, whose first word appears in the query) is
+ * checked in its own stocking unit, using available stock after work order
+ * reservations.
+ * @param {Object} calc - Result of MaterialCalculator.calculate()
+ * @returns {string} Answer text
+ */
+function answerMaterialQuery(calc) {
+  let answer = calc.summary;
+  if (calc.assumptions.length > 0) {
+    answer += ` (${calc.assumptions.join('; ')})`;
+  }
+  answer += '.';
+
+  // Generic plant words would match half the nursery - only check named plants
+  if (calc.kind === 'spacing' && MaterialCalculator.GENERIC_PLANT_WORDS.indexOf(calc.keyword) >= 0) {
+    return answer;
+  }
+  const queryWords = normalizePlural(calc.query).split(/[^a-z0-9]+/);
+
+  const data = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME)
+    .getDataRange().getValues();
+  let reservedTotals = {};
+  try {
+    reservedTotals = getReservedTotals();
+  } catch (readError) {
+    Logger.log('Calculator stock check (reservations): ' + readError.toString());
+  }
+  let conversions = [];
+  try {
+    conversions = readUnitConversions();
+  } catch (readError) {
+    Logger.log('Calculator stock check (unit conversions): ' + readError.toString());
+  }
+
+  const keyword = calc.keyword ? normalizePlural(calc.keyword) : null;
+  const lines = [];
+  for (let i = 1; i < data.length; i++) {
+    const item = String(data[i][0] || '').trim();
+    if (!item) continue;
+    const itemNormalized = normalizePlural(item.toLowerCase());
+    const matches = keyword
+      ? itemNormalized.indexOf(keyword) >= 0
+      : queryWords.indexOf(itemNormalized.split(/\s+/)[0]) >= 0;
+    if (!matches) continue;
+
+    const unit = String(data[i][2] || '');
+    const available = (parseInt(data[i][1]) || 0) - (reservedTotals[item.toLowerCase()] || 0);
+
+    // Try the main figure first, then alternates (bags, pieces) that match how the item is stocked
+    let needed = convertQuantity(calc.quantity, calc.unit, unit, item, conversions);
+    if (needed === null) {
+      const alternate = calc.alternates.find(a => resolveUnit(a.unit) === resolveUnit(unit));
+      needed = alternate ? alternate.quantity : null;
+    }
+
+    if (needed === null) {
+      lines.push(`• ${item}: ${available} ${unit} available (can't convert from ${UNIT_CATALOGUE[calc.unit].label})`);
+      continue;
+    }
+
+    const neededInStock = roundQuantityForUnit(needed, unit);
+    lines.push(available >= neededInStock
+      ? `✓ ${item}: have ${available} ${unit} available (need ${neededInStock})`
+      : `✗ ${item}: only ${available} ${unit} available (need ${neededInStock})`);
+  }
+
+  if (lines.length > 0) {
+    answer += '\n\n' + lines.join('\n');
+  } else {
+    answer += `\n\nNo ${calc.keyword || 'matching plants'} found in inventory.`;
+  }
+
+  return answer;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🏷️ LABELS & SCAN LOOKUP
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Give every inventory row a stable Item ID (INV-0001, INV-0002, ...).
+ * Existing IDs are never changed; new ones continue from the highest ever issued.
+ * @returns {Object} { success, assigned, total }
+ */
+function assignItemIds() {
+  Performance.start('assignItemIds');
+
+  try {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+      const result = ensureItemIds(sheet);
+      if (result.assigned > 0) {
+        logActivity('ASSIGN_ITEM_IDS', result.assigned + ' items', 'Item IDs added to inventory');
+        CacheService.getScriptCache().removeAll([]);
+      }
+
+      Performance.end('assignItemIds');
+      return { success: true, assigned: result.assigned, total: result.total };
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('assignItemIds');
+    return ErrorHandler.createErrorResponse(error, 'assignItemIds');
+  }
+}
+
+/**
+ * Label data for the printable QR sheet. Inventory labels use the Item ID
+ * (assigned on the fly for rows that don't have one yet); tool labels use the tag.
+ *
+ * @param {Object} data - { kind: 'all'|'tools'|'inventory', filter?, location? }
+ * @returns {Object} { success, labels: [{ code, kind, name, location, detail }] }
+ */
+function getLabels(data) {
+  Performance.start('getLabels');
+
+  try {
+    const kind = String((data && data.kind) || 'all').toLowerCase();
+    const filter = Validator.sanitizeString(String((data && data.filter) || '')).toLowerCase();
+    const location = Validator.sanitizeString(String((data && data.location) || ''));
+    const labels = [];
+
+    if (kind === 'all' || kind === 'inventory') {
+      const sheet = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+      const lock = LockService.getScriptLock();
+      lock.waitLock(10000);
+      let idCol;
+      try {
+        idCol = ensureItemIds(sheet).idCol;
+      } finally {
+        lock.releaseLock();
+      }
+
+      const rows = sheet.getDataRange().getValues();
+      for (let i = 1; i < rows.length; i++) {
+        const name = String(rows[i][0] || '').trim();
+        if (!name) continue;
+        const home = String(rows[i][3] || 'Unspecified').trim();
+        if (location && !sameLocation(location, home)) continue;
+
+        labels.push({
+          code: String(rows[i][idCol]).trim(),
+          kind: 'inventory',
+          name: name,
+          location: home,
+          detail: String(rows[i][2] || '')
+        });
+      }
+    }
+
+    if (kind === 'all' || kind === 'tools') {
+      readTools(getToolsSheet()).forEach(t => {
+        if (location && !sameLocation(location, CONFIG.TOOL_HOME_LOCATION)) return;
+        labels.push({
+          code: t.tool.tag,
+          kind: 'tool',
+          name: t.tool.name,
+          location: CONFIG.TOOL_HOME_LOCATION,
+          detail: t.tool.type
+        });
+      });
+    }
+
+    const matched = filter
+      ? labels.filter(l => (l.code + ' ' + l.name + ' ' + l.location + ' ' + l.detail).toLowerCase().indexOf(filter) !== -1)
+      : labels;
+
+    Performance.end('getLabels');
+    return { success: true, labels: matched };
+
+  } catch (error) {
+    Performance.end('getLabels');
+    return ErrorHandler.createErrorResponse(error, 'getLabels');
+  }
+}
+
+/**
+ * Resolve a scanned (or typed) code to the tool or inventory record it labels.
+ * Tool tags are checked first, then Item IDs, then an exact item name.
+ *
+ * @param {string} code - e.g. "T-047" or "INV-0012"
+ * @returns {Object} { success, kind: 'tool', tool } | { success, kind: 'inventory', item }
+ */
+function lookupCode(code) {
+  Performance.start('lookupCode');
+
+  try {
+    const raw = Validator.sanitizeString(String(code || '')).trim();
+    if (!raw) {
+      return ErrorHandler.createErrorResponse(new Error('Code is required'), 'lookupCode');
+    }
+    const normalized = raw.toUpperCase();
+
+    const tool = readTools(getToolsSheet()).filter(t => t.tool.tag === normalized)[0];
+    if (tool) {
+      Performance.end('lookupCode');
+      return { success: true, kind: 'tool', code: normalized, tool: tool.tool };
+    }
+
+    const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+    const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const data = sheet.getDataRange().getValues();
+    const idCol = data[0].map(h => String(h).toLowerCase().trim()).indexOf('item id');
+
+    let rowIndex = -1;
+    if (idCol >= 0) {
+      for (let i = 1; i < data.length; i++) {
+        if (String(data[i][idCol]).trim().toUpperCase() === normalized) {
+          rowIndex = i;
+          break;
+        }
+      }
+    }
+    if (rowIndex < 0) {
+      rowIndex = findInventoryRowByName(data, raw);
+    }
+    if (rowIndex < 0) {
+      Performance.end('lookupCode');
+      return ErrorHandler.createErrorResponse(new Error(`No tool or inventory item matches "${raw}"`), 'lookupCode');
+    }
+
+    const row = data[rowIndex];
+    const name = String(row[0]).trim();
+    const quantity = parseFloat(row[1]) || 0;
+    const reserved = getReservedTotals()[name.toLowerCase()] || 0;
+    const minStock = parseFloat(row[5]) || 0;
+    const available = quantity - reserved;
+
+    Performance.end('lookupCode');
+    return {
+      success: true,
+      kind: 'inventory',
+      code: idCol >= 0 ? String(row[idCol]).trim() : '',
+      item: {
+        itemId: idCol >= 0 ? String(row[idCol]).trim() : '',
+        item: name,
+        quantity: quantity,
+        reserved: reserved,
+        available: available,
+        unit: String(row[2] || ''),
+        location: String(row[3] || 'Unspecified'),
+        locations: getLocationBreakdown(name, quantity, String(row[3] || '')).map(b => ({ location: b.location, quantity: b.quantity })),
+        minStock: minStock,
+        isLowStock: minStock > 0 && available <= minStock,
+        notes: String(row[4] || ''),
+        sheetUrl: ss.getUrl() + '#gid=' + sheet.getSheetId() + '&range=A' + (rowIndex + 1)
+      }
+    };
+
+  } catch (error) {
+    Performance.end('lookupCode');
+    return ErrorHandler.createErrorResponse(error, 'lookupCode');
+  }
+}
+
+// Highest Item ID number ever handed out. IDs of deleted or merged rows are never
+// reused, so undoing a delete or merge can't bring back an ID another item now has.
+const ITEM_ID_COUNTER_PROPERTY = 'LAST_ITEM_ID';
+
+/**
+ * Helper: add the Item ID column if missing and fill any blank IDs.
+ * Safe to call repeatedly; rows that already have an ID keep it.
+ * Callers hold the script lock, which also guards the ID counter.
+ * @returns {Object} { idCol (0-based), assigned, total }
+ */
+function ensureItemIds(sheet) {
+  const lastCol = sheet.getLastColumn();
+  const hdrs = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).toLowerCase().trim());
+  let idCol = hdrs.indexOf('item id');
+  if (idCol < 0) {
+    idCol = lastCol;
+    sheet.getRange(1, idCol + 1).setValue('Item ID').setFontWeight('bold');
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return { idCol: idCol, assigned: 0, total: 0 };
+
+  const names = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  const ids = sheet.getRange(2, idCol + 1, lastRow - 1, 1).getValues();
+  const pattern = new RegExp('^' + CONFIG.ITEM_ID_PREFIX + '(\\d+)$', 'i');
+
+  // The sheet is checked too, for IDs typed in by hand or assigned before the counter existed
+  const props = PropertiesService.getScriptProperties();
+  let next = ids.reduce((max, r) => {
+    const match = String(r[0]).trim().match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, parseInt(props.getProperty(ITEM_ID_COUNTER_PROPERTY), 10) || 0) + 1;
+
+  let assigned = 0;
+  let total = 0;
+  for (let i = 0; i < names.length; i++) {
+    if (!String(names[i][0]).trim()) continue;
+    total++;
+    if (!String(ids[i][0]).trim()) {
+      const num = String(next++);
+      ids[i][0] = CONFIG.ITEM_ID_PREFIX + (num.length < 4 ? ('000' + num).slice(-4) : num);
+      assigned++;
+    }
+  }
+
+  if (assigned > 0) {
+    sheet.getRange(2, idCol + 1, ids.length, 1).setValues(ids);
+    props.setProperty(ITEM_ID_COUNTER_PROPERTY, String(next - 1));
+  }
+  return { idCol: idCol, assigned: assigned, total: total };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📋 CYCLE COUNTS
+// ═══════════════════════════════════════════════════════════════════════
+
+const COUNT_STATUS = {
+  PENDING: 'PENDING',
+  COUNTED: 'COUNTED',
+  APPROVED: 'APPROVED',
+  DISMISSED: 'DISMISSED'
+};
+
+const COUNT_HEADERS = ['Session ID', 'Location', 'Item', 'Unit', 'Expected', 'Counted', 'Variance', 'Status', 'Counter', 'Counted At', 'Approved By', 'Approved At', 'Created At'];
+
+/**
+ * Start a count session: snapshot what the sheet says is at one location
+ * (or every location) so counters can walk the shed with a count sheet.
+ *
+ * @param {Object} data - { location?, counter? }
+ * @returns {Object} { success, session, lines }
+ */
+function startCountSession(data) {
+  Performance.start('startCountSession');
+
+  try {
+    const location = Validator.sanitizeString(String((data && data.location) || '')).trim();
+    const counter = Validator.sanitizeString(String((data && data.counter) || '')) || Session.getActiveUser().getEmail() || 'System';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const rows = readInventoryByLocation(location);
+      if (rows.length === 0) {
+        return ErrorHandler.createErrorResponse(new Error(location ? `No stock recorded at ${location}` : 'Inventory is empty'), 'startCountSession');
+      }
+
+      const sheet = getCountsSheet();
+      const now = new Date();
+      const sessionId = nextCountSessionId(sheet, now);
+      const values = rows.map(r => [sessionId, r.location, r.item, r.unit, r.quantity, '', '', COUNT_STATUS.PENDING, counter, '', '', '', now]);
+      sheet.getRange(sheet.getLastRow() + 1, 1, values.length, COUNT_HEADERS.length).setValues(values);
+
+      logActivity('COUNT_STARTED', sessionId, (location || 'All locations') + ' — ' + values.length + ' lines by ' + counter);
+
+      Performance.end('startCountSession');
+      return getCountSession(sessionId);
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('startCountSession');
+    return ErrorHandler.createErrorResponse(error, 'startCountSession');
+  }
+}
+
+/**
+ * List count sessions, newest first, plus the locations a new session can cover.
+ * @returns {Object} { success, sessions: [{ sessionId, location, counter, createdAt, lines, counted, variances, status }], locations }
+ */
+function getCountSessions() {
+  Performance.start('getCountSessions');
+
+  try {
+    const bySession = {};
+    const order = [];
+    readCountLines(getCountsSheet()).forEach(l => {
+      const line = l.line;
+      let session = bySession[line.sessionId];
+      if (!session) {
+        session = bySession[line.sessionId] = {
+          sessionId: line.sessionId,
+          locations: [],
+          counter: line.counter,
+          createdAt: line.createdAt,
+          lines: 0,
+          counted: 0,
+          variances: 0,
+          open: 0
+        };
+        order.push(line.sessionId);
+      }
+      if (session.locations.indexOf(line.location) === -1) session.locations.push(line.location);
+      session.lines++;
+      if (line.status !== COUNT_STATUS.PENDING) session.counted++;
+      if (line.variance) session.variances++;
+      if (line.status === COUNT_STATUS.PENDING || line.status === COUNT_STATUS.COUNTED) session.open++;
+    });
+
+    const sessions = order.reverse().map(id => {
+      const s = bySession[id];
+      return {
+        sessionId: s.sessionId,
+        location: s.locations.length === 1 ? s.locations[0] : 'All locations',
+        counter: s.counter,
+        createdAt: s.createdAt,
+        lines: s.lines,
+        counted: s.counted,
+        variances: s.variances,
+        status: s.open > 0 ? 'OPEN' : 'CLOSED'
+      };
+    });
+
+    const locations = [];
+    readInventoryByLocation('').forEach(r => {
+      if (!locations.some(l => sameLocation(l, r.location))) locations.push(r.location);
+    });
+    locations.sort();
+
+    Performance.end('getCountSessions');
+    return { success: true, sessions: sessions, locations: locations };
+
+  } catch (error) {
+    Performance.end('getCountSessions');
+    return ErrorHandler.createErrorResponse(error, 'getCountSessions');
+  }
+}
+
+/**
+ * Get one count session with every line and its variance.
+ * @param {string} sessionId - e.g. "CNT-20250314-01"
+ * @returns {Object} { success, session, lines: [{ item, location, unit, expected, counted, variance, status, counter, countedAt }] }
+ */
+function getCountSession(sessionId) {
+  Performance.start('getCountSession');
+
+  try {
+    const id = Validator.sanitizeString(String(sessionId || '')).trim();
+    const lines = readCountLines(getCountsSheet()).filter(l => l.line.sessionId === id).map(l => l.line);
+    if (lines.length === 0) {
+      return ErrorHandler.createErrorResponse(new Error(`Count session ${id} not found`), 'getCountSession');
+    }
+
+    const open = lines.filter(l => l.status === COUNT_STATUS.PENDING || l.status === COUNT_STATUS.COUNTED).length;
+    const locations = lines.map(l => l.location).filter((loc, i, all) => all.indexOf(loc) === i);
+
+    Performance.end('getCountSession');
+    return {
+      success: true,
+      session: {
+        sessionId: id,
+        location: locations.length === 1 ? locations[0] : 'All locations',
+        counter: lines[0].counter,
+        createdAt: lines[0].createdAt,
+        lines: lines.length,
+        counted: lines.filter(l => l.status !== COUNT_STATUS.PENDING).length,
+        variances: lines.filter(l => l.variance).length,
+        status: open > 0 ? 'OPEN' : 'CLOSED'
+      },
+      lines: lines
+    };
+
+  } catch (error) {
+    Performance.end('getCountSession');
+    return ErrorHandler.createErrorResponse(error, 'getCountSession');
+  }
+}
+
+/**
+ * Record counted quantities. Expected is re-read from the sheet at the moment
+ * of counting, so stock that moved since the session started doesn't show up
+ * as a variance. Items found that weren't on the count sheet are added as new lines.
+ *
+ * @param {string} sessionId
+ * @param {Array} counts - [{ item, location, counted }]
+ * @param {string} counter - Name of the person counting
+ * @returns {Object} { success, recorded, session, lines }
+ */
+function recordCounts(sessionId, counts, counter) {
+  Performance.start('recordCounts');
+
+  try {
+    const id = Validator.sanitizeString(String(sessionId || '')).trim();
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return ErrorHandler.createErrorResponse(new Error('Counts must be a non-empty array'), 'recordCounts');
+    }
+    const countedBy = Validator.sanitizeString(String(counter || '')) || Session.getActiveUser().getEmail() || 'System';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getCountsSheet();
+      const lines = readCountLines(sheet).filter(l => l.line.sessionId === id);
+      if (lines.length === 0) {
+        return ErrorHandler.createErrorResponse(new Error(`Count session ${id} not found`), 'recordCounts');
+      }
+
+      const current = readInventoryByLocation('');
+      const sessionLocations = lines.map(l => l.line.location).filter((loc, i, all) => all.indexOf(loc) === i);
+      const now = new Date();
+      let recorded = 0;
+
+      counts.forEach(c => {
+        const item = Validator.sanitizeString(String((c && c.item) || '')).trim();
+        const home = current.find(r => r.home && r.item.toLowerCase() === item.toLowerCase());
+        // No location given: the session's only location, or the item's home on an all-locations count
+        const location = Validator.sanitizeString(String((c && c.location) || '')).trim() ||
+          (sessionLocations.length === 1 ? sessionLocations[0] : (home ? home.location : ''));
+        const counted = parseFloat(c && c.counted);
+        if (!item || !location || isNaN(counted) || counted < 0) return;
+
+        const stock = current.find(r => r.item.toLowerCase() === item.toLowerCase() && sameLocation(r.location, location));
+        const expected = stock ? stock.quantity : 0;
+        const variance = Math.round((counted - expected) * 100) / 100;
+        const existing = lines.find(l => l.line.item.toLowerCase() === item.toLowerCase() && sameLocation(l.line.location, location));
+
+        if (existing) {
+          if (existing.line.status === COUNT_STATUS.APPROVED || existing.line.status === COUNT_STATUS.DISMISSED) return;
+          sheet.getRange(existing.row, 5, 1, 6).setValues([[expected, counted, variance, COUNT_STATUS.COUNTED, countedBy, now]]);
+        } else {
+          const known = current.find(r => r.item.toLowerCase() === item.toLowerCase());
+          if (!known) return; // Not an inventory item — add it through the normal add flow first
+          sheet.appendRow([id, location, known.item, known.unit, expected, counted, variance, COUNT_STATUS.COUNTED, countedBy, now, '', '', now]);
+        }
+        recorded++;
+      });
+
+      Performance.end('recordCounts');
+      const session = getCountSession(id);
+      session.recorded = recorded;
+      return session;
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('recordCounts');
+    return ErrorHandler.createErrorResponse(error, 'recordCounts');
+  }
+}
+
+/**
+ * Approve (or dismiss) counted lines in bulk. Each approved variance adjusts
+ * Qty — and the away pile when the count was at an away location — and is
+ * logged as a COUNT transaction naming the counter.
+ *
+ * @param {string} sessionId
+ * @param {Object} options - { lines?: [{ item, location }] (default every counted line), dismiss?: boolean }
+ * @returns {Object} { success, adjusted, unchanged, dismissed, results, session, lines }
+ */
+function approveCountAdjustments(sessionId, options) {
+  Performance.start('approveCountAdjustments');
+
+  try {
+    const id = Validator.sanitizeString(String(sessionId || '')).trim();
+    const selected = options && Array.isArray(options.lines) ? options.lines : null;
+    const dismiss = !!(options && options.dismiss);
+    const approver = Session.getActiveUser().getEmail() || 'System';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const countsSheet = getCountsSheet();
+      const targets = readCountLines(countsSheet).filter(l =>
+        l.line.sessionId === id &&
+        l.line.status === COUNT_STATUS.COUNTED &&
+        (!selected || selected.some(s => s && String(s.item).toLowerCase() === l.line.item.toLowerCase() && sameLocation(s.location, l.line.location)))
+      );
+      if (targets.length === 0) {
+        return ErrorHandler.createErrorResponse(new Error('No counted lines to approve'), 'approveCountAdjustments');
+      }
+
+      const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+      const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+      const data = sheet.getDataRange().getValues();
+      const now = new Date();
+      const results = [];
+      let adjusted = 0;
+      let unchanged = 0;
+
+      targets.forEach(t => {
+        const line = t.line;
+
+        if (dismiss) {
+          countsSheet.getRange(t.row, 8).setValue(COUNT_STATUS.DISMISSED);
+          countsSheet.getRange(t.row, 11, 1, 2).setValues([[approver, now]]);
+          results.push({ item: line.item, location: line.location, status: COUNT_STATUS.DISMISSED });
+          return;
+        }
+
+        if (line.variance) {
+          const rowIndex = findInventoryRowByName(data, line.item);
+          if (rowIndex < 0) {
+            results.push({ item: line.item, location: line.location, error: 'Item no longer in inventory' });
+            return;
+          }
+
+          const before = snapshotInventoryRow(sheet, rowIndex, data[rowIndex]);
+          const home = String(data[rowIndex][3] || '').trim();
+          const currentQty = parseFloat(data[rowIndex][1]) || 0;
+          const newTotal = Math.max(0, currentQty + line.variance);
+          // Stock can't go below zero, so log (and move) what actually changed
+          const applied = newTotal - currentQty;
+          sheet.getRange(rowIndex + 1, 2).setValue(newTotal);
+          data[rowIndex][1] = newTotal;
+
+          if (!sameLocation(line.location, home)) {
+            const deltas = {};
+            deltas[line.location] = applied;
+            applyLocationDeltas(data[rowIndex][0], home, deltas);
+          }
+
+          logTransaction(sheet, {
+            timestamp: now,
+            action: "COUNT",
+            item: data[rowIndex][0],
+            quantity: applied,
+            unit: line.unit,
+            newTotal: newTotal,
+            notes: `Counted ${line.counted} at ${line.location} by ${line.counter} (expected ${line.expected}, ${id})`,
+            before: before,
+            after: snapshotInventoryRow(sheet, rowIndex)
+          });
+          adjusted++;
+        } else {
+          unchanged++;
+        }
+
+        countsSheet.getRange(t.row, 8).setValue(COUNT_STATUS.APPROVED);
+        countsSheet.getRange(t.row, 11, 1, 2).setValues([[approver, now]]);
+        results.push({ item: line.item, location: line.location, variance: line.variance, status: COUNT_STATUS.APPROVED });
+      });
+
+      if (adjusted > 0) {
+        CacheService.getScriptCache().removeAll([]);
+      }
+      logActivity(dismiss ? 'COUNT_DISMISSED' : 'COUNT_APPROVED', id,
+        dismiss ? results.length + ' lines dismissed' : adjusted + ' adjustments, ' + unchanged + ' matched');
+
+      Performance.end('approveCountAdjustments');
+      const session = getCountSession(id);
+      session.adjusted = adjusted;
+      session.unchanged = unchanged;
+      session.dismissed = dismiss ? results.length : 0;
+      session.results = results;
+      return session;
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('approveCountAdjustments');
+    return ErrorHandler.createErrorResponse(error, 'approveCountAdjustments');
+  }
+}
+
+/**
+ * Helper: current stock per item and location, optionally for one location.
+ * @returns {Array} [{ item, unit, location, quantity, home }]
+ */
+function readInventoryByLocation(location) {
+  const data = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME).getDataRange().getValues();
+  const awayByItem = readAwayStock();
+  const rows = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const item = String(data[i][0] || '').trim();
+    if (!item) continue;
+    const total = parseFloat(data[i][1]) || 0;
+    const unit = String(data[i][2] || '');
+
+    getLocationBreakdown(item, total, String(data[i][3] || '').trim(), awayByItem).forEach(b => {
+      if (location && !sameLocation(b.location, location)) return;
+      rows.push({ item: item, unit: unit, location: b.location, quantity: b.quantity, home: b.home });
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Helper: next session ID for the day, e.g. CNT-20250314-01.
+ */
+function nextCountSessionId(sheet, now) {
+  const prefix = 'CNT-' + Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyyMMdd') + '-';
+  const todays = {};
+  readCountLines(sheet).forEach(l => {
+    if (l.line.sessionId.indexOf(prefix) === 0) todays[l.line.sessionId] = true;
+  });
+  return prefix + ('0' + (Object.keys(todays).length + 1)).slice(-2);
+}
+
+/**
+ * Helper: open (or create) the inventory counts sheet.
+ */
+function getCountsSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.COUNTS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.COUNTS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, COUNT_HEADERS.length).setValues([COUNT_HEADERS]);
+    sheet.getRange(1, 1, 1, COUNT_HEADERS.length).setFontWeight('bold').setBackground('#4CAF50').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read count lines with their sheet row numbers.
+ * @returns {Array} [{ row (1-based), line }]
+ */
+function readCountLines(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const lines = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][0] || !data[i][2]) continue;
+    const counted = data[i][5] === '' ? null : parseFloat(data[i][5]);
+
+    lines.push({
+      row: i + 1,
+      line: {
+        sessionId: String(data[i][0]).trim(),
+        location: String(data[i][1] || 'Unspecified'),
+        item: String(data[i][2]).trim(),
+        unit: String(data[i][3] || ''),
+        expected: parseFloat(data[i][4]) || 0,
+        counted: counted,
+        variance: parseFloat(data[i][6]) || 0,
+        status: String(data[i][7] || COUNT_STATUS.PENDING),
+        counter: String(data[i][8] || ''),
+        countedAt: data[i][9] instanceof Date ? data[i][9].toISOString() : String(data[i][9] || ''),
+        approvedBy: String(data[i][10] || ''),
+        createdAt: data[i][12] instanceof Date ? data[i][12].toISOString() : String(data[i][12] || '')
+      }
+    });
+  }
+
+  return lines;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ↩️ UNDO & AUDIT TRAIL
+// ═══════════════════════════════════════════════════════════════════════
+
+const TRANSACTION_LOG_HEADERS = ['Timestamp', 'Action', 'Item', 'Quantity', 'Unit', 'New Total', 'Notes', 'Transaction ID', 'User', 'Before', 'After', 'Undone'];
+
+/**
+ * Reverse an inventory transaction by restoring its before snapshot — the
+ * item row and its away piles. Undoing a NEW removes the row; undoing a MERGE
+ * also re-inserts the row the merge deleted; undoing an IMPORT (or any of its
+ * per-item entries) reverses every row the import touched. If the item has changed since
+ * the transaction (its current state no longer matches the after snapshot)
+ * the undo is refused with the conflicting fields unless options.force is set.
+ *
+ * @param {string} id - Transaction ID from the Transaction Log
+ * @param {Object} options - { force?: boolean }
+ * @returns {Object} { success, undoneId, undoId, item, message } or { success: false, conflict, conflicts }
+ */
+function undoTransaction(id, options) {
+  Performance.start('undoTransaction');
+
+  try {
+    const txId = Validator.sanitizeString(String(id || '')).trim();
+    if (!txId) {
+      return ErrorHandler.createErrorResponse(new Error('Transaction ID is required'), 'undoTransaction');
+    }
+    const force = !!(options && options.force);
+    const user = Session.getActiveUser().getEmail() || 'System';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+      const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+      const logSheet = ss.getSheetByName("Transaction Log");
+      const entries = logSheet ? readTransactionEntries(logSheet) : [];
+
+      let entry = entries.find(e => e.id === txId);
+      if (entry && entry.before && entry.before.linkedTo) {
+        entry = entries.find(e => e.id === entry.before.linkedTo);
+      }
+      if (entry && entry.after && entry.after.batch) {
+        entry = entries.find(e => e.id === entry.after.batch);
+      }
+      if (!entry) {
+        return ErrorHandler.createErrorResponse(new Error(`Transaction ${txId} not found`), 'undoTransaction');
+      }
+      if (entry.undone) {
+        return ErrorHandler.createErrorResponse(new Error(`Transaction already undone (${entry.undone})`), 'undoTransaction');
+      }
+      if (entry.before === undefined && entry.after === undefined) {
+        return ErrorHandler.createErrorResponse(new Error(`${entry.action} on ${entry.timestamp} has no snapshot to restore`), 'undoTransaction');
+      }
+      if (entry.before && entry.before.batch) {
+        const batchResult = undoTransactionBatch(sheet, logSheet, entries, entry, force, user);
+        Performance.end('undoTransaction');
+        return batchResult;
+      }
+
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0].map(h => String(h).trim());
+      const idCol = headers.map(h => h.toLowerCase()).indexOf('item id');
+      const target = entry.after ? findSnapshotRow(data, entry.after, idCol) : -1;
+      const current = target >= 0 ? snapshotInventoryRow(sheet, target, data[target]) : null;
+
+      // Conflict detection: the item must still look the way this transaction left it
+      let conflicts = [];
+      if (entry.after) {
+        conflicts = current
+          ? diffSnapshots(entry.after, current, headers, idCol)
+          : [{ field: headers[0] || 'Item', expected: String(entry.after.values[0]), current: '(deleted)' }];
+      }
+      // A row being put back (merge or deletion) must not have been re-created since
+      const reinsert = entry.after ? entry.before && entry.before.merged : entry.before;
+      if (reinsert && findSnapshotRow(data, reinsert, idCol) >= 0) {
+        conflicts.push({ field: headers[0] || 'Item', expected: '(deleted)', current: String(reinsert.values[0]) });
+      }
+
+      if (conflicts.length > 0 && !force) {
+        const response = ErrorHandler.createErrorResponse(
+          new Error(`${entry.item} has changed since this ${entry.action} — undoing would overwrite newer changes`), 'undoTransaction');
+        response.conflict = true;
+        response.conflicts = conflicts;
+        return response;
+      }
+
+      // Restore
+      let restored = null;
+      if (entry.before && current) {
+        restoreInventoryRow(sheet, target + 1, entry.before, current, idCol);
+        restored = snapshotInventoryRow(sheet, target);
+      } else if (entry.before) {
+        restored = insertInventoryRow(sheet, entry.before);
+      } else if (current) {
+        sheet.deleteRow(target + 1);
+        setAwayStock(current.values[0], []);
+      }
+      if (entry.after && entry.before && entry.before.merged) {
+        insertInventoryRow(sheet, entry.before.merged);
+      }
+
+      const now = new Date();
+      // A reversed merge can't be re-applied from snapshots, so its UNDO isn't undoable
+      const reversible = !(entry.before && entry.before.merged);
+      const undoId = logTransaction(sheet, {
+        timestamp: now,
+        action: "UNDO",
+        item: entry.item,
+        quantity: entry.quantity,
+        unit: entry.unit,
+        newTotal: restored ? restored.values[1] : 0,
+        notes: `Undid ${entry.action} ${entry.id}` + (conflicts.length > 0 ? ` (forced over changes to ${conflicts.map(c => c.field).join(', ')})` : ''),
+        before: reversible ? current : undefined,
+        after: reversible ? restored : undefined
+      });
+
+      const undoneNote = `${user} ${Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm')} (${undoId})`;
+      entries.forEach(e => {
+        if (e.id === entry.id || (e.before && e.before.linkedTo === entry.id)) {
+          logSheet.getRange(e.row, TRANSACTION_LOG_HEADERS.indexOf('Undone') + 1).setValue(undoneNote);
+        }
+      });
+
+      CacheService.getScriptCache().removeAll([]);
+      logActivity('UNDO', entry.item, `Undid ${entry.action} from ${entry.timestamp}`);
+
+      Performance.end('undoTransaction');
+      return {
+        success: true,
+        undoneId: entry.id,
+        undoId: undoId,
+        item: entry.item,
+        message: `↩️ Undid ${entry.action} on ${entry.item}` + (restored ? `. Quantity is back to ${restored.values[1]}` : ' — item removed')
+      };
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('undoTransaction');
+    return ErrorHandler.createErrorResponse(error, 'undoTransaction');
+  }
+}
+
+/**
+ * Helper: undo a batch transaction (an IMPORT) from its per-item entries.
+ * Every item is conflict-checked before anything is written. Updated rows get
+ * their before values back, except cells holding a formula; rows the batch
+ * added are deleted. The UNDO entry itself can't be undone.
+ * @returns {Object} Same shape as undoTransaction
+ */
+function undoTransactionBatch(sheet, logSheet, entries, entry, force, user) {
+  const items = entries.filter(e => e.after && e.after.batch === entry.id);
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0].map(h => String(h).trim());
+  const idCol = headers.map(h => h.toLowerCase()).indexOf('item id');
+  const away = readAwayStock();
+
+  const conflicts = [];
+  const targets = items.map(e => {
+    const target = findSnapshotRow(data, e.after, idCol);
+    if (target < 0) {
+      conflicts.push({ item: String(e.after.values[0]), field: headers[0] || 'Item', expected: String(e.after.values[0]), current: '(deleted)' });
+    } else {
+      diffSnapshots(e.after, snapshotInventoryRow(sheet, target, data[target], away), headers, idCol)
+        .forEach(c => conflicts.push(Object.assign({ item: String(e.after.values[0]) }, c)));
+    }
+    return target;
+  });
+
+  if (conflicts.length > 0 && !force) {
+    const response = ErrorHandler.createErrorResponse(
+      new Error(`${new Set(conflicts.map(c => c.item)).size} imported items have changed since this import — undoing would overwrite newer changes`), 'undoTransaction');
+    response.conflict = true;
+    response.conflicts = conflicts;
+    return response;
+  }
+
+  const width = headers.length;
+  const formulas = data.length > 1 ? sheet.getRange(2, 1, data.length - 1, width).getFormulas() : [];
+  const added = [];
+  items.forEach((e, n) => {
+    const target = targets[n];
+    if (target < 0) return;
+    if (!e.before) {
+      added.push(target);
+      return;
+    }
+    const values = reviveSnapshotValues(e.before.values).slice(0, width);
+    while (values.length < width) values.push(data[target][values.length]);
+    const row = values.map((v, col) => {
+      if (formulas[target - 1][col]) return formulas[target - 1][col];
+      if (col === idCol && !String(v || '').trim()) return data[target][col];
+      return v;
+    });
+    sheet.getRange(target + 1, 1, 1, width).setValues([row]);
+  });
+  // Bottom up, so earlier deletions don't shift the rows still to go
+  added.sort((a, b) => b - a).forEach(target => sheet.deleteRow(target + 1));
+
+  const now = new Date();
+  const undoId = logTransaction(sheet, {
+    timestamp: now,
+    action: "UNDO",
+    item: entry.item,
+    quantity: entry.quantity,
+    unit: entry.unit,
+    newTotal: '',
+    notes: `Undid ${entry.action} ${entry.id}: ${items.length - added.length} restored, ${added.length} removed` +
+      (conflicts.length > 0 ? ` (forced over changes to ${new Set(conflicts.map(c => c.item)).size} items)` : '')
+  });
+
+  const undoneNote = `${user} ${Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm')} (${undoId})`;
+  const undoneCol = TRANSACTION_LOG_HEADERS.indexOf('Undone') + 1;
+  entries.forEach(e => {
+    if (e.id === entry.id || (e.after && e.after.batch === entry.id)) {
+      logSheet.getRange(e.row, undoneCol).setValue(undoneNote);
+    }
+  });
+
+  CacheService.getScriptCache().removeAll([]);
+  logActivity('UNDO', entry.item, `Undid ${entry.action} from ${entry.timestamp}`);
+
+  return {
+    success: true,
+    undoneId: entry.id,
+    undoId: undoId,
+    item: entry.item,
+    message: `↩️ Undid ${entry.action}: ${items.length - added.length} items restored, ${added.length} new items removed`
+  };
+}
+
+/**
+ * Audit trail: logged transactions, newest first, with who made each change
+ * and which fields it touched.
+ *
+ * @param {string} item - Optional item name to filter on
+ * @param {number} limit - Max entries (default 50)
+ * @returns {Object} { success, transactions: [{ id, timestamp, action, item, quantity, unit, newTotal, notes, user, changes, undoable, undone }] }
+ */
+function getTransactionHistory(item, limit) {
+  Performance.start('getTransactionHistory');
+
+  try {
+    const itemLower = Validator.sanitizeString(String(item || '')).toLowerCase().trim();
+    const max = Math.max(1, Validator.sanitizeNumber(limit, 50));
+
+    const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+    const logSheet = ss.getSheetByName("Transaction Log");
+    const entries = logSheet ? readTransactionEntries(logSheet) : [];
+    const inventorySheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+    const inventoryHeaders = inventorySheet.getRange(1, 1, 1, inventorySheet.getLastColumn()).getValues()[0].map(h => String(h).trim());
+
+    const transactions = entries
+      .filter(e => !itemLower || e.item.toLowerCase() === itemLower)
+      .reverse()
+      .slice(0, max)
+      .map(e => ({
+        id: e.id,
+        timestamp: e.timestamp,
+        action: e.action,
+        item: e.item,
+        quantity: e.quantity,
+        unit: e.unit,
+        newTotal: e.newTotal,
+        notes: e.notes,
+        user: e.user,
+        changes: e.before && e.after && !e.before.linkedTo
+          ? diffSnapshots(e.before, e.after, inventoryHeaders, -1).map(c => ({ field: c.field, from: c.expected, to: c.current }))
+          : [],
+        undoable: !e.undone && (e.before !== undefined || e.after !== undefined),
+        undone: e.undone
+      }));
+
+    Performance.end('getTransactionHistory');
+    return { success: true, transactions: transactions };
+
+  } catch (error) {
+    Performance.end('getTransactionHistory');
+    return ErrorHandler.createErrorResponse(error, 'getTransactionHistory');
+  }
+}
+
+/**
+ * Helper: capture an inventory row and its away piles for the audit trail.
+ * @param {number} rowIndex - 0-based index into the sheet values (header = 0)
+ * @param {Array} values - Row values already read; re-read from the sheet when omitted
+ * @param {Object} awayStock - readAwayStock() output, for callers snapshotting many rows
+ * @returns {Object} { row (1-based), values, away: [{ location, quantity }] }
+ */
+function snapshotInventoryRow(sheet, rowIndex, values, awayStock) {
+  const row = values ? values.slice() : sheet.getRange(rowIndex + 1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const away = ((awayStock || readAwayStock())[String(row[0]).toLowerCase().trim()] || []).map(a => ({ location: a.location, quantity: a.quantity }));
+  return { row: rowIndex + 1, values: row, away: away };
+}
+
+/**
+ * Helper: locate a snapshot's item in the sheet — by Item ID when it had one, else by name.
+ * @returns {number} 0-based row index, or -1
+ */
+function findSnapshotRow(data, snapshot, idCol) {
+  const itemId = idCol >= 0 ? String(snapshot.values[idCol] || '').trim() : '';
+  const name = String(snapshot.values[0]).toLowerCase().trim();
+
+  for (let i = 1; i < data.length; i++) {
+    if (itemId && String(data[i][idCol]).trim() === itemId) return i;
+  }
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][0]).toLowerCase().trim() === name) return i;
+  }
+  return -1;
+}
+
+/**
+ * Helper: fields that differ between two snapshots (Item ID column ignored).
+ * @returns {Array} [{ field, expected, current }]
+ */
+function diffSnapshots(expected, current, headers, idCol) {
+  const normalize = v => v instanceof Date ? v.toISOString() : String(v === null || v === undefined ? '' : v);
+  const diffs = [];
+
+  const width = Math.max(expected.values.length, current.values.length);
+  for (let i = 0; i < width; i++) {
+    if (i === idCol) continue;
+    const a = normalize(expected.values[i]);
+    const b = normalize(current.values[i]);
+    if (a !== b) diffs.push({ field: headers[i] || 'Column ' + (i + 1), expected: a, current: b });
+  }
+
+  const piles = s => (s.away || []).map(p => p.location + ': ' + p.quantity).sort().join(', ');
+  if (piles(expected) !== piles(current)) {
+    diffs.push({ field: 'Away stock', expected: piles(expected) || 'none', current: piles(current) || 'none' });
+  }
+
+  return diffs;
+}
+
+/**
+ * Helper: write a snapshot back over an existing row. The row keeps its
+ * current Item ID when the snapshot predates ID assignment.
+ */
+function restoreInventoryRow(sheet, row, snapshot, current, idCol) {
+  const values = reviveSnapshotValues(snapshot.values);
+  while (values.length < current.values.length) values.push(current.values[values.length]);
+  if (idCol >= 0 && !String(values[idCol] || '').trim()) values[idCol] = current.values[idCol];
+
+  sheet.getRange(row, 1, 1, values.length).setValues([values]);
+  setAwayStock(values[0], snapshot.away);
+}
+
+/**
+ * Helper: put a deleted row back at its old position (or the end of the sheet).
+ * @returns {Object} Snapshot of the re-inserted row
+ */
+function insertInventoryRow(sheet, snapshot) {
+  const values = reviveSnapshotValues(snapshot.values);
+  const lastRow = sheet.getLastRow();
+  let row = lastRow + 1;
+  if (snapshot.row >= 2 && snapshot.row <= lastRow) {
+    sheet.insertRowBefore(snapshot.row);
+    row = snapshot.row;
+  }
+
+  sheet.getRange(row, 1, 1, values.length).setValues([values]);
+  setAwayStock(values[0], snapshot.away);
+  return snapshotInventoryRow(sheet, row - 1);
+}
+
+/**
+ * Helper: replace an item's away piles in the stock locations sheet.
+ */
+function setAwayStock(item, away) {
+  const sheet = getStockLocationsSheet();
+  const existing = readAwayStock()[String(item).toLowerCase().trim()] || [];
+
+  existing.map(a => a.row).sort((a, b) => b - a).forEach(row => sheet.deleteRow(row));
+
+  const now = new Date();
+  const rows = (away || []).filter(a => a.quantity > 0).map(a => [item, a.location, a.quantity, now]);
+  if (rows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, STOCK_LOCATION_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Helper: snapshots go through JSON, so turn ISO timestamps back into Dates.
+ */
+function reviveSnapshotValues(values) {
+  return values.map(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(v) ? new Date(v) : v);
+}
+
+/**
+ * Helper: read the Transaction Log with IDs and parsed snapshots.
+ * before/after are undefined for entries logged before snapshots existed.
+ * @returns {Array} [{ row (1-based), id, timestamp, action, item, quantity, unit, newTotal, notes, user, before, after, undone }]
+ */
+function readTransactionEntries(logSheet) {
+  const data = logSheet.getDataRange().getValues();
+  const parse = v => {
+    if (v === '' || v === null || v === undefined) return undefined;
+    try {
+      return JSON.parse(v);
+    } catch (e) {
+      return undefined;
+    }
+  };
+  const entries = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][2]) continue;
+
+    entries.push({
+      row: i + 1,
+      id: String(data[i][7] || ''),
+      timestamp: data[i][0] instanceof Date ? data[i][0].toISOString() : String(data[i][0] || ''),
+      action: String(data[i][1] || '').toUpperCase(),
+      item: String(data[i][2]).trim(),
+      quantity: data[i][3],
+      unit: String(data[i][4] || ''),
+      newTotal: data[i][5],
+      notes: String(data[i][6] || ''),
+      user: String(data[i][8] || ''),
+      before: parse(data[i][9]),
+      after: parse(data[i][10]),
+      undone: String(data[i][11] || '')
+    });
+  }
+
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔁 DUPLICATE REVIEW
+// ═══════════════════════════════════════════════════════════════════════
+
+const DUPLICATE_STATUS = {
+  OPEN: 'OPEN',
+  DISMISSED: 'DISMISSED',
+  MERGED: 'MERGED'
+};
+
+const DUPLICATE_HEADERS = ['Pair Key', 'Item 1', 'Item 2', 'Similarity', 'Reason', 'Status', 'Found At', 'Reviewed By', 'Reviewed At'];
+const DUPLICATE_SCAN_PROPERTY = 'DUPLICATE_SCAN_STATE';
+const DUPLICATE_STOP_WORDS = ['the', 'of', 'and', 'with', 'a'];
+
+// Size units as written on nursery tags → one spelling. "#5" pots count as gallons.
+const SIZE_UNIT_ALIASES = [
+  { unit: 'cuft', pattern: 'cu\\.?\\s*f(?:ee)?t|cubic\\s+f(?:oo|ee)t' },
+  { unit: 'gal', pattern: 'gal(?:lon)?s?|gl|g' },
+  { unit: 'qt', pattern: 'qts?|quarts?' },
+  { unit: 'in', pattern: 'in(?:ch(?:es)?)?|"' },
+  { unit: 'ft', pattern: 'ft|foot|feet|\'' },
+  { unit: 'lb', pattern: 'lbs?|pounds?' },
+  { unit: 'yd', pattern: 'yds?|yards?' },
+  { unit: 'oz', pattern: 'oz' }
+];
+
+/**
+ * Run one batch of the duplicate scan. Items are grouped into blocks that
+ * share a normalized key, genus, name prefix or cultivar, and only pairs
+ * inside a block are compared — so the work grows with block sizes rather
+ * than the square of the catalogue. The scan stops after
+ * CONFIG.DUPLICATE_SCAN_BUDGET_MS and picks up from the next block on the
+ * following call. New pairs go to the Duplicate Review queue; pairs already
+ * in the queue (including dismissed ones) are never re-flagged.
+ *
+ * @param {Object} options - { restart?: boolean }
+ * @returns {Object} { success, complete, blocksDone, totalBlocks, newPairs, openPairs }
+ */
+function scanDuplicates(options) {
+  Performance.start('scanDuplicates');
+
+  try {
+    const started = Date.now();
+    const props = PropertiesService.getScriptProperties();
+    if (options && options.restart) props.deleteProperty(DUPLICATE_SCAN_PROPERTY);
+    const state = JSON.parse(props.getProperty(DUPLICATE_SCAN_PROPERTY) || 'null') || { lastKey: '', blocksDone: 0, startedAt: new Date().toISOString() };
+
+    const data = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME).getDataRange().getValues();
+    const items = [];
+    for (let i = 1; i < data.length; i++) {
+      const name = String(data[i][0] || '').trim();
+      if (name) items.push(normalizeItemName(name));
+    }
+
+    const blocks = buildDuplicateBlocks(items);
+    const keys = Object.keys(blocks).sort();
+
+    const queueSheet = getDuplicateReviewSheet();
+    const known = {};
+    readDuplicatePairs(queueSheet).forEach(p => { known[p.pair.pairKey] = true; });
+
+    const now = new Date();
+    const newRows = [];
+    const compared = {};
+    let complete = true;
+    let processed = 0;
+
+    for (let k = 0; k < keys.length; k++) {
+      if (keys[k] <= state.lastKey) continue;
+      // Always finish at least one block per call so the scan can't stall
+      if (processed > 0 && Date.now() - started > CONFIG.DUPLICATE_SCAN_BUDGET_MS) {
+        complete = false;
+        break;
+      }
+
+      const block = blocks[keys[k]];
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          const pairKey = duplicatePairKey(block[i].name, block[j].name);
+          if (compared[pairKey] || known[pairKey]) continue;
+          compared[pairKey] = true;
+
+          const match = compareDuplicateCandidates(block[i], block[j]);
+          if (match) {
+            known[pairKey] = true;
+            newRows.push([pairKey, block[i].name, block[j].name, match.similarity, match.reason, DUPLICATE_STATUS.OPEN, now, '', '']);
+          }
+        }
+      }
+
+      state.lastKey = keys[k];
+      state.blocksDone++;
+      processed++;
+    }
+
+    if (newRows.length > 0) {
+      queueSheet.getRange(queueSheet.getLastRow() + 1, 1, newRows.length, DUPLICATE_HEADERS.length).setValues(newRows);
+    }
+
+    if (complete) {
+      props.deleteProperty(DUPLICATE_SCAN_PROPERTY);
+      logActivity('DUPLICATE_SCAN', items.length + ' items', keys.length + ' blocks scanned');
+    } else {
+      props.setProperty(DUPLICATE_SCAN_PROPERTY, JSON.stringify(state));
+    }
+
+    const openPairs = readDuplicatePairs(queueSheet).filter(p => p.pair.status === DUPLICATE_STATUS.OPEN).length;
+
+    Performance.end('scanDuplicates');
+    return {
+      success: true,
+      complete: complete,
+      blocksDone: complete ? keys.length : state.blocksDone,
+      totalBlocks: keys.length,
+      newPairs: newRows.length,
+      openPairs: openPairs
+    };
+
+  } catch (error) {
+    Performance.end('scanDuplicates');
+    return ErrorHandler.createErrorResponse(error, 'scanDuplicates');
+  }
+}
+
+/**
+ * Get the duplicate review queue with current stock for both items.
+ * Pairs whose items no longer both exist are left out.
+ *
+ * @param {string} status - OPEN (default), DISMISSED, MERGED or ALL
+ * @returns {Object} { success, pairs: [{ pairKey, item1, item2, similarity, reason, status, foundAt }] }
+ */
+function getDuplicateQueue(status) {
+  Performance.start('getDuplicateQueue');
+
+  try {
+    const wanted = String(status || DUPLICATE_STATUS.OPEN).toUpperCase();
+    const data = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID).getSheetByName(CONFIG.INVENTORY_SHEET_NAME).getDataRange().getValues();
+    const byName = {};
+    for (let i = 1; i < data.length; i++) {
+      const name = String(data[i][0] || '').trim();
+      if (!name) continue;
+      byName[name.toLowerCase()] = { name: name, row: i + 1, quantity: data[i][1], unit: data[i][2], location: data[i][3] };
+    }
+
+    const pairs = [];
+    readDuplicatePairs(getDuplicateReviewSheet()).forEach(p => {
+      const pair = p.pair;
+      if (wanted !== 'ALL' && pair.status !== wanted) return;
+      const item1 = byName[pair.item1.toLowerCase()];
+      const item2 = byName[pair.item2.toLowerCase()];
+      if (pair.status === DUPLICATE_STATUS.OPEN && (!item1 || !item2)) return;
+
+      pairs.push({
+        pairKey: pair.pairKey,
+        item1: item1 || { name: pair.item1 },
+        item2: item2 || { name: pair.item2 },
+        similarity: pair.similarity,
+        reason: pair.reason,
+        status: pair.status,
+        foundAt: pair.foundAt
+      });
+    });
+
+    pairs.sort((a, b) => b.similarity - a.similarity);
+
+    Performance.end('getDuplicateQueue');
+    return { success: true, pairs: pairs };
+
+  } catch (error) {
+    Performance.end('getDuplicateQueue');
+    return ErrorHandler.createErrorResponse(error, 'getDuplicateQueue');
+  }
+}
+
+/**
+ * Mark a pair as not a duplicate. Dismissed pairs stay in the queue sheet so
+ * later scans skip them.
+ * @param {string} pairKey - From getDuplicateQueue
+ * @returns {Object} { success, pairKey }
+ */
+function dismissDuplicatePair(pairKey) {
+  Performance.start('dismissDuplicatePair');
+
+  try {
+    const key = String(pairKey || '').trim();
+    if (!key) {
+      return ErrorHandler.createErrorResponse(new Error('Pair key is required'), 'dismissDuplicatePair');
+    }
+
+    if (!setDuplicatePairStatus(key, DUPLICATE_STATUS.DISMISSED)) {
+      return ErrorHandler.createErrorResponse(new Error('Duplicate pair not found'), 'dismissDuplicatePair');
+    }
+
+    Performance.end('dismissDuplicatePair');
+    return { success: true, pairKey: key };
+
+  } catch (error) {
+    Performance.end('dismissDuplicatePair');
+    return ErrorHandler.createErrorResponse(error, 'dismissDuplicatePair');
+  }
+}
+
+/**
+ * Helper: break an item name into comparable parts — singular tokens without
+ * punctuation, container/measure sizes in one spelling ("5 gal", "5-gallon"
+ * and "#5" all become "5gal"), and a quoted cultivar when there is one.
+ * @returns {Object} { name, tokens, base, key, genus, cultivar, size }
+ */
+function normalizeItemName(name) {
+  let text = String(name).toLowerCase().replace(/[‘’]/g, "'").replace(/[“”]/g, '"');
+  const sizes = [];
+
+  text = text.replace(/#\s*(\d+(?:\.\d+)?)/g, (m, n) => {
+    sizes.push(parseFloat(n) + 'gal');
+    return ' ';
+  });
+  SIZE_UNIT_ALIASES.forEach(alias => {
+    const pattern = new RegExp('(\\d+(?:\\.\\d+)?)\\s*-?\\s*(?:' + alias.pattern + ')(?![a-z])', 'g');
+    text = text.replace(pattern, (m, n) => {
+      sizes.push(parseFloat(n) + alias.unit);
+      return ' ';
+    });
+  });
+
+  const cultivarMatch = text.match(/['"]([^'"]{2,})['"]/);
+  const cultivar = cultivarMatch ? cultivarMatch[1].replace(/[^a-z0-9]+/g, ' ').trim() : '';
+
+  const tokens = text.replace(/[^a-z0-9]+/g, ' ').trim().split(/\s+/)
+    .filter(t => t && DUPLICATE_STOP_WORDS.indexOf(t) === -1)
+    .map(t => /(us|is)$/.test(t) ? t : normalizePlural(t)); // Keep Latin genera (Buxus, Ilex, Iris) intact
+  const size = sizes.sort().join(',');
+
+  return {
+    name: String(name).trim(),
+    tokens: tokens,
+    base: tokens.join(' '),
+    key: tokens.slice().sort().join(' ') + '|' + size,
+    genus: tokens[0] || '',
+    cultivar: cultivar,
+    size: size
+  };
+}
+
+/**
+ * Helper: group normalized items into comparison blocks. Blocks bigger than
+ * CONFIG.DUPLICATE_MAX_BLOCK_SIZE are dropped — their members still meet
+ * through their other, narrower keys.
+ * @returns {Object} { blockKey: [normalized item] }
+ */
+function buildDuplicateBlocks(items) {
+  const blocks = {};
+  const add = (key, item) => {
+    (blocks[key] = blocks[key] || []).push(item);
+  };
+
+  items.forEach(item => {
+    const keys = {};
+    keys['k:' + item.key] = true;
+    if (item.genus) {
+      keys['g:' + item.genus] = true;
+      keys['p:' + item.genus.slice(0, 3)] = true;
+    }
+    if (item.cultivar) keys['c:' + item.cultivar] = true;
+    // Common names carry the cultivar unquoted ("Green Velvet Boxwood"), so
+    // word pairs meet quoted botanical names ("Buxus 'Green Velvet'")
+    for (let i = 0; i + 1 < item.tokens.length; i++) {
+      keys['c:' + item.tokens[i] + ' ' + item.tokens[i + 1]] = true;
+    }
+    Object.keys(keys).forEach(key => add(key, item));
+  });
+
+  Object.keys(blocks).forEach(key => {
+    if (blocks[key].length < 2 || blocks[key].length > CONFIG.DUPLICATE_MAX_BLOCK_SIZE) delete blocks[key];
+  });
+  return blocks;
+}
+
+/**
+ * Helper: decide whether two normalized items look like the same thing.
+ * Different sizes or different cultivars are never duplicates.
+ * @returns {Object|null} { similarity (0-100), reason }
+ */
+function compareDuplicateCandidates(a, b) {
+  if (a.size && b.size && a.size !== b.size) return null;
+  if (a.cultivar && b.cultivar && a.cultivar !== b.cultivar) return null;
+
+  if (a.key === b.key) {
+    return { similarity: 100, reason: 'Same name once sizes, plurals and punctuation are normalized' };
+  }
+
+  const cultivar = a.cultivar || b.cultivar;
+  const other = a.cultivar ? b : a;
+  if (cultivar && (' ' + other.base + ' ').indexOf(' ' + cultivar + ' ') !== -1) {
+    return { similarity: 90, reason: `Same cultivar '${cultivar}'` };
+  }
+
+  const similarity = calculateSimilarity(a.base, b.base);
+  if (similarity > 0.8) {
+    return { similarity: Math.round(similarity * 100), reason: 'Similar spelling' };
+  }
+  return null;
+}
+
+/**
+ * Helper: order-independent key for a pair of item names.
+ */
+function duplicatePairKey(name1, name2) {
+  return [String(name1).toLowerCase().trim(), String(name2).toLowerCase().trim()].sort().join(' || ');
+}
+
+/**
+ * Helper: set a queued pair's status and reviewer.
+ * @returns {boolean} false when the pair isn't in the queue
+ */
+function setDuplicatePairStatus(pairKey, status) {
+  const sheet = getDuplicateReviewSheet();
+  const found = readDuplicatePairs(sheet).filter(p => p.pair.pairKey === pairKey)[0];
+  if (!found) return false;
+
+  const user = Session.getActiveUser().getEmail() || 'System';
+  sheet.getRange(found.row, 6).setValue(status);
+  sheet.getRange(found.row, 8, 1, 2).setValues([[user, new Date()]]);
+  return true;
+}
+
+/**
+ * Helper: open (or create) the duplicate review sheet.
+ */
+function getDuplicateReviewSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+  let sheet = ss.getSheetByName(CONFIG.DUPLICATE_REVIEW_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.DUPLICATE_REVIEW_SHEET_NAME);
+    sheet.getRange(1, 1, 1, DUPLICATE_HEADERS.length).setValues([DUPLICATE_HEADERS]);
+    sheet.getRange(1, 1, 1, DUPLICATE_HEADERS.length).setFontWeight('bold').setBackground('#4CAF50').setFontColor('white');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Helper: read queued duplicate pairs with their sheet row numbers.
+ * @returns {Array} [{ row (1-based), pair }]
+ */
+function readDuplicatePairs(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const pairs = [];
+
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][0]) continue;
+
+    pairs.push({
+      row: i + 1,
+      pair: {
+        pairKey: String(data[i][0]),
+        item1: String(data[i][1] || ''),
+        item2: String(data[i][2] || ''),
+        similarity: parseFloat(data[i][3]) || 0,
+        reason: String(data[i][4] || ''),
+        status: String(data[i][5] || DUPLICATE_STATUS.OPEN),
+        foundAt: data[i][6] instanceof Date ? data[i][6].toISOString() : String(data[i][6] || '')
+      }
+    });
+  }
+
+  return pairs;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📥 CSV IMPORT
+// ═══════════════════════════════════════════════════════════════════════
+
+// Header spellings accepted for the core inventory columns (compared lowercase)
+const IMPORT_FIELD_ALIASES = {
+  item: ['item', 'item name', 'name', 'product', 'description', 'plant', 'material'],
+  quantity: ['qty', 'quantity', 'count', 'on hand', 'stock'],
+  unit: ['unit', 'units', 'uom', 'unit of measure'],
+  location: ['location', 'loc', 'bin', 'where'],
+  notes: ['notes', 'note', 'comments', 'comment'],
+  minStock: ['min stock', 'min', 'minimum', 'minimum stock', 'reorder point', 'reorder level'],
+  itemId: ['item id', 'id', 'sku']
+};
+
+// Inventory sheet column for each core field; files without a header row use this order too
+const IMPORT_CORE_COLUMNS = { item: 0, quantity: 1, unit: 2, location: 3, notes: 4, minStock: 5 };
+const IMPORT_POSITIONAL_FIELDS = ['item', 'quantity', 'unit', 'location', 'notes', 'minStock'];
+
+/**
+ * Import inventory from CSV text or cells pasted from a spreadsheet.
+ * Columns are mapped by header (core aliases above, plus any other column
+ * whose header matches an inventory sheet header, e.g. "Retail Price");
+ * files without a header row use Item, Qty, Unit, Location, Notes, Min Stock.
+ *
+ * Rows are matched to existing items by Item ID, then exact name, then the
+ * duplicate scanner's normalized name ("Boxwoods 5-gallon" = "Boxwood 5 gal").
+ * A dry run (the default) returns the per-row diff without writing anything.
+ * A commit re-plans under the script lock, writes only the rows that change
+ * (rolling back if a write fails, keeping formulas in cells it doesn't touch)
+ * and logs an IMPORT transaction with a before/after snapshot per item, so
+ * undoTransaction can reverse the whole import.
+ *
+ * Location only places new items or items without a home; stock at another
+ * location has to be moved with a transfer.
+ *
+ * @param {string} text - CSV (comma, semicolon or tab separated)
+ * @param {Object} options - { dryRun = true, quantityMode: 'add'|'set', mapping: { field|sheet header: file header }, skipInvalid, source }
+ * @returns {Object} { success, dryRun, hasHeader, mapping, unmappedColumns, rows, summary, transactionId? }
+ */
+function importInventory(text, options) {
+  Performance.start('importInventory');
+
+  try {
+    const opts = options || {};
+    const dryRun = opts.dryRun !== false;
+    const raw = String(text || '');
+    if (!raw.trim()) {
+      return ErrorHandler.createErrorResponse(new Error('Nothing to import'), 'importInventory');
+    }
+
+    const records = parseCsv(raw);
+    if (records.length > CONFIG.IMPORT_MAX_ROWS + 1) {
+      return ErrorHandler.createErrorResponse(new Error(`Imports are limited to ${CONFIG.IMPORT_MAX_ROWS} rows — split the file`), 'importInventory');
+    }
+
+    const ss = SpreadsheetApp.openById(CONFIG.INVENTORY_SHEET_ID);
+    const sheet = ss.getSheetByName(CONFIG.INVENTORY_SHEET_NAME);
+
+    if (dryRun) {
+      const plan = planInventoryImport(records, sheet.getDataRange().getValues(), opts);
+      Performance.end('importInventory');
+      return Object.assign({ success: true, dryRun: true }, publicImportPlan(plan));
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      // Re-plan against the sheet as it is now, not as it was at preview time
+      const data = sheet.getDataRange().getValues();
+      const plan = planInventoryImport(records, data, opts);
+
+      if (plan.summary.invalid > 0 && !opts.skipInvalid) {
+        const response = ErrorHandler.createErrorResponse(
+          new Error(`${plan.summary.invalid} rows are invalid — fix them or import with skipInvalid`), 'importInventory');
+        return Object.assign(response, publicImportPlan(plan));
+      }
+
+      const updates = plan.rows.filter(r => r.status === 'update');
+      const additions = plan.rows.filter(r => r.status === 'new');
+      if (updates.length + additions.length === 0) {
+        Performance.end('importInventory');
+        return Object.assign({ success: true, dryRun: false, message: 'Nothing to import — every row matches the sheet' }, publicImportPlan(plan));
+      }
+
+      writeImportPlan(sheet, data, updates, additions);
+      if (additions.length > 0) ensureItemIds(sheet);
+
+      const sourceName = opts.source ? Validator.sanitizeString(String(opts.source)) : 'pasted data';
+      const summaryNote = `Imported ${sourceName}: ${additions.length} new, ${updates.length} updated, ${plan.summary.unchanged} unchanged` +
+        (plan.summary.invalid ? `, ${plan.summary.invalid} invalid skipped` : '') +
+        (plan.quantityMode === 'set' ? ' (quantities set)' : '');
+      // One summary entry plus a snapshot entry per item; undoing any of them reverses the whole import
+      const transactionId = Utilities.getUuid();
+      const timestamp = new Date();
+      const after = sheet.getDataRange().getValues();
+      const away = readAwayStock();
+      const rowEntries = updates.concat(additions).map(r => {
+        const index = r.target >= 0 ? r.target : data.length + additions.indexOf(r);
+        const snapshot = snapshotInventoryRow(sheet, index, after[index], away);
+        snapshot.batch = transactionId;
+        return {
+          timestamp: timestamp,
+          action: "IMPORT",
+          item: String(after[index][0]),
+          quantity: after[index][1],
+          unit: String(after[index][2] || ''),
+          newTotal: after[index][1],
+          notes: (r.status === 'new' ? 'New item' : r.changes.map(c => c.field).join(', ')) + ` — row ${r.row} of ${sourceName}`,
+          before: r.target >= 0 ? snapshotInventoryRow(sheet, r.target, data[r.target], away) : null,
+          after: snapshot
+        };
+      });
+      logTransactions(sheet, [{
+        id: transactionId,
+        timestamp: timestamp,
+        action: "IMPORT",
+        item: `${additions.length + updates.length} items`,
+        quantity: additions.length + updates.length,
+        unit: 'rows',
+        newTotal: '',
+        notes: summaryNote,
+        before: { batch: true }
+      }].concat(rowEntries));
+
+      CacheService.getScriptCache().removeAll([]);
+      logActivity('IMPORT', sourceName, summaryNote);
+
+      Performance.end('importInventory');
+      return Object.assign({ success: true, dryRun: false, message: `✅ ${summaryNote}`, transactionId: transactionId }, publicImportPlan(plan));
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('importInventory');
+    return ErrorHandler.createErrorResponse(error, 'importInventory');
+  }
+}
+
+/**
+ * Helper: parse delimited text into rows of cells. Handles quoted cells with
+ * embedded delimiters, doubled quotes and line breaks, and CRLF endings.
+ * The delimiter (comma, semicolon or tab) is taken from the first line.
+ * Blank lines are dropped.
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const source = String(text).replace(/^﻿/, '');
+  const firstLine = source.split(/\r?\n/)[0];
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  firstLine.replace(/[,;\t]/g, c => { counts[c]++; return c; });
+  const delimiter = Object.keys(counts).reduce((best, c) => counts[c] > counts[best] ? c : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (c === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(v => v !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Helper: work out which file column feeds which inventory field.
+ * @returns {Object} { hasHeader, columns: { field or sheet header index: file column }, labels }
+ */
+function mapImportColumns(headerRow, sheetHeaders, overrides) {
+  const fileHeaders = headerRow.map(h => String(h).toLowerCase().trim());
+  const sheetLower = sheetHeaders.map(h => String(h).toLowerCase().trim());
+  const columns = {};
+
+  Object.keys(IMPORT_FIELD_ALIASES).forEach(field => {
+    const col = fileHeaders.findIndex(h => IMPORT_FIELD_ALIASES[field].indexOf(h) !== -1);
+    if (col >= 0) columns[field] = col;
+  });
+
+  // Any other sheet column (Retail Price, Preferred Vendor, ...) maps by its own header
+  sheetLower.forEach((header, sheetCol) => {
+    if (sheetCol < IMPORT_POSITIONAL_FIELDS.length || !header || header === 'item id') return;
+    const col = fileHeaders.indexOf(header);
+    if (col >= 0) columns['col:' + sheetCol] = col;
+  });
+
+  // Explicit choices win: { quantity: 'On Hand', 'Retail Price': 'Price' }
+  Object.keys(overrides || {}).forEach(target => {
+    const col = fileHeaders.indexOf(String(overrides[target]).toLowerCase().trim());
+    if (col < 0) return;
+    const sheetCol = sheetLower.indexOf(String(target).toLowerCase().trim());
+    const key = IMPORT_FIELD_ALIASES[target] ? target : (sheetCol >= 0 ? 'col:' + sheetCol : null);
+    if (!key) return;
+    Object.keys(columns).forEach(k => { if (columns[k] === col) delete columns[k]; });
+    columns[key] = col;
+  });
+
+  const hasHeader = columns.item !== undefined;
+  if (!hasHeader) {
+    IMPORT_POSITIONAL_FIELDS.forEach((field, col) => { columns[field] = col; });
+  }
+
+  return { hasHeader: hasHeader, columns: columns };
+}
+
+/**
+ * Helper: match every import row to the sheet and work out its changes.
+ * @param {Array} records - parseCsv() output
+ * @param {Array} data - Inventory sheet values (header row first)
+ * @returns {Object} { rows, summary, mapping, unmappedColumns, hasHeader, quantityMode }
+ */
+function planInventoryImport(records, data, opts) {
+  const quantityMode = opts.quantityMode === 'set' ? 'set' : 'add';
+  const headers = data[0].map(h => String(h).trim());
+  const width = headers.length;
+  const idCol = headers.map(h => h.toLowerCase()).indexOf('item id');
+  const mapped = mapImportColumns(records[0] || [], headers, opts.mapping);
+  const body = mapped.hasHeader ? records.slice(1) : records;
+  const firstRow = mapped.hasHeader ? 2 : 1;
+
+  // Indexes over the current sheet
+  const byId = {};
+  const byName = {};
+  const byKey = {};
+  const byPrefix = {};
+  for (let i = 1; i < data.length; i++) {
+    const name = String(data[i][0] || '').trim();
+    if (!name) continue;
+    if (idCol >= 0 && String(data[i][idCol]).trim()) byId[String(data[i][idCol]).trim().toUpperCase()] = i;
+    byName[name.toLowerCase()] = i;
+    const normalized = normalizeItemName(name);
+    if (byKey[normalized.key] === undefined) byKey[normalized.key] = i;
+    const prefix = normalized.genus.slice(0, 3);
+    (byPrefix[prefix] = byPrefix[prefix] || []).push({ index: i, normalized: normalized });
+  }
+
+  const away = readAwayStock();
+  const conversions = readUnitConversions();
+  const seen = {};
+  const cell = (record, key) => mapped.columns[key] === undefined ? '' : String(record[mapped.columns[key]] || '').trim();
+
+  const rows = body.map((record, n) => {
+    const plan = { row: firstRow + n, item: cell(record, 'item'), status: 'invalid', matchedItem: '', matchedBy: '', changes: [], errors: [], warnings: [], target: -1, values: null };
+    const name = Validator.sanitizeString(plan.item);
+
+    if (!name) {
+      plan.errors.push('Item name is missing');
+      return plan;
+    }
+
+    // Match: Item ID, exact name, then normalized name
+    const itemId = cell(record, 'itemId').toUpperCase();
+    let target = -1;
+    if (itemId && byId[itemId] !== undefined) {
+      target = byId[itemId];
+      plan.matchedBy = 'item id';
+    } else if (itemId && idCol >= 0) {
+      plan.errors.push(`Item ID ${itemId} is not in the inventory`);
+      return plan;
+    } else if (byName[name.toLowerCase()] !== undefined) {
+      target = byName[name.toLowerCase()];
+      plan.matchedBy = 'name';
+    } else {
+      const normalized = normalizeItemName(name);
+      if (byKey[normalized.key] !== undefined) {
+        target = byKey[normalized.key];
+        plan.matchedBy = 'normalized name';
+      } else {
+        const lookalike = (byPrefix[normalized.genus.slice(0, 3)] || []).find(e => compareDuplicateCandidates(normalized, e.normalized));
+        if (lookalike) plan.warnings.push(`Looks like existing "${data[lookalike.index][0]}" — check it isn't the same item`);
+      }
+    }
+
+    const seenKey = target >= 0 ? 'row:' + target : 'new:' + normalizeItemName(name).key;
+    if (seen[seenKey]) {
+      plan.errors.push(`Same item as row ${seen[seenKey]} of this file`);
+      return plan;
+    }
+    seen[seenKey] = plan.row;
+
+    // Quantity
+    const qtyText = cell(record, 'quantity').replace(/,/g, '');
+    let quantity = null;
+    if (qtyText !== '') {
+      quantity = Number(qtyText);
+      if (isNaN(quantity) || quantity < 0) {
+        plan.errors.push(`Quantity "${cell(record, 'quantity')}" is not a number of 0 or more`);
+        return plan;
+      }
+    }
+
+    const unit = Validator.sanitizeString(cell(record, 'unit'));
+    const minText = cell(record, 'minStock');
+    if (minText !== '' && isNaN(Number(minText))) {
+      plan.errors.push(`Min stock "${minText}" is not a number`);
+      return plan;
+    }
+
+    const values = target >= 0 ? data[target].slice() : new Array(width).fill('');
+    while (values.length < width) values.push('');
+
+    if (target < 0) {
+      if (!unit) {
+        plan.errors.push('Unit is required for new items');
+        return plan;
+      }
+      values[0] = name;
+      values[1] = quantity || 0;
+      values[2] = unit;
+      values[3] = Validator.sanitizeString(cell(record, 'location')) || 'Unspecified';
+      values[4] = Validator.sanitizeString(cell(record, 'notes'));
+      values[5] = minText !== '' ? Number(minText) : 10;
+    } else {
+      plan.matchedItem = String(data[target][0]);
+      const currentUnit = String(data[target][2] || '');
+
+      if (quantity !== null && unit && currentUnit && !sameLocation(unit, currentUnit)) {
+        const converted = convertQuantity(quantity, unit, currentUnit, plan.matchedItem, conversions);
+        if (converted === null) {
+          plan.errors.push(`Can't convert ${unit} to ${currentUnit} for ${plan.matchedItem}`);
+          return plan;
+        }
+        plan.warnings.push(`Converted ${quantity} ${unit} → ${Math.round(converted * 100) / 100} ${currentUnit}`);
+        quantity = Math.round(converted * 100) / 100;
+      }
+
+      if (quantity !== null) {
+        const current = parseFloat(data[target][1]) || 0;
+        const next = quantityMode === 'set' ? quantity : current + quantity;
+        const awayTotal = (away[plan.matchedItem.toLowerCase().trim()] || []).reduce((sum, a) => sum + a.quantity, 0);
+        if (next < awayTotal) {
+          plan.errors.push(`${awayTotal} ${currentUnit} are held at other locations — quantity can't go below that`);
+          return plan;
+        }
+        values[1] = next;
+      }
+
+      const location = Validator.sanitizeString(cell(record, 'location'));
+      const home = String(data[target][3] || '').trim();
+      if (location && (!home || home === 'Unspecified')) {
+        values[3] = location;
+      } else if (location && !sameLocation(location, home)) {
+        plan.warnings.push(`Stays at ${home} — move stock to ${location} with a transfer`);
+      }
+
+      const notes = Validator.sanitizeString(cell(record, 'notes'));
+      if (notes) values[4] = notes;
+      if (minText !== '') values[5] = Number(minText);
+    }
+
+    Object.keys(mapped.columns).forEach(key => {
+      if (key.indexOf('col:') !== 0) return;
+      const value = Validator.sanitizeString(cell(record, key));
+      if (value === '') return;
+      values[parseInt(key.slice(4), 10)] = isNaN(Number(value)) ? value : Number(value);
+    });
+
+    if (target < 0) {
+      plan.status = 'new';
+    } else {
+      headers.forEach((header, col) => {
+        if (col === idCol) return;
+        const from = data[target][col] === undefined ? '' : data[target][col];
+        if (String(from) !== String(values[col])) plan.changes.push({ field: header, from: from, to: values[col] });
+      });
+      plan.status = plan.changes.length > 0 ? 'update' : 'unchanged';
+    }
+
+    plan.target = target;
+    plan.values = values;
+    return plan;
+  });
+
+  const summary = { total: rows.length, new: 0, update: 0, unchanged: 0, invalid: 0 };
+  rows.forEach(r => { summary[r.status]++; });
+
+  const mapping = Object.keys(mapped.columns).map(key => ({
+    column: mapped.hasHeader ? String(records[0][mapped.columns[key]]) : 'Column ' + (mapped.columns[key] + 1),
+    field: key.indexOf('col:') === 0 ? headers[parseInt(key.slice(4), 10)] : key
+  }));
+  const used = Object.keys(mapped.columns).map(k => mapped.columns[k]);
+  const unmappedColumns = mapped.hasHeader ? records[0].filter((h, col) => h && used.indexOf(col) === -1) : [];
+
+  return { rows: rows, summary: summary, mapping: mapping, unmappedColumns: unmappedColumns, hasHeader: mapped.hasHeader, quantityMode: quantityMode };
+}
+
+/**
+ * Helper: write planned updates and new rows. Only the updated rows are
+ * written, one write per run of adjacent rows, and any cell holding a
+ * formula the import doesn't change keeps its formula. If a write fails the
+ * touched rows are put back the way they were and the error rethrown.
+ */
+function writeImportPlan(sheet, data, updates, additions) {
+  const width = data[0].length;
+  const lastRow = data.length;
+  const formulas = updates.length > 0 && lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, width).getFormulas() : [];
+  // A cell as it should be written back: its formula if it has one, else its value
+  const contents = (index, values) => values.slice(0, width).map((v, col) => {
+    const formula = formulas[index - 1] && formulas[index - 1][col];
+    return formula && String(v) === String(data[index][col]) ? formula : v;
+  });
+
+  const runs = [];
+  updates.slice().sort((a, b) => a.target - b.target).forEach(u => {
+    const run = runs[runs.length - 1];
+    if (run && run.start + run.rows.length === u.target) {
+      run.rows.push(u);
+    } else {
+      runs.push({ start: u.target, rows: [u] });
+    }
+  });
+
+  const written = [];
+  let appended = false;
+
+  try {
+    runs.forEach(run => {
+      written.push(run);
+      sheet.getRange(run.start + 1, 1, run.rows.length, width).setValues(run.rows.map(u => contents(u.target, u.values)));
+    });
+    if (additions.length > 0) {
+      sheet.getRange(lastRow + 1, 1, additions.length, width).setValues(additions.map(a => a.values.slice(0, width)));
+      appended = true;
+    }
+  } catch (error) {
+    written.forEach(run => {
+      sheet.getRange(run.start + 1, 1, run.rows.length, width).setValues(run.rows.map(u => contents(u.target, data[u.target])));
+    });
+    if (appended || sheet.getLastRow() > lastRow) sheet.deleteRows(lastRow + 1, sheet.getLastRow() - lastRow);
+    throw new Error('Import rolled back: ' + error.message);
+  }
+}
+
+/**
+ * Helper: strip the sheet-internal fields from a plan before returning it.
+ */
+function publicImportPlan(plan) {
+  return {
+    hasHeader: plan.hasHeader,
+    quantityMode: plan.quantityMode,
+    mapping: plan.mapping,
+    unmappedColumns: plan.unmappedColumns,
+    summary: plan.summary,
+    rows: plan.rows.map(r => ({
+      row: r.row,
+      item: r.item,
+      status: r.status,
+      matchedItem: r.matchedItem,
+      matchedBy: r.matchedBy,
+      changes: r.changes.map(c => ({
+        field: c.field,
+        from: c.from instanceof Date ? c.from.toISOString() : c.from,
+        to: c.to instanceof Date ? c.to.toISOString() : c.to
+      })),
+      errors: r.errors,
+      warnings: r.warnings
+    }))
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔧 FLEET MAINTENANCE
+// ═══════════════════════════════════════════════════════════════════════
+
+const MAINTENANCE_STATUS = {
+  OVERDUE: 'OVERDUE',
+  DUE_SOON: 'DUE_SOON',
+  OK: 'OK',
+  NO_HISTORY: 'NO_HISTORY'
+};
+
+const SERVICE_INTERVAL_HEADERS = ['Model', 'Service', 'Every Miles', 'Every Hours', 'Every Days'];
+const METER_READING_HEADERS = ['Timestamp', 'Truck', 'Odometer', 'Engine Hours', 'Source', 'User'];
+const SERVICE_LOG_HEADERS = ['Date', 'Truck', 'Service', 'Odometer', 'Engine Hours', 'Cost', 'Vendor', 'Notes', 'User', 'Logged At'];
+
+// Seeded into a new Service Intervals tab; "All" applies to every model
+const DEFAULT_SERVICE_INTERVALS = [
+  ['All', 'Oil Change', 5000, 250, 180],
+  ['All', 'DOT Inspection', '', '', 365]
+];
+
+/**
+ * Record an odometer and/or engine-hour reading for a truck. Readings can't
+ * go backwards — a lower number than the last reading is rejected.
+ *
+ * @param {Object} reading - { truck, odometer, hours, source }
+ * @returns {Object} { success, truck, odometer, hours, schedule }
+ */
+function recordMeterReading(reading) {
+  Performance.start('recordMeterReading');
+
+  try {
+    const input = reading || {};
+    const truck = findFleetTruck(input.truck);
+    if (!truck) {
+      return ErrorHandler.createErrorResponse(new Error(`Truck "${input.truck || ''}" not found on the ${CONFIG.TRUCK_SHEET_NAME} sheet`), 'recordMeterReading');
+    }
+
+    const odometer = parseMeterValue(input.odometer);
+    const hours = parseMeterValue(input.hours);
+    if (odometer === null && hours === null) {
+      return ErrorHandler.createErrorResponse(new Error('Enter an odometer or engine-hour reading'), 'recordMeterReading');
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const problem = checkMeterReading(truck.name, odometer, hours);
+      if (problem) {
+        return ErrorHandler.createErrorResponse(new Error(problem), 'recordMeterReading');
+      }
+
+      getMeterReadingsSheet().appendRow([
+        new Date(),
+        truck.name,
+        odometer === null ? '' : odometer,
+        hours === null ? '' : hours,
+        Validator.sanitizeString(String(input.source || 'Manual')),
+        Session.getActiveUser().getEmail() || 'System'
+      ]);
+      updateFleetNextMaintenance(truck);
+    } finally {
+      lock.releaseLock();
+    }
+
+    logActivity('METER_READING', truck.name, [odometer !== null ? odometer + ' mi' : '', hours !== null ? hours + ' hrs' : ''].filter(Boolean).join(', '));
+
+    Performance.end('recordMeterReading');
+    return {
+      success: true,
+      truck: truck.name,
+      odometer: odometer,
+      hours: hours,
+      schedule: buildMaintenanceSchedule([truck])[0]
+    };
+
+  } catch (error) {
+    Performance.end('recordMeterReading');
+    return ErrorHandler.createErrorResponse(error, 'recordMeterReading');
+  }
+}
+
+/**
+ * Record service work on a truck and roll its next-due forward. The reading
+ * at service time (if given) is stored as a meter reading too; the Master
+ * sheet's Last Maintenance and Next Maintenance Due cells are updated so
+ * anything still reading them stays current.
+ *
+ * @param {Object} service - { truck, service, date, odometer, hours, cost, vendor, notes }
+ * @returns {Object} { success, message, entry, schedule }
+ */
+function logService(service) {
+  Performance.start('logService');
+
+  try {
+    const input = service || {};
+    const truck = findFleetTruck(input.truck);
+    if (!truck) {
+      return ErrorHandler.createErrorResponse(new Error(`Truck "${input.truck || ''}" not found on the ${CONFIG.TRUCK_SHEET_NAME} sheet`), 'logService');
+    }
+
+    const serviceName = Validator.sanitizeString(String(input.service || '')).trim();
+    if (!serviceName) {
+      return ErrorHandler.createErrorResponse(new Error('Service is required (e.g. Oil Change)'), 'logService');
+    }
+
+    const date = input.date ? new Date(input.date) : new Date();
+    if (isNaN(date.getTime()) || date > new Date()) {
+      return ErrorHandler.createErrorResponse(new Error('Service date must be a valid date, not in the future'), 'logService');
+    }
+
+    const odometer = parseMeterValue(input.odometer);
+    const hours = parseMeterValue(input.hours);
+    const cost = parseFloat(input.cost);
+    const user = Session.getActiveUser().getEmail() || 'System';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      if (odometer !== null || hours !== null) {
+        const problem = checkMeterReading(truck.name, odometer, hours, date);
+        if (problem) {
+          return ErrorHandler.createErrorResponse(new Error(problem), 'logService');
+        }
+        getMeterReadingsSheet().appendRow([date, truck.name, odometer === null ? '' : odometer, hours === null ? '' : hours, 'Service: ' + serviceName, user]);
+      }
+
+      getServiceLogSheet().appendRow([
+        date,
+        truck.name,
+        serviceName,
+        odometer === null ? '' : odometer,
+        hours === null ? '' : hours,
+        isNaN(cost) ? '' : cost,
+        Validator.sanitizeString(String(input.vendor || '')),
+        Validator.sanitizeString(String(input.notes || '')),
+        user,
+        new Date()
+      ]);
+
+      // Last Maintenance only moves forward — back-dated entries don't rewind it
+      const lastCell = truck.sheet.getRange(truck.row, truck.colMap.lastMaintenance + 1);
+      const previous = lastCell.getValue();
+      if (!(previous instanceof Date) || previous < date) lastCell.setValue(date);
+      updateFleetNextMaintenance(truck);
+    } finally {
+      lock.releaseLock();
+    }
+
+    logActivity('SERVICE', truck.name, serviceName + (isNaN(cost) ? '' : ` ($${cost.toFixed(2)})`));
+
+    const schedule = buildMaintenanceSchedule([truck])[0];
+    const next = schedule.services.find(s => s.service.toLowerCase() === serviceName.toLowerCase());
+
+    Performance.end('logService');
+    return {
+      success: true,
+      message: `✅ Logged ${serviceName} on ${truck.name}` + (next && next.dueDate ? `. Next due ${formatMaintenanceDue(next)}` : ''),
+      entry: { truck: truck.name, service: serviceName, date: date.toISOString(), odometer: odometer, hours: hours, cost: isNaN(cost) ? null : cost },
+      schedule: schedule
+    };
+
+  } catch (error) {
+    Performance.end('logService');
+    return ErrorHandler.createErrorResponse(error, 'logService');
+  }
+}
+
+/**
+ * Maintenance due per truck and service. Each service is due at whichever
+ * comes first of its mileage, engine-hour and calendar interval since it was
+ * last logged; mileage and hours are projected to a date from the truck's
+ * recent daily usage so every service has a single expected due date.
+ *
+ * @param {string} truckName - Optional; all trucks when omitted
+ * @returns {Object} { success, trucks: [{ truck, model, odometer, hours, status, nextDue, services }], intervals }
+ */
+function getMaintenanceSchedule(truckName) {
+  Performance.start('getMaintenanceSchedule');
+
+  try {
+    let trucks = readFleetTrucks();
+    if (truckName) {
+      const wanted = String(truckName).toLowerCase().trim();
+      trucks = trucks.filter(t => t.name.toLowerCase() === wanted);
+      if (trucks.length === 0) {
+        return ErrorHandler.createErrorResponse(new Error(`Truck "${truckName}" not found`), 'getMaintenanceSchedule');
+      }
+    }
+
+    const schedule = buildMaintenanceSchedule(trucks);
+    const intervals = readServiceIntervals().map(i => ({ model: i.model, service: i.service, miles: i.miles, hours: i.hours, days: i.days }));
+
+    Performance.end('getMaintenanceSchedule');
+    return { success: true, trucks: schedule, intervals: intervals };
+
+  } catch (error) {
+    Performance.end('getMaintenanceSchedule');
+    return ErrorHandler.createErrorResponse(error, 'getMaintenanceSchedule');
+  }
+}
+
+/**
+ * Helper: work out every service's due point for the given trucks.
+ * @param {Array} trucks - From readFleetTrucks()
+ * @returns {Array} One schedule record per truck, in the same order
+ */
+function buildMaintenanceSchedule(trucks) {
+  const intervals = readServiceIntervals();
+  const readings = readMeterReadings();
+  const services = readServiceLog();
+  const today = new Date();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const soon = {
+    days: CONFIG.MAINTENANCE_DUE_SOON_DAYS,
+    miles: CONFIG.MAINTENANCE_DUE_SOON_MILES,
+    hours: CONFIG.MAINTENANCE_DUE_SOON_HOURS
+  };
+  const rank = { OVERDUE: 0, DUE_SOON: 1, OK: 2, NO_HISTORY: 3 };
+
+  return trucks.map(truck => {
+    const key = truck.name.toLowerCase();
+    const truckReadings = readings[key] || [];
+    const truckServices = services[key] || [];
+    const usage = estimateDailyUsage(truckReadings);
+    const odometer = truckReadings.reduce((max, r) => r.odometer !== null && (max === null || r.odometer > max) ? r.odometer : max, null);
+    const hours = truckReadings.reduce((max, r) => r.hours !== null && (max === null || r.hours > max) ? r.hours : max, null);
+
+    // Model-specific intervals replace the "All" interval of the same name
+    const applicable = {};
+    intervals.forEach(interval => {
+      if (!intervalAppliesToModel(interval.model, truck.model)) return;
+      const name = interval.service.toLowerCase();
+      if (!applicable[name] || applicable[name].model.toLowerCase() === 'all') applicable[name] = interval;
+    });
+
+    const serviceRecords = Object.keys(applicable).map(name => {
+      const interval = applicable[name];
+      const last = truckServices.filter(s => s.service.toLowerCase() === name).sort((a, b) => b.date - a.date)[0];
+      const record = {
+        service: interval.service,
+        every: { miles: interval.miles, hours: interval.hours, days: interval.days },
+        lastDone: last ? { date: last.date.toISOString(), odometer: last.odometer, hours: last.hours } : null,
+        dueDate: null,
+        dueOdometer: null,
+        dueHours: null,
+        remaining: { miles: null, hours: null, days: null },
+        dueBy: '',
+        status: MAINTENANCE_STATUS.NO_HISTORY
+      };
+      if (!last) return record;
+
+      // Each interval gives a projected date; the earliest one wins
+      const candidates = [];
+      if (interval.days) {
+        const due = new Date(last.date.getTime() + interval.days * dayMs);
+        record.remaining.days = Math.ceil((due - today) / dayMs);
+        candidates.push({ by: 'date', date: due });
+      }
+      if (interval.miles && last.odometer !== null) {
+        record.dueOdometer = last.odometer + interval.miles;
+        if (odometer !== null) {
+          record.remaining.miles = record.dueOdometer - odometer;
+          if (usage.miles > 0 || record.remaining.miles <= 0) {
+            candidates.push({ by: 'miles', date: new Date(today.getTime() + Math.max(0, record.remaining.miles) / (usage.miles || 1) * dayMs) });
+          }
+        }
+      }
+      if (interval.hours && last.hours !== null) {
+        record.dueHours = last.hours + interval.hours;
+        if (hours !== null) {
+          record.remaining.hours = record.dueHours - hours;
+          if (usage.hours > 0 || record.remaining.hours <= 0) {
+            candidates.push({ by: 'hours', date: new Date(today.getTime() + Math.max(0, record.remaining.hours) / (usage.hours || 1) * dayMs) });
+          }
+        }
+      }
+
+      candidates.sort((a, b) => a.date - b.date);
+      if (candidates.length > 0) {
+        record.dueDate = candidates[0].date.toISOString();
+        record.dueBy = candidates[0].by;
+      }
+
+      const r = record.remaining;
+      if ((r.days !== null && r.days <= 0) || (r.miles !== null && r.miles <= 0) || (r.hours !== null && r.hours <= 0)) {
+        record.status = MAINTENANCE_STATUS.OVERDUE;
+      } else if ((r.miles !== null && r.miles <= soon.miles) || (r.hours !== null && r.hours <= soon.hours) ||
+                 (candidates.length > 0 && (candidates[0].date - today) / dayMs <= soon.days)) {
+        record.status = MAINTENANCE_STATUS.DUE_SOON;
+      } else {
+        record.status = MAINTENANCE_STATUS.OK;
+      }
+      return record;
+    });
+
+    serviceRecords.sort((a, b) => rank[a.status] - rank[b.status] || String(a.dueDate || '9').localeCompare(String(b.dueDate || '9')));
+    const nextDue = serviceRecords.find(s => s.dueDate) || null;
+
+    return {
+      truck: truck.name,
+      model: truck.model,
+      odometer: odometer,
+      hours: hours,
+      milesPerDay: Math.round(usage.miles * 10) / 10,
+      hoursPerDay: Math.round(usage.hours * 10) / 10,
+      status: serviceRecords.length > 0 ? serviceRecords[0].status : MAINTENANCE_STATUS.NO_HISTORY,
+      nextDue: nextDue,
+      services: serviceRecords
+    };
+  });
+}
+
+/**
+ * Helper: average miles and engine hours per day over the recent readings
+ * window (CONFIG.MAINTENANCE_USAGE_DAYS). Zero when there isn't enough data.
+ */
+function estimateDailyUsage(readings) {
+  const since = new Date(Date.now() - CONFIG.MAINTENANCE_USAGE_DAYS * 24 * 60 * 60 * 1000);
+  const recent = readings.filter(r => r.timestamp >= since);
+  const rate = field => {
+    const points = recent.filter(r => r[field] !== null).sort((a, b) => a.timestamp - b.timestamp);
+    if (points.length < 2) return 0;
+    const days = (points[points.length - 1].timestamp - points[0].timestamp) / (24 * 60 * 60 * 1000);
+    return days >= 1 ? Math.max(0, points[points.length - 1][field] - points[0][field]) / days : 0;
+  };
+  return { miles: rate('odometer'), hours: rate('hours') };
+}
+
+/**
+ * Helper: "Oil Change — 320 mi left" style summary of a service's due point.
+ */
+function formatMaintenanceDue(record) {
+  const r = record.remaining;
+  const date = record.dueDate ? Utilities.formatDate(new Date(record.dueDate), Session.getScriptTimeZone(), 'MMM d, yyyy') : '';
+  if (record.dueBy === 'miles') return `${date} (${r.miles <= 0 ? Math.abs(r.miles) + ' mi over' : r.miles + ' mi left'})`;
+  if (record.dueBy === 'hours') return `${date} (${r.hours <= 0 ? Math.abs(r.hours) + ' hrs over' : r.hours + ' hrs left'})`;
+  return date;
+}
+
+/**
+ * Helper: reject readings lower than what's already recorded for the truck
+ * (on or before the given date, for back-dated service entries).
+ * @returns {string|null} Problem description, or null when the reading is fine
+ */
+function checkMeterReading(truckName, odometer, hours, asOf) {
+  const cutoff = asOf || new Date();
+  const previous = (readMeterReadings()[truckName.toLowerCase()] || []).filter(r => r.timestamp <= cutoff);
+  const maxOdo = previous.reduce((max, r) => r.odometer !== null ? Math.max(max, r.odometer) : max, -1);
+  const maxHours = previous.reduce((max, r) => r.hours !== null ? Math.max(max, r.hours) : max, -1);
+
+  if (odometer !== null && odometer < maxOdo) return `Odometer ${odometer} is lower than the last reading (${maxOdo}) for ${truckName}`;
+  if (hours !== null && hours < maxHours) return `Engine hours ${hours} are lower than the last reading (${maxHours}) for ${truckName}`;
+  return null;
+}
+
+/**
+ * Helper: rewrite a truck's Next Maintenance Due cell with the earliest
+ * projected due date across its services. Left alone when nothing is logged.
+ */
+function updateFleetNextMaintenance(truck) {
+  const schedule = buildMaintenanceSchedule([truck])[0];
+  if (schedule.nextDue && schedule.nextDue.dueDate) {
+    truck.sheet.getRange(truck.row, truck.colMap.nextMaintenance + 1).setValue(new Date(schedule.nextDue.dueDate));
+  }
+}
+
+/**
+ * Helper: numeric meter reading, or null when blank/invalid.
+ */
+function parseMeterValue(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(number) || number < 0 ? null : number;
+}
+
+/**
+ * Helper: does a Service Intervals "Model" cell cover this truck's model?
+ * "All" (or blank) covers everything; otherwise a case-insensitive match on
+ * part of the model ("F-550" covers "Ford F-550").
+ */
+function intervalAppliesToModel(intervalModel, truckModel) {
+  const m = String(intervalModel || '').toLowerCase().trim();
+  return !m || m === 'all' || String(truckModel || '').toLowerCase().indexOf(m) >= 0;
+}
+
+/**
+ * Helper: trucks on the Master sheet with their sheet position, for writes.
+ * Machinery rows are included — they have engine hours too.
+ * @returns {Array} [{ name, model, row (1-based), sheet, colMap }]
+ */
+function readFleetTrucks() {
+  if (!CONFIG.TRUCK_SHEET_ID || CONFIG.TRUCK_SHEET_ID === "YOUR_TRUCK_SHEET_ID_HERE") {
+    return [];
+  }
+
+  const sheet = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID).getSheetByName(CONFIG.TRUCK_SHEET_NAME);
+  if (!sheet) {
+    throw new Error('Sheet "' + CONFIG.TRUCK_SHEET_NAME + '" not found');
+  }
+
+  const data = sheet.getDataRange().getValues();
+  if (data.length < 2) return [];
+
+  const colMap = fleetColumnMap(data[0]);
+  const trucks = [];
+  for (let i = 1; i < data.length; i++) {
+    const name = String(data[i][colMap.name] || '').trim();
+    if (!name) continue;
+    trucks.push({
+      name: name,
+      model: String(data[i][colMap.model] || ''),
+      assetNumber: colMap.assetNumber >= 0 ? String(data[i][colMap.assetNumber] || '').trim() : '',
+      assetId: colMap.assetId >= 0 ? String(data[i][colMap.assetId] || '').trim() : '',
+      row: i + 1,
+      sheet: sheet,
+      colMap: colMap
+    });
+  }
+  return trucks;
+}
+
+/**
+ * Helper: find one truck by name (case-insensitive).
+ */
+function findFleetTruck(name) {
+  const wanted = String(name || '').toLowerCase().trim();
+  if (!wanted) return null;
+  return readFleetTrucks().find(t => t.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Helper: read the service intervals, creating the tab with defaults on first use.
+ * @returns {Array} [{ model, service, miles, hours, days }] (0 = not tracked)
+ */
+function readServiceIntervals() {
+  const data = getServiceIntervalsSheet().getDataRange().getValues();
+  const intervals = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const service = String(data[i][1] || '').trim();
+    if (!service) continue;
+    intervals.push({
+      model: String(data[i][0] || 'All').trim() || 'All',
+      service: service,
+      miles: parseFloat(data[i][2]) || 0,
+      hours: parseFloat(data[i][3]) || 0,
+      days: parseFloat(data[i][4]) || 0
+    });
+  }
+
+  return intervals;
+}
+
+/**
+ * Helper: meter readings grouped by lowercase truck name.
+ * @returns {Object} { truck: [{ timestamp, odometer, hours }] }
+ */
+function readMeterReadings() {
+  const data = getMeterReadingsSheet().getDataRange().getValues();
+  const byTruck = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const truck = String(data[i][1] || '').toLowerCase().trim();
+    if (!truck) continue;
+    (byTruck[truck] = byTruck[truck] || []).push({
+      timestamp: new Date(data[i][0]),
+      odometer: parseMeterValue(data[i][2]),
+      hours: parseMeterValue(data[i][3])
+    });
+  }
+
+  return byTruck;
+}
+
+/**
+ * Helper: service log entries grouped by lowercase truck name.
+ * @returns {Object} { truck: [{ date, service, odometer, hours, cost, vendor, notes }] }
+ */
+function readServiceLog() {
+  const data = getServiceLogSheet().getDataRange().getValues();
+  const byTruck = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const truck = String(data[i][1] || '').toLowerCase().trim();
+    if (!truck || !data[i][2]) continue;
+    (byTruck[truck] = byTruck[truck] || []).push({
+      date: new Date(data[i][0]),
+      service: String(data[i][2]).trim(),
+      odometer: parseMeterValue(data[i][3]),
+      hours: parseMeterValue(data[i][4]),
+      cost: parseFloat(data[i][5]) || 0,
+      vendor: String(data[i][6] || ''),
+      notes: String(data[i][7] || '')
+    });
+  }
+
+  return byTruck;
+}
+
+/**
+ * Helper: open (or create) a tab in the truck spreadsheet with the fleet header style.
+ */
+function getFleetTab(sheetName, headers, seedRows) {
+  const ss = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID);
+  let sheet = ss.getSheetByName(sheetName);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#1E88E5').setFontColor('white');
+    sheet.setFrozenRows(1);
+    if (seedRows && seedRows.length > 0) {
+      sheet.getRange(2, 1, seedRows.length, headers.length).setValues(seedRows);
+    }
+  }
+
+  return sheet;
+}
+
+function getServiceIntervalsSheet() {
+  return getFleetTab(CONFIG.SERVICE_INTERVALS_SHEET_NAME, SERVICE_INTERVAL_HEADERS, DEFAULT_SERVICE_INTERVALS);
+}
+
+function getMeterReadingsSheet() {
+  return getFleetTab(CONFIG.METER_READINGS_SHEET_NAME, METER_READING_HEADERS);
+}
+
+function getServiceLogSheet() {
+  return getFleetTab(CONFIG.SERVICE_LOG_SHEET_NAME, SERVICE_LOG_HEADERS);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🚛 FLEET API
+// ═══════════════════════════════════════════════════════════════════════
+
+const FLEET_STATUS = {
+  ACTIVE: 'ACTIVE',
+  INACTIVE: 'INACTIVE',
+  MAINTENANCE: 'MAINTENANCE',
+  OUT_OF_SERVICE: 'OUT_OF_SERVICE'
+};
+
+/**
+ * Typed fleet records for every truck, trailer, machine and attachment —
+ * the Master sheet plus the optional Machinery / Attachments tabs, with
+ * maintenance due (see getMaintenanceSchedule), the current work order
+ * assignment and today's crew from the crew schedule. Sources are read
+ * independently; a failing one is reported in `errors` and the rest still load.
+ *
+ * Vehicle record: { id, name, assetNumber, kind: vehicle|trailer|machinery|attachment,
+ *   type, model, year, plate, status (FLEET_STATUS), statusText, active,
+ *   lastMaintenance, nextMaintenance (yyyy-MM-dd), maintenance: { status, service, dueDate, dueBy },
+ *   assignedWO, assignedJob: { woNumber, jobDescription, crew, assignedAt }, crew,
+ *   inspection: { lastDate, driver, result, openDefects } | null (see getInspections),
+ *   asset: { id, status (ASSET_STATUS), percentOfReplacement, totalRepairs, replacementCost } | null
+ *     (the asset-management record with the same Asset ID, see getAssets), notes, source }
+ *
+ * @param {Object} options - { kind?: string|Array, query?: string }
+ * @returns {Object} { success, vehicles, summary, partial, errors, generatedAt }
+ */
+function getFleet(options) {
+  Performance.start('getFleet');
+
+  try {
+    const opts = options || {};
+    const fleet = collectFleet();
+    let vehicles = fleet.vehicles;
+
+    if (opts.kind) {
+      const kinds = [].concat(opts.kind).map(k => String(k).toLowerCase());
+      vehicles = vehicles.filter(v => kinds.indexOf(v.kind) >= 0);
+    }
+    if (opts.query) {
+      const words = String(opts.query).toLowerCase().trim().split(/\s+/);
+      vehicles = vehicles.filter(v => {
+        const text = [v.name, v.assetNumber, v.model, v.year, v.plate, v.statusText, v.type, v.notes].join(' ').toLowerCase();
+        return words.every(word => text.indexOf(word) >= 0);
+      });
+    }
+
+    Performance.end('getFleet');
+    return {
+      success: true,
+      vehicles: vehicles,
+      summary: summarizeFleet(vehicles),
+      partial: Object.keys(fleet.errors).length > 0,
+      errors: fleet.errors,
+      generatedAt: new Date().toISOString()
+    };
+
+  } catch (error) {
+    Performance.end('getFleet');
+    return ErrorHandler.createErrorResponse(error, 'getFleet');
+  }
+}
+
+/**
+ * Helper: read and join every fleet source into typed records.
+ * @param {Array} workOrders - Active jobs already loaded by the caller
+ *   (TV format: { woNumber, jobDescription, crew }); loaded here when omitted
+ * @returns {Object} { vehicles, errors }
+ */
+function collectFleet(workOrders) {
+  const errors = {};
+  const raw = [];
+  const attempt = (source, fn) => {
+    try {
+      fn();
+    } catch (error) {
+      ErrorHandler.logError(error, 'collectFleet:' + source);
+      errors[source] = ErrorHandler.sanitizeErrorMessage(error.toString());
+    }
+  };
+
+  attempt('vehicles', () => {
+    const master = readFleetVehicles();
+    master.active.forEach(v => raw.push({ item: v, active: true, source: CONFIG.TRUCK_SHEET_NAME }));
+    master.inactive.forEach(v => raw.push({ item: v, active: false, source: CONFIG.TRUCK_SHEET_NAME }));
+    master.machinery.forEach(v => raw.push({ item: v, active: v.active, kind: 'machinery', source: CONFIG.TRUCK_SHEET_NAME }));
+  });
+  attempt('machinery', () => {
+    readEquipmentSheet(CONFIG.MACHINERY_SHEET_NAME, 'machinery')
+      .forEach(v => raw.push({ item: v, active: v.active, kind: 'machinery', source: CONFIG.MACHINERY_SHEET_NAME }));
+  });
+  attempt('attachments', () => {
+    readEquipmentSheet(CONFIG.ATTACHMENTS_SHEET_NAME, 'attachment')
+      .forEach(v => raw.push({ item: v, active: v.active, kind: 'attachment', source: CONFIG.ATTACHMENTS_SHEET_NAME }));
+  });
+
+  let jobs = workOrders || null;
+  if (!jobs) {
+    attempt('workOrders', () => {
+      const result = getActiveJobs();
+      if (!result.success) throw new Error(result.error || 'Could not read active work orders');
+      jobs = result.jobs.map(job => ({ woNumber: job.woNumber, jobDescription: job.jobName, crew: job.crew }));
+    });
+  }
+  const jobsByWO = {};
+  (jobs || []).forEach(job => { jobsByWO[String(job.woNumber)] = job; });
+
+  let assignments = {};
+  attempt('assignments', () => { assignments = readCurrentAssignments(); });
+
+  const schedules = {};
+  attempt('maintenance', () => {
+    buildMaintenanceSchedule(readFleetTrucks()).forEach(s => { schedules[s.truck.toLowerCase()] = s; });
+  });
+
+  let inspections = {};
+  attempt('inspections', () => { inspections = readInspectionSummary(); });
+
+  let assets = indexAssets([]);
+  attempt('assets', () => { assets = indexAssets(readAssets()); });
+
+  // Crew each truck or machine is scheduled with today
+  const crewToday = {};
+  attempt('schedule', () => {
+    const todayKey = normalizeDateKey(new Date());
+    const day = readSchedulesInRange(todayKey, todayKey)[todayKey];
+    (day ? day.crews : []).forEach(crew => {
+      (crew.trucks || []).concat(crew.equipment || []).forEach(name => { crewToday[String(name).toLowerCase()] = crew.name; });
+    });
+  });
+
+  const vehicles = raw.map(entry => {
+    const v = entry.item;
+    const kind = entry.kind || (/trailer/i.test(v.name + ' ' + v.type) ? 'trailer' : 'vehicle');
+    const schedule = schedules[v.name.toLowerCase()];
+    const maintenance = fleetMaintenanceSummary(schedule, v.nextMaintenance);
+
+    // Work order finished and dropped off the active list: the assignment is stale
+    const assignment = assignments[v.assetNumber] || assignments[v.name];
+    const wo = assignment ? jobsByWO[assignment.woNumber] : null;
+    const assignedJob = assignment && (wo || (jobs || []).length === 0) ? {
+      woNumber: assignment.woNumber,
+      jobDescription: wo ? wo.jobDescription : '',
+      crew: wo ? wo.crew || '' : '',
+      assignedAt: assignment.assignedAt instanceof Date ? assignment.assignedAt.toISOString() : assignment.assignedAt
+    } : null;
+
+    return {
+      id: v.assetNumber || v.name,
+      name: v.name,
+      assetNumber: v.assetNumber || '',
+      kind: kind,
+      type: v.type || '',
+      model: v.model || '',
+      year: parseInt(v.year, 10) || null,
+      plate: v.licensePlate || '',
+      status: fleetStatusCode(v.status, entry.active),
+      statusText: v.status || '',
+      active: !!entry.active,
+      lastMaintenance: fleetDateKey(v.lastMaintenance),
+      nextMaintenance: maintenance.dueDate,
+      maintenance: maintenance,
+      assignedWO: assignedJob ? assignedJob.woNumber : '',
+      assignedJob: assignedJob,
+      crew: crewToday[v.name.toLowerCase()] || crewToday[String(v.assetNumber).toLowerCase()] || (assignedJob ? assignedJob.crew : ''),
+      inspection: inspections[v.name.toLowerCase()] || null,
+      asset: fleetAssetSummary(findAssetForFleet(v, assets.byId, assets.byName)),
+      notes: v.notes || '',
+      source: entry.source
+    };
+  });
+
+  return { vehicles: vehicles, errors: errors };
+}
+
+/**
+ * Helper: the asset-management fields a fleet record carries.
+ */
+function fleetAssetSummary(asset) {
+  if (!asset) return null;
+  return {
+    id: asset.id,
+    status: asset.status,
+    percentOfReplacement: asset.percentOfReplacement,
+    totalRepairs: asset.totalRepairs,
+    replacementCost: asset.replacementCost
+  };
+}
+
+/**
+ * Helper: map a free-text Status cell to a FLEET_STATUS value.
+ */
+function fleetStatusCode(statusText, active) {
+  const s = String(statusText || '').toLowerCase();
+  if (/written|sold|retired|totaled|out of service/.test(s)) return FLEET_STATUS.OUT_OF_SERVICE;
+  if (isMaintenanceStatus(s)) return FLEET_STATUS.MAINTENANCE;
+  return active ? FLEET_STATUS.ACTIVE : FLEET_STATUS.INACTIVE;
+}
+
+/**
+ * Helper: next maintenance for a fleet record — from logged services when
+ * there are any, otherwise from the Master sheet's Next Maintenance Due cell.
+ * @returns {Object} { status (MAINTENANCE_STATUS), service, dueDate (yyyy-MM-dd|null), dueBy }
+ */
+function fleetMaintenanceSummary(schedule, nextMaintenanceCell) {
+  if (schedule && schedule.nextDue) {
+    return {
+      status: schedule.status,
+      service: schedule.nextDue.service,
+      dueDate: normalizeDateKey(new Date(schedule.nextDue.dueDate)),
+      dueBy: schedule.nextDue.dueBy
+    };
+  }
+
+  const dueDate = fleetDateKey(nextMaintenanceCell);
+  if (!dueDate) return { status: MAINTENANCE_STATUS.NO_HISTORY, service: '', dueDate: null, dueBy: '' };
+
+  const todayKey = normalizeDateKey(new Date());
+  const soonKey = shiftDateKey(todayKey, CONFIG.MAINTENANCE_DUE_SOON_DAYS);
+  return {
+    status: dueDate <= todayKey ? MAINTENANCE_STATUS.OVERDUE : (dueDate <= soonKey ? MAINTENANCE_STATUS.DUE_SOON : MAINTENANCE_STATUS.OK),
+    service: '',
+    dueDate: dueDate,
+    dueBy: 'date'
+  };
+}
+
+/**
+ * Helper: yyyy-MM-dd for a Master sheet date cell, which may be a real date
+ * or text like "01/15/2025". Null when blank or unreadable.
+ */
+function fleetDateKey(value) {
+  const key = normalizeDateKey(value);
+  if (key || !value) return key;
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : normalizeDateKey(parsed);
+}
+
+/**
+ * Helper: counts for dashboard tiles. Attachments are left out of the
+ * vehicle totals.
+ */
+function summarizeFleet(vehicles) {
+  const fleet = vehicles.filter(v => v.kind !== 'attachment');
+  const count = test => fleet.filter(test).length;
+  return {
+    total: fleet.length,
+    active: count(v => v.status === FLEET_STATUS.ACTIVE),
+    inactive: count(v => v.status === FLEET_STATUS.INACTIVE),
+    maintenance: count(v => v.status === FLEET_STATUS.MAINTENANCE),
+    outOfService: count(v => v.status === FLEET_STATUS.OUT_OF_SERVICE),
+    maintenanceDue: count(v => v.maintenance.status === MAINTENANCE_STATUS.OVERDUE || v.maintenance.status === MAINTENANCE_STATUS.DUE_SOON),
+    maintenanceOverdue: count(v => v.maintenance.status === MAINTENANCE_STATUS.OVERDUE),
+    assigned: count(v => !!v.assignedJob),
+    criticalDefects: count(v => !!v.inspection && v.inspection.openDefects.some(d => d.critical)),
+    assetsWarning: count(v => !!v.asset && v.asset.status === ASSET_STATUS.WARNING),
+    assetsReplaceNow: count(v => !!v.asset && v.asset.status === ASSET_STATUS.REPLACE_NOW),
+    attachments: vehicles.length - fleet.length
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📋 VEHICLE INSPECTIONS (DVIR)
+// ═══════════════════════════════════════════════════════════════════════
+
+const INSPECTION_RESULT = {
+  PASS: 'PASS',
+  DEFECTS: 'DEFECTS',
+  OUT_OF_SERVICE: 'OUT_OF_SERVICE'
+};
+
+const DEFECT_STATUS = {
+  OPEN: 'OPEN',
+  RESOLVED: 'RESOLVED'
+};
+
+// Pre-trip checklist. A failed `critical` item is reported as safety-critical
+// unless the driver says otherwise.
+const INSPECTION_ITEMS = [
+  { key: 'tires', label: 'Tires', critical: true },
+  { key: 'lights', label: 'Lights', critical: true },
+  { key: 'fluids', label: 'Fluids', critical: false },
+  { key: 'hitch', label: 'Trailer Hitch', critical: true }
+];
+const INSPECTION_ANSWERS = ['OK', 'DEFECT', 'NA'];
+
+const INSPECTION_HEADERS = ['Inspection ID', 'Date', 'Truck', 'Driver', 'Odometer']
+  .concat(INSPECTION_ITEMS.map(i => i.label))
+  .concat(['Result', 'Notes', 'Previous Status', 'User']);
+const INSPECTION_DEFECT_HEADERS = ['Defect ID', 'Inspection ID', 'Date', 'Truck', 'Item', 'Description', 'Safety Critical', 'Photo', 'Status', 'Resolved By', 'Resolved At', 'Resolution'];
+
+/**
+ * Record a driver's pre-trip inspection. Every checklist item must be
+ * answered OK / DEFECT / NA, and every failed item needs a defect
+ * description (a photo is optional). If any defect is safety-critical the
+ * truck's Master Status is set to CONFIG.INSPECTION_DOWN_STATUS, which takes
+ * it off the TV board's available list and flags it in the crew scheduler.
+ *
+ * @param {Object} inspection - { truck, driver, odometer, notes,
+ *   items: { tires|lights|fluids|hitch: 'OK'|'DEFECT'|'NA' },
+ *   defects: [{ item (checklist key or 'other'), description, critical, photo (image data URL) }] }
+ * @returns {Object} { success, message, inspection, statusChanged }
+ */
+function submitInspection(inspection) {
+  Performance.start('submitInspection');
+
+  try {
+    const input = inspection || {};
+    const truck = findFleetTruck(input.truck);
+    if (!truck) {
+      return ErrorHandler.createErrorResponse(new Error(`Truck "${input.truck || ''}" not found on the ${CONFIG.TRUCK_SHEET_NAME} sheet`), 'submitInspection');
+    }
+
+    const driver = Validator.sanitizeString(String(input.driver || '')).trim();
+    if (!driver) {
+      return ErrorHandler.createErrorResponse(new Error('Driver name is required'), 'submitInspection');
+    }
+
+    const answers = {};
+    const given = input.items || {};
+    for (let i = 0; i < INSPECTION_ITEMS.length; i++) {
+      const item = INSPECTION_ITEMS[i];
+      const answer = String(given[item.key] || '').toUpperCase();
+      if (INSPECTION_ANSWERS.indexOf(answer) < 0) {
+        return ErrorHandler.createErrorResponse(new Error(`Check ${item.label}: OK, defect or N/A`), 'submitInspection');
+      }
+      answers[item.key] = answer;
+    }
+
+    const defects = [];
+    const rawDefects = Array.isArray(input.defects) ? input.defects : [];
+    for (let i = 0; i < rawDefects.length; i++) {
+      const d = rawDefects[i] || {};
+      const item = INSPECTION_ITEMS.find(it => it.key === d.item);
+      const description = Validator.sanitizeString(String(d.description || '')).trim();
+      if (!description) {
+        return ErrorHandler.createErrorResponse(new Error(`Describe the ${item ? item.label : 'other'} defect`), 'submitInspection');
+      }
+      // A defect logged against an item answered OK means the item failed
+      if (item) answers[item.key] = 'DEFECT';
+      defects.push({
+        item: item ? item.label : 'Other',
+        description: description,
+        critical: d.critical === undefined || d.critical === null ? !!(item && item.critical) : d.critical === true,
+        photo: d.photo || ''
+      });
+    }
+
+    const undescribed = INSPECTION_ITEMS.find(item => answers[item.key] === 'DEFECT' && !defects.some(d => d.item === item.label));
+    if (undescribed) {
+      return ErrorHandler.createErrorResponse(new Error(`Describe the ${undescribed.label} defect`), 'submitInspection');
+    }
+
+    const odometer = parseMeterValue(input.odometer);
+    if (odometer !== null) {
+      const problem = checkMeterReading(truck.name, odometer, null);
+      if (problem) {
+        return ErrorHandler.createErrorResponse(new Error(problem), 'submitInspection');
+      }
+    }
+
+    // Photos go to Drive before anything is written so a failed upload doesn't leave half an inspection
+    const now = new Date();
+    const dateKey = normalizeDateKey(now);
+    defects.forEach((d, i) => {
+      d.photoUrl = d.photo ? saveInspectionPhoto(d.photo, `${truck.name} ${dateKey} ${d.item} ${i + 1}`) : '';
+    });
+
+    const critical = defects.some(d => d.critical);
+    const result = critical ? INSPECTION_RESULT.OUT_OF_SERVICE : (defects.length > 0 ? INSPECTION_RESULT.DEFECTS : INSPECTION_RESULT.PASS);
+    const inspectionId = Utilities.getUuid();
+    const notes = Validator.sanitizeString(String(input.notes || ''));
+    const user = Session.getActiveUser().getEmail() || 'System';
+    let previousStatus = '';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      if (critical) {
+        const statusCell = truck.sheet.getRange(truck.row, truck.colMap.status + 1);
+        const current = String(statusCell.getValue() || '');
+        if (!isMaintenanceStatus(current)) {
+          previousStatus = current || 'Active';
+          statusCell.setValue(CONFIG.INSPECTION_DOWN_STATUS);
+        }
+      }
+
+      if (odometer !== null) {
+        getMeterReadingsSheet().appendRow([now, truck.name, odometer, '', 'Inspection', user]);
+      }
+
+      getInspectionsSheet().appendRow(
+        [inspectionId, now, truck.name, driver, odometer === null ? '' : odometer]
+          .concat(INSPECTION_ITEMS.map(item => answers[item.key]))
+          .concat([result, notes, previousStatus, user])
+      );
+
+      if (defects.length > 0) {
+        const sheet = getInspectionDefectsSheet();
+        const rows = defects.map(d => {
+          d.id = Utilities.getUuid();
+          return [d.id, inspectionId, now, truck.name, d.item, d.description, d.critical ? 'Yes' : 'No', d.photoUrl, DEFECT_STATUS.OPEN, '', '', ''];
+        });
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, INSPECTION_DEFECT_HEADERS.length).setValues(rows);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    logActivity('INSPECTION', truck.name, `${result} by ${driver}` + (defects.length ? ` (${defects.length} defect${defects.length === 1 ? '' : 's'})` : ''));
+
+    let message = `✅ ${truck.name} passed inspection`;
+    if (critical) {
+      message = `⛔ ${truck.name} has a safety-critical defect` +
+        (previousStatus ? ` and is now marked ${CONFIG.INSPECTION_DOWN_STATUS}` : '') + '. Do not drive it until it is fixed.';
+    } else if (defects.length > 0) {
+      message = `⚠️ Inspection saved with ${defects.length} defect${defects.length === 1 ? '' : 's'} on ${truck.name}`;
+    }
+
+    Performance.end('submitInspection');
+    return {
+      success: true,
+      message: message,
+      statusChanged: !!previousStatus,
+      inspection: {
+        id: inspectionId,
+        truck: truck.name,
+        date: now.toISOString(),
+        driver: driver,
+        result: result,
+        items: answers,
+        defects: defects.map(d => ({ id: d.id, item: d.item, description: d.description, critical: d.critical, photoUrl: d.photoUrl }))
+      }
+    };
+
+  } catch (error) {
+    Performance.end('submitInspection');
+    return ErrorHandler.createErrorResponse(error, 'submitInspection');
+  }
+}
+
+/**
+ * Recent inspections (newest first) and every open defect.
+ *
+ * @param {Object} options - { truck?: string, days?: number (default 7) }
+ * @returns {Object} { success, items, inspections, openDefects }
+ */
+function getInspections(options) {
+  Performance.start('getInspections');
+
+  try {
+    const opts = options || {};
+    const days = Math.min(Math.max(Validator.sanitizeNumber(opts.days, 7), 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const truck = String(opts.truck || '').toLowerCase().trim();
+    const matches = name => !truck || name.toLowerCase() === truck;
+
+    const defects = readInspectionDefects().filter(d => matches(d.truck));
+    const inspections = readInspections()
+      .filter(i => matches(i.truck) && i.date >= since)
+      .sort((a, b) => b.date - a.date)
+      .map(i => Object.assign(publicInspection(i), {
+        defects: defects.filter(d => d.inspectionId === i.id).map(publicInspectionDefect)
+      }));
+
+    Performance.end('getInspections');
+    return {
+      success: true,
+      items: INSPECTION_ITEMS,
+      inspections: inspections,
+      openDefects: defects.filter(d => d.status === DEFECT_STATUS.OPEN).map(publicInspectionDefect)
+    };
+
+  } catch (error) {
+    Performance.end('getInspections');
+    return ErrorHandler.createErrorResponse(error, 'getInspections');
+  }
+}
+
+/**
+ * Mark a defect fixed. When the last open safety-critical defect on a truck
+ * is resolved and its Master Status is still the one the inspection set, the
+ * status goes back to what it was before — a status someone changed by hand
+ * in the meantime is left alone.
+ *
+ * @param {Object} fix - { defectId, resolution }
+ * @returns {Object} { success, message, backInService }
+ */
+function resolveInspectionDefect(fix) {
+  Performance.start('resolveInspectionDefect');
+
+  try {
+    const input = fix || {};
+    const defectId = String(input.defectId || '').trim();
+    if (!defectId) {
+      return ErrorHandler.createErrorResponse(new Error('defectId is required'), 'resolveInspectionDefect');
+    }
+
+    const user = Session.getActiveUser().getEmail() || 'System';
+    let defect = null;
+    let restoredStatus = '';
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const defects = readInspectionDefects();
+      defect = defects.find(d => d.id === defectId);
+      if (!defect) {
+        return ErrorHandler.createErrorResponse(new Error(`Defect ${defectId} not found`), 'resolveInspectionDefect');
+      }
+      if (defect.status !== DEFECT_STATUS.OPEN) {
+        return ErrorHandler.createErrorResponse(new Error(`That defect was already resolved by ${defect.resolvedBy || 'someone else'}`), 'resolveInspectionDefect');
+      }
+
+      const statusCol = INSPECTION_DEFECT_HEADERS.indexOf('Status') + 1;
+      getInspectionDefectsSheet().getRange(defect.row, statusCol, 1, 4).setValues([[
+        DEFECT_STATUS.RESOLVED,
+        user,
+        new Date(),
+        Validator.sanitizeString(String(input.resolution || ''))
+      ]]);
+
+      const stillDown = defects.some(d => d.id !== defect.id && d.status === DEFECT_STATUS.OPEN && d.critical &&
+        d.truck.toLowerCase() === defect.truck.toLowerCase());
+      const truck = defect.critical && !stillDown ? findFleetTruck(defect.truck) : null;
+      if (truck) {
+        const statusCell = truck.sheet.getRange(truck.row, truck.colMap.status + 1);
+        const changed = readInspections()
+          .filter(i => i.truck.toLowerCase() === truck.name.toLowerCase() && i.previousStatus)
+          .sort((a, b) => b.date - a.date)[0];
+        if (changed && String(statusCell.getValue()) === CONFIG.INSPECTION_DOWN_STATUS) {
+          statusCell.setValue(changed.previousStatus);
+          restoredStatus = changed.previousStatus;
+        }
+      }
+    } finally {
+      lock.releaseLock();
+    }
+
+    logActivity('DEFECT_RESOLVED', defect.truck, `${defect.item}: ${defect.description}`);
+
+    Performance.end('resolveInspectionDefect');
+    return {
+      success: true,
+      message: `✅ ${defect.item} defect on ${defect.truck} resolved` + (restoredStatus ? `. Status back to ${restoredStatus}` : ''),
+      backInService: !!restoredStatus
+    };
+
+  } catch (error) {
+    Performance.end('resolveInspectionDefect');
+    return ErrorHandler.createErrorResponse(error, 'resolveInspectionDefect');
+  }
+}
+
+/**
+ * Helper: latest inspection and open defects per truck, keyed by lowercase
+ * truck name, for the fleet records.
+ * @returns {Object} { truck: { lastDate, driver, result, openDefects: [...] } }
+ */
+function readInspectionSummary() {
+  const summary = {};
+  readInspections().forEach(i => {
+    const key = i.truck.toLowerCase();
+    if (!summary[key] || summary[key].date < i.date) {
+      summary[key] = { date: i.date, driver: i.driver, result: i.result, openDefects: [] };
+    }
+  });
+  readInspectionDefects().forEach(d => {
+    if (d.status !== DEFECT_STATUS.OPEN) return;
+    const key = d.truck.toLowerCase();
+    summary[key] = summary[key] || { date: null, driver: '', result: '', openDefects: [] };
+    summary[key].openDefects.push(publicInspectionDefect(d));
+  });
+
+  Object.keys(summary).forEach(key => {
+    const s = summary[key];
+    summary[key] = { lastDate: s.date ? s.date.toISOString() : null, driver: s.driver, result: s.result, openDefects: s.openDefects };
+  });
+  return summary;
+}
+
+/**
+ * Helper: upload a defect photo (image data URL) to the DVIR Drive folder.
+ * @returns {string} Drive URL
+ */
+function saveInspectionPhoto(dataUrl, fileName) {
+  const match = /^data:(image\/[\w.+-]+);base64,(.+)$/.exec(String(dataUrl));
+  if (!match) {
+    throw new Error('Defect photo must be an image');
+  }
+  if (match[2].length * 0.75 > CONFIG.INSPECTION_MAX_PHOTO_BYTES) {
+    throw new Error(`Defect photo is too large (max ${Math.round(CONFIG.INSPECTION_MAX_PHOTO_BYTES / 1000000)} MB)`);
+  }
+
+  const blob = Utilities.newBlob(Utilities.base64Decode(match[2]), match[1], fileName);
+  return getInspectionPhotoFolder().createFile(blob).getUrl();
+}
+
+function getInspectionPhotoFolder() {
+  const folders = DriveApp.getFoldersByName(CONFIG.INSPECTION_PHOTO_FOLDER_NAME);
+  return folders.hasNext() ? folders.next() : DriveApp.createFolder(CONFIG.INSPECTION_PHOTO_FOLDER_NAME);
+}
+
+/**
+ * Helper: read the Inspections tab.
+ * @returns {Array} [{ id, date, truck, driver, odometer, items, result, notes, previousStatus }]
+ */
+function readInspections() {
+  const data = getInspectionsSheet().getDataRange().getValues();
+  const col = name => INSPECTION_HEADERS.indexOf(name);
+  const inspections = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[col('Inspection ID')]) continue;
+    const items = {};
+    INSPECTION_ITEMS.forEach(item => { items[item.key] = String(row[col(item.label)] || ''); });
+    inspections.push({
+      id: String(row[col('Inspection ID')]),
+      date: row[col('Date')] instanceof Date ? row[col('Date')] : new Date(row[col('Date')]),
+      truck: String(row[col('Truck')] || ''),
+      driver: String(row[col('Driver')] || ''),
+      odometer: parseMeterValue(row[col('Odometer')]),
+      items: items,
+      result: String(row[col('Result')] || ''),
+      notes: String(row[col('Notes')] || ''),
+      previousStatus: String(row[col('Previous Status')] || '')
+    });
+  }
+
+  return inspections;
+}
+
+/**
+ * Helper: read the Inspection Defects tab (row is the 1-based sheet row).
+ */
+function readInspectionDefects() {
+  const data = getInspectionDefectsSheet().getDataRange().getValues();
+  const col = name => INSPECTION_DEFECT_HEADERS.indexOf(name);
+  const defects = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[col('Defect ID')]) continue;
+    defects.push({
+      row: i + 1,
+      id: String(row[col('Defect ID')]),
+      inspectionId: String(row[col('Inspection ID')]),
+      date: row[col('Date')] instanceof Date ? row[col('Date')] : new Date(row[col('Date')]),
+      truck: String(row[col('Truck')] || ''),
+      item: String(row[col('Item')] || ''),
+      description: String(row[col('Description')] || ''),
+      critical: String(row[col('Safety Critical')]).toLowerCase() === 'yes',
+      photoUrl: String(row[col('Photo')] || ''),
+      status: String(row[col('Status')] || DEFECT_STATUS.OPEN),
+      resolvedBy: String(row[col('Resolved By')] || ''),
+      resolution: String(row[col('Resolution')] || '')
+    });
+  }
+
+  return defects;
+}
+
+function publicInspection(inspection) {
+  return {
+    id: inspection.id,
+    date: inspection.date.toISOString(),
+    truck: inspection.truck,
+    driver: inspection.driver,
+    odometer: inspection.odometer,
+    items: inspection.items,
+    result: inspection.result,
+    notes: inspection.notes
+  };
+}
+
+function publicInspectionDefect(defect) {
+  return {
+    id: defect.id,
+    inspectionId: defect.inspectionId,
+    date: defect.date.toISOString(),
+    truck: defect.truck,
+    item: defect.item,
+    description: defect.description,
+    critical: defect.critical,
+    photoUrl: defect.photoUrl,
+    status: defect.status,
+    resolvedBy: defect.resolvedBy,
+    resolution: defect.resolution
+  };
+}
+
+function getInspectionsSheet() {
+  return getFleetTab(CONFIG.INSPECTIONS_SHEET_NAME, INSPECTION_HEADERS);
+}
+
+function getInspectionDefectsSheet() {
+  return getFleetTab(CONFIG.INSPECTION_DEFECTS_SHEET_NAME, INSPECTION_DEFECT_HEADERS);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ⛽ FUEL & FLEET COSTS
+// ═══════════════════════════════════════════════════════════════════════
+
+const FUEL_LOG_HEADERS = ['Date', 'Truck', 'Gallons', 'Cost', 'Odometer', 'Price/Gal', 'Station', 'Notes', 'User', 'Logged At'];
+
+// Repairs tab of the asset-management spreadsheet (see asset-management/code.gs REPAIR_COLUMNS)
+const ASSET_REPAIR_COLUMNS = {
+  REPAIR_ID: 0,
+  ASSET_ID: 1,
+  ASSET_NAME: 2,
+  REPAIR_DATE: 3,
+  PART_NAME: 4,
+  TOTAL_COST: 9,
+  NOTES: 13
+};
+
+const FLEET_COST_CSV_HEADERS = ['Month', 'Truck', 'Asset ID', 'Miles', 'Gallons', 'MPG', 'Fuel Cost', 'Service Cost', 'Repair Cost', 'Total Cost', 'Cost/Mile'];
+
+/**
+ * Record a fill-up. The odometer (optional, but MPG needs it) is stored as
+ * a meter reading too, so it also moves the maintenance schedule forward.
+ *
+ * @param {Object} fill - { truck, date, gallons, cost, odometer, station, notes }
+ * @returns {Object} { success, message, entry: { truck, date, gallons, cost, odometer, pricePerGallon, miles, mpg } }
+ */
+function logFuel(fill) {
+  Performance.start('logFuel');
+
+  try {
+    const input = fill || {};
+    const truck = findFleetTruck(input.truck);
+    if (!truck) {
+      return ErrorHandler.createErrorResponse(new Error(`Truck "${input.truck || ''}" not found on the ${CONFIG.TRUCK_SHEET_NAME} sheet`), 'logFuel');
+    }
+
+    const gallons = parseFloat(input.gallons);
+    if (isNaN(gallons) || gallons <= 0) {
+      return ErrorHandler.createErrorResponse(new Error('Gallons must be more than 0'), 'logFuel');
+    }
+    const cost = parseFloat(String(input.cost === undefined ? '' : input.cost).replace(/[$,]/g, ''));
+    if (isNaN(cost) || cost < 0) {
+      return ErrorHandler.createErrorResponse(new Error('Enter the total cost of the fill-up'), 'logFuel');
+    }
+
+    const date = input.date ? new Date(input.date) : new Date();
+    if (isNaN(date.getTime()) || date > new Date()) {
+      return ErrorHandler.createErrorResponse(new Error('Fill-up date must be a valid date, not in the future'), 'logFuel');
+    }
+
+    const odometer = parseMeterValue(input.odometer);
+    const pricePerGallon = Math.round(cost / gallons * 1000) / 1000;
+    const user = Session.getActiveUser().getEmail() || 'System';
+    let entry = null;
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      if (odometer !== null) {
+        const problem = checkMeterReading(truck.name, odometer, null, date);
+        if (problem) {
+          return ErrorHandler.createErrorResponse(new Error(problem), 'logFuel');
+        }
+        getMeterReadingsSheet().appendRow([date, truck.name, odometer, '', 'Fuel', user]);
+      }
+
+      getFuelLogSheet().appendRow([
+        date,
+        truck.name,
+        gallons,
+        cost,
+        odometer === null ? '' : odometer,
+        pricePerGallon,
+        Validator.sanitizeString(String(input.station || '')),
+        Validator.sanitizeString(String(input.notes || '')),
+        user,
+        new Date()
+      ]);
+      if (odometer !== null) updateFleetNextMaintenance(truck);
+
+      entry = withFuelEconomy(readFuelLog()[truck.name.toLowerCase()] || [])
+        .filter(f => f.date.getTime() === date.getTime() && f.gallons === gallons)
+        .pop();
+    } finally {
+      lock.releaseLock();
+    }
+
+    logActivity('FUEL', truck.name, `${gallons} gal, $${cost.toFixed(2)}`);
+
+    Performance.end('logFuel');
+    return {
+      success: true,
+      message: `⛽ Logged ${gallons} gal ($${cost.toFixed(2)}) for ${truck.name}` + (entry && entry.mpg !== null ? ` — ${entry.mpg} MPG` : ''),
+      entry: entry ? publicFuelEntry(entry) : null
+    };
+
+  } catch (error) {
+    Performance.end('logFuel');
+    return ErrorHandler.createErrorResponse(error, 'logFuel');
+  }
+}
+
+/**
+ * Recent fill-ups (newest first) with miles since the previous fill and MPG.
+ *
+ * @param {Object} options - { truck?: string, days?: number (default 90) }
+ * @returns {Object} { success, entries, averages: { truck: mpg } }
+ */
+function getFuelLog(options) {
+  Performance.start('getFuelLog');
+
+  try {
+    const opts = options || {};
+    const days = Math.min(Math.max(Validator.sanitizeNumber(opts.days, 90), 1), 730);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const wanted = String(opts.truck || '').toLowerCase().trim();
+    const log = readFuelLog();
+
+    let entries = [];
+    const averages = {};
+    Object.keys(log).forEach(key => {
+      if (wanted && key !== wanted) return;
+      const fills = withFuelEconomy(log[key]).filter(f => f.date >= since);
+      if (fills.length === 0) return;
+      entries = entries.concat(fills);
+      averages[fills[0].truck] = averageMpg(fills);
+    });
+    entries.sort((a, b) => b.date - a.date);
+
+    Performance.end('getFuelLog');
+    return { success: true, entries: entries.map(publicFuelEntry), averages: averages };
+
+  } catch (error) {
+    Performance.end('getFuelLog');
+    return ErrorHandler.createErrorResponse(error, 'getFuelLog');
+  }
+}
+
+/**
+ * Cost per truck per month: fuel (Fuel Log), service (Service Log costs)
+ * and repairs from the asset-management Repairs sheet. A repair belongs to
+ * a truck when its Asset ID matches the truck's shared Asset ID on the Master
+ * sheet (see linkFleetAssets), or — for trucks not linked yet, or whose ID
+ * isn't in the asset tracker — when its asset name matches the truck name. Miles come from the odometer
+ * readings, so cost per mile needs at least two readings in range.
+ * The asset-management spreadsheet is read on its own; if it can't be
+ * opened the report still comes back with `partial` set.
+ *
+ * @param {Object} options - { from?: 'yyyy-MM', to?: 'yyyy-MM' } (default: the last CONFIG.FLEET_COST_MONTHS months)
+ * @returns {Object} { success, from, to, months, rows, trucks, totals, partial, errors }
+ */
+function getFleetCosts(options) {
+  Performance.start('getFleetCosts');
+
+  try {
+    const range = fleetCostRange(options);
+    if (range.error) {
+      return ErrorHandler.createErrorResponse(new Error(range.error), 'getFleetCosts');
+    }
+
+    const costs = buildFleetCosts(range.from, range.to);
+
+    Performance.end('getFleetCosts');
+    return Object.assign({ success: true, partial: Object.keys(costs.errors).length > 0 }, costs);
+
+  } catch (error) {
+    Performance.end('getFleetCosts');
+    return ErrorHandler.createErrorResponse(error, 'getFleetCosts');
+  }
+}
+
+/**
+ * The getFleetCosts report as CSV — one row per truck per month, a total
+ * row per truck and a fleet total at the bottom.
+ *
+ * @param {Object} options - Same as getFleetCosts
+ * @returns {Object} { success, filename, csv, rowCount, partial, errors }
+ */
+function exportFleetCostsCSV(options) {
+  Performance.start('exportFleetCostsCSV');
+
+  try {
+    const range = fleetCostRange(options);
+    if (range.error) {
+      return ErrorHandler.createErrorResponse(new Error(range.error), 'exportFleetCostsCSV');
+    }
+
+    const costs = buildFleetCosts(range.from, range.to);
+    const line = (month, truck, assetId, c) => [
+      month, truck, assetId, c.miles, c.gallons, c.mpg, c.fuelCost, c.serviceCost, c.repairCost, c.totalCost, c.costPerMile
+    ].map(csvCell).join(',');
+
+    const lines = [FLEET_COST_CSV_HEADERS.join(',')];
+    costs.trucks.forEach(t => {
+      costs.rows.filter(r => r.truck === t.truck).forEach(r => lines.push(line(r.month, r.truck, t.assetId, r)));
+      lines.push(line('Total', t.truck, t.assetId, t));
+    });
+    lines.push(line('Fleet Total', '', '', costs.totals));
+
+    logActivity('EXPORT', 'Fleet Costs', `${costs.from} to ${costs.to}`);
+
+    Performance.end('exportFleetCostsCSV');
+    return {
+      success: true,
+      filename: `fleet-costs-${costs.from}-to-${costs.to}.csv`,
+      csv: lines.join('\r\n') + '\r\n',
+      rowCount: costs.rows.length,
+      partial: Object.keys(costs.errors).length > 0,
+      errors: costs.errors
+    };
+
+  } catch (error) {
+    Performance.end('exportFleetCostsCSV');
+    return ErrorHandler.createErrorResponse(error, 'exportFleetCostsCSV');
+  }
+}
+
+/**
+ * Helper: resolve { from, to } month keys, defaulting to the last
+ * CONFIG.FLEET_COST_MONTHS months. Returns { error } when invalid.
+ */
+function fleetCostRange(options) {
+  const opts = options || {};
+  const monthPattern = /^\d{4}-\d{2}$/;
+  const thisMonth = normalizeDateKey(new Date()).slice(0, 7);
+  const to = opts.to ? String(opts.to) : thisMonth;
+  const from = opts.from ? String(opts.from) : shiftMonthKey(to, -(CONFIG.FLEET_COST_MONTHS - 1));
+
+  if (!monthPattern.test(from) || !monthPattern.test(to)) return { error: 'Months must be in yyyy-MM format' };
+  if (from > to) return { error: 'The start month is after the end month' };
+  return { from: from, to: to };
+}
+
+/**
+ * Helper: add whole months to a yyyy-MM key.
+ */
+function shiftMonthKey(monthKey, months) {
+  const parts = monthKey.split('-').map(Number);
+  const index = parts[0] * 12 + (parts[1] - 1) + months;
+  return Math.floor(index / 12) + '-' + String(index % 12 + 1).padStart(2, '0');
+}
+
+/**
+ * Helper: roll fuel, service and repair costs up by truck and month.
+ * @returns {Object} { from, to, months, rows, trucks, totals, errors }
+ */
+function buildFleetCosts(from, to) {
+  const errors = {};
+  const months = [];
+  for (let m = from; m <= to; m = shiftMonthKey(m, 1)) months.push(m);
+  const monthOf = date => date instanceof Date && !isNaN(date.getTime()) ? normalizeDateKey(date).slice(0, 7) : '';
+  const inRange = month => month >= from && month <= to;
+
+  const trucks = readFleetTrucks();
+  const fuel = readFuelLog();
+  const services = readServiceLog();
+  const readings = readMeterReadings();
+
+  let repairs = [];
+  let assets = indexAssets([]);
+  try {
+    repairs = readAssetRepairs();
+    assets = indexAssets(readAssets());
+  } catch (error) {
+    ErrorHandler.logError(error, 'buildFleetCosts:repairs');
+    errors.repairs = ErrorHandler.sanitizeErrorMessage(error.toString());
+  }
+
+  const rows = [];
+  const truckTotals = trucks.map(truck => {
+    const key = truck.name.toLowerCase();
+    const asset = findAssetForFleet(truck, assets.byId, assets.byName);
+    const assetId = asset ? asset.id.toLowerCase() : '';
+    const fills = withFuelEconomy(fuel[key] || []);
+    const truckServices = services[key] || [];
+    const truckRepairs = repairs.filter(r => assetId ? r.assetId.toLowerCase() === assetId : r.assetName.toLowerCase() === key);
+    const odometers = (readings[key] || [])
+      .filter(r => r.odometer !== null)
+      .map(r => ({ month: monthOf(r.timestamp), odometer: r.odometer }))
+      .filter(r => r.month);
+
+    // Miles in a month: last odometer by month end minus last odometer before it starts
+    // (or the month's first reading for a truck that started being tracked that month)
+    const milesIn = (start, end) => {
+      const before = odometers.filter(r => r.month < start).map(r => r.odometer);
+      const through = odometers.filter(r => r.month <= end).map(r => r.odometer);
+      const within = odometers.filter(r => r.month >= start && r.month <= end).map(r => r.odometer);
+      if (within.length === 0) return 0;
+      const startOdo = before.length ? Math.max.apply(null, before) : Math.min.apply(null, within);
+      return Math.max(0, Math.max.apply(null, through) - startOdo);
+    };
+
+    const monthRows = months.map(month => {
+      const monthFills = fills.filter(f => monthOf(f.date) === month);
+      return fleetCostLine({
+        month: month,
+        truck: truck.name,
+        miles: milesIn(month, month),
+        fills: monthFills,
+        serviceCost: sumValues(truckServices.filter(s => monthOf(s.date) === month).map(s => s.cost)),
+        repairCost: sumValues(truckRepairs.filter(r => monthOf(r.date) === month).map(r => r.totalCost))
+      });
+    }).filter(r => r.totalCost > 0 || r.miles > 0);
+    rows.push.apply(rows, monthRows);
+
+    return Object.assign(fleetCostLine({
+      truck: truck.name,
+      miles: milesIn(from, to),
+      fills: fills.filter(f => inRange(monthOf(f.date))),
+      serviceCost: sumValues(monthRows.map(r => r.serviceCost)),
+      repairCost: sumValues(monthRows.map(r => r.repairCost))
+    }), { assetId: asset ? asset.id : '', repairsLinked: truckRepairs.length });
+  });
+
+  const totals = fleetCostLine({
+    truck: 'Fleet',
+    miles: sumValues(truckTotals.map(t => t.miles)),
+    fills: [].concat.apply([], trucks.map(t => withFuelEconomy(fuel[t.name.toLowerCase()] || []).filter(f => inRange(monthOf(f.date))))),
+    serviceCost: sumValues(truckTotals.map(t => t.serviceCost)),
+    repairCost: sumValues(truckTotals.map(t => t.repairCost))
+  });
+
+  return { from: from, to: to, months: months, rows: rows, trucks: truckTotals, totals: totals, errors: errors };
+}
+
+/**
+ * Helper: one cost line (a truck-month, a truck total or the fleet total).
+ */
+function fleetCostLine(parts) {
+  const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+  const fuelCost = sumValues(parts.fills.map(f => f.cost));
+  const totalCost = fuelCost + parts.serviceCost + parts.repairCost;
+  const mpg = averageMpg(parts.fills);
+
+  const line = {
+    truck: parts.truck,
+    miles: round(parts.miles, 0),
+    gallons: round(sumValues(parts.fills.map(f => f.gallons)), 2),
+    mpg: mpg,
+    fuelCost: round(fuelCost, 2),
+    serviceCost: round(parts.serviceCost, 2),
+    repairCost: round(parts.repairCost, 2),
+    totalCost: round(totalCost, 2),
+    costPerMile: parts.miles > 0 ? round(totalCost / parts.miles, 2) : null
+  };
+  return parts.month ? Object.assign({ month: parts.month }, line) : line;
+}
+
+/**
+ * Helper: fill-ups for one truck in date order, each with the miles since
+ * the previous fill that had an odometer and the resulting MPG. The gallons
+ * that replace those miles are this fill's plus any fills in between that
+ * had no odometer reading (mpgGallons).
+ */
+function withFuelEconomy(fills) {
+  let previous = null;
+  let unmeasured = 0;
+  return fills.slice().sort((a, b) => a.date - b.date || (a.odometer || 0) - (b.odometer || 0)).map(f => {
+    const entry = Object.assign({}, f, { miles: null, mpg: null, mpgGallons: null });
+    if (f.odometer === null) {
+      unmeasured += f.gallons;
+      return entry;
+    }
+    if (previous !== null && f.odometer > previous) {
+      entry.miles = f.odometer - previous;
+      entry.mpgGallons = Math.round((unmeasured + f.gallons) * 1000) / 1000;
+      entry.mpg = Math.round(entry.miles / entry.mpgGallons * 10) / 10;
+    }
+    previous = f.odometer;
+    unmeasured = 0;
+    return entry;
+  });
+}
+
+/**
+ * Helper: miles over gallons across the fills that have an MPG.
+ */
+function averageMpg(fills) {
+  const measured = fills.filter(f => f.mpg !== null);
+  const gallons = sumValues(measured.map(f => f.mpgGallons));
+  return gallons > 0 ? Math.round(sumValues(measured.map(f => f.miles)) / gallons * 10) / 10 : null;
+}
+
+function sumValues(values) {
+  return values.reduce((total, value) => total + (Number(value) || 0), 0);
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Helper: fuel log entries grouped by lowercase truck name.
+ * @returns {Object} { truck: [{ date, truck, gallons, cost, odometer, station, notes }] }
+ */
+function readFuelLog() {
+  const data = getFuelLogSheet().getDataRange().getValues();
+  const byTruck = {};
+
+  for (let i = 1; i < data.length; i++) {
+    const truck = String(data[i][1] || '').trim();
+    const gallons = parseFloat(data[i][2]);
+    if (!truck || !(gallons > 0)) continue;
+    (byTruck[truck.toLowerCase()] = byTruck[truck.toLowerCase()] || []).push({
+      date: new Date(data[i][0]),
+      truck: truck,
+      gallons: gallons,
+      cost: parseFloat(data[i][3]) || 0,
+      odometer: parseMeterValue(data[i][4]),
+      station: String(data[i][6] || ''),
+      notes: String(data[i][7] || '')
+    });
+  }
+
+  return byTruck;
+}
+
+function publicFuelEntry(entry) {
+  return {
+    date: entry.date.toISOString(),
+    truck: entry.truck,
+    gallons: entry.gallons,
+    cost: entry.cost,
+    odometer: entry.odometer,
+    pricePerGallon: Math.round(entry.cost / entry.gallons * 1000) / 1000,
+    station: entry.station,
+    miles: entry.miles,
+    mpg: entry.mpg
+  };
+}
+
+/**
+ * Helper: repairs from the asset-management spreadsheet's Repairs tab.
+ * Empty when CONFIG.ASSET_SHEET_ID isn't set.
+ * @returns {Array} [{ repairId, assetId, assetName, date, part, totalCost, notes }]
+ */
+function readAssetRepairs() {
+  if (!CONFIG.ASSET_SHEET_ID) return [];
+
+  const sheet = SpreadsheetApp.openById(CONFIG.ASSET_SHEET_ID).getSheetByName(CONFIG.ASSET_REPAIRS_SHEET_NAME);
+  if (!sheet) {
+    throw new Error('Sheet "' + CONFIG.ASSET_REPAIRS_SHEET_NAME + '" not found in the asset spreadsheet');
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const repairs = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[ASSET_REPAIR_COLUMNS.ASSET_ID]) continue;
+    repairs.push({
+      repairId: String(row[ASSET_REPAIR_COLUMNS.REPAIR_ID] || ''),
+      assetId: String(row[ASSET_REPAIR_COLUMNS.ASSET_ID]).trim(),
+      assetName: String(row[ASSET_REPAIR_COLUMNS.ASSET_NAME] || '').trim(),
+      date: new Date(row[ASSET_REPAIR_COLUMNS.REPAIR_DATE]),
+      part: String(row[ASSET_REPAIR_COLUMNS.PART_NAME] || ''),
+      totalCost: parseFloat(row[ASSET_REPAIR_COLUMNS.TOTAL_COST]) || 0,
+      notes: String(row[ASSET_REPAIR_COLUMNS.NOTES] || '')
+    });
+  }
+  return repairs;
+}
+
+function getFuelLogSheet() {
+  return getFleetTab(CONFIG.FUEL_LOG_SHEET_NAME, FUEL_LOG_HEADERS);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🛠️ ASSET MANAGEMENT LINK
+// ═══════════════════════════════════════════════════════════════════════
+
+// asset-management/code.gs is a separate Apps Script project, so its
+// functions can't be called from here; these read the same spreadsheet and
+// return the same shapes as its getAssets() / getDashboardStats().
+
+const ASSET_STATUS = {
+  GOOD: 'GOOD',
+  MONITOR: 'MONITOR',
+  WARNING: 'WARNING',
+  REPLACE_NOW: 'REPLACE NOW'
+};
+
+// Assets tab of the asset-management spreadsheet (see asset-management/code.gs ASSET_COLUMNS)
+const ASSET_COLUMNS = {
+  ASSET_ID: 0,
+  ASSET_NAME: 1,
+  CATEGORY: 2,
+  MANUFACTURER: 3,
+  MODEL: 4,
+  PURCHASE_DATE: 5,
+  NOTES: 6,
+  REPLACEMENT_COST: 7,
+  TOTAL_REPAIRS: 8,
+  PCT_OF_REPLACEMENT: 9,
+  STATUS: 10
+};
+
+/**
+ * Assets from the asset-management spreadsheet, each with the fleet record
+ * it's linked to (by the shared Asset ID, or by name for rows not linked yet).
+ *
+ * @param {Object} options - { status?: string, query?: string (every word must match),
+ *   mentionedIn?: string (assets whose ID, name or fleet name appear in this text) }
+ * @returns {Object} { success, assets: [{ id, name, category, manufacturer, model, purchaseDate,
+ *   replacementCost, totalRepairs, percentOfReplacement, status, notes, fleet: { name, kind, status } | null }] }
+ */
+function getAssets(options) {
+  Performance.start('getAssets');
+
+  try {
+    const opts = options || {};
+    const fleet = collectFleet([]).vehicles;
+    let assets = readAssets().map(asset => {
+      const match = findFleetForAsset(asset, fleet);
+      return Object.assign(asset, { fleet: match ? { name: match.name, kind: match.kind, status: match.status } : null });
+    });
+
+    if (opts.status) {
+      const wanted = String(opts.status).toUpperCase();
+      assets = assets.filter(a => a.status === wanted);
+    }
+    if (opts.query) {
+      const words = String(opts.query).toLowerCase().trim().split(/\s+/);
+      assets = assets.filter(a => {
+        const text = [a.id, a.name, a.category, a.manufacturer, a.model, a.fleet ? a.fleet.name : ''].join(' ').toLowerCase();
+        return words.every(word => text.indexOf(word) >= 0);
+      });
+    }
+    if (opts.mentionedIn) {
+      const text = ' ' + String(opts.mentionedIn).toLowerCase().replace(/[^a-z0-9#-]+/g, ' ') + ' ';
+      const mentioned = value => !!value && text.indexOf(' ' + String(value).toLowerCase().replace(/[^a-z0-9#-]+/g, ' ').trim() + ' ') >= 0;
+      assets = assets.filter(a => mentioned(a.id) || mentioned(a.name) || (a.fleet && mentioned(a.fleet.name)));
+    }
+
+    Performance.end('getAssets');
+    return { success: true, assets: assets };
+
+  } catch (error) {
+    Performance.end('getAssets');
+    return ErrorHandler.createErrorResponse(error, 'getAssets');
+  }
+}
+
+/**
+ * Asset-management dashboard numbers: status counts, repair spend and the
+ * assets furthest toward replacement, plus how many are linked to the fleet.
+ *
+ * @returns {Object} { success, totalAssets, good, monitor, warnings, needReplacement, totalRepairCost,
+ *   averageRepairCost, totalRepairs, topProblems, linkedToFleet }
+ */
+function getDashboardStats() {
+  Performance.start('getDashboardStats');
+
+  try {
+    const assetsResult = getAssets();
+    if (!assetsResult.success) return assetsResult;
+    const assets = assetsResult.assets;
+    const count = status => assets.filter(a => a.status === status).length;
+    const totalRepairCost = sumValues(assets.map(a => a.totalRepairs));
+
+    Performance.end('getDashboardStats');
+    return {
+      success: true,
+      totalAssets: assets.length,
+      good: count(ASSET_STATUS.GOOD),
+      monitor: count(ASSET_STATUS.MONITOR),
+      warnings: count(ASSET_STATUS.WARNING),
+      needReplacement: count(ASSET_STATUS.REPLACE_NOW),
+      totalRepairCost: totalRepairCost,
+      averageRepairCost: assets.length > 0 ? totalRepairCost / assets.length : 0,
+      totalRepairs: readAssetRepairs().length,
+      topProblems: assets
+        .filter(a => a.percentOfReplacement > 0.25)
+        .sort((a, b) => b.percentOfReplacement - a.percentOfReplacement)
+        .slice(0, 6),
+      linkedToFleet: assets.filter(a => a.fleet).length
+    };
+
+  } catch (error) {
+    Performance.end('getDashboardStats');
+    return ErrorHandler.createErrorResponse(error, 'getDashboardStats');
+  }
+}
+
+/**
+ * Give fleet rows (Master, Machinery, Attachments) the asset-management
+ * Asset ID so both systems share one key. It lives in its own "Asset ID"
+ * column; Asset # / Unit # is the unit's own number and is left alone.
+ * Rows without an ID are matched to an asset by name (case and spacing
+ * ignored); a tab with no Asset ID column gets one. IDs already filled in are never changed, and an
+ * asset already used by another row isn't offered twice.
+ *
+ * @param {Object} options - { dryRun?: boolean (default true) }
+ * @returns {Object} { success, dryRun, linked: [{ tab, name, assetId }], unmatchedFleet, unlinkedAssets }
+ */
+function linkFleetAssets(options) {
+  Performance.start('linkFleetAssets');
+
+  try {
+    const dryRun = !options || options.dryRun !== false;
+    const assets = readAssets();
+    const key = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const assetIds = {};
+    assets.forEach(a => { assetIds[key(a.id)] = a; });
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const tabs = readFleetAssetTabs();
+      const used = {};
+      tabs.forEach(tab => tab.rows.forEach(r => { if (r.assetId) used[key(r.assetId)] = true; }));
+
+      const linked = [];
+      const unmatchedFleet = [];
+      tabs.forEach(tab => {
+        const updates = [];
+        tab.rows.forEach(r => {
+          if (r.assetId) return;
+          const asset = assets.find(a => !used[key(a.id)] && key(a.name) === key(r.name));
+          if (!asset) {
+            unmatchedFleet.push({ tab: tab.name, name: r.name });
+            return;
+          }
+          used[key(asset.id)] = true;
+          linked.push({ tab: tab.name, name: r.name, assetId: asset.id });
+          updates.push({ row: r.row, assetId: asset.id });
+        });
+
+        if (dryRun || updates.length === 0) return;
+        let column = tab.assetCol;
+        if (column < 0) {
+          column = tab.sheet.getLastColumn();
+          tab.sheet.getRange(1, column + 1).setValue('Asset ID').setFontWeight('bold');
+        }
+        updates.forEach(u => tab.sheet.getRange(u.row, column + 1).setValue(u.assetId));
+      });
+
+      const unlinkedAssets = assets.filter(a => !used[key(a.id)]).map(a => ({ id: a.id, name: a.name, category: a.category }));
+
+      if (!dryRun && linked.length > 0) {
+        logActivity('LINK_ASSETS', 'Fleet', `${linked.length} fleet row${linked.length === 1 ? '' : 's'} linked to assets`);
+      }
+
+      Performance.end('linkFleetAssets');
+      return {
+        success: true,
+        dryRun: dryRun,
+        linked: linked,
+        unmatchedFleet: unmatchedFleet,
+        unlinkedAssets: unlinkedAssets,
+        message: `${dryRun ? 'Would link' : 'Linked'} ${linked.length} fleet row${linked.length === 1 ? '' : 's'}; ` +
+          `${unmatchedFleet.length} without a matching asset, ${unlinkedAssets.length} asset${unlinkedAssets.length === 1 ? '' : 's'} not on the fleet sheets`
+      };
+    } finally {
+      lock.releaseLock();
+    }
+
+  } catch (error) {
+    Performance.end('linkFleetAssets');
+    return ErrorHandler.createErrorResponse(error, 'linkFleetAssets');
+  }
+}
+
+/**
+ * Helper: the asset linked to a fleet record — by the shared Asset ID
+ * column, or by name when the row has no ID or its ID isn't in the asset
+ * tracker. (Asset # / Unit # is the truck's own number, not this key.)
+ * @param {Object} assetsById - { lowercase id: asset }
+ * @param {Object} assetsByName - { lowercase name: asset }
+ */
+function findAssetForFleet(record, assetsById, assetsByName) {
+  const id = String(record.assetId || '').toLowerCase().trim();
+  if (id && assetsById[id]) return assetsById[id];
+  return assetsByName[String(record.name || '').toLowerCase().trim()] || null;
+}
+
+/**
+ * Helper: the reverse of findAssetForFleet, for one asset. Fleet records
+ * from collectFleet already carry their resolved asset.
+ */
+function findFleetForAsset(asset, fleet) {
+  const id = asset.id.toLowerCase();
+  return fleet.find(v => v.asset && v.asset.id.toLowerCase() === id) || null;
+}
+
+/**
+ * Helper: assets keyed for findAssetForFleet.
+ * @returns {Object} { byId, byName }
+ */
+function indexAssets(assets) {
+  const index = { byId: {}, byName: {} };
+  assets.forEach(a => {
+    index.byId[a.id.toLowerCase()] = a;
+    if (a.name) index.byName[a.name.toLowerCase()] = a;
+  });
+  return index;
+}
+
+/**
+ * Helper: status for a repair spend as a share of replacement cost
+ * (asset-management/code.gs getStatusFromPercentage).
+ */
+function assetStatusFromPercent(percent) {
+  if (percent >= 0.75) return ASSET_STATUS.REPLACE_NOW;
+  if (percent >= 0.50) return ASSET_STATUS.WARNING;
+  if (percent >= 0.25) return ASSET_STATUS.MONITOR;
+  return ASSET_STATUS.GOOD;
+}
+
+/**
+ * Helper: read the asset-management Assets tab. Empty when
+ * CONFIG.ASSET_SHEET_ID isn't set.
+ */
+function readAssets() {
+  if (!CONFIG.ASSET_SHEET_ID) return [];
+
+  const sheet = SpreadsheetApp.openById(CONFIG.ASSET_SHEET_ID).getSheetByName(CONFIG.ASSETS_SHEET_NAME);
+  if (!sheet) {
+    throw new Error('Sheet "' + CONFIG.ASSETS_SHEET_NAME + '" not found in the asset spreadsheet');
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const assets = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row[ASSET_COLUMNS.ASSET_ID]) continue;
+
+    const percent = parseFloat(row[ASSET_COLUMNS.PCT_OF_REPLACEMENT]) || 0;
+    const status = String(row[ASSET_COLUMNS.STATUS] || '').toUpperCase().trim();
+    const purchaseDate = row[ASSET_COLUMNS.PURCHASE_DATE];
+    assets.push({
+      id: String(row[ASSET_COLUMNS.ASSET_ID]).trim(),
+      name: String(row[ASSET_COLUMNS.ASSET_NAME] || '').trim(),
+      category: String(row[ASSET_COLUMNS.CATEGORY] || ''),
+      manufacturer: String(row[ASSET_COLUMNS.MANUFACTURER] || ''),
+      model: String(row[ASSET_COLUMNS.MODEL] || ''),
+      purchaseDate: purchaseDate instanceof Date ? purchaseDate.toISOString() : String(purchaseDate || ''),
+      replacementCost: parseFloat(row[ASSET_COLUMNS.REPLACEMENT_COST]) || 0,
+      totalRepairs: parseFloat(row[ASSET_COLUMNS.TOTAL_REPAIRS]) || 0,
+      percentOfReplacement: percent,
+      status: Object.keys(ASSET_STATUS).some(k => ASSET_STATUS[k] === status) ? status : assetStatusFromPercent(percent),
+      notes: String(row[ASSET_COLUMNS.NOTES] || '')
+    });
+  }
+  return assets;
+}
+
+/**
+ * Helper: every fleet tab row with its sheet position and Asset ID, for linking.
+ * @returns {Array} [{ name, sheet, assetCol, rows: [{ row, name, assetId }] }]
+ */
+function readFleetAssetTabs() {
+  if (!CONFIG.TRUCK_SHEET_ID || CONFIG.TRUCK_SHEET_ID === "YOUR_TRUCK_SHEET_ID_HERE") return [];
+
+  const ss = SpreadsheetApp.openById(CONFIG.TRUCK_SHEET_ID);
+  const tabs = [];
+  [CONFIG.TRUCK_SHEET_NAME, CONFIG.MACHINERY_SHEET_NAME, CONFIG.ATTACHMENTS_SHEET_NAME].forEach(tabName => {
+    const sheet = tabName ? ss.getSheetByName(tabName) : null;
+    if (!sheet) return;
+    const data = sheet.getDataRange().getValues();
+    if (data.length < 1) return;
+
+    const colMap = tabName === CONFIG.TRUCK_SHEET_NAME ? fleetColumnMap(data[0]) : equipmentColumnMap(data[0]);
+    const rows = [];
+    for (let i = 1; i < data.length; i++) {
+      const name = String(data[i][colMap.name] || '').trim();
+      if (!name) continue;
+      rows.push({ row: i + 1, name: name, assetId: colMap.assetId >= 0 ? String(data[i][colMap.assetId] || '').trim() : '' });
+    }
+    tabs.push({ name: tabName, sheet: sheet, assetCol: colMap.assetId, rows: rows });
+  });
+  return tabs;
+}
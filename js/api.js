@@ -452,9 +452,9 @@ User: "schedule tomorrow" → Call open_tool with toolId='scheduler'`;
     }
 
     // Tool-specific API methods
-    async searchInventory(query) {
+    async searchInventory(query, options = {}) {
         try {
-            return await this.callGoogleScript('inventory', 'askInventory', [query]);
+            return await this.callGoogleScript('inventory', 'askInventory', [query, options]);
         } catch (error) {
             console.error('Inventory search failed:', error);
             return {
@@ -638,6 +638,55 @@ User: "schedule tomorrow" → Call open_tool with toolId='scheduler'`;
     }
 }
 
+// ========================================
+// 📄 Standalone Page Helpers
+// ========================================
+
+/**
+ * Backend calls for the standalone pages (labels, count, duplicates, import,
+ * fleet, tool checkout), which run without the dashboard app and its APIManager.
+ */
+const PageAPI = {
+    url: localStorage.getItem('inventoryUrl') || localStorage.getItem('apiUrl') || '',
+
+    /**
+     * Call a backend function. Rejects when the call fails or the function
+     * answers { success: false }; the error carries that answer as .response.
+     */
+    async call(functionName, parameters = []) {
+        const response = await fetch(PageAPI.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ function: functionName, parameters }),
+            redirect: 'follow'
+        });
+        if (!response.ok) throw new Error('API request failed');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error?.message || 'API request failed');
+        if (result.response && result.response.success === false) {
+            const error = new Error(result.response.error?.message || result.response.message || 'API request failed');
+            error.response = result.response;
+            throw error;
+        }
+        return result.response;
+    },
+
+    /**
+     * Escape text for HTML, quotes included so it is safe in attribute values.
+     * Values handed to inline handlers belong in data-* attributes, not in the
+     * handler's JavaScript.
+     */
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+};
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = APIManager;
@@ -236,7 +236,10 @@ class ChatManager {
             }
 
             // Step 6: Generate response based on routing
-            if (toolRoute.toolId === 'general') {
+            const inventoryCards = toolRoute.toolId === 'inventory' ? await this.searchInventoryCards(message) : null;
+            if (inventoryCards) {
+                response = inventoryCards;
+            } else if (toolRoute.toolId === 'general') {
                 response = this.generateGeneralResponse(message);
             } else {
                 response = this.generateToolSpecificResponse(message, toolRoute);
@@ -427,8 +430,11 @@ class ChatManager {
         }
         badge += `</div>\n\n`;
 
+        // GradeBot: show the live repair status of any asset the question names
+        const assetCards = agentKey === 'repair' ? await this.assetStatusCards(message) : '';
+
         return {
-            content: badge + responseText,
+            content: badge + responseText + assetCards,
             type: 'agent_response',
             toolId: null,
             shouldOpenTool: false,
@@ -456,11 +462,14 @@ class ChatManager {
                 result = `Opening ${this.getToolName(toolId)}...`;
                 break;
 
-            case 'search_inventory':
+            case 'search_inventory': {
+                const cards = await this.searchInventoryCards(args.query);
+                if (cards) return cards;
                 result = `Searching for "${args.query}"...`;
                 toolId = 'inventory';
                 shouldOpenTool = true;
                 break;
+            }
 
             case 'check_crew_location':
                 result = `Finding crew near "${args.query}"...`;
@@ -704,8 +713,8 @@ class ChatManager {
     }
 
     formatMessageContent(content, type) {
-        // Return HTML table directly without markdown formatting
-        if (type === 'inventory_table') {
+        // Return HTML table/cards directly without markdown formatting
+        if (type === 'inventory_table' || type === 'inventory_cards') {
             return content;
         }
 
@@ -740,6 +749,218 @@ class ChatManager {
         return formatted;
     }
 
+    /**
+     * Asset-management status (GOOD / MONITOR / WARNING / REPLACE NOW) for the
+     * assets or fleet units mentioned in a message, as cards. Empty string
+     * when none are mentioned or the lookup fails.
+     */
+    async assetStatusCards(message) {
+        const api = window.app?.api;
+        if (!api) return '';
+
+        try {
+            const result = await api.callGoogleScript('inventory', 'getAssets', [{ mentionedIn: message }]);
+            const assets = result?.assets || [];
+            if (!result?.success || assets.length === 0 || assets.length > 5) return '';
+
+            const esc = (text) => {
+                const div = document.createElement('div');
+                div.textContent = String(text ?? '');
+                return div.innerHTML;
+            };
+            const money = (value) => '$' + Math.round(value || 0).toLocaleString();
+
+            let html = `<div class="inventory-cards asset-cards">`;
+            html += `<h4>Asset status</h4>`;
+            assets.forEach(asset => {
+                const statusClass = 'asset-' + asset.status.toLowerCase().replace(/\s+/g, '-');
+                html += `<div class="inventory-card ${statusClass}">`;
+                html += `<div class="inventory-card-header"><strong>${esc(asset.name)}</strong> <span class="inventory-card-flag">${esc(asset.status)}</span></div>`;
+                html += `<div class="inventory-card-stock">Repairs ${money(asset.totalRepairs)} of ${money(asset.replacementCost)} replacement (${Math.round(asset.percentOfReplacement * 100)}%)</div>`;
+                html += `<div class="inventory-card-muted">🏷️ ${esc(asset.id)}${asset.fleet ? ` · 🚛 ${esc(asset.fleet.name)}` : ''}</div>`;
+                html += `</div>`;
+            });
+            html += `</div>`;
+            return html;
+        } catch (error) {
+            console.warn('Asset status lookup failed:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Search inventory in structured mode and render the matches as cards.
+     * Returns null when nothing matched so callers can fall back.
+     */
+    async searchInventoryCards(query) {
+        const api = window.app?.api;
+        if (!api || !query) return null;
+
+        try {
+            const result = await api.searchInventory(query, { structured: true });
+            if (!result || result.source === 'error') return null;
+
+            if (result.source === 'calculator') {
+                return { content: result.answer, type: 'ai_response' };
+            }
+            if (result.source !== 'inventory' || !Array.isArray(result.items) || result.items.length === 0) {
+                return null;
+            }
+
+            return { content: this.buildInventoryCards(result.items), type: 'inventory_cards' };
+        } catch (error) {
+            console.warn('Structured inventory search failed:', error);
+            return null;
+        }
+    }
+
+    buildInventoryCards(items) {
+        const esc = (text) => {
+            const div = document.createElement('div');
+            div.textContent = String(text ?? '');
+            return div.innerHTML;
+        };
+
+        let html = `<div class="inventory-cards">`;
+        html += `<h4>${items.length === 1 ? '1 matching item' : items.length + ' matching items'}</h4>`;
+
+        items.forEach(item => {
+            const stateClass = item.available <= 0 ? 'critical-stock' : (item.isLowStock ? 'low-stock' : '');
+            const ref = esc(JSON.stringify({ item: item.item, unit: item.unit, sheetUrl: item.sheetUrl }));
+            const stock = item.reserved > 0
+                ? `${esc(item.available)} ${esc(item.unit)} available <span class="inventory-card-muted">(${esc(item.quantity)} on hand, ${esc(item.reserved)} reserved)</span>`
+                : `${esc(item.quantity)} ${esc(item.unit)}`;
+
+            html += `<div class="inventory-card ${stateClass}" data-item="${ref}">`;
+            html += `<div class="inventory-card-header"><strong>${esc(item.item)}</strong>`;
+            if (item.isLowStock) html += ` <span class="inventory-card-flag">Low · min ${esc(item.minStock)}</span>`;
+            html += `</div>`;
+            if (item.availabilityStatus) html += `<div class="inventory-card-status">${esc(item.availabilityStatus)}</div>`;
+            html += `<div class="inventory-card-stock">${stock}</div>`;
+            html += `<div class="inventory-card-muted">📍 ${esc(item.location)}</div>`;
+            if (item.wholesaleCost || item.retailPrice) {
+                html += `<div class="inventory-card-muted">💲 ${item.wholesaleCost ? 'Cost $' + esc(item.wholesaleCost) : ''}${item.wholesaleCost && item.retailPrice ? ' · ' : ''}${item.retailPrice ? 'Retail $' + esc(item.retailPrice) : ''}</div>`;
+            }
+            if (item.notes) html += `<div class="inventory-card-muted">${esc(item.notes)}</div>`;
+            html += `<div class="inventory-card-actions">`;
+            html += `<button class="btn btn-secondary" onclick="window.app.chat.toggleCardForm(this, 'reserve')">Reserve</button>`;
+            html += `<button class="btn btn-secondary" onclick="window.app.chat.toggleCardForm(this, 'adjust')">Adjust</button>`;
+            if (item.sheetUrl) html += `<a class="btn btn-secondary" href="${esc(item.sheetUrl)}" target="_blank" rel="noopener">Open in sheet</a>`;
+            html += `</div>`;
+            html += `<div class="inventory-card-form hidden" data-form="reserve">`;
+            html += `<input type="number" min="0" step="any" placeholder="Qty (${esc(item.unit)})" data-field="quantity">`;
+            html += `<input type="text" placeholder="WO #" data-field="woNumber">`;
+            html += `<button class="btn btn-primary" onclick="window.app.chat.reserveFromCard(this)">Reserve</button>`;
+            html += `</div>`;
+            html += `<div class="inventory-card-form hidden" data-form="adjust">`;
+            html += `<input type="number" step="any" placeholder="+/- ${esc(item.unit)}" data-field="quantity">`;
+            html += `<input type="text" placeholder="Reason" data-field="reason">`;
+            html += `<button class="btn btn-primary" onclick="window.app.chat.adjustFromCard(this)">Save</button>`;
+            html += `</div>`;
+            html += `<div class="inventory-card-result"></div>`;
+            html += `</div>`;
+        });
+
+        html += `</div>`;
+        return html;
+    }
+
+    toggleCardForm(button, formName) {
+        const card = button.closest('.inventory-card');
+        if (!card) return;
+        card.querySelectorAll('.inventory-card-form').forEach(form => {
+            form.classList.toggle('hidden', form.dataset.form !== formName || !form.classList.contains('hidden'));
+        });
+    }
+
+    async reserveFromCard(button) {
+        const card = button.closest('.inventory-card');
+        const ref = JSON.parse(card.dataset.item);
+        const form = button.closest('.inventory-card-form');
+        const quantity = parseFloat(form.querySelector('[data-field="quantity"]').value);
+        const woNumber = form.querySelector('[data-field="woNumber"]').value.trim();
+        if (!(quantity > 0) || !woNumber) {
+            this.showCardResult(card, 'Enter a quantity and WO number.', false);
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const result = await window.app.api.callGoogleScript('inventory', 'reserveStock', [{ item: ref.item, quantity, woNumber }]);
+            if (!result || result.success === false) throw new Error(result?.error?.message || 'Reservation failed');
+            this.showCardResult(card, `Reserved ${result.reservation.quantity} ${result.reservation.unit} for WO #${woNumber} — ${result.available} ${result.reservation.unit} still available.`, true);
+            form.classList.add('hidden');
+        } catch (error) {
+            this.showCardResult(card, error.message, false);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async adjustFromCard(button) {
+        const card = button.closest('.inventory-card');
+        const ref = JSON.parse(card.dataset.item);
+        const form = button.closest('.inventory-card-form');
+        const change = parseFloat(form.querySelector('[data-field="quantity"]').value);
+        const reason = form.querySelector('[data-field="reason"]').value.trim() || 'Adjusted from chat';
+        if (!change) {
+            this.showCardResult(card, 'Enter a positive or negative quantity.', false);
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const result = await window.app.api.updateInventory({
+                action: change > 0 ? 'add' : 'subtract',
+                itemName: ref.item,
+                quantity: Math.abs(change),
+                unit: ref.unit,
+                reason
+            });
+            if (!result || result.success === false) throw new Error(result?.message || 'Adjustment failed');
+            this.showCardResult(card, result.message, true, result.transactionId);
+            form.classList.add('hidden');
+        } catch (error) {
+            this.showCardResult(card, error.message, false);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showCardResult(card, message, ok, transactionId) {
+        const el = card.querySelector('.inventory-card-result');
+        if (!el) return;
+        el.textContent = message;
+        el.className = 'inventory-card-result ' + (ok ? 'success' : 'error');
+
+        if (transactionId) {
+            const undo = document.createElement('button');
+            undo.className = 'btn btn-secondary inventory-card-undo';
+            undo.textContent = 'Undo';
+            undo.addEventListener('click', () => this.undoFromCard(card, transactionId, undo));
+            el.appendChild(undo);
+        }
+    }
+
+    async undoFromCard(card, transactionId, button, force = false) {
+        button.disabled = true;
+        try {
+            const result = await window.app.api.callGoogleScript('inventory', 'undoTransaction', [transactionId, { force }]);
+            if (result?.conflict) {
+                const changes = result.conflicts.map(c => `${c.field}: ${c.expected} → ${c.current}`).join('\n');
+                if (confirm(`${result.error.message}\n\n${changes}\n\nUndo anyway?`)) {
+                    return this.undoFromCard(card, transactionId, button, true);
+                }
+                button.disabled = false;
+                return;
+            }
+            if (!result || result.success === false) throw new Error(result?.error?.message || 'Undo failed');
+            this.showCardResult(card, result.message, true);
+        } catch (error) {
+            this.showCardResult(card, error.message, false);
+        }
+    }
+
     async handleBrowseInventory() {
         this.showTypingIndicator(true);
 
@@ -11,6 +11,9 @@ class DashboardManager {
         this.pendingWorkOrder = null;
         this.selectedPdfFile = null;
 
+        // Work order units — replaced by the backend's shared unit catalogue once it loads
+        this.unitLabels = ['Man Hours', 'Ea.', 'Yards', 'Pallet', 'Tons', 'LF', 'Sq. Ft.', 'Bags', 'Flat', 'Weeks', 'Days', 'Zones', 'Lbs', 'Bales'];
+
         // Config getters: config.json first, then localStorage fallback
         this.woCfg = {
             get gasUrl()    {
@@ -51,6 +54,31 @@ class DashboardManager {
 
         this.checkWeather();
         this.loadActivityFeed();
+        this.loadInventoryAnalytics();
+        this.loadUnitCatalogue();
+    }
+
+    /**
+     * Pull the work order unit list from the backend's unit catalogue so the
+     * parser prompt, the unit picker and inventory conversions all agree
+     */
+    async loadUnitCatalogue() {
+        const api = window.app?.api;
+        if (!api || !this.hasConfiguredEndpoints()) return;
+
+        try {
+            const result = await api.callGoogleScript('inventory', 'getUnitCatalogue', []);
+            const labels = (result?.units || []).filter(u => u.workOrder).map(u => u.label);
+            if (labels.length === 0) return;
+
+            this.unitLabels = labels;
+            const datalist = document.getElementById('woUnitOptions');
+            if (datalist) {
+                datalist.innerHTML = labels.map(l => `<option value="${this.escapeHtml(l)}">`).join('');
+            }
+        } catch (ex) {
+            console.warn('Unit catalogue load failed:', ex);
+        }
     }
 
     /**
@@ -74,11 +102,11 @@ class DashboardManager {
             // Load inventory metrics
             const inventory = await api.callGoogleScript('inventory', 'getInventoryReport', []);
             const lowStock = await api.callGoogleScript('inventory', 'checkLowStock', []);
-            const fleetReport = await api.callGoogleScript('inventory', 'getFleetReport', []);
+            const fleet = await api.callGoogleScript('inventory', 'getFleet', []);
 
             this.metrics.set('inventory', this.parseInventoryMetrics(inventory));
             this.metrics.set('lowStock', lowStock);
-            this.metrics.set('fleet', this.parseFleetMetrics(fleetReport));
+            this.metrics.set('fleet', this.fleetMetrics(fleet));
 
         } catch (error) {
             // Only show error if it's not about missing endpoints
@@ -110,19 +138,18 @@ class DashboardManager {
     }
 
     /**
-     * Parse fleet report into metrics
+     * Fleet tile counts from getFleet()
      */
-    parseFleetMetrics(report) {
-        if (!report) return { total: 0, active: 0, maintenance: 0 };
-
-        const totalMatch = report.match(/Total Fleet Size:\s*(\d+)/);
-        const activeMatch = report.match(/Active:\s*(\d+)/);
-        const maintenanceMatch = report.match(/In Maintenance:\s*(\d+)/);
+    fleetMetrics(fleet) {
+        if (!fleet || fleet.success === false || !fleet.summary) {
+            return { total: 0, active: 0, maintenance: 0, maintenanceDue: 0 };
+        }
 
         return {
-            total: totalMatch ? parseInt(totalMatch[1]) : 0,
-            active: activeMatch ? parseInt(activeMatch[1]) : 0,
-            maintenance: maintenanceMatch ? parseInt(maintenanceMatch[1]) : 0
+            total: fleet.summary.total,
+            active: fleet.summary.active,
+            maintenance: fleet.summary.maintenance,
+            maintenanceDue: fleet.summary.maintenanceDue
         };
     }
 
@@ -319,7 +346,7 @@ class DashboardManager {
                 const unit     = item['unit']        || item['Unit']        || '';
                 const display  = [itemName, desc ? '— ' + desc : '', qty ? qty + ' ' + unit : ''].filter(Boolean).join(' ');
                 itemsHtml += `
-                    <div class="wo-line-item-row${done ? ' done' : ''}" data-row="${item._rowIndex}" data-wo="${this.escapeHtml(String(wo.woNumber))}" data-done="${done}">
+                    <div class="wo-line-item-row${done ? ' done' : ''}" data-row="${item._rowIndex}" data-wo="${this.escapeHtml(String(wo.woNumber))}" data-line="${this.escapeHtml(String(lineNum))}" data-done="${done}">
                         <div class="wo-li-checkbox">${done ? '✓' : ''}</div>
                         ${lineNum ? `<span class="wo-li-num-badge">${this.escapeHtml(String(lineNum))}</span>` : ''}
                         <div class="wo-li-text">${this.escapeHtml(display || 'Item ' + item._rowIndex)}</div>
@@ -366,6 +393,11 @@ class DashboardManager {
                 mode:   'no-cors',
                 body:   JSON.stringify({ action: 'toggleCheckbox', woNumber, rowIndex, value: newValue })
             });
+            // no-cors hides the response, so read the row back before touching stock
+            if (!(await this.confirmLineItemSaved(woNumber, rowIndex, newValue))) {
+                throw new Error('checkbox did not save');
+            }
+            this.syncLineItemStock(woNumber, row.dataset.line, newValue);
             setTimeout(async () => {
                 await this.loadActiveJobs();
                 this.renderJobCards();
@@ -384,6 +416,39 @@ class DashboardManager {
         }
     }
 
+    /**
+     * Re-read a WO's line items and check the toggled row holds the new value
+     */
+    async confirmLineItemSaved(woNumber, rowIndex, value) {
+        try {
+            const res  = await fetch(this.woCfg.gasUrl + '?action=getLineItems&woNumber=' + encodeURIComponent(woNumber), { cache: 'no-store' });
+            const json = await res.json();
+            if (!json.success) return false;
+            const item = (json.data || []).find(li => Number(li._rowIndex) === rowIndex);
+            return !!item && !!item._done === value;
+        } catch (ex) {
+            return false;
+        }
+    }
+
+    /**
+     * Convert (or restore) the inventory reservation behind a line item
+     */
+    async syncLineItemStock(woNumber, lineNumber, done) {
+        const api = window.app?.api;
+        if (!lineNumber || !api) return;
+        try {
+            const result = await api.callGoogleScript('inventory', 'completeLineItem', [{ woNumber, lineNumber, done }]);
+            if (result && result.success === false) {
+                this.showToast('Stock not updated — ' + (result.error?.message || result.message || 'unknown error'), 'error');
+            } else if (result?.reservation) {
+                this.showToast(result.message, 'success');
+            }
+        } catch (ex) {
+            this.showToast('Stock not updated — ' + ex.message, 'error');
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // ADD WORK ORDER MODAL
     // ═══════════════════════════════════════════════════════════════
@@ -516,7 +581,7 @@ LINE ITEMS — numbered rows from the item table:
 - itemName: Item title. Remove trailing size/spec if it repeats in description.
 - description: Item details. REMOVE ALL COMMAS. Combine multi-line text into ONE line. Keep concise.
 - quantity: Numeric only (can be decimal, can be negative for credits). Strip all text.
-- unit: Pick EXACTLY one from this list: Man Hours | Ea. | Yards | Pallet | Tons | LF | Sq. Ft. | Bags | Flat | Weeks | Days | Zones | Lbs | Bales
+- unit: Pick EXACTLY one from this list: ${this.unitLabels.join(' | ')}
     Unit examples: "6 Man Hours" → 6 / Man Hours | "3" (plants/items) → 3 / Ea. | "15 Bales" → 15 / Bales | "1 Ton" → 1 / Tons
 
 INCLUDE all items — INCLUDING "Unknown Circumstances", "Unforeseen Circumstances", "Watering Trees/Plants/Sod" (quantity 1, unit Ea.).
@@ -754,7 +819,7 @@ RESPOND with ONLY a valid JSON object — no markdown, no explanation:
 
         const inventory = this.metrics.get('inventory') || { total: 0, locations: 0 };
         const lowStock = this.metrics.get('lowStock') || [];
-        const fleet = this.metrics.get('fleet') || { total: 0, active: 0, maintenance: 0 };
+        const fleet = this.metrics.get('fleet') || { total: 0, active: 0, maintenance: 0, maintenanceDue: 0 };
 
         const cards = [
             {
@@ -784,6 +849,13 @@ RESPOND with ONLY a valid JSON object — no markdown, no explanation:
                 value: `${fleet.active}/${fleet.total}`,
                 change: fleet.maintenance > 0 ? { value: fleet.maintenance, positive: false } : null,
                 status: fleet.maintenance > 0 ? 'warning' : 'success'
+            },
+            {
+                icon: '🔧',
+                label: 'Maintenance Due',
+                value: fleet.maintenanceDue,
+                change: null,
+                status: fleet.maintenanceDue > 0 ? 'warning' : 'success'
             }
         ];
 
@@ -845,6 +917,40 @@ RESPOND with ONLY a valid JSON object — no markdown, no explanation:
             });
         }
 
+        // Inventory analytics item/range picker
+        const analyticsForm = document.getElementById('analyticsForm');
+        if (analyticsForm) {
+            analyticsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadInventoryAnalytics();
+            });
+        }
+
+        // Scan lookup — handheld scanners type the code and press Enter
+        const scanForm = document.getElementById('scanForm');
+        if (scanForm) {
+            scanForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.lookupScannedCode(document.getElementById('scanCode').value);
+            });
+        }
+
+        const scanCameraBtn = document.getElementById('scanCameraBtn');
+        if (scanCameraBtn && 'BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+            scanCameraBtn.classList.remove('hidden');
+            scanCameraBtn.addEventListener('click', () => {
+                this.scanStream ? this.stopCameraScan() : this.startCameraScan();
+            });
+        }
+
+        const scanResult = document.getElementById('scanResult');
+        if (scanResult) {
+            scanResult.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-scan-action]');
+                if (button) this.handleScanAction(button.dataset.scanAction, button);
+            });
+        }
+
         // Metric card clicks
         document.addEventListener('click', (e) => {
             const card = e.target.closest('.metric-card');
@@ -885,6 +991,7 @@ RESPOND with ONLY a valid JSON object — no markdown, no explanation:
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
         }
+        this.stopCameraScan();
     }
 
     /**
@@ -992,6 +1099,268 @@ RESPOND with ONLY a valid JSON object — no markdown, no explanation:
         }).join('');
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    // INVENTORY ANALYTICS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Load consumption analytics for the selected item and range
+     */
+    async loadInventoryAnalytics() {
+        const chartEl = document.getElementById('analyticsChart');
+        const api = window.app?.api;
+        if (!chartEl || !api || !this.hasConfiguredEndpoints()) return;
+
+        const item  = document.getElementById('analyticsItem')?.value.trim() || '';
+        const range = parseInt(document.getElementById('analyticsRange')?.value) || 90;
+
+        try {
+            const result = await api.callGoogleScript('inventory', 'getInventoryAnalytics', [item, range]);
+            if (!result || result.success === false) {
+                throw new Error(result?.error?.message || 'No analytics returned');
+            }
+            this.renderInventoryAnalytics(result);
+        } catch (ex) {
+            chartEl.innerHTML = '<div class="activity-placeholder">' + this.escapeHtml(ex.message) + '</div>';
+            const summaryEl = document.getElementById('analyticsSummary');
+            if (summaryEl) summaryEl.innerHTML = '';
+        }
+    }
+
+    /**
+     * Render the weekly usage chart and summary chips
+     */
+    renderInventoryAnalytics(data) {
+        const chartEl   = document.getElementById('analyticsChart');
+        const summaryEl = document.getElementById('analyticsSummary');
+        if (!chartEl) return;
+
+        const unit = data.unit ? ' ' + data.unit : '';
+        const chips = [
+            `Used: ${data.totalUsed}${unit}`,
+            `Burn: ${data.burnRatePerDay}${unit}/day`,
+            `Shrinkage: ${data.shrinkage.quantity}${unit} (${data.shrinkage.percentOfRemoved}%)`
+        ];
+        if (data.stock) chips.push(`Available: ${data.stock.available}${unit}`);
+        if (data.daysOfCover !== null) chips.push(`Cover: ${data.daysOfCover} days`);
+        if (data.peakSeason) chips.push(`Busiest: ${data.peakSeason}`);
+
+        if (summaryEl) {
+            const lowCover = data.daysOfCover !== null && data.daysOfCover < 14;
+            summaryEl.innerHTML = chips.map(c => {
+                const warn = lowCover && c.startsWith('Cover') ? ' warning' : '';
+                return `<span class="analytics-chip${warn}">${this.escapeHtml(c)}</span>`;
+            }).join('');
+        }
+
+        const weeks = data.weekly || [];
+        if (!weeks.some(w => w.used > 0)) {
+            chartEl.innerHTML = '<div class="activity-placeholder">No usage recorded for ' +
+                this.escapeHtml(data.item || 'any item') + ' in the last ' + data.rangeDays + ' days.</div>';
+            return;
+        }
+
+        ChartHelper.createBarChart(weeks.map(w => ({
+            label: new Date(w.weekStart + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+            value: Math.max(0, w.used)
+        })), chartEl);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCAN LOOKUP
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Resolve a scanned tool tag or Item ID and show its actions
+     */
+    async lookupScannedCode(code) {
+        const resultEl = document.getElementById('scanResult');
+        const api = window.app?.api;
+        code = String(code || '').trim();
+        if (!resultEl || !code) return;
+        if (!api || !this.hasConfiguredEndpoints()) {
+            resultEl.innerHTML = '<div class="activity-placeholder">Connect the inventory backend to look up codes.</div>';
+            return;
+        }
+
+        resultEl.innerHTML = '<div class="activity-placeholder">Looking up ' + this.escapeHtml(code) + '…</div>';
+        try {
+            const result = await api.callGoogleScript('inventory', 'lookupCode', [code]);
+            if (!result || result.success === false) {
+                throw new Error(result?.error?.message || 'Nothing found for ' + code);
+            }
+            this.scanned = result;
+            this.renderScanResult(result);
+        } catch (ex) {
+            this.scanned = null;
+            resultEl.innerHTML = '<div class="activity-placeholder">' + this.escapeHtml(ex.message) + '</div>';
+        }
+
+        const input = document.getElementById('scanCode');
+        if (input) {
+            input.value = '';
+            input.focus();
+        }
+    }
+
+    /**
+     * Tools get check out/check in; inventory gets check out, check in and a count adjustment
+     */
+    renderScanResult(result) {
+        const resultEl = document.getElementById('scanResult');
+        if (!resultEl) return;
+        const esc = (t) => this.escapeHtml(t);
+
+        if (result.kind === 'tool') {
+            const tool = result.tool;
+            const statusText = tool.status === 'CHECKED_OUT' ? `Checked out to ${tool.crew}`
+                : tool.status === 'OUT_OF_SERVICE' ? `Out of service${tool.notes ? ' — ' + tool.notes : ''}`
+                : 'In the tool crib';
+
+            let actions = '';
+            if (tool.status !== 'OUT_OF_SERVICE') {
+                actions = `<div class="scan-actions">
+                    <input type="text" id="scanCrew" placeholder="Crew" value="${esc(tool.crew)}" aria-label="Crew">
+                    <button class="btn btn-primary" data-scan-action="tool-checkout">Check Out</button>
+                    ${tool.status === 'CHECKED_OUT' ? '<button class="btn btn-secondary" data-scan-action="tool-checkin">Check In</button>' : ''}
+                </div>`;
+            }
+
+            resultEl.innerHTML = `<div class="scan-card">
+                <div class="scan-card-title"><span class="scan-code">${esc(tool.tag)}</span> ${esc(tool.name)}</div>
+                <div class="scan-card-meta">${esc(tool.type)} · ${esc(statusText)}</div>
+                ${actions}
+            </div>`;
+            return;
+        }
+
+        const item = result.item;
+        const stock = item.reserved > 0
+            ? `${item.available} ${item.unit} available (${item.quantity} on hand, ${item.reserved} reserved)`
+            : `${item.quantity} ${item.unit} on hand`;
+        const where = item.locations.length > 1
+            ? item.locations.map(l => `${l.location}: ${l.quantity}`).join(' · ')
+            : item.location;
+
+        resultEl.innerHTML = `<div class="scan-card${item.isLowStock ? ' low-stock' : ''}">
+            <div class="scan-card-title"><span class="scan-code">${esc(item.itemId || result.code)}</span> ${esc(item.item)}</div>
+            <div class="scan-card-meta">${esc(stock)}${item.isLowStock ? ' · ⚠️ low stock' : ''}</div>
+            <div class="scan-card-meta">📍 ${esc(where)}</div>
+            <div class="scan-actions">
+                <input type="number" id="scanQty" min="0" step="any" placeholder="Qty (${esc(item.unit)})" aria-label="Quantity">
+                <button class="btn btn-primary" data-scan-action="item-checkout">Check Out</button>
+                <button class="btn btn-secondary" data-scan-action="item-checkin">Check In</button>
+                <button class="btn btn-secondary" data-scan-action="item-adjust" title="Set the on-hand count to the quantity entered">Set Count</button>
+                ${item.sheetUrl ? `<a class="btn btn-secondary" href="${esc(item.sheetUrl)}" target="_blank" rel="noopener">Open in Sheet</a>` : ''}
+            </div>
+        </div>`;
+    }
+
+    async handleScanAction(action, button) {
+        const api = window.app?.api;
+        const scanned = this.scanned;
+        if (!api || !scanned) return;
+
+        button.disabled = true;
+        try {
+            let message;
+            if (action === 'tool-checkout' || action === 'tool-checkin') {
+                const tag = scanned.tool.tag;
+                if (action === 'tool-checkout') {
+                    const crew = document.getElementById('scanCrew')?.value.trim();
+                    if (!crew) throw new Error('Enter the crew taking the tool');
+                    await this.callScanEndpoint('checkoutTool', [{ tag, crew }]);
+                    message = `${tag} checked out to ${crew}`;
+                } else {
+                    await this.callScanEndpoint('returnTool', [{ tag }]);
+                    message = `${tag} checked in`;
+                }
+            } else {
+                const item = scanned.item;
+                const qty = parseFloat(document.getElementById('scanQty')?.value);
+                if (!(qty >= 0) || (action !== 'item-adjust' && qty === 0)) throw new Error('Enter a quantity');
+
+                let change = action === 'item-checkout' ? -qty : action === 'item-checkin' ? qty : qty - item.quantity;
+                if (change === 0) {
+                    message = `${item.item} count already ${item.quantity} ${item.unit}`;
+                } else {
+                    const reason = action === 'item-adjust' ? `Count set to ${qty} by scan` : `Checked ${change > 0 ? 'in' : 'out'} by scan`;
+                    const result = await api.updateInventory({
+                        action: change > 0 ? 'add' : 'subtract',
+                        itemName: item.item,
+                        quantity: Math.abs(change),
+                        unit: item.unit,
+                        reason
+                    });
+                    if (!result || result.success === false) throw new Error(result?.message || 'Inventory update failed');
+                    message = result.message;
+                }
+            }
+
+            this.showToast(message, 'success');
+            await this.lookupScannedCode(scanned.kind === 'tool' ? scanned.tool.tag : (scanned.item.itemId || scanned.item.item));
+        } catch (ex) {
+            this.showToast(ex.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async callScanEndpoint(fn, params) {
+        const result = await window.app.api.callGoogleScript('inventory', fn, params);
+        if (!result || result.success === false) {
+            throw new Error(result?.error?.message || fn + ' failed');
+        }
+        return result;
+    }
+
+    /**
+     * Read QR labels with the device camera where the browser supports BarcodeDetector
+     */
+    async startCameraScan() {
+        const video = document.getElementById('scanVideo');
+        if (!video) return;
+
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code', 'code_128', 'code_39'] });
+            this.scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            video.srcObject = this.scanStream;
+            video.classList.remove('hidden');
+            await video.play();
+
+            const tick = async () => {
+                if (!this.scanStream) return;
+                try {
+                    const codes = await detector.detect(video);
+                    if (codes.length > 0) {
+                        this.stopCameraScan();
+                        this.lookupScannedCode(codes[0].rawValue);
+                        return;
+                    }
+                } catch (ex) {
+                    // Frame not ready yet — keep polling
+                }
+                requestAnimationFrame(tick);
+            };
+            requestAnimationFrame(tick);
+        } catch (ex) {
+            this.stopCameraScan();
+            this.showToast('Camera unavailable: ' + ex.message, 'error');
+        }
+    }
+
+    stopCameraScan() {
+        if (this.scanStream) {
+            this.scanStream.getTracks().forEach(t => t.stop());
+            this.scanStream = null;
+        }
+        const video = document.getElementById('scanVideo');
+        if (video) {
+            video.srcObject = null;
+            video.classList.add('hidden');
+        }
+    }
+
     /**
      * Check if any endpoints are configured
      */
@@ -0,0 +1,366 @@
+/**
+ * 🔳 QR Code Generator - Self-contained encoder for printed tool and bin labels
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes)
+ */
+
+const QRCode = {
+    // Error correction level M, indexed by version
+    ECC_CODEWORDS_PER_BLOCK: [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+    NUM_ERROR_CORRECTION_BLOCKS: [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+    FORMAT_ECC_BITS: 0, // M
+    MAX_VERSION: 10,
+
+    /**
+     * Encode text into a square module matrix (true = dark)
+     * @returns {{ size: number, modules: boolean[][] }}
+     */
+    encode(text) {
+        const bytes = this.toUtf8(String(text));
+
+        let version = 1;
+        for (; version <= this.MAX_VERSION; version++) {
+            const capacityBits = this.getNumDataCodewords(version) * 8;
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= capacityBits) break;
+        }
+        if (version > this.MAX_VERSION) {
+            throw new Error('Text too long for a label QR code');
+        }
+
+        const data = this.buildDataCodewords(bytes, version);
+        const codewords = this.addEccAndInterleave(data, version);
+
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const qr = { version, size, modules, isFunction };
+
+        this.drawFunctionPatterns(qr);
+        this.drawCodewords(qr, codewords);
+
+        // Pick the mask with the lowest penalty
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenaltyScore(qr);
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // XOR again to undo
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+
+        return { size, modules };
+    },
+
+    /**
+     * Render text as an SVG string, with the standard 4-module quiet zone
+     */
+    toSvg(text, pixelSize = 120) {
+        const { size, modules } = this.encode(text);
+        const border = 4;
+        const full = size + border * 2;
+        const parts = [];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+            }
+        }
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+    },
+
+    toUtf8(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(text));
+        }
+        const encoded = unescape(encodeURIComponent(text));
+        return Array.from(encoded, c => c.charCodeAt(0));
+    },
+
+    // ----------------------------------------
+    // Codeword construction
+    // ----------------------------------------
+
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    getNumDataCodewords(version) {
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.ECC_CODEWORDS_PER_BLOCK[version] * this.NUM_ERROR_CORRECTION_BLOCKS[version];
+    },
+
+    buildDataCodewords(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4); // Byte mode
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        const capacityBits = this.getNumDataCodewords(version) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            let byte = 0;
+            for (let j = 0; j < 8; j++) byte = (byte << 1) | bits[i + j];
+            codewords.push(byte);
+        }
+        return codewords;
+    },
+
+    addEccAndInterleave(data, version) {
+        const numBlocks = this.NUM_ERROR_CORRECTION_BLOCKS[version];
+        const blockEccLen = this.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.reedSolomonDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = this.reedSolomonRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0); // Placeholder so every block is the same length
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    },
+
+    reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= this.reedSolomonMultiply(coef, factor);
+            });
+        });
+        return result;
+    },
+
+    reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    // ----------------------------------------
+    // Module placement
+    // ----------------------------------------
+
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    },
+
+    drawFunctionPatterns(qr) {
+        const { size } = qr;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(qr, x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+
+        const alignPositions = this.getAlignmentPatternPositions(qr.version, size);
+        const last = alignPositions.length - 1;
+        alignPositions.forEach((ax, i) => {
+            alignPositions.forEach((ay, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; real bits are drawn once the mask is chosen
+        this.drawFormatBits(qr, 0);
+
+        if (qr.version >= 7) {
+            let rem = qr.version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (qr.version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(qr, a, b, dark);
+                this.setFunctionModule(qr, b, a, dark);
+            }
+        }
+    },
+
+    getAlignmentPatternPositions(version, size) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    },
+
+    drawFormatBits(qr, mask) {
+        const { size } = qr;
+        const data = (this.FORMAT_ECC_BITS << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(qr, 8, i, bit(i));
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(qr, 8, size - 8, true); // Always-dark module
+    },
+
+    drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    applyMask(qr, mask) {
+        const tests = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const test = tests[mask];
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && test(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    },
+
+    /**
+     * Standard mask penalty: long runs, 2x2 blocks, finder look-alikes and dark/light balance
+     */
+    getPenaltyScore(qr) {
+        const { size, modules } = qr;
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i].map(m => m ? '1' : '0').join(''));
+            lines.push(modules.map(row => row[i] ? '1' : '0').join(''));
+        }
+        lines.forEach(line => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { penalty += run.length - 2; });
+            const padded = '0000' + line + '0000';
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                const window = padded.substr(i, 11);
+                if (window === '10111010000' || window === '00001011101') penalty += 40;
+            }
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        return penalty + Math.max(0, k) * 10;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QRCode };
+}
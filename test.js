@@ -0,0 +1,834 @@
+/**
+ * 🧪 Checks for the pure helpers in the Apps Script backend (code.js)
+ *
+ * code.js runs inside Google Apps Script, so it is loaded here into a VM
+ * context with just enough of the Apps Script services stubbed for the
+ * helpers under test. Sheet readers (readFuelLog, readServiceLog, ...) are
+ * swapped for fixtures per test.
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Script lock bookkeeping, so tests can check a writer held it
+const locks = { held: 0, taken: 0 };
+// Script properties, kept across calls like the real store
+const properties = {};
+
+function loadBackend() {
+    const context = vm.createContext({
+        console,
+        PropertiesService: {
+            getScriptProperties: () => ({
+                getProperty: key => (key in properties ? properties[key] : null),
+                setProperty: (key, value) => { properties[key] = String(value); },
+                deleteProperty: key => { delete properties[key]; }
+            })
+        },
+        Session: {
+            getScriptTimeZone: () => 'UTC',
+            getActiveUser: () => ({ getEmail: () => 'tester@example.com' })
+        },
+        Utilities: {
+            formatDate: (date, tz, format) => {
+                const iso = new Date(date).toISOString();
+                if (format === 'yyyy-MM-dd') return iso.slice(0, 10);
+                return iso.slice(0, 16).replace('T', ' ');
+            },
+            getUuid: (() => {
+                let n = 0;
+                return () => 'uuid-' + (++n);
+            })()
+        },
+        LockService: {
+            getScriptLock: () => ({
+                waitLock: () => { locks.held++; locks.taken++; },
+                tryLock: () => { locks.held++; locks.taken++; return true; },
+                releaseLock: () => { locks.held = Math.max(0, locks.held - 1); }
+            })
+        },
+        CacheService: { getScriptCache: () => ({ get: () => null, put: () => {}, remove: () => {}, removeAll: () => {} }) },
+        Logger: { log: () => {} }
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, 'code.js'), 'utf8'), context, { filename: 'code.js' });
+    return context;
+}
+
+const gas = loadBackend();
+// const declarations aren't properties of the context, so read them through it
+const backend = name => vm.runInContext(name, gas);
+const stub = (name, fn) => { gas[name] = fn; };
+// Sheet dates come from the VM's Date, which `instanceof Date` checks in code.js rely on
+const GasDate = backend('Date');
+const utc = (year, month, day) => new GasDate(Date.UTC(year, month, day));
+// Objects built inside the VM have its prototypes, so compare them as plain data
+const same = (actual, expected) => assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected);
+
+/**
+ * Minimal in-memory sheet: cells hold a value and, optionally, a formula.
+ * Writing a string that starts with "=" stores it as a formula.
+ */
+class FakeSheet {
+    constructor(rows, formulas, name) {
+        this.name = name || 'Sheet1';
+        this.parent = null;
+        this.cells = rows.map((row, r) => row.map((value, c) => ({
+            value: value,
+            formula: (formulas && formulas[r] && formulas[r][c]) || ''
+        })));
+        this.width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        this.writes = [];
+        this.failOnWrite = null;
+    }
+
+    getName() { return this.name; }
+    getParent() { return this.parent; }
+    getLastRow() { return this.cells.length; }
+    getLastColumn() { return this.width; }
+    // Like Apps Script, an empty sheet still has a 1x1 data range
+    getDataRange() { return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn())); }
+
+    getRange(row, col, numRows = 1, numCols = 1) {
+        const sheet = this;
+        const each = fn => Array.from({ length: numRows }, (_, r) =>
+            Array.from({ length: numCols }, (_, c) => fn(sheet.peek(row + r, col + c))));
+        const range = {
+            getValues: () => each(cell => cell.value),
+            getFormulas: () => each(cell => cell.formula),
+            getValue: () => sheet.peek(row, col).value,
+            setValue: value => { sheet.write(row, col, [[value]]); return range; },
+            setValues: values => { sheet.write(row, col, values); return range; }
+        };
+        // Formatting is irrelevant here
+        ['setFontWeight', 'setBackground', 'setFontColor', 'setNumberFormat'].forEach(method => {
+            range[method] = () => range;
+        });
+        return range;
+    }
+
+    values() { return this.cells.map(row => Array.from({ length: this.width }, (_, c) => (row[c] || { value: '' }).value)); }
+
+    peek(row, col) {
+        const line = this.cells[row - 1];
+        return (line && line[col - 1]) || { value: '', formula: '' };
+    }
+
+    cell(row, col) {
+        while (this.cells.length < row) this.cells.push([]);
+        const line = this.cells[row - 1];
+        while (line.length < col) line.push({ value: '', formula: '' });
+        this.width = Math.max(this.width, col);
+        return line[col - 1];
+    }
+
+    write(row, col, values) {
+        if (this.failOnWrite && this.failOnWrite(row, values)) throw new Error('write failed');
+        this.writes.push({ row: row, rows: values.length });
+        values.forEach((line, r) => line.forEach((value, c) => {
+            const cell = this.cell(row + r, col + c);
+            const isFormula = typeof value === 'string' && value.charAt(0) === '=';
+            cell.formula = isFormula ? value : '';
+            if (!isFormula) cell.value = value;
+        }));
+    }
+
+    appendRow(values) { this.write(this.getLastRow() + 1, 1, [values]); }
+    deleteRows(row, count) { this.cells.splice(row - 1, count); }
+    deleteRow(row) { this.deleteRows(row, 1); }
+    setFrozenRows() {}
+}
+
+/**
+ * Point SpreadsheetApp at one in-memory workbook (every sheet ID opens it).
+ * @param {Object} rowsByName - { sheetName: rows }
+ * @returns {Object} { sheet(name) } for reading back what was written
+ */
+function useWorkbook(rowsByName) {
+    const sheets = {};
+    const book = {
+        getSheetByName: name => sheets[name] || null,
+        insertSheet: name => add(name, [])
+    };
+    const add = (name, rows) => {
+        sheets[name] = new FakeSheet(rows, null, name);
+        sheets[name].parent = book;
+        return sheets[name];
+    };
+    Object.keys(rowsByName).forEach(name => add(name, rowsByName[name]));
+    gas.SpreadsheetApp = { openById: () => book, getActiveSpreadsheet: () => book };
+    return { sheet: name => sheets[name] };
+}
+
+// ─── Tiny runner ────────────────────────────────────────────────────────
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// ═══════════════════════════════════════════════════════════════════════
+// ↩️ Undo conflict detection
+// ═══════════════════════════════════════════════════════════════════════
+
+test('findSnapshotRow prefers the Item ID over the name', () => {
+    const data = [
+        ['Item', 'Qty', 'Item ID'],
+        ['Mulch', 5, 'INV-0002'],
+        ['Pine Bark', 3, 'INV-0001']
+    ];
+    // Renamed since the snapshot: the ID still finds it
+    assert.strictEqual(gas.findSnapshotRow(data, { values: ['Bark', 3, 'INV-0001'] }, 2), 2);
+    // No ID in the snapshot: falls back to the name, ignoring case
+    assert.strictEqual(gas.findSnapshotRow(data, { values: ['mulch ', 1, ''] }, 2), 1);
+    assert.strictEqual(gas.findSnapshotRow(data, { values: ['Sod', 1, ''] }, 2), -1);
+});
+
+test('diffSnapshots reports changed fields and away stock, skipping the Item ID', () => {
+    const headers = ['Item', 'Qty', 'Unit', 'Item ID'];
+    const expected = { values: ['Mulch', 10, 'yards', 'INV-0001'], away: [{ location: 'Truck 2', quantity: 2 }] };
+    const unchanged = { values: ['Mulch', '10', 'yards', 'INV-0009'], away: [{ location: 'Truck 2', quantity: 2 }] };
+    same(gas.diffSnapshots(expected, unchanged, headers, 3), []);
+
+    const changed = { values: ['Mulch', 7, 'yards', 'INV-0001'], away: [] };
+    same(gas.diffSnapshots(expected, changed, headers, 3), [
+        { field: 'Qty', expected: '10', current: '7' },
+        { field: 'Away stock', expected: 'Truck 2: 2', current: 'none' }
+    ]);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📥 CSV import
+// ═══════════════════════════════════════════════════════════════════════
+
+test('parseCsv handles quotes, embedded delimiters, line breaks and CRLF', () => {
+    const rows = gas.parseCsv('﻿Item,Qty,Notes\r\n"Boxwood, 3 gal",12,"said ""rush"""\r\n\r\nMulch,4,"two\nlines"\n');
+    same(rows, [
+        ['Item', 'Qty', 'Notes'],
+        ['Boxwood, 3 gal', '12', 'said "rush"'],
+        ['Mulch', '4', 'two\nlines']
+    ]);
+});
+
+test('parseCsv picks the delimiter from the first line', () => {
+    same(gas.parseCsv('Item;Qty\nSod;3,5'), [['Item', 'Qty'], ['Sod', '3,5']]);
+    same(gas.parseCsv('Item\tQty\nSod\t40'), [['Item', 'Qty'], ['Sod', '40']]);
+});
+
+test('mapImportColumns maps aliases, extra sheet headers and overrides', () => {
+    const sheetHeaders = ['Item', 'Qty', 'Unit', 'Location', 'Notes', 'Min Stock', 'Retail Price', 'Item ID'];
+    const mapped = gas.mapImportColumns(['Product', 'On Hand', 'UOM', 'Retail Price', 'SKU'], sheetHeaders, {});
+    assert.strictEqual(mapped.hasHeader, true);
+    assert.strictEqual(mapped.columns.item, 0);
+    assert.strictEqual(mapped.columns.quantity, 1);
+    assert.strictEqual(mapped.columns.unit, 2);
+    assert.strictEqual(mapped.columns['col:6'], 3);
+    assert.strictEqual(mapped.columns.itemId, 4);
+
+    // An explicit choice takes the column away from whatever matched it first
+    const overridden = gas.mapImportColumns(['Name', 'Count', 'Stock'], sheetHeaders, { quantity: 'Stock' });
+    assert.strictEqual(overridden.columns.quantity, 2);
+    assert.ok(!Object.keys(overridden.columns).some(k => k !== 'quantity' && overridden.columns[k] === 2));
+});
+
+test('mapImportColumns falls back to positions without a header row', () => {
+    const mapped = gas.mapImportColumns(['Boxwood', '12', 'each'], ['Item', 'Qty', 'Unit'], {});
+    assert.strictEqual(mapped.hasHeader, false);
+    same(
+        [mapped.columns.item, mapped.columns.quantity, mapped.columns.unit, mapped.columns.minStock],
+        [0, 1, 2, 5]
+    );
+});
+
+test('writeImportPlan writes only changed rows and keeps formulas', () => {
+    const data = [
+        ['Item', 'Qty', 'Price', 'Value'],
+        ['Mulch', 10, 30, 300],
+        ['Sod', 5, 2, 10],
+        ['Sand', 1, 40, 40],
+        ['Gravel', 2, 35, 70]
+    ];
+    const formulas = [[], ['', '', '', '=B2*C2'], ['', '', '', '=B3*C3'], ['', '', '', '=B4*C4'], ['', '', '', '=B5*C5']];
+    const sheet = new FakeSheet(data, formulas);
+
+    const updates = [
+        { target: 2, values: ['Sod', 8, 2, 10] },
+        { target: 3, values: ['Sand', 4, 40, 40] }
+    ];
+    const additions = [{ values: ['Pavers', 100, 1, 100] }];
+    gas.writeImportPlan(sheet, data.map(r => r.slice()), updates, additions);
+
+    // One write for the run of adjacent updated rows, one for the new rows
+    same(sheet.writes, [{ row: 3, rows: 2 }, { row: 6, rows: 1 }]);
+    assert.strictEqual(sheet.cell(3, 2).value, 8);
+    assert.strictEqual(sheet.cell(4, 2).value, 4);
+    same(sheet.cells.slice(1, 5).map(r => r[3].formula), ['=B2*C2', '=B3*C3', '=B4*C4', '=B5*C5']);
+    assert.strictEqual(sheet.cell(6, 1).value, 'Pavers');
+});
+
+test('writeImportPlan rolls back touched rows when a write fails', () => {
+    const data = [
+        ['Item', 'Qty', 'Value'],
+        ['Mulch', 10, 300],
+        ['Sod', 5, 10]
+    ];
+    const formulas = [[], ['', '', '=B2*30'], ['', '', '=B3*2']];
+    const sheet = new FakeSheet(data, formulas);
+    sheet.failOnWrite = row => row === 4; // the new-rows write
+
+    assert.throws(
+        () => gas.writeImportPlan(sheet, data.map(r => r.slice()), [{ target: 1, values: ['Mulch', 12, 300] }], [{ values: ['Sand', 1, 0] }]),
+        /Import rolled back: write failed/
+    );
+    assert.strictEqual(sheet.getLastRow(), 3);
+    assert.strictEqual(sheet.cell(2, 2).value, 10);
+    assert.strictEqual(sheet.cell(2, 3).formula, '=B2*30');
+    assert.strictEqual(sheet.cell(3, 3).formula, '=B3*2');
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔁 Duplicate review
+// ═══════════════════════════════════════════════════════════════════════
+
+test('normalizeItemName puts sizes, plurals and punctuation in one spelling', () => {
+    const a = gas.normalizeItemName('Boxwoods 5-gallon');
+    const b = gas.normalizeItemName('Boxwood #5');
+    assert.strictEqual(a.size, '5gal');
+    assert.strictEqual(a.key, b.key);
+    assert.strictEqual(a.genus, 'boxwood');
+
+    const cultivar = gas.normalizeItemName("Buxus 'Green Velvet' 3 gal");
+    assert.strictEqual(cultivar.cultivar, 'green velvet');
+    assert.strictEqual(cultivar.genus, 'buxus'); // Latin genus keeps its -us
+    assert.notStrictEqual(cultivar.key, gas.normalizeItemName("Buxus 'Green Velvet' 5 gal").key);
+});
+
+test('buildDuplicateBlocks groups by key, genus, prefix and cultivar', () => {
+    const items = ['Boxwood 5 gal', 'Boxwoods 5-gallon', 'Green Velvet Boxwood', "Buxus 'Green Velvet'", 'River Rock']
+        .map(name => gas.normalizeItemName(name));
+    const blocks = gas.buildDuplicateBlocks(items);
+    const names = key => (blocks[key] || []).map(i => i.name).sort();
+
+    same(names('k:' + items[0].key), ['Boxwood 5 gal', 'Boxwoods 5-gallon']);
+    same(names('c:green velvet'), ["Buxus 'Green Velvet'", 'Green Velvet Boxwood']);
+    // Single-member blocks are dropped
+    assert.ok(!Object.keys(blocks).some(k => blocks[k].length < 2));
+    assert.ok(!Object.keys(blocks).some(k => blocks[k].some(i => i.name === 'River Rock')));
+});
+
+test('buildDuplicateBlocks drops blocks over the size limit', () => {
+    const limit = backend('CONFIG').DUPLICATE_MAX_BLOCK_SIZE;
+    const items = Array.from({ length: limit + 1 }, (_, i) => gas.normalizeItemName('Holly variety' + i));
+    const blocks = gas.buildDuplicateBlocks(items);
+    assert.strictEqual(blocks['g:holly'], undefined);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// ⛽ Fuel economy and fleet costs
+// ═══════════════════════════════════════════════════════════════════════
+
+const fill = (day, gallons, odometer, cost = gallons * 4) =>
+    ({ date: utc(2026, 0, day), truck: 'Truck 1', gallons, cost, odometer });
+
+test('withFuelEconomy measures miles between odometer readings', () => {
+    const fills = gas.withFuelEconomy([fill(10, 20, 1400), fill(1, 15, 1000)]);
+    assert.strictEqual(fills[0].miles, null);
+    assert.strictEqual(fills[1].miles, 400);
+    assert.strictEqual(fills[1].mpg, 20);
+});
+
+test('withFuelEconomy carries gallons from fills without an odometer', () => {
+    const fills = gas.withFuelEconomy([fill(1, 10, 1000), fill(5, 10, null), fill(9, 10, 1600)]);
+    assert.strictEqual(fills[1].mpg, null);
+    assert.strictEqual(fills[2].miles, 600);
+    assert.strictEqual(fills[2].mpgGallons, 20);
+    assert.strictEqual(fills[2].mpg, 30);
+    assert.strictEqual(gas.averageMpg(fills), 30);
+});
+
+test('withFuelEconomy ignores a reading that goes backwards', () => {
+    const fills = gas.withFuelEconomy([fill(1, 10, 1000), fill(2, 10, 900), fill(3, 10, 1200)]);
+    assert.strictEqual(fills[1].mpg, null);
+    assert.strictEqual(fills[2].miles, 300);
+});
+
+test('buildFleetCosts counts miles per month from odometer readings', () => {
+    stub('readFleetTrucks', () => [{ name: 'Truck 1', model: 'F-150', assetNumber: '12', assetId: '' }]);
+    stub('readFuelLog', () => ({ 'truck 1': [fill(20, 10, 10200, 40)] }));
+    stub('readServiceLog', () => ({}));
+    stub('readMeterReadings', () => ({
+        'truck 1': [
+            { timestamp: utc(2025, 11, 20), odometer: 9800, hours: null },
+            { timestamp: utc(2026, 0, 5), odometer: 10000, hours: null },
+            { timestamp: utc(2026, 0, 25), odometer: 10300, hours: null },
+            { timestamp: utc(2026, 1, 10), odometer: 10700, hours: null }
+        ]
+    }));
+    stub('readAssetRepairs', () => []);
+    stub('readAssets', () => []);
+
+    const costs = gas.buildFleetCosts('2026-01', '2026-02');
+    // January runs from the last December reading; February from January's last
+    same(costs.rows.map(r => [r.month, r.miles]), [['2026-01', 500], ['2026-02', 400]]);
+    assert.strictEqual(costs.trucks[0].miles, 900);
+    assert.strictEqual(costs.trucks[0].fuelCost, 40);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔗 Asset links
+// ═══════════════════════════════════════════════════════════════════════
+
+test('buildFleetCosts links repairs by Asset ID and falls back to the name', () => {
+    stub('readFleetTrucks', () => [
+        { name: 'Truck 1', model: '', assetNumber: '12', assetId: 'AST-1' },
+        { name: 'Truck 2', model: '', assetNumber: '14', assetId: 'AST-404' }
+    ]);
+    stub('readFuelLog', () => ({}));
+    stub('readMeterReadings', () => ({}));
+    stub('readAssets', () => [
+        { id: 'AST-1', name: 'Old Truck One', status: 'GOOD' },
+        { id: 'AST-2', name: 'Truck 2', status: 'MONITOR' }
+    ]);
+    stub('readAssetRepairs', () => [
+        { assetId: 'AST-1', assetName: 'Old Truck One', date: utc(2026, 0, 3), totalCost: 100 },
+        { assetId: 'AST-2', assetName: 'Truck 2', date: utc(2026, 0, 4), totalCost: 250 },
+        { assetId: 'AST-9', assetName: 'Truck 1', date: utc(2026, 0, 4), totalCost: 999 }
+    ]);
+
+    const costs = gas.buildFleetCosts('2026-01', '2026-01');
+    same(costs.trucks.map(t => [t.truck, t.assetId, t.repairCost]), [
+        ['Truck 1', 'AST-1', 100],
+        // Its Asset ID isn't in the tracker, so the name decides
+        ['Truck 2', 'AST-2', 250]
+    ]);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🔧 Fleet maintenance
+// ═══════════════════════════════════════════════════════════════════════
+
+test('buildMaintenanceSchedule projects the next due point from usage', () => {
+    const now = Date.now();
+    const daysAgo = n => new GasDate(now - n * DAY_MS);
+    stub('readServiceIntervals', () => [
+        { model: 'All', service: 'Oil Change', miles: 5000, hours: 0, days: 180 },
+        { model: 'F-150', service: 'Oil Change', miles: 3000, hours: 0, days: 0 },
+        { model: 'Kubota', service: 'Grease', miles: 0, hours: 50, days: 0 }
+    ]);
+    stub('readMeterReadings', () => ({
+        'truck 1': [
+            { timestamp: daysAgo(20), odometer: 10000, hours: null },
+            { timestamp: daysAgo(0), odometer: 12000, hours: null }
+        ]
+    }));
+    stub('readServiceLog', () => ({
+        'truck 1': [{ date: daysAgo(30), service: 'Oil Change', odometer: 9500, hours: null, cost: 80 }]
+    }));
+
+    const [truck] = gas.buildMaintenanceSchedule([{ name: 'Truck 1', model: 'Ford F-150' }]);
+    // The model interval replaces "All"; the Kubota one doesn't apply
+    assert.strictEqual(truck.services.length, 1);
+    const oil = truck.services[0];
+    assert.strictEqual(oil.dueOdometer, 12500);
+    assert.strictEqual(oil.remaining.miles, 500);
+    assert.strictEqual(oil.dueBy, 'miles');
+    assert.strictEqual(truck.milesPerDay, 100);
+    // 500 miles at 100 a day
+    assert.ok(Math.abs(new Date(oil.dueDate).getTime() - (now + 5 * DAY_MS)) < 60 * 1000);
+    assert.strictEqual(oil.status, 'DUE_SOON');
+});
+
+test('buildMaintenanceSchedule marks overdue and never-done services', () => {
+    stub('readServiceIntervals', () => [
+        { model: 'All', service: 'Inspection', miles: 0, hours: 0, days: 30 },
+        { model: 'All', service: 'Tires', miles: 20000, hours: 0, days: 0 }
+    ]);
+    stub('readMeterReadings', () => ({}));
+    stub('readServiceLog', () => ({
+        'truck 1': [{ date: new GasDate(Date.now() - 45 * DAY_MS), service: 'inspection', odometer: null, hours: null, cost: 0 }]
+    }));
+
+    const [truck] = gas.buildMaintenanceSchedule([{ name: 'Truck 1', model: '' }]);
+    assert.strictEqual(truck.status, 'OVERDUE');
+    same(truck.services.map(s => [s.service, s.status]), [['Inspection', 'OVERDUE'], ['Tires', 'NO_HISTORY']]);
+    assert.strictEqual(truck.services[0].remaining.days, -15);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📅 Recurring crews
+// ═══════════════════════════════════════════════════════════════════════
+
+test('expandScheduleRecurrences adds, refreshes and drops occurrences but keeps overrides', () => {
+    const template = {
+        id: 'tpl-1',
+        name: 'Mowing',
+        crew: { name: 'Crew A', members: ['Ana', 'Ben'], trucks: ['Truck 1'], equipment: [], jobs: ['Smith'], salesmen: [] },
+        // Every other Monday from Mon 2026-01-05
+        recurrence: { daysOfWeek: [1], intervalWeeks: 2, startDate: '2026-01-05', endDate: null, skipDates: ['2026-02-02'] }
+    };
+
+    assert.strictEqual(gas.scheduleOccursOn(template.recurrence, '2026-01-19'), true);
+    assert.strictEqual(gas.scheduleOccursOn(template.recurrence, '2026-01-12'), false);
+    assert.strictEqual(gas.scheduleOccursOn(template.recurrence, '2026-02-02'), false);
+
+    const added = gas.expandScheduleRecurrences('2026-01-19', [], [template]);
+    assert.strictEqual(added.length, 1);
+    same(added[0].members, ['Ana', 'Ben']);
+    assert.strictEqual(added[0].templateId, 'tpl-1');
+    assert.strictEqual(added[0].id, gas.expandScheduleRecurrences('2026-01-19', [], [template])[0].id);
+
+    const stale = Object.assign({}, added[0], { members: ['Old'] });
+    const edited = Object.assign({}, added[0], { members: ['Cara'], overridden: true });
+    same(gas.expandScheduleRecurrences('2026-01-19', [stale], [template])[0].members, ['Ana', 'Ben']);
+    same(gas.expandScheduleRecurrences('2026-01-19', [edited], [template]).map(c => c.members), [['Cara']]);
+    // Not a series day any more: untouched occurrences go, edited ones stay
+    same(gas.expandScheduleRecurrences('2026-02-02', [stale], [template]), []);
+    assert.strictEqual(gas.expandScheduleRecurrences('2026-02-02', [edited], [template]).length, 1);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🧮 Material calculator
+// ═══════════════════════════════════════════════════════════════════════
+
+test('MaterialCalculator needs an area cue before treating NxM as an area', () => {
+    const calc = backend('MaterialCalculator');
+    assert.strictEqual(calc.calculate('do we have 4x8 pavers'), null);
+    assert.strictEqual(calc.calculate('2x4 lumber'), null);
+
+    const mulch = calc.calculate('how much mulch for 20x30');
+    assert.strictEqual(mulch.areaSqFt, 600);
+    assert.strictEqual(mulch.quantity, 5.56);
+
+    assert.strictEqual(calc.calculate("pavers 12' x 10'").areaSqFt, 120);
+    assert.strictEqual(calc.calculate('gravel 10x10 at 4" deep').depthInches, 4);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📦 Stock reservations
+// ═══════════════════════════════════════════════════════════════════════
+
+const INVENTORY_HEADERS = ['Item', 'Qty', 'Unit', 'Location', 'Notes', 'Min Stock'];
+const reservationRow = (line, item, quantity, status) =>
+    ['res-' + line, '1001', String(line), item, quantity, 'bags', status, '', '', ''];
+
+function reservationBook(mulchQty, reservations) {
+    return useWorkbook({
+        'Sheet1': [INVENTORY_HEADERS, ['Mulch', mulchQty, 'bags', 'Yard', '', 10]],
+        'Stock Reservations': [backend('RESERVATION_HEADERS')].concat(reservations)
+    });
+}
+
+test('completeLineItem consumes a reservation and restocks it when reopened', () => {
+    const book = reservationBook(20, [reservationRow(1, 'Mulch', 8, 'RESERVED')]);
+
+    const done = gas.completeLineItem({ woNumber: '1001', lineNumber: '1', done: true });
+    assert.strictEqual(done.success, true, done.message);
+    assert.strictEqual(book.sheet('Sheet1').values()[1][1], 12);
+    assert.strictEqual(book.sheet('Stock Reservations').values()[1][6], 'CONSUMED');
+    // Its own reservation isn't "someone else's" stock
+    assert.ok(!/reserved for work orders/.test(done.message));
+
+    const reopened = gas.completeLineItem({ woNumber: '1001', lineNumber: '1', done: false });
+    assert.strictEqual(reopened.success, true, reopened.message);
+    assert.strictEqual(book.sheet('Sheet1').values()[1][1], 20);
+    assert.strictEqual(book.sheet('Stock Reservations').values()[1][6], 'RESERVED');
+});
+
+test('completeLineItem re-reserves a released line without touching Qty', () => {
+    const book = reservationBook(20, [reservationRow(1, 'Mulch', 8, 'RELEASED')]);
+
+    const reopened = gas.completeLineItem({ woNumber: '1001', lineNumber: '1', done: false });
+    assert.strictEqual(reopened.success, true, reopened.message);
+    assert.strictEqual(book.sheet('Sheet1').values()[1][1], 20);
+    assert.strictEqual(book.sheet('Stock Reservations').values()[1][6], 'RESERVED');
+    assert.strictEqual(book.sheet('Transaction Log'), undefined);
+});
+
+test('completeLineItem refuses to re-reserve a released line the free stock no longer covers', () => {
+    const book = reservationBook(20, [
+        reservationRow(1, 'Mulch', 8, 'RELEASED'),
+        reservationRow(2, 'Mulch', 15, 'RESERVED')
+    ]);
+
+    const reopened = gas.completeLineItem({ woNumber: '1001', lineNumber: '1', done: false });
+    assert.strictEqual(reopened.success, false);
+    assert.strictEqual(book.sheet('Sheet1').values()[1][1], 20);
+    assert.strictEqual(book.sheet('Stock Reservations').values()[1][6], 'RELEASED');
+});
+
+test('reserveLineItemStock holds the lock and only reserves what is free', () => {
+    const book = reservationBook(20, [reservationRow(9, 'Mulch', 5, 'RESERVED')]);
+    book.sheet('Stock Reservations').failOnWrite = () => {
+        assert.strictEqual(locks.held, 1, 'reservations written without the script lock');
+        return false;
+    };
+
+    const result = gas.reserveLineItemStock('1002', [
+        ['1002', 1, 'Mulch', '', 10, 'bags'],
+        ['1002', 2, 'Mulch', '', 10, 'bags'],
+        ['1002', 3, 'Pine Straw', '', 4, 'bales']
+    ]);
+    same(result.reserved, [{ lineNumber: '1', item: 'Mulch', quantity: 10, unit: 'bags' }]);
+    // 20 on hand - 5 already held - 10 just reserved leaves 5 for line 2
+    same(result.short, [{ lineNumber: '2', item: 'Mulch', quantity: 10, available: 5, unit: 'bags' }]);
+    same(result.unmatched, ['Pine Straw']);
+    assert.strictEqual(book.sheet('Stock Reservations').getLastRow(), 3);
+    assert.strictEqual(locks.held, 0);
+});
+
+test('subtractInventory warns when a removal eats into reserved stock', () => {
+    const book = reservationBook(20, [reservationRow(1, 'Mulch', 15, 'RESERVED')]);
+    const sheet = book.sheet('Sheet1');
+
+    const fits = gas.subtractInventory(sheet, { itemName: 'Mulch', quantity: 5, unit: 'bags', reason: 'test' });
+    assert.strictEqual(fits.warning, null);
+
+    const eats = gas.subtractInventory(sheet, { itemName: 'Mulch', quantity: 5, unit: 'bags', reason: 'died' });
+    assert.strictEqual(eats.success, true);
+    assert.match(eats.warning, /15 bags of Mulch is reserved for work orders; only 0 was free/);
+    assert.strictEqual(sheet.values()[1][1], 10);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🏷️ Item IDs
+// ═══════════════════════════════════════════════════════════════════════
+
+test('ensureItemIds adds the column and numbers blank rows', () => {
+    delete properties.LAST_ITEM_ID;
+    const book = useWorkbook({ 'Sheet1': [INVENTORY_HEADERS, ['Mulch', 5], ['Sod', 3], ['', '']] });
+    const sheet = book.sheet('Sheet1');
+
+    same(gas.ensureItemIds(sheet), { idCol: 6, assigned: 2, total: 2 });
+    same(sheet.values().map(r => r[6]), ['Item ID', 'INV-0001', 'INV-0002', '']);
+    // Running again changes nothing
+    assert.strictEqual(gas.ensureItemIds(sheet).assigned, 0);
+});
+
+test('ensureItemIds never reuses the ID of a deleted or merged row', () => {
+    delete properties.LAST_ITEM_ID;
+    const headers = INVENTORY_HEADERS.concat('Item ID');
+    const book = useWorkbook({ 'Sheet1': [headers, ['Mulch', 5, '', '', '', '', 'INV-0001'], ['Sod', 3, '', '', '', '', '']] });
+    const sheet = book.sheet('Sheet1');
+
+    gas.ensureItemIds(sheet);
+    assert.strictEqual(sheet.values()[2][6], 'INV-0002');
+
+    sheet.deleteRow(3);
+    sheet.appendRow(['Sand', 1, '', '', '', '', '']);
+    gas.ensureItemIds(sheet);
+    assert.strictEqual(sheet.values()[2][6], 'INV-0003');
+});
+
+test('ensureItemIds continues past hand-typed IDs above the counter', () => {
+    properties.LAST_ITEM_ID = '4';
+    const headers = INVENTORY_HEADERS.concat('Item ID');
+    const book = useWorkbook({ 'Sheet1': [headers, ['Mulch', 5, '', '', '', '', 'inv-0010'], ['Sod', 3, '', '', '', '', '']] });
+
+    gas.ensureItemIds(book.sheet('Sheet1'));
+    assert.strictEqual(book.sheet('Sheet1').values()[2][6], 'INV-0011');
+    assert.strictEqual(properties.LAST_ITEM_ID, '11');
+});
+
+test('mergeDuplicates combines the rows under the script lock', () => {
+    const book = useWorkbook({
+        'Sheet1': [INVENTORY_HEADERS, ['Boxwood 5 gal', 4, 'each', 'Yard', '', 2], ['Boxwoods 5 gal', 3, 'each', 'Yard', '', 2]]
+    });
+    const sheet = book.sheet('Sheet1');
+    sheet.failOnWrite = () => {
+        assert.strictEqual(locks.held, 1, 'inventory rewritten without the script lock');
+        return false;
+    };
+
+    const result = gas.mergeDuplicates('Boxwood 5 gal', 'Boxwoods 5 gal', true);
+    assert.strictEqual(result.success, true, result.message);
+    same(sheet.values(), [INVENTORY_HEADERS, ['Boxwood 5 gal', 7, 'each', 'Yard', '', 2]]);
+    assert.strictEqual(locks.held, 0);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🧾 Purchase orders
+// ═══════════════════════════════════════════════════════════════════════
+
+function purchaseOrderBook(status, items) {
+    return useWorkbook({
+        'Sheet1': [INVENTORY_HEADERS, ['Mulch', 10, 'bags', 'Yard', '', 10], ['Sod', 0, 'pallets', 'Yard', '', 2]],
+        'Purchase Orders': [
+            backend('PO_HEADERS'),
+            ['PO-1', 'Green Supply', status, JSON.stringify(items), 0, '', '', '', '', '', '']
+        ]
+    });
+}
+const poRow = book => book.sheet('Purchase Orders').values()[1];
+const stockOf = (book, row) => book.sheet('Sheet1').values()[row][1];
+
+test('receivePurchaseOrder refuses a draft that was never ordered', () => {
+    const book = purchaseOrderBook('DRAFT', [{ item: 'Mulch', quantity: 20, unit: 'bags' }]);
+
+    const result = gas.receivePurchaseOrder('PO-1');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(stockOf(book, 1), 10);
+    assert.strictEqual(poRow(book)[2], 'DRAFT');
+});
+
+test('receivePurchaseOrder keeps a short delivery open and only adds the rest later', () => {
+    const book = purchaseOrderBook('ORDERED', [
+        { item: 'Mulch', quantity: 20, unit: 'bags' },
+        { item: 'Sod', quantity: 4, unit: 'pallets' }
+    ]);
+
+    const first = gas.receivePurchaseOrder('PO-1', [{ item: 'Mulch', quantity: 15 }]);
+    assert.strictEqual(first.success, true);
+    assert.strictEqual(first.purchaseOrder.status, 'PARTIALLY_RECEIVED');
+    assert.strictEqual(poRow(book)[2], 'PARTIALLY_RECEIVED');
+    same(JSON.parse(poRow(book)[3]).map(l => l.received), [15, 4]);
+
+    // Back-ordered mulch can't be flipped back to ORDERED
+    assert.strictEqual(gas.updatePurchaseOrderStatus('PO-1', 'ORDERED').success, false);
+
+    const second = gas.receivePurchaseOrder('PO-1');
+    assert.strictEqual(second.purchaseOrder.status, 'RECEIVED');
+    assert.strictEqual(stockOf(book, 1), 30);
+    assert.strictEqual(stockOf(book, 2), 4);
+    assert.ok(poRow(book)[9]);
+});
+
+test('receivePurchaseOrder leaves a failed line outstanding without re-adding the rest on retry', () => {
+    const book = purchaseOrderBook('ORDERED', [
+        { item: 'Mulch', quantity: 20, unit: 'bags' },
+        { item: 'Sod', quantity: 4, unit: 'pallets' }
+    ]);
+    const realAddInventory = gas.addInventory;
+    stub('addInventory', (sheet, data) => data.itemName === 'Sod'
+        ? { success: false, message: 'sheet busy' }
+        : realAddInventory(sheet, data));
+
+    let result;
+    try {
+        result = gas.receivePurchaseOrder('PO-1');
+    } finally {
+        stub('addInventory', realAddInventory);
+    }
+    assert.strictEqual(result.success, false);
+    same(result.results.map(r => [r.item, r.success]), [['Mulch', true], ['Sod', false]]);
+    assert.strictEqual(poRow(book)[2], 'PARTIALLY_RECEIVED');
+
+    const retry = gas.receivePurchaseOrder('PO-1');
+    assert.strictEqual(retry.success, true);
+    assert.strictEqual(retry.purchaseOrder.status, 'RECEIVED');
+    assert.strictEqual(stockOf(book, 1), 30);
+    assert.strictEqual(stockOf(book, 2), 4);
+});
+
+test('updatePurchaseOrderStatus writes under the script lock', () => {
+    const book = purchaseOrderBook('DRAFT', [{ item: 'Mulch', quantity: 20, unit: 'bags' }]);
+    book.sheet('Purchase Orders').failOnWrite = () => {
+        assert.strictEqual(locks.held, 1, 'PO status written without the script lock');
+        return false;
+    };
+
+    assert.strictEqual(gas.updatePurchaseOrderStatus('PO-1', 'ORDERED').success, true);
+    assert.strictEqual(poRow(book)[2], 'ORDERED');
+    assert.strictEqual(locks.held, 0);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📏 Units of measure
+// ═══════════════════════════════════════════════════════════════════════
+
+test('parseQuantityFromQuery reads a container size as part of the item name', () => {
+    same(gas.parseQuantityFromQuery('10 boxwood 5 gal'), { quantity: 10, unit: 'each' });
+    same(gas.parseQuantityFromQuery('10 arborvitae 6 ft'), { quantity: 10, unit: 'each' });
+    assert.strictEqual(gas.parseQuantityFromQuery('3 gal hollies'), null);
+    assert.strictEqual(gas.parseQuantityFromQuery('boxwood 5 gal'), null);
+});
+
+test('parseQuantityFromQuery still reads real quantities', () => {
+    same(gas.parseQuantityFromQuery('6 Yards mulch'), { quantity: 6, unit: 'yards' });
+    same(gas.parseQuantityFromQuery('need 20 ft of edging'), { quantity: 20, unit: 'lf' });
+    same(gas.parseQuantityFromQuery('mulch 1,200 sq ft'), { quantity: 1200, unit: 'sq_ft' });
+    same(gas.parseQuantityFromQuery('10 plants'), { quantity: 10, unit: 'each' });
+    same(gas.parseQuantityFromQuery('need 5'), { quantity: 5, unit: null });
+});
+
+test('convertQuantity uses item factors before the catalogue', () => {
+    const conversions = [
+        { item: 'Pavers', unit: 'pallets', equals: 120, ofUnit: 'each' },
+        { item: 'Gravel', unit: 'tons', equals: 0.7, ofUnit: 'yards' }
+    ];
+    assert.strictEqual(gas.convertQuantity(2, 'pallet', 'Ea.', 'Pavers', conversions), 240);
+    assert.strictEqual(gas.convertQuantity(3, 'tons', 'yards', 'Gravel', conversions), 2.1);
+    // 6 yards of 2 cu ft bags, rounded up to whole bags
+    assert.strictEqual(gas.roundQuantityForUnit(gas.convertQuantity(6, 'yards', 'Bags', 'Mulch', conversions), 'Bags'), 81);
+    // Pallets have no catalogue size, so sod needs its own factor
+    assert.strictEqual(gas.convertQuantity(2, 'pallet', 'Ea.', 'Sod', conversions), null);
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 📈 Consumption analytics
+// ═══════════════════════════════════════════════════════════════════════
+
+function analyticsBook(entries) {
+    const logRow = ([daysAgo, action, item, quantity, notes]) =>
+        [new GasDate(Date.now() - daysAgo * DAY_MS), action, item, quantity, 'bags', 0, notes || '', '', '', '', '', ''];
+    return useWorkbook({
+        'Sheet1': [INVENTORY_HEADERS, ['Mulch', 40, 'bags', 'Yard', '', 10], ['Sod', 12, 'pallets', 'Yard', '', 2]],
+        'Stock Reservations': [backend('RESERVATION_HEADERS'), reservationRow(1, 'Mulch', 10, 'RESERVED')],
+        'Transaction Log': [backend('TRANSACTION_LOG_HEADERS')].concat(entries.map(logRow))
+    });
+}
+
+test('getInventoryAnalytics nets restocks out of usage and splits out shrinkage', () => {
+    analyticsBook([
+        [20, 'ADD', 'Mulch', 50],
+        [15, 'REMOVE', 'Mulch', 30, 'Reason: WO #1001 line 1 completed'],
+        [10, 'RESTOCK', 'Mulch', 10, 'Reason: WO #1001 line 1 reopened'],
+        [5, 'REMOVE', 'Mulch', 5, 'Reason: bags died in the rain'],
+        [3, 'COUNT', 'Mulch', -5, 'Cycle count'],
+        [200, 'REMOVE', 'Mulch', 99, 'Reason: before the range'],
+        [4, 'REMOVE', 'Sod', 3, 'Reason: job']
+    ]);
+
+    const result = gas.getInventoryAnalytics('mulch', 30);
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(result.item, 'Mulch');
+    assert.strictEqual(result.totalUsed, 20);
+    same(result.shrinkage, { quantity: 10, events: 2, percentOfRemoved: 25 });
+    same(result.stock, { quantity: 40, reserved: 10, available: 30 });
+    // (20 used + 10 lost) over 30 days is 1 a day, so the 30 free bags last 30 days
+    assert.strictEqual(result.burnRatePerDay, 1);
+    assert.strictEqual(result.daysOfCover, 30);
+    assert.strictEqual(result.weekly.reduce((sum, w) => sum + w.added, 0), 50);
+});
+
+test('getInventoryAnalytics ranks items by usage across the whole inventory', () => {
+    analyticsBook([
+        [6, 'REMOVE', 'Mulch', 4, 'Reason: job'],
+        [5, 'REMOVE', 'Sod', 9, 'Reason: job'],
+        [4, 'REMOVE', 'Sod', 2, 'Reason: plants died']
+    ]);
+
+    const result = gas.getInventoryAnalytics('', 30);
+    assert.strictEqual(result.item, null);
+    assert.strictEqual(result.stock, null);
+    assert.strictEqual(result.daysOfCover, null);
+    same(result.topItems, [{ item: 'Sod', used: 9 }, { item: 'Mulch', used: 4 }]);
+});
+
+// ─── Run ────────────────────────────────────────────────────────────────
+
+let failed = 0;
+tests.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    }
+});
+
+console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);